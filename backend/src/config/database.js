@@ -1,5 +1,5 @@
 const mongoose = require('mongoose');
-const { MongoMemoryServer } = require('mongodb-memory-server');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
 
 const connectDB = async () => {
   try {
@@ -16,8 +16,11 @@ const connectDB = async () => {
       console.log(`Could not connect to MongoDB: ${initialError.message}`);
       console.log('Falling back to in-memory MongoDB server...');
       
-      // If that fails, start an in-memory MongoDB server
-      const mongod = await MongoMemoryServer.create();
+      // If that fails, start an in-memory MongoDB server. A single-member
+      // replica set rather than a standalone server, so transactions work
+      const mongod = await MongoMemoryReplSet.create({
+        replSet: { count: 1, storageEngine: 'wiredTiger' }
+      });
       const uri = mongod.getUri();
       
       conn = await mongoose.connect(uri, {
@@ -223,6 +223,24 @@ exports.getSubmissions = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get score statistics for an assignment
+ * @route   GET /api/assignments/:id/stats
+ * @access  Private/Admin,Teacher
+ */
+exports.getAssignmentStats = async (req, res, next) => {
+  try {
+    const stats = await assignmentService.getAssignmentStats(req.params.id, req.user);
+    
+    res.status(200).json({
+      success: true,
+      data: stats
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * @desc    Grade submission
  * @route   PUT /api/assignments/submissions/:id
@@ -1,4 +1,5 @@
 const attendanceService = require('../services/attendance.service');
+const absenceExcuseService = require('../services/absence-excuse.service');
 
 /**
  * @desc    Get attendance records
@@ -38,6 +39,25 @@ exports.getAttendanceStats = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get the sessions a course is expected to meet in a date range
+ * @route   GET /api/attendance/sessions
+ * @access  Private/Admin,Teacher
+ */
+exports.getExpectedSessions = async (req, res, next) => {
+  try {
+    const result = await attendanceService.getExpectedSessions(req.query, req.user);
+    
+    res.status(200).json({
+      success: true,
+      count: result.sessions.length,
+      data: result
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * @desc    Record attendance
  * @route   POST /api/attendance
@@ -74,3 +94,140 @@ exports.bulkRecordAttendance = async (req, res, next) => {
     next(err);
   }
 };
+
+/**
+ * @desc    Correct an attendance record
+ * @route   PUT /api/attendance/:id
+ * @access  Private/Admin,Teacher
+ */
+exports.updateAttendance = async (req, res, next) => {
+  try {
+    const attendanceRecord = await attendanceService.updateAttendance(req.params.id, req.body, req.user);
+    
+    res.status(200).json({
+      success: true,
+      data: attendanceRecord
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Delete an attendance record
+ * @route   DELETE /api/attendance/:id
+ * @access  Private/Admin,Teacher
+ */
+exports.deleteAttendance = async (req, res, next) => {
+  try {
+    const reason = req.body?.reason || req.query.reason;
+    await attendanceService.deleteAttendance(req.params.id, reason, req.user);
+    
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get the change history of an attendance record
+ * @route   GET /api/attendance/:id/history
+ * @access  Private/Admin,Teacher
+ */
+exports.getAttendanceHistory = async (req, res, next) => {
+  try {
+    const history = await attendanceService.getAttendanceHistory(req.params.id, req.user);
+    
+    res.status(200).json({
+      success: true,
+      count: history.length,
+      data: history
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get absence excuses
+ * @route   GET /api/attendance/excuses
+ * @access  Private
+ */
+exports.getExcuses = async (req, res, next) => {
+  try {
+    const excuses = await absenceExcuseService.getExcuses(req.query, req.user);
+    
+    res.status(200).json({
+      success: true,
+      count: excuses.length,
+      data: excuses
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Submit an absence excuse
+ * @route   POST /api/attendance/excuses
+ * @access  Private/Student,Parent
+ */
+exports.submitExcuse = async (req, res, next) => {
+  try {
+    const excuseData = {
+      ...req.body,
+      excusesUrl: `${req.protocol}://${req.get('host')}${req.baseUrl}/excuses`
+    };
+    
+    const excuse = await absenceExcuseService.submitExcuse(excuseData, req.file, req.user);
+    
+    res.status(201).json({
+      success: true,
+      data: excuse
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Download the supporting document of an absence excuse
+ * @route   GET /api/attendance/excuses/:excuseId/document
+ * @access  Private
+ */
+exports.getExcuseDocument = async (req, res, next) => {
+  try {
+    const file = await absenceExcuseService.getExcuseDocument(req.params.excuseId, req.user);
+    
+    res.attachment(file.fileName);
+    res.type(file.fileType);
+    res.status(200).sendFile(file.path, (err) => {
+      if (err) {
+        next(err);
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Approve or reject an absence excuse
+ * @route   PUT /api/attendance/excuses/:excuseId
+ * @access  Private/Admin,Teacher
+ */
+exports.reviewExcuse = async (req, res, next) => {
+  try {
+    const excuse = await absenceExcuseService.reviewExcuse(req.params.excuseId, req.body, req.user);
+    
+    res.status(200).json({
+      success: true,
+      data: excuse
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -1,5 +1,15 @@
 const authService = require('../services/auth.service');
 
+/**
+ * Collect client metadata stored alongside refresh tokens
+ * @param {Object} req - Express request
+ * @returns {Object} Client IP and user agent
+ */
+const getClientMeta = (req) => ({
+  ip: req.ip,
+  userAgent: req.headers['user-agent']
+});
+
 /**
  * @desc    Register user
  * @route   POST /api/auth/register
@@ -7,12 +17,12 @@ const authService = require('../services/auth.service');
  */
 exports.register = async (req, res, next) => {
   try {
-    const { user, token } = await authService.registerUser(req.body);
+    // Tokens and the user, a two-factor challenge, or approvalPending
+    const result = await authService.registerUser(req.body, getClientMeta(req));
 
     res.status(201).json({
       success: true,
-      token,
-      user
+      ...result
     });
   } catch (err) {
     next(err);
@@ -36,12 +46,12 @@ exports.login = async (req, res, next) => {
       });
     }
 
-    const { user, token } = await authService.loginUser(email, password);
+    // Either tokens and the user, or a two-factor challenge
+    const result = await authService.loginUser(email, password, getClientMeta(req));
 
     res.status(200).json({
       success: true,
-      token,
-      user
+      ...result
     });
   } catch (err) {
     next(err);
@@ -57,11 +67,58 @@ exports.firebaseAuth = async (req, res, next) => {
   try {
     const { idToken } = req.body;
 
-    const { user, token } = await authService.firebaseAuth(idToken);
+    const result = await authService.firebaseAuth(idToken, getClientMeta(req));
+
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Exchange a refresh token for a new access token
+ * @route   POST /api/auth/refresh
+ * @access  Public
+ */
+exports.refresh = async (req, res, next) => {
+  try {
+    const { token, refreshToken } = await authService.refreshAuthToken(
+      req.body.refreshToken,
+      getClientMeta(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      token,
+      refreshToken
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Complete login with a two-factor code
+ * @route   POST /api/auth/2fa/verify
+ * @access  Public
+ */
+exports.verifyTwoFactor = async (req, res, next) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    const { user, token, refreshToken } = await authService.verifyTwoFactorLogin(
+      challengeToken,
+      code,
+      getClientMeta(req)
+    );
 
     res.status(200).json({
       success: true,
       token,
+      refreshToken,
       user
     });
   } catch (err) {
@@ -69,6 +126,209 @@ exports.firebaseAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Start two-factor enrollment
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private (or setup challenge token)
+ */
+exports.setupTwoFactor = async (req, res, next) => {
+  try {
+    const setup = await authService.setupTwoFactor(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: setup
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Verify a code and enable two-factor authentication
+ * @route   POST /api/auth/2fa/enable
+ * @access  Private (or setup challenge token)
+ */
+exports.enableTwoFactor = async (req, res, next) => {
+  try {
+    // Enrolling during a login that required it finishes that login
+    const result = await authService.enableTwoFactor(
+      req.user.id,
+      req.body.code,
+      !!req.twoFactorSetupChallenge,
+      getClientMeta(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Disable two-factor authentication
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ */
+exports.disableTwoFactor = async (req, res, next) => {
+  try {
+    const user = await authService.disableTwoFactor(req.user.id, req.body.password, req.body.code);
+
+    res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Regenerate two-factor backup codes
+ * @route   POST /api/auth/2fa/backup-codes
+ * @access  Private
+ */
+exports.regenerateBackupCodes = async (req, res, next) => {
+  try {
+    const backupCodes = await authService.regenerateBackupCodes(req.user.id, req.body.code);
+
+    res.status(200).json({
+      success: true,
+      data: { backupCodes }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Send password reset email
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ */
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    await authService.forgotPassword(req.body.email);
+
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for this email, a reset link has been sent'
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Reset password
+ * @route   PUT /api/auth/reset-password/:token
+ * @access  Public
+ */
+exports.resetPassword = async (req, res, next) => {
+  try {
+    const result = await authService.resetPassword(
+      req.params.token,
+      req.body.password,
+      getClientMeta(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Change password of the current user
+ * @route   PUT /api/auth/password
+ * @access  Private
+ */
+exports.changePassword = async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const { user, token, refreshToken } = await authService.changePassword(
+      req.user.id,
+      currentPassword,
+      newPassword,
+      getClientMeta(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      token,
+      refreshToken,
+      user
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get the password policy
+ * @route   GET /api/auth/password-policy
+ * @access  Public
+ */
+exports.getPasswordPolicy = async (req, res, next) => {
+  try {
+    const policy = authService.getPasswordPolicy();
+
+    res.status(200).json({
+      success: true,
+      data: policy
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get an invitation for its landing page
+ * @route   GET /api/auth/invitations/:token
+ * @access  Public
+ */
+exports.getInvitation = async (req, res, next) => {
+  try {
+    const invitation = await authService.getInvitation(req.params.token);
+
+    res.status(200).json({
+      success: true,
+      data: invitation
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Accept an invitation and create the account
+ * @route   POST /api/auth/invitations/:token/accept
+ * @access  Public
+ */
+exports.acceptInvitation = async (req, res, next) => {
+  try {
+    const result = await authService.acceptInvitation(
+      req.params.token,
+      req.body,
+      getClientMeta(req)
+    );
+
+    res.status(201).json({
+      success: true,
+      ...result
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * @desc    Get current logged in user
  * @route   GET /api/auth/me
@@ -88,12 +348,14 @@ exports.getMe = async (req, res, next) => {
 };
 
 /**
- * @desc    Log user out / clear cookie
+ * @desc    Log user out of the current session
  * @route   POST /api/auth/logout
  * @access  Private
  */
 exports.logout = async (req, res, next) => {
   try {
+    await authService.logoutUser(req.auth);
+
     res.status(200).json({
       success: true,
       message: 'Logged out successfully'
@@ -102,3 +364,58 @@ exports.logout = async (req, res, next) => {
     next(err);
   }
 };
+
+/**
+ * @desc    Log user out of every session
+ * @route   POST /api/auth/logout-all
+ * @access  Private
+ */
+exports.logoutAll = async (req, res, next) => {
+  try {
+    await authService.logoutAllSessions(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out of all sessions'
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get active sessions of the current user
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+exports.getSessions = async (req, res, next) => {
+  try {
+    const sessions = await authService.getSessions(req.user.id, req.auth);
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Revoke one of the current user's sessions
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+exports.revokeSession = async (req, res, next) => {
+  try {
+    await authService.revokeSession(req.user.id, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -241,3 +241,39 @@ exports.removeCourseMaterial = async (req, res, next) => {
     next(err);
   }
 };
+
+/**
+ * @desc    Get course gradebook
+ * @route   GET /api/courses/:id/gradebook
+ * @access  Private/Admin,Teacher
+ */
+exports.getGradebook = async (req, res, next) => {
+  try {
+    const gradebook = await courseService.getGradebook(req.params.id, req.user);
+    
+    res.status(200).json({
+      success: true,
+      data: gradebook
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get course grade statistics
+ * @route   GET /api/courses/:id/stats
+ * @access  Private/Admin,Teacher
+ */
+exports.getCourseStats = async (req, res, next) => {
+  try {
+    const stats = await courseService.getCourseStats(req.params.id, req.user);
+    
+    res.status(200).json({
+      success: true,
+      data: stats
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -1,4 +1,10 @@
 const gradeService = require('../services/grade.service');
+const gradeReleaseService = require('../services/grade-release.service');
+
+const EXPORT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
 
 /**
  * @desc    Get grades
@@ -22,12 +28,15 @@ exports.getGrades = async (req, res, next) => {
 
 /**
  * @desc    Get course grade summary for a student
- * @route   GET /api/grades/summary
+ * @route   GET /api/grades/summary/:courseId
  * @access  Private
  */
 exports.getGradeSummary = async (req, res, next) => {
   try {
-    const summary = await gradeService.getGradeSummary(req.query, req.user);
+    const summary = await gradeService.getGradeSummary(
+      { ...req.query, courseId: req.params.courseId },
+      req.user
+    );
     
     res.status(200).json({
       success: true,
@@ -56,6 +65,80 @@ exports.recordGrade = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get a grade
+ * @route   GET /api/grades/:id
+ * @access  Private
+ */
+exports.getGrade = async (req, res, next) => {
+  try {
+    const grade = await gradeService.getGrade(req.params.id, req.user);
+    
+    res.status(200).json({
+      success: true,
+      data: grade
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Update a grade
+ * @route   PUT /api/grades/:id
+ * @access  Private/Admin,Teacher
+ */
+exports.updateGrade = async (req, res, next) => {
+  try {
+    const grade = await gradeService.updateGrade(req.params.id, req.body, req.user);
+    
+    res.status(200).json({
+      success: true,
+      data: grade
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Delete a grade
+ * @route   DELETE /api/grades/:id
+ * @access  Private/Admin,Teacher
+ */
+exports.deleteGrade = async (req, res, next) => {
+  try {
+    const reason = req.body?.reason || req.query.reason;
+    await gradeService.deleteGrade(req.params.id, reason, req.user);
+    
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get the change history of a grade
+ * @route   GET /api/grades/:id/history
+ * @access  Private/Admin,Teacher
+ */
+exports.getGradeHistory = async (req, res, next) => {
+  try {
+    const history = await gradeService.getGradeHistory(req.params.id, req.user);
+    
+    res.status(200).json({
+      success: true,
+      count: history.length,
+      data: history
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * @desc    Bulk record grades
  * @route   POST /api/grades/bulk
@@ -74,3 +157,117 @@ exports.bulkRecordGrades = async (req, res, next) => {
     next(err);
   }
 };
+
+/**
+ * @desc    Import grades from a CSV or XLSX file, or preview the import with dryRun
+ * @route   POST /api/grades/import
+ * @access  Private/Admin,Teacher
+ */
+exports.importGrades = async (req, res, next) => {
+  try {
+    const result = await gradeService.importGrades(req.file, req.body, req.user);
+    
+    if (!result.dryRun && !result.committed) {
+      return res.status(400).json({
+        success: false,
+        message: 'The import has errors, so no grades were saved',
+        data: result
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Export the grades of a course as CSV or XLSX
+ * @route   GET /api/grades/export?course=:courseId&format=csv|xlsx
+ * @access  Private/Admin,Teacher
+ */
+exports.exportGrades = async (req, res, next) => {
+  try {
+    const { course, format = 'csv' } = req.query;
+    
+    if (!course) {
+      const error = new Error('Please provide a course');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    if (!EXPORT_TYPES[format]) {
+      const error = new Error('Format must be csv or xlsx');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    const file = await gradeService.exportGrades(course, format, req.user);
+    
+    res.set({
+      'Content-Type': EXPORT_TYPES[format],
+      'Content-Disposition': `attachment; filename="${file.filename}"`
+    });
+    res.status(200).send(file.content);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get scheduled and past grade releases
+ * @route   GET /api/grades/releases
+ * @access  Private/Admin,Teacher
+ */
+exports.getReleases = async (req, res, next) => {
+  try {
+    const releases = await gradeReleaseService.getReleases(req.query, req.user);
+    
+    res.status(200).json({
+      success: true,
+      count: releases.length,
+      data: releases
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Schedule the release of grades, or release them now
+ * @route   POST /api/grades/releases
+ * @access  Private/Admin,Teacher
+ */
+exports.scheduleRelease = async (req, res, next) => {
+  try {
+    const release = await gradeReleaseService.scheduleRelease(req.body, req.user);
+    
+    res.status(200).json({
+      success: true,
+      data: release
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Cancel a scheduled grade release
+ * @route   DELETE /api/grades/releases/:releaseId
+ * @access  Private/Admin,Teacher
+ */
+exports.cancelRelease = async (req, res, next) => {
+  try {
+    const release = await gradeReleaseService.cancelRelease(req.params.releaseId, req.user);
+    
+    res.status(200).json({
+      success: true,
+      data: release
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,128 @@
+const gradingScaleService = require('../services/grading-scale.service');
+
+/**
+ * @desc    Get all grading scales
+ * @route   GET /api/grading-scales
+ * @access  Private
+ */
+exports.getGradingScales = async (req, res, next) => {
+  try {
+    const scales = await gradingScaleService.getGradingScales();
+    
+    res.status(200).json({
+      success: true,
+      count: scales.length,
+      data: scales
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get the school default grading scale
+ * @route   GET /api/grading-scales/default
+ * @access  Private
+ */
+exports.getDefaultScale = async (req, res, next) => {
+  try {
+    const scale = await gradingScaleService.getDefaultScale();
+    
+    res.status(200).json({
+      success: true,
+      data: scale
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get the grading scale a course uses
+ * @route   GET /api/grading-scales/course/:courseId
+ * @access  Private
+ */
+exports.getCourseScale = async (req, res, next) => {
+  try {
+    const scale = await gradingScaleService.getScaleForCourse(req.params.courseId);
+    
+    res.status(200).json({
+      success: true,
+      data: scale
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get a grading scale
+ * @route   GET /api/grading-scales/:id
+ * @access  Private
+ */
+exports.getGradingScale = async (req, res, next) => {
+  try {
+    const scale = await gradingScaleService.getGradingScale(req.params.id);
+    
+    res.status(200).json({
+      success: true,
+      data: scale
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Create a grading scale
+ * @route   POST /api/grading-scales
+ * @access  Private/Admin
+ */
+exports.createGradingScale = async (req, res, next) => {
+  try {
+    const scale = await gradingScaleService.createGradingScale(req.body, req.user);
+    
+    res.status(201).json({
+      success: true,
+      data: scale
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Update a grading scale
+ * @route   PUT /api/grading-scales/:id
+ * @access  Private/Admin
+ */
+exports.updateGradingScale = async (req, res, next) => {
+  try {
+    const scale = await gradingScaleService.updateGradingScale(req.params.id, req.body);
+    
+    res.status(200).json({
+      success: true,
+      data: scale
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Delete a grading scale
+ * @route   DELETE /api/grading-scales/:id
+ * @access  Private/Admin
+ */
+exports.deleteGradingScale = async (req, res, next) => {
+  try {
+    await gradingScaleService.deleteGradingScale(req.params.id);
+    
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,142 @@
+const reportCardService = require('../services/report-card.service');
+const { getFileUrl } = require('../services/upload.service');
+
+/**
+ * Send a generated PDF as a download
+ * @param {Object} res - Express response
+ * @param {Object} file - File name and content
+ */
+const sendPdf = (res, file) => {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${file.filename}"`
+  });
+  res.status(200).send(file.content);
+};
+
+/**
+ * @desc    Get a student's report card for a term
+ * @route   GET /api/report-cards/student/:studentId
+ * @access  Private (admin, the student, their parents)
+ */
+exports.getReportCard = async (req, res, next) => {
+  try {
+    const reportCard = await reportCardService.getReportCard(req.params.studentId, req.query, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: reportCard
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Download a student's report card for a term as a PDF
+ * @route   GET /api/report-cards/student/:studentId/pdf
+ * @access  Private (admin, the student, their parents)
+ */
+exports.getReportCardPdf = async (req, res, next) => {
+  try {
+    const file = await reportCardService.getReportCardPdf(req.params.studentId, req.query, req.user);
+    sendPdf(res, file);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Download the report cards of a course or grade level as one PDF
+ * @route   GET /api/report-cards/class/pdf
+ * @access  Private/Admin/Teacher
+ */
+exports.getClassReportCardsPdf = async (req, res, next) => {
+  try {
+    const file = await reportCardService.getClassReportCardsPdf(req.query, req.user);
+    sendPdf(res, file);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get the report card comments of a course
+ * @route   GET /api/report-cards/course/:courseId/comments
+ * @access  Private/Admin/Teacher
+ */
+exports.getCourseComments = async (req, res, next) => {
+  try {
+    const comments = await reportCardService.getCourseComments(req.params.courseId, req.user);
+
+    res.status(200).json({
+      success: true,
+      count: comments.length,
+      data: comments
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Write or remove a student's report card comment for a course
+ * @route   PUT /api/report-cards/course/:courseId/comments/:studentId
+ * @access  Private/Admin/Teacher
+ */
+exports.saveComment = async (req, res, next) => {
+  try {
+    const comment = await reportCardService.saveComment(
+      req.params.courseId,
+      req.params.studentId,
+      req.body.comment,
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      data: comment || {}
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Upload the report card logo
+ * @route   PUT /api/report-cards/logo
+ * @access  Private/Admin
+ */
+exports.updateLogo = async (req, res, next) => {
+  try {
+    const filename = await reportCardService.updateLogo(req.file, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        logo: filename,
+        url: getFileUrl(req, filename, 'branding')
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Remove the report card logo
+ * @route   DELETE /api/report-cards/logo
+ * @access  Private/Admin
+ */
+exports.deleteLogo = async (req, res, next) => {
+  try {
+    await reportCardService.deleteLogo(req.user);
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    next(err);
+  }
+};
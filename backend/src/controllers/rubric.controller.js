@@ -0,0 +1,110 @@
+const rubricService = require('../services/rubric.service');
+
+/**
+ * @desc    Get rubrics of a course, or of every course the teacher teaches
+ * @route   GET /api/rubrics
+ * @access  Private/Admin,Teacher
+ */
+exports.getRubrics = async (req, res, next) => {
+  try {
+    const rubrics = await rubricService.getRubrics(req.query, req.user);
+    
+    res.status(200).json({
+      success: true,
+      count: rubrics.length,
+      data: rubrics
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get a rubric
+ * @route   GET /api/rubrics/:id
+ * @access  Private/Admin,Teacher
+ */
+exports.getRubric = async (req, res, next) => {
+  try {
+    const rubric = await rubricService.getRubric(req.params.id, req.user);
+    
+    res.status(200).json({
+      success: true,
+      data: rubric
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Create a rubric
+ * @route   POST /api/rubrics
+ * @access  Private/Admin,Teacher
+ */
+exports.createRubric = async (req, res, next) => {
+  try {
+    const rubric = await rubricService.createRubric(req.body, req.user);
+    
+    res.status(201).json({
+      success: true,
+      data: rubric
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Update a rubric
+ * @route   PUT /api/rubrics/:id
+ * @access  Private/Admin,Teacher
+ */
+exports.updateRubric = async (req, res, next) => {
+  try {
+    const rubric = await rubricService.updateRubric(req.params.id, req.body, req.user);
+    
+    res.status(200).json({
+      success: true,
+      data: rubric
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Delete a rubric
+ * @route   DELETE /api/rubrics/:id
+ * @access  Private/Admin,Teacher
+ */
+exports.deleteRubric = async (req, res, next) => {
+  try {
+    await rubricService.deleteRubric(req.params.id, req.user);
+    
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Copy a rubric to another course
+ * @route   POST /api/rubrics/:id/copy
+ * @access  Private/Admin,Teacher
+ */
+exports.copyRubric = async (req, res, next) => {
+  try {
+    const rubric = await rubricService.copyRubric(req.params.id, req.body, req.user);
+    
+    res.status(201).json({
+      success: true,
+      data: rubric
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,56 @@
+const settingService = require('../services/setting.service');
+
+/**
+ * @desc    Get all settings
+ * @route   GET /api/settings
+ * @access  Private/Admin
+ */
+exports.getSettings = async (req, res, next) => {
+  try {
+    const settings = await settingService.getSettings();
+    
+    res.status(200).json({
+      success: true,
+      count: settings.length,
+      data: settings
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get a setting
+ * @route   GET /api/settings/:key
+ * @access  Private/Admin
+ */
+exports.getSetting = async (req, res, next) => {
+  try {
+    const value = await settingService.getSetting(req.params.key);
+    
+    res.status(200).json({
+      success: true,
+      data: { key: req.params.key, value }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Update a setting
+ * @route   PUT /api/settings/:key
+ * @access  Private/Admin
+ */
+exports.updateSetting = async (req, res, next) => {
+  try {
+    const setting = await settingService.updateSetting(req.params.key, req.body.value, req.user.id);
+    
+    res.status(200).json({
+      success: true,
+      data: setting
+    });
+  } catch (err) {
+    next(err);
+  }
+};
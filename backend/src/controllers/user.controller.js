@@ -1,4 +1,12 @@
 const userService = require('../services/user.service');
+const registrationService = require('../services/registration.service');
+const invitationService = require('../services/invitation.service');
+const transcriptService = require('../services/transcript.service');
+
+const TRANSCRIPT_TYPES = {
+  pdf: 'application/pdf',
+  csv: 'text/csv; charset=utf-8'
+};
 
 /**
  * @desc    Get all users
@@ -111,6 +119,44 @@ exports.getParentStudents = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get a student's transcript, as JSON or downloaded with ?format=pdf or ?format=csv
+ * @route   GET /api/users/:id/transcript
+ * @access  Private (admin, the student, their parents)
+ */
+exports.getTranscript = async (req, res, next) => {
+  try {
+    const { format } = req.query;
+
+    if (format && !TRANSCRIPT_TYPES[format]) {
+      const error = new Error('Format must be pdf or csv');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (!format) {
+      const transcript = await transcriptService.getTranscript(req.params.id, req.user);
+
+      return res.status(200).json({
+        success: true,
+        data: transcript
+      });
+    }
+
+    const file = format === 'pdf'
+      ? await transcriptService.getTranscriptPdf(req.params.id, req.user)
+      : await transcriptService.getTranscriptCsv(req.params.id, req.user);
+
+    res.set({
+      'Content-Type': TRANSCRIPT_TYPES[format],
+      'Content-Disposition': `attachment; filename="${file.filename}"`
+    });
+    res.status(200).send(file.content);
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * @desc    Get teachers for a student
  * @route   GET /api/users/student/teachers
@@ -129,3 +175,264 @@ exports.getStudentTeachers = async (req, res, next) => {
     next(err);
   }
 };
+
+/**
+ * @desc    Get active sessions of a user
+ * @route   GET /api/users/:id/sessions
+ * @access  Private/Admin
+ */
+exports.getUserSessions = async (req, res, next) => {
+  try {
+    const sessions = await userService.getUserSessions(req.params.id);
+    
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Revoke all sessions of a user
+ * @route   DELETE /api/users/:id/sessions
+ * @access  Private/Admin
+ */
+exports.revokeUserSessions = async (req, res, next) => {
+  try {
+    await userService.revokeUserSessions(req.params.id);
+    
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Revoke a single session of a user
+ * @route   DELETE /api/users/:id/sessions/:sessionId
+ * @access  Private/Admin
+ */
+exports.revokeUserSession = async (req, res, next) => {
+  try {
+    await userService.revokeUserSessions(req.params.id, req.params.sessionId);
+    
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Unlock a user account locked after failed logins
+ * @route   PUT /api/users/:id/unlock
+ * @access  Private/Admin
+ */
+exports.unlockUser = async (req, res, next) => {
+  try {
+    const user = await userService.unlockUser(req.params.id);
+    
+    res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Deactivate (suspend) a user account
+ * @route   PUT /api/users/:id/deactivate
+ * @access  Private/Admin
+ */
+exports.deactivateUser = async (req, res, next) => {
+  try {
+    const user = await userService.deactivateUser(req.params.id, req.user);
+    
+    res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Reactivate a user account
+ * @route   PUT /api/users/:id/activate
+ * @access  Private/Admin
+ */
+exports.activateUser = async (req, res, next) => {
+  try {
+    const user = await userService.activateUser(req.params.id);
+    
+    res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Reset two-factor authentication of a user
+ * @route   DELETE /api/users/:id/two-factor
+ * @access  Private/Admin
+ */
+exports.resetUserTwoFactor = async (req, res, next) => {
+  try {
+    const user = await userService.resetUserTwoFactor(req.params.id);
+    
+    res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get accounts awaiting approval
+ * @route   GET /api/users/pending-approval
+ * @access  Private/Admin
+ */
+exports.getPendingUsers = async (req, res, next) => {
+  try {
+    const result = await registrationService.getPendingUsers(req.query);
+    
+    res.status(200).json({
+      success: true,
+      count: result.count,
+      pagination: result.pagination,
+      data: result.data
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Approve a pending account
+ * @route   PUT /api/users/:id/approve
+ * @access  Private/Admin
+ */
+exports.approveUser = async (req, res, next) => {
+  try {
+    const user = await registrationService.approveUser(req.params.id, req.user.id);
+    
+    res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Reject a pending account
+ * @route   PUT /api/users/:id/reject
+ * @access  Private/Admin
+ */
+exports.rejectUser = async (req, res, next) => {
+  try {
+    const user = await registrationService.rejectUser(req.params.id, req.user.id, req.body.reason);
+    
+    res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get invitations
+ * @route   GET /api/users/invitations
+ * @access  Private/Admin
+ */
+exports.getInvitations = async (req, res, next) => {
+  try {
+    const result = await invitationService.getInvitations(req.query);
+    
+    res.status(200).json({
+      success: true,
+      count: result.count,
+      pagination: result.pagination,
+      data: result.data
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Invite someone to create an account
+ * @route   POST /api/users/invitations
+ * @access  Private/Admin
+ */
+exports.createInvitation = async (req, res, next) => {
+  try {
+    const { invitation, url, emailSent } = await invitationService.createInvitation(req.body, req.user);
+    
+    res.status(201).json({
+      success: true,
+      data: invitation,
+      url,
+      emailSent
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Resend an invitation with a new link
+ * @route   POST /api/users/invitations/:id/resend
+ * @access  Private/Admin
+ */
+exports.resendInvitation = async (req, res, next) => {
+  try {
+    const { invitation, url, emailSent } = await invitationService.resendInvitation(req.params.id, req.user);
+    
+    res.status(200).json({
+      success: true,
+      data: invitation,
+      url,
+      emailSent
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Revoke an invitation
+ * @route   DELETE /api/users/invitations/:id
+ * @access  Private/Admin
+ */
+exports.revokeInvitation = async (req, res, next) => {
+  try {
+    const invitation = await invitationService.revokeInvitation(req.params.id, req.user);
+    
+    res.status(200).json({
+      success: true,
+      data: invitation
+    });
+  } catch (err) {
+    next(err);
+  }
+};
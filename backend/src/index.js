@@ -8,6 +8,9 @@ const socketIo = require('socket.io');
 const path = require('path');
 const connectDB = require('./config/database');
 const swaggerDocs = require('./config/swagger');
+const socketService = require('./services/socket.service');
+const gradeReleaseJob = require('./jobs/grade-release.job');
+const Attendance = require('./models/attendance.model');
 
 // Load environment variables
 dotenv.config();
@@ -21,9 +24,14 @@ const attendanceRoutes = require('./routes/attendance.routes');
 const gradeRoutes = require('./routes/grade.routes');
 const notificationRoutes = require('./routes/notification.routes');
 const enrollmentRequestRoutes = require('./routes/enrollment-request.routes');
+const settingRoutes = require('./routes/setting.routes');
+const gradingScaleRoutes = require('./routes/grading-scale.routes');
+const reportCardRoutes = require('./routes/report-card.routes');
+const rubricRoutes = require('./routes/rubric.routes');
 
 // Import middlewares
 const { errorHandler } = require('./middleware/error.middleware');
+const { authenticateSocket } = require('./middleware/auth.middleware');
 
 // Create Express app
 const app = express();
@@ -35,6 +43,19 @@ const io = socketIo(server, {
   }
 });
 
+// Use the client IP from X-Forwarded-For when running behind a reverse proxy.
+// TRUST_PROXY can be true, a number of proxy hops or a list of proxy addresses.
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy && trustProxy !== 'false') {
+  if (trustProxy === 'true') {
+    app.set('trust proxy', true);
+  } else if (/^\d+$/.test(trustProxy)) {
+    app.set('trust proxy', parseInt(trustProxy, 10));
+  } else {
+    app.set('trust proxy', trustProxy);
+  }
+}
+
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -56,18 +77,33 @@ app.use('/api/attendance', attendanceRoutes);
 app.use('/api/grades', gradeRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/enrollment-requests', enrollmentRequestRoutes);
+app.use('/api/settings', settingRoutes);
+app.use('/api/grading-scales', gradingScaleRoutes);
+app.use('/api/report-cards', reportCardRoutes);
+app.use('/api/rubrics', rubricRoutes);
 
 // Error handling middleware
 app.use(errorHandler);
 
 // Socket.io connection
+socketService.setIo(io);
+
+// Only authenticated, active users may connect
+io.use(authenticateSocket);
+
 io.on('connection', (socket) => {
-  console.log('New client connected');
+  const userRoom = socket.user._id.toString();
+  console.log(`New client connected for user ${userRoom}`);
+  
+  // Every socket listens on its own user's room
+  socket.join(userRoom);
   
-  // Join room based on user ID
+  // Kept for older clients; users can only join their own room
   socket.on('join', (userId) => {
-    socket.join(userId);
-    console.log(`User ${userId} joined their room`);
+    if (userId && userId.toString() === userRoom) {
+      socket.join(userRoom);
+      console.log(`User ${userId} joined their room`);
+    }
   });
   
   // Handle notifications
@@ -95,13 +131,27 @@ swaggerDocs(app);
 
 // Connect to MongoDB using the enhanced connection function
 connectDB()
-.then(() => {
+.then(async () => {
+  // Indexes from older schema versions would reject valid records
+  try {
+    const dropped = await Attendance.dropLegacyIndexes();
+    
+    if (dropped.length > 0) {
+      console.log(`Dropped legacy attendance indexes: ${dropped.join(', ')}`);
+    }
+  } catch (err) {
+    console.error('Failed to drop legacy attendance indexes:', err);
+  }
+  
   // Start server
   const PORT = process.env.PORT || 5000;
   server.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
     console.log(`Swagger API docs available at http://localhost:${PORT}/api-docs`);
   });
+  
+  // Publish scheduled grade releases when they are due
+  gradeReleaseJob.start();
 })
 .catch(err => {
   console.error('Failed to connect to MongoDB', err);
@@ -0,0 +1,51 @@
+const gradeReleaseService = require('../services/grade-release.service');
+
+let timer = null;
+let running = false;
+
+/**
+ * Publish the grade releases that are due, skipping a run while the last one is busy
+ */
+const run = async () => {
+  if (running) {
+    return;
+  }
+
+  running = true;
+
+  try {
+    const count = await gradeReleaseService.processDueReleases();
+
+    if (count > 0) {
+      console.log(`Published ${count} scheduled grade release(s)`);
+    }
+  } catch (err) {
+    console.error('Grade release job failed:', err);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Check for due grade releases every GRADE_RELEASE_INTERVAL_SECONDS (default 60)
+ */
+exports.start = () => {
+  if (timer) {
+    return;
+  }
+
+  const seconds = parseInt(process.env.GRADE_RELEASE_INTERVAL_SECONDS, 10) || 60;
+
+  timer = setInterval(run, seconds * 1000);
+  // The job alone should not keep the process alive
+  timer.unref();
+  run();
+};
+
+/**
+ * Stop checking for due grade releases
+ */
+exports.stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/user.model');
 const admin = require('firebase-admin');
+const tokenService = require('../services/token.service');
 
 /**
  * Protect routes - Verify JWT token
@@ -29,6 +30,24 @@ exports.protect = async (req, res, next) => {
       // Set user in request
       req.user = await User.findById(decoded.id);
       
+      // Reject tokens revoked by logout, session revocation or a token version bump
+      if (!req.user || !(await tokenService.isAccessTokenValid(decoded, req.user))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Not authorized to access this route'
+        });
+      }
+      
+      if (req.user.active === false) {
+        return res.status(401).json({
+          success: false,
+          message: 'Your account has been deactivated'
+        });
+      }
+      
+      // Keep the token payload for session-aware handlers such as logout
+      req.auth = decoded;
+      
       next();
     } catch (err) {
       return res.status(401).json({
@@ -41,6 +60,59 @@ exports.protect = async (req, res, next) => {
   }
 };
 
+/**
+ * Allow either a regular access token or a two-factor setup challenge token.
+ * Users whose role requires two-factor enroll with the challenge token they
+ * get from login, before they have an access token.
+ */
+exports.protectOrTwoFactorSetup = async (req, res, next) => {
+  if (!req.body || !req.body.challengeToken) {
+    return exports.protect(req, res, next);
+  }
+  
+  try {
+    req.user = await tokenService.verifyChallengeToken(req.body.challengeToken, 'two_factor_setup');
+    req.twoFactorSetupChallenge = true;
+    next();
+  } catch (err) {
+    return res.status(err.statusCode || 401).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+/**
+ * Authenticate Socket.io connections with the same access tokens as the API.
+ * The token is read from the handshake auth payload or the Authorization header.
+ */
+exports.authenticateSocket = async (socket, next) => {
+  try {
+    let token = socket.handshake.auth && socket.handshake.auth.token;
+    const authHeader = socket.handshake.headers.authorization;
+    
+    if (!token && authHeader && authHeader.startsWith('Bearer')) {
+      token = authHeader.split(' ')[1];
+    }
+    
+    if (!token) {
+      return next(new Error('Not authorized'));
+    }
+    
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findById(decoded.id);
+    
+    if (!user || user.active === false || !(await tokenService.isAccessTokenValid(decoded, user))) {
+      return next(new Error('Not authorized'));
+    }
+    
+    socket.user = user;
+    next();
+  } catch (err) {
+    next(new Error('Not authorized'));
+  }
+};
+
 /**
  * Verify Firebase token
  */
@@ -0,0 +1,37 @@
+const RateLimit = require('../models/rate-limit.model');
+
+/**
+ * Limit how many requests a client IP can make in a fixed time window
+ * @param {Object} options - Limiter options
+ * @param {string} options.name - Limiter name, keeps counters of different routes apart
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {number} options.max - Requests allowed per window
+ * @param {string} options.message - Message sent when the limit is exceeded
+ */
+exports.rateLimit = ({ name, windowMs, max, message = 'Too many requests, please try again later' }) => {
+  return async (req, res, next) => {
+    try {
+      const now = Date.now();
+      const windowStart = Math.floor(now / windowMs) * windowMs;
+      const resetAt = new Date(windowStart + windowMs);
+
+      const counter = await RateLimit.hit(`${name}:${req.ip}:${windowStart}`, resetAt);
+
+      res.set('RateLimit-Limit', String(max));
+      res.set('RateLimit-Remaining', String(Math.max(0, max - counter.count)));
+      res.set('RateLimit-Reset', String(Math.ceil((resetAt - now) / 1000)));
+
+      if (counter.count > max) {
+        res.set('Retry-After', String(Math.ceil((resetAt - now) / 1000)));
+        return res.status(429).json({
+          success: false,
+          message
+        });
+      }
+
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+};
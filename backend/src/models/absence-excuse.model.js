@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AbsenceExcuse:
+ *       type: object
+ *       required:
+ *         - student
+ *         - course
+ *         - date
+ *         - reason
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: The auto-generated id of the excuse
+ *         student:
+ *           type: string
+ *           description: Student who is or will be absent
+ *         course:
+ *           type: string
+ *           description: Course the absence is from
+ *         date:
+ *           type: string
+ *           format: date
+ *           description: Day of the absence, past or future
+ *         session:
+ *           type: string
+ *           nullable: true
+ *           description: Schedule entry of the course the excuse is for; without one it covers the whole day
+ *         startTime:
+ *           type: string
+ *           readOnly: true
+ *         endTime:
+ *           type: string
+ *           readOnly: true
+ *         reason:
+ *           type: string
+ *         document:
+ *           type: object
+ *           properties:
+ *             fileName:
+ *               type: string
+ *             fileUrl:
+ *               type: string
+ *               description: Download address, open to the student, their parents, the course teacher and admins
+ *             fileType:
+ *               type: string
+ *           description: Supporting document, e.g. a doctor's note
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *         submittedBy:
+ *           type: string
+ *           description: Student or parent who submitted the excuse
+ *         reviewedBy:
+ *           type: string
+ *           description: Teacher or admin who approved or rejected it
+ *         reviewedAt:
+ *           type: string
+ *           format: date-time
+ *         reviewNotes:
+ *           type: string
+ *         attendance:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Attendance records set to excused when the excuse was approved
+ *       example:
+ *         id: 60d0fe4f5311236168a109d3
+ *         student: 60d0fe4f5311236168a109cc
+ *         course: 60d0fe4f5311236168a109cb
+ *         date: 2023-02-15
+ *         reason: Doctor's appointment
+ *         document: { fileName: note.pdf, fileUrl: http://localhost:5000/api/attendance/excuses/60d0fe4f5311236168a109d3/document, fileType: application/pdf }
+ *         status: pending
+ *         submittedBy: 60d0fe4f5311236168a109ce
+ */
+
+const AbsenceExcuseSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Please add a student']
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Please add a course']
+  },
+  date: {
+    type: Date,
+    required: [true, 'Please add the date of the absence']
+  },
+  // Schedule entry of the course; null covers every session of the day
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Times of the session when the excuse was submitted
+  startTime: {
+    type: String
+  },
+  endTime: {
+    type: String
+  },
+  reason: {
+    type: String,
+    required: [true, 'Please give a reason for the absence'],
+    trim: true,
+    maxlength: [1000, 'Reason cannot be more than 1000 characters']
+  },
+  document: {
+    fileName: String,
+    fileUrl: String,
+    fileType: String,
+    // Name of the file in the private excuse documents folder
+    storedName: {
+      type: String,
+      select: false
+    }
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewNotes: {
+    type: String,
+    maxlength: [500, 'Review notes cannot be more than 500 characters']
+  },
+  attendance: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attendance'
+  }]
+}, {
+  timestamps: true
+});
+
+// Attendance statuses an approved excuse turns into excused; attended sessions stay as they are
+const EXCUSABLE_STATUSES = ['absent', 'late'];
+
+/**
+ * Whether an approved excuse applies to an attendance status
+ * @param {string} status - Attendance status
+ * @returns {boolean} True for absences and late arrivals
+ */
+AbsenceExcuseSchema.statics.covers = function(status) {
+  return EXCUSABLE_STATUSES.includes(status);
+};
+
+AbsenceExcuseSchema.index({ course: 1, status: 1, date: 1 });
+AbsenceExcuseSchema.index({ student: 1, date: -1 });
+
+module.exports = mongoose.model('AbsenceExcuse', AbsenceExcuseSchema);
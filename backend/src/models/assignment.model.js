@@ -61,6 +61,12 @@ const AssignmentSchema = new mongoose.Schema({
     max: [100, 'Late penalty cannot be more than 100%'],
     default: 0
   },
+  // Submissions are graded by choosing a level per criterion
+  rubric: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Rubric',
+    default: null
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AttendanceHistory:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: The auto-generated id of the history entry
+ *         attendance:
+ *           type: string
+ *           description: Attendance record the entry belongs to
+ *         date:
+ *           type: string
+ *           format: date
+ *           description: Date of the attendance record
+ *         action:
+ *           type: string
+ *           enum: [create, update, delete, restore]
+ *         oldValues:
+ *           type: object
+ *           description: Status, late minutes, excuse and notes before the change
+ *         newValues:
+ *           type: object
+ *           description: The same fields after the change
+ *         changedBy:
+ *           type: string
+ *           description: User who made the change
+ *         reason:
+ *           type: string
+ *         source:
+ *           type: string
+ *           enum: [attendance, bulk, edit, excuse]
+ *           description: Where the change was made
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         id: 60d0fe4f5311236168a109d2
+ *         attendance: 60d0fe4f5311236168a109cf
+ *         date: 2023-02-15
+ *         action: update
+ *         oldValues: { status: absent, lateMinutes: 0 }
+ *         newValues: { status: excused, lateMinutes: 0, excuseReason: Doctor's appointment }
+ *         changedBy: 60d0fe4f5311236168a109ca
+ *         reason: Parent sent a doctor's note
+ *         source: edit
+ *         createdAt: 2023-02-16T08:15:00.000Z
+ */
+
+// Fields whose changes are recorded
+const TRACKED_FIELDS = ['status', 'lateMinutes', 'excuseReason', 'excuseDocumentUrl', 'notes'];
+
+const AttendanceHistorySchema = new mongoose.Schema({
+  attendance: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attendance',
+    required: true,
+    index: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course'
+  },
+  date: {
+    type: Date
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete', 'restore'],
+    required: true
+  },
+  oldValues: {
+    type: Object
+  },
+  newValues: {
+    type: Object
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  },
+  source: {
+    type: String,
+    enum: ['attendance', 'bulk', 'edit', 'excuse'],
+    default: 'attendance'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// History is append-only
+AttendanceHistorySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Attendance history entries cannot be changed'));
+  }
+  next();
+});
+
+AttendanceHistorySchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function(next) {
+    next(new Error('Attendance history entries cannot be changed'));
+  }
+);
+
+/**
+ * Pick the tracked fields of an attendance record
+ * @param {Object} record - Attendance document or plain object
+ * @returns {Object|null} Tracked values
+ */
+AttendanceHistorySchema.statics.snapshot = function(record) {
+  if (!record) {
+    return null;
+  }
+
+  return TRACKED_FIELDS.reduce((values, field) => {
+    values[field] = record[field];
+    return values;
+  }, {});
+};
+
+/**
+ * Append a history entry for an attendance change. Updates that leave every
+ * tracked field as it was are not recorded.
+ * @param {Object} data - attendance, action, oldValues, changedBy, reason, source and an optional session
+ * @returns {Object|null} History entry
+ */
+AttendanceHistorySchema.statics.record = async function({ attendance, action, oldValues, changedBy, reason, source, session }) {
+  const newValues = this.snapshot(attendance);
+
+  if (action === 'update' && oldValues &&
+      TRACKED_FIELDS.every(field => String(oldValues[field] ?? '') === String(newValues[field] ?? ''))) {
+    return null;
+  }
+
+  const [entry] = await this.create([{
+    attendance: attendance._id,
+    student: attendance.student,
+    course: attendance.course,
+    date: attendance.date,
+    action,
+    oldValues: oldValues || null,
+    newValues: action === 'delete' ? null : newValues,
+    changedBy,
+    reason,
+    source
+  }], { session });
+
+  return entry;
+};
+
+module.exports = mongoose.model('AttendanceHistory', AttendanceHistorySchema);
@@ -16,6 +16,21 @@ const AttendanceSchema = new mongoose.Schema({
     required: [true, 'Please add a date'],
     default: Date.now
   },
+  // Schedule entry of the course the record is for; null for a whole-day record
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Times and room of the session when it was recorded, kept if the schedule changes
+  startTime: {
+    type: String
+  },
+  endTime: {
+    type: String
+  },
+  room: {
+    type: String
+  },
   status: {
     type: String,
     enum: ['present', 'absent', 'late', 'excused'],
@@ -41,6 +56,18 @@ const AttendanceSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'Please add a recorder']
   },
+  // Deleted records are kept for the record but no longer shown or counted
+  deletedAt: {
+    type: Date
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  deletionReason: {
+    type: String,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -57,15 +84,41 @@ AttendanceSchema.pre('save', function(next) {
   next();
 });
 
-// Compound index to ensure unique attendance records per student per course per date
-AttendanceSchema.index({ student: 1, course: 1, date: 1 }, { unique: true });
+// Compound index to ensure unique attendance records per student per course per date and session
+AttendanceSchema.index({ student: 1, course: 1, date: 1, session: 1 }, { unique: true });
+
+// Unique index from before records were kept per session; it rejects a second session on the same day
+const LEGACY_INDEXES = ['student_1_course_1_date_1'];
+
+// Static method to drop indexes that older versions of the schema created; Mongoose only adds new ones
+AttendanceSchema.statics.dropLegacyIndexes = async function() {
+  let indexes;
+  
+  try {
+    indexes = await this.collection.indexes();
+  } catch (err) {
+    // Nothing to drop before the first record is saved
+    if (err.codeName === 'NamespaceNotFound') {
+      return [];
+    }
+    throw err;
+  }
+  
+  const dropped = LEGACY_INDEXES.filter(name => indexes.some(index => index.name === name));
+  
+  for (const name of dropped) {
+    await this.collection.dropIndex(name);
+  }
+  
+  return dropped;
+};
 
 // Static method to get attendance statistics for a student
 AttendanceSchema.statics.getStudentStats = async function(studentId, courseId = null) {
-  const match = { student: mongoose.Types.ObjectId(studentId) };
+  const match = { student: new mongoose.Types.ObjectId(studentId), deletedAt: null };
   
   if (courseId) {
-    match.course = mongoose.Types.ObjectId(courseId);
+    match.course = new mongoose.Types.ObjectId(courseId);
   }
   
   const stats = await this.aggregate([
@@ -115,9 +168,9 @@ AttendanceSchema.statics.getStudentStats = async function(studentId, courseId =
   return result;
 };
 
-// Static method to get attendance statistics for a course
-AttendanceSchema.statics.getCourseStats = async function(courseId, date = null) {
-  const match = { course: mongoose.Types.ObjectId(courseId) };
+// Static method to get attendance statistics for a course, per date or per session of each date
+AttendanceSchema.statics.getCourseStats = async function(courseId, date = null, bySession = false) {
+  const match = { course: new mongoose.Types.ObjectId(courseId), deletedAt: null };
   
   if (date) {
     // Match the specific date
@@ -134,7 +187,9 @@ AttendanceSchema.statics.getCourseStats = async function(courseId, date = null)
     { $match: match },
     {
       $group: {
-        _id: '$date',
+        _id: bySession
+          ? { date: '$date', session: '$session', startTime: '$startTime', endTime: '$endTime', room: '$room' }
+          : '$date',
         totalStudents: { $sum: 1 },
         presentStudents: {
           $sum: {
@@ -157,7 +212,8 @@ AttendanceSchema.statics.getCourseStats = async function(courseId, date = null)
           }
         }
       }
-    }
+    },
+    ...(bySession ? [{ $sort: { '_id.date': 1, '_id.startTime': 1 } }] : [])
   ]);
   
   return stats;
@@ -64,6 +64,36 @@ const CourseSchema = new mongoose.Schema({
   syllabus: {
     type: String
   },
+  // Falls back to the school default (grading.defaultScale setting) when not set
+  gradingScale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GradingScale'
+  },
+  // Share of the course grade per grade type; without categories grades are averaged by their own weight
+  gradeCategories: [{
+    type: {
+      type: String,
+      required: [true, 'Please add the grade type of the category']
+    },
+    weight: {
+      type: Number,
+      required: [true, 'Please add a category weight'],
+      min: [0, 'Category weight cannot be negative'],
+      max: [100, 'Category weight cannot be more than 100']
+    },
+    dropLowest: {
+      type: Number,
+      default: 0,
+      min: [0, 'Cannot drop a negative number of grades']
+    }
+  }],
+  // Credit hours the course counts for on transcripts and in GPAs
+  creditHours: {
+    type: Number,
+    default: 1,
+    min: [0, 'Credit hours cannot be negative'],
+    max: [20, 'Credit hours cannot be more than 20']
+  },
   materials: [{
     title: {
       type: String,
@@ -126,7 +156,7 @@ CourseSchema.methods.getAverageGrade = async function() {
   
   const obj = await Grade.aggregate([
     {
-      $match: { course: this._id }
+      $match: { course: this._id, deletedAt: null }
     },
     {
       $group: {
@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     GradeHistory:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: The auto-generated id of the history entry
+ *         grade:
+ *           type: string
+ *           description: Grade the entry belongs to
+ *         action:
+ *           type: string
+ *           enum: [create, update, delete, restore]
+ *         oldValues:
+ *           type: object
+ *           description: Score, maximum score, weight, extra credit, comments and published state before the change
+ *         newValues:
+ *           type: object
+ *           description: The same fields after the change
+ *         changedBy:
+ *           type: string
+ *           description: User who made the change
+ *         reason:
+ *           type: string
+ *         source:
+ *           type: string
+ *           enum: [grade, bulk, submission, import, release]
+ *           description: Where the change was made
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         id: 60d0fe4f5311236168a109d1
+ *         grade: 60d0fe4f5311236168a109cd
+ *         action: update
+ *         oldValues: { score: 78, maxScore: 100 }
+ *         newValues: { score: 85, maxScore: 100 }
+ *         changedBy: 60d0fe4f5311236168a109ca
+ *         reason: Regraded question 4
+ *         source: grade
+ *         createdAt: 2023-01-10T09:30:00.000Z
+ */
+
+// Fields whose changes are recorded
+const TRACKED_FIELDS = ['score', 'maxScore', 'weight', 'isExtraCredit', 'comments', 'isPublished'];
+
+const GradeHistorySchema = new mongoose.Schema({
+  grade: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Grade',
+    required: true,
+    index: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course'
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete', 'restore'],
+    required: true
+  },
+  oldValues: {
+    type: Object
+  },
+  newValues: {
+    type: Object
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  },
+  source: {
+    type: String,
+    enum: ['grade', 'bulk', 'submission', 'import', 'release'],
+    default: 'grade'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// History is append-only
+GradeHistorySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Grade history entries cannot be changed'));
+  }
+  next();
+});
+
+GradeHistorySchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function(next) {
+    next(new Error('Grade history entries cannot be changed'));
+  }
+);
+
+/**
+ * Pick the tracked fields of a grade
+ * @param {Object} grade - Grade document or plain object
+ * @returns {Object|null} Tracked values
+ */
+GradeHistorySchema.statics.snapshot = function(grade) {
+  if (!grade) {
+    return null;
+  }
+
+  return TRACKED_FIELDS.reduce((values, field) => {
+    values[field] = grade[field];
+    return values;
+  }, {});
+};
+
+/**
+ * Append a history entry for a grade change. Updates that leave every tracked
+ * field as it was are not recorded.
+ * @param {Object} data - grade, action, oldValues, changedBy, reason, source and an optional session
+ * @returns {Object|null} History entry
+ */
+GradeHistorySchema.statics.record = async function({ grade, action, oldValues, changedBy, reason, source, session }) {
+  const newValues = this.snapshot(grade);
+
+  if (action === 'update' && oldValues &&
+      TRACKED_FIELDS.every(field => String(oldValues[field]) === String(newValues[field]))) {
+    return null;
+  }
+
+  const [entry] = await this.create([{
+    grade: grade._id,
+    student: grade.student,
+    course: grade.course,
+    action,
+    oldValues: oldValues || null,
+    newValues: action === 'delete' ? null : newValues,
+    changedBy,
+    reason,
+    source
+  }], { session });
+
+  return entry;
+};
+
+module.exports = mongoose.model('GradeHistory', GradeHistorySchema);
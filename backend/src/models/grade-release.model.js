@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     GradeRelease:
+ *       type: object
+ *       required:
+ *         - course
+ *         - releaseAt
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: The auto-generated id of the release
+ *         course:
+ *           type: string
+ *           description: Course whose grades are released
+ *         assignment:
+ *           type: string
+ *           description: Assignment whose grades are released
+ *         type:
+ *           type: string
+ *           enum: [assignment, quiz, test, project, midterm, final, participation, other]
+ *           description: Grade type released, for grades recorded without an assignment such as an exam
+ *         releaseAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the grades are published
+ *         status:
+ *           type: string
+ *           enum: [scheduled, releasing, released, cancelled, failed]
+ *         attempts:
+ *           type: number
+ *           description: Times the release was tried; it is marked failed after too many
+ *         lastError:
+ *           type: string
+ *           description: Why the last try failed
+ *         releasedAt:
+ *           type: string
+ *           format: date-time
+ *         releasedCount:
+ *           type: number
+ *           description: Number of grades the release published
+ *         createdBy:
+ *           type: string
+ *           description: User who scheduled the release
+ *       example:
+ *         id: 60d0fe4f5311236168a109d5
+ *         course: 60d0fe4f5311236168a109cc
+ *         assignment: 60d0fe4f5311236168a109cd
+ *         releaseAt: 2023-06-12T08:00:00.000Z
+ *         status: scheduled
+ *         createdBy: 60d0fe4f5311236168a109ca
+ */
+
+const GradeReleaseSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Please add a course']
+  },
+  assignment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment',
+    default: null
+  },
+  // Grades recorded without an assignment are released by type
+  type: {
+    type: String,
+    enum: ['assignment', 'quiz', 'test', 'project', 'midterm', 'final', 'participation', 'other', null],
+    default: null
+  },
+  releaseAt: {
+    type: Date,
+    required: [true, 'Please add a release time']
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'releasing', 'released', 'cancelled', 'failed'],
+    default: 'scheduled'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String
+  },
+  releasedAt: {
+    type: Date
+  },
+  releasedCount: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+GradeReleaseSchema.pre('validate', function(next) {
+  if (!this.assignment === !this.type) {
+    this.invalidate('assignment', 'A release is for either an assignment or a grade type');
+  }
+  next();
+});
+
+// The job looks up due releases
+GradeReleaseSchema.index({ status: 1, releaseAt: 1 });
+GradeReleaseSchema.index({ course: 1, assignment: 1, type: 1 });
+
+module.exports = mongoose.model('GradeRelease', GradeReleaseSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const gradingScaleService = require('../services/grading-scale.service');
 
 const GradeSchema = new mongoose.Schema({
   student: {
@@ -43,6 +44,11 @@ const GradeSchema = new mongoose.Schema({
     default: 1,
     min: [0, 'Weight cannot be negative']
   },
+  // Extra credit adds to its category's score without adding to what can be earned
+  isExtraCredit: {
+    type: Boolean,
+    default: false
+  },
   comments: {
     type: String
   },
@@ -61,6 +67,18 @@ const GradeSchema = new mongoose.Schema({
   },
   publishedAt: {
     type: Date
+  },
+  // Deleted grades are kept for the record but no longer shown or counted
+  deletedAt: {
+    type: Date
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  deletionReason: {
+    type: String,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
   }
 }, {
   timestamps: true,
@@ -69,22 +87,13 @@ const GradeSchema = new mongoose.Schema({
 });
 
 // Calculate percentage and letter grade before saving
-GradeSchema.pre('save', function(next) {
+GradeSchema.pre('save', async function(next) {
   // Calculate percentage
   this.percentage = (this.score / this.maxScore) * 100;
   
-  // Determine letter grade based on percentage
-  if (this.percentage >= 90) {
-    this.letterGrade = 'A';
-  } else if (this.percentage >= 80) {
-    this.letterGrade = 'B';
-  } else if (this.percentage >= 70) {
-    this.letterGrade = 'C';
-  } else if (this.percentage >= 60) {
-    this.letterGrade = 'D';
-  } else {
-    this.letterGrade = 'F';
-  }
+  // Determine letter grade on the course's grading scale
+  const scale = await gradingScaleService.getScaleForCourse(this.course);
+  this.letterGrade = scale.resolve(this.percentage)?.label;
   
   // Set published date if being published
   if (this.isPublished && !this.publishedAt) {
@@ -97,50 +106,162 @@ GradeSchema.pre('save', function(next) {
 // Compound index to ensure unique grade records per student per course per assignment
 GradeSchema.index({ student: 1, course: 1, assignment: 1, type: 1 }, { unique: true });
 
+/**
+ * Average grades by their weight. Extra credit counts towards the score but
+ * not towards the total weight, so it can lift the average above 100.
+ * @param {Array} grades - Grades to average
+ * @returns {number|null} Percentage, or null without any regular grade
+ */
+const averageGrades = (grades) => {
+  let weightedScore = 0;
+  let totalWeight = 0;
+  
+  grades.forEach(grade => {
+    weightedScore += (grade.percentage * grade.weight);
+    if (!grade.isExtraCredit) {
+      totalWeight += grade.weight;
+    }
+  });
+  
+  return totalWeight > 0 ? weightedScore / totalWeight : null;
+};
+
+/**
+ * Pick the grades a category drops: its lowest regular grades, always keeping one
+ * @param {Array} grades - Grades of the category
+ * @param {number} dropLowest - Number of grades to drop
+ * @returns {Set} IDs of dropped grades
+ */
+const findDroppedGrades = (grades, dropLowest) => {
+  const regular = grades
+    .filter(grade => !grade.isExtraCredit)
+    .sort((a, b) => a.percentage - b.percentage);
+  const count = Math.min(dropLowest || 0, Math.max(regular.length - 1, 0));
+  
+  return new Set(regular.slice(0, count).map(grade => grade._id.toString()));
+};
+
+/**
+ * Summarize a grade for the course grade breakdown
+ * @param {Object} grade - Grade document
+ * @param {boolean} dropped - Whether the grade was dropped from its category
+ * @returns {Object} Grade summary
+ */
+const describeGrade = (grade, dropped) => ({
+  _id: grade._id,
+  assignment: grade.assignment,
+  score: grade.score,
+  maxScore: grade.maxScore,
+  percentage: grade.percentage,
+  weight: grade.weight,
+  isExtraCredit: grade.isExtraCredit,
+  dropped
+});
+
 // Static method to calculate course grade for a student
 GradeSchema.statics.calculateCourseGrade = async function(studentId, courseId) {
+  const course = await mongoose.model('Course').findById(courseId).select('gradingScale gradeCategories');
+  
   const grades = await this.find({
     student: studentId,
     course: courseId,
-    isPublished: true
-  });
+    isPublished: true,
+    deletedAt: null
+  }).populate('assignment', 'title');
+  
+  const scale = await gradingScaleService.getScaleForCourse(course || courseId);
+  
+  return this.summarizeGrades(grades, course, scale);
+};
+
+/**
+ * Combine a student's grades in a course into the course grade, per category
+ * @param {Array} grades - The student's grades in the course
+ * @param {Object|null} course - Course with its grade categories
+ * @param {Object} scale - Grading scale of the course
+ * @returns {Object} Course grade with a breakdown per category
+ */
+GradeSchema.statics.summarizeGrades = function(grades, course, scale) {
+  const categories = course && course.gradeCategories.length > 0 ? course.gradeCategories : null;
   
   if (grades.length === 0) {
     return {
       totalScore: 0,
       totalMaxScore: 0,
       percentage: 0,
-      letterGrade: 'N/A'
+      letterGrade: 'N/A',
+      points: null,
+      passing: null,
+      scale,
+      weighting: categories ? 'category' : 'grade',
+      categories: []
     };
   }
   
-  let weightedScore = 0;
-  let totalWeight = 0;
+  // Without course categories every grade is averaged by its own weight
+  const groups = categories
+    ? categories.map(category => ({ type: category.type, weight: category.weight, dropLowest: category.dropLowest }))
+    : [...new Set(grades.map(grade => grade.type))].map(type => ({ type, weight: null, dropLowest: 0 }));
   
-  grades.forEach(grade => {
-    weightedScore += (grade.percentage * grade.weight);
-    totalWeight += grade.weight;
+  const breakdown = groups.map(group => {
+    const categoryGrades = grades.filter(grade => grade.type === group.type);
+    const dropped = findDroppedGrades(categoryGrades, group.dropLowest);
+    const counted = categoryGrades.filter(grade => !dropped.has(grade._id.toString()));
+    const percentage = averageGrades(counted);
+    const result = percentage === null ? null : scale.resolve(percentage);
+    
+    return {
+      type: group.type,
+      weight: group.weight,
+      dropLowest: group.dropLowest,
+      percentage,
+      letterGrade: result ? result.label : null,
+      grades: categoryGrades.map(grade => describeGrade(grade, dropped.has(grade._id.toString())))
+    };
   });
   
-  const percentage = totalWeight > 0 ? weightedScore / totalWeight : 0;
-  
-  // Determine letter grade
-  let letterGrade;
-  if (percentage >= 90) {
-    letterGrade = 'A';
-  } else if (percentage >= 80) {
-    letterGrade = 'B';
-  } else if (percentage >= 70) {
-    letterGrade = 'C';
-  } else if (percentage >= 60) {
-    letterGrade = 'D';
+  let percentage;
+  
+  if (categories) {
+    // Categories without grades yet are left out and the other weights scaled up
+    const graded = breakdown.filter(category => category.percentage !== null && category.weight > 0);
+    const totalWeight = graded.reduce((sum, category) => sum + category.weight, 0);
+    
+    percentage = totalWeight > 0
+      ? graded.reduce((sum, category) => sum + category.percentage * category.weight, 0) / totalWeight
+      : 0;
+    
+    breakdown.forEach(category => {
+      category.effectiveWeight = graded.includes(category) ? (category.weight / totalWeight) * 100 : 0;
+    });
+    
+    // Grades of a type without a category do not count towards the course grade
+    const uncategorized = grades.filter(grade => !categories.some(category => category.type === grade.type));
+    if (uncategorized.length > 0) {
+      breakdown.push({
+        type: 'uncategorized',
+        weight: 0,
+        effectiveWeight: 0,
+        dropLowest: 0,
+        percentage: null,
+        letterGrade: null,
+        grades: uncategorized.map(grade => describeGrade(grade, false))
+      });
+    }
   } else {
-    letterGrade = 'F';
+    percentage = averageGrades(grades) || 0;
   }
   
+  const result = scale.resolve(percentage);
+  
   return {
     percentage,
-    letterGrade,
+    letterGrade: result.label,
+    points: result.points,
+    passing: result.passing,
+    scale,
+    weighting: categories ? 'category' : 'grade',
+    categories: breakdown,
     totalGrades: grades.length
   };
 };
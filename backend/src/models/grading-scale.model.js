@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     GradingScale:
+ *       type: object
+ *       required:
+ *         - name
+ *         - type
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: The auto-generated id of the grading scale
+ *         name:
+ *           type: string
+ *           description: Name of the scale
+ *         description:
+ *           type: string
+ *         preset:
+ *           type: string
+ *           description: Key of a built-in scale (letter, plus-minus, pass-fail, five-point, percentage); built-in scales cannot be changed
+ *         type:
+ *           type: string
+ *           enum: [letter, pass-fail, numeric, percentage]
+ *           description: percentage scales show the rounded percentage instead of a band label
+ *         bands:
+ *           type: array
+ *           description: Grade bands, highest first; a grade gets the first band whose minimum it reaches
+ *           items:
+ *             type: object
+ *             properties:
+ *               label:
+ *                 type: string
+ *               minPercentage:
+ *                 type: number
+ *               points:
+ *                 type: number
+ *                 description: Grade points used for averages such as the GPA
+ *               passing:
+ *                 type: boolean
+ *         passingPercentage:
+ *           type: number
+ *           description: Lowest passing percentage (percentage scales only)
+ *       example:
+ *         id: 60d0fe4f5311236168a109d0
+ *         name: Letter grades (A-F)
+ *         preset: letter
+ *         type: letter
+ *         bands:
+ *           - { label: A, minPercentage: 90, points: 4, passing: true }
+ *           - { label: B, minPercentage: 80, points: 3, passing: true }
+ *           - { label: C, minPercentage: 70, points: 2, passing: true }
+ *           - { label: D, minPercentage: 60, points: 1, passing: true }
+ *           - { label: F, minPercentage: 0, points: 0, passing: false }
+ */
+
+const BandSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: [true, 'Please add a band label'],
+    trim: true,
+    maxlength: [20, 'Band label cannot be more than 20 characters']
+  },
+  minPercentage: {
+    type: Number,
+    required: [true, 'Please add the minimum percentage of the band'],
+    min: [0, 'Minimum percentage cannot be negative'],
+    max: [100, 'Minimum percentage cannot be more than 100']
+  },
+  points: {
+    type: Number
+  },
+  passing: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+const GradingScaleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a name'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  // Built-in scales are seeded under a fixed key
+  preset: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  type: {
+    type: String,
+    enum: ['letter', 'pass-fail', 'numeric', 'percentage'],
+    default: 'letter'
+  },
+  bands: [BandSchema],
+  passingPercentage: {
+    type: Number,
+    min: [0, 'Passing percentage cannot be negative'],
+    max: [100, 'Passing percentage cannot be more than 100'],
+    default: 50
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Keep bands highest first and make sure every percentage falls into one
+GradingScaleSchema.pre('validate', function(next) {
+  if (this.type === 'percentage') {
+    return next();
+  }
+
+  if (!this.bands || this.bands.length === 0) {
+    this.invalidate('bands', 'Please add at least one grade band');
+    return next();
+  }
+
+  this.bands.sort((a, b) => b.minPercentage - a.minPercentage);
+
+  if (this.bands[this.bands.length - 1].minPercentage !== 0) {
+    this.invalidate('bands', 'The lowest grade band must start at 0%');
+  }
+
+  const labels = this.bands.map(band => band.label);
+  if (new Set(labels).size !== labels.length) {
+    this.invalidate('bands', 'Grade band labels must be unique');
+  }
+
+  next();
+});
+
+/**
+ * Find the grade for a percentage on this scale
+ * @param {number} percentage - Percentage between 0 and 100
+ * @returns {Object|null} Label, grade points and whether it passes; null without a percentage
+ */
+GradingScaleSchema.methods.resolve = function(percentage) {
+  if (percentage === null || percentage === undefined || Number.isNaN(percentage)) {
+    return null;
+  }
+
+  if (this.type === 'percentage') {
+    const rounded = Math.round(percentage);
+
+    return {
+      label: String(rounded),
+      points: rounded,
+      passing: percentage >= this.passingPercentage
+    };
+  }
+
+  const bands = [...this.bands].sort((a, b) => b.minPercentage - a.minPercentage);
+  const band = bands.find(candidate => percentage >= candidate.minPercentage)
+    || bands[bands.length - 1];
+
+  return {
+    label: band.label,
+    points: band.points,
+    passing: band.passing
+  };
+};
+
+module.exports = mongoose.model('GradingScale', GradingScaleSchema);
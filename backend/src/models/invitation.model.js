@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Invitation:
+ *       type: object
+ *       required:
+ *         - email
+ *         - role
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: The auto-generated id of the invitation
+ *         email:
+ *           type: string
+ *           format: email
+ *           description: Email address the invitation is for; the account must be created with it
+ *         role:
+ *           type: string
+ *           enum: [student, teacher, parent, admin]
+ *           description: Role the invited account gets
+ *         firstName:
+ *           type: string
+ *         lastName:
+ *           type: string
+ *         invitedBy:
+ *           type: string
+ *           description: Admin who sent the invitation
+ *         students:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: For parent invitations, students the parent is linked to on accepting
+ *         lastSentAt:
+ *           type: string
+ *           format: date-time
+ *         sendCount:
+ *           type: integer
+ *           description: How many times the invitation email has been sent
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         acceptedAt:
+ *           type: string
+ *           format: date-time
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *         status:
+ *           type: string
+ *           enum: [pending, accepted, revoked, expired]
+ *       example:
+ *         id: 60d0fe4f5311236168a109cf
+ *         email: jane.smith@example.com
+ *         role: teacher
+ *         firstName: Jane
+ *         lastName: Smith
+ *         invitedBy: 60d0fe4f5311236168a109ca
+ *         expiresAt: 2023-01-08T00:00:00.000Z
+ *         status: pending
+ */
+
+const InvitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Please add an email'],
+    trim: true,
+    lowercase: true,
+    match: [
+      /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
+      'Please add a valid email'
+    ],
+    index: true
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'teacher', 'student', 'parent'],
+    required: [true, 'Please add a role']
+  },
+  firstName: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'First name cannot be more than 50 characters']
+  },
+  lastName: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Last name cannot be more than 50 characters']
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Please add the inviting user']
+  },
+  // Parent invitations only: students linked to the parent once the invitation is accepted
+  students: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  lastSentAt: {
+    type: Date
+  },
+  sendCount: {
+    type: Number,
+    default: 0
+  },
+  // Carried in the signed link as its jti; a link whose id does not match is no longer valid
+  tokenId: {
+    type: String,
+    required: true,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Please add an expiry date']
+  },
+  acceptedAt: {
+    type: Date
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+InvitationSchema.virtual('status').get(function() {
+  if (this.acceptedAt) {
+    return 'accepted';
+  }
+
+  if (this.revokedAt) {
+    return 'revoked';
+  }
+
+  return this.expiresAt > Date.now() ? 'pending' : 'expired';
+});
+
+module.exports = mongoose.model('Invitation', InvitationSchema);
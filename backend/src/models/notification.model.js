@@ -35,7 +35,7 @@ const NotificationSchema = new mongoose.Schema({
   relatedResource: {
     resourceType: {
       type: String,
-      enum: ['assignment', 'course', 'grade', 'attendance', 'user', 'submission']
+      enum: ['assignment', 'course', 'grade', 'attendance', 'user', 'submission', 'excuse']
     },
     resourceId: {
       type: mongoose.Schema.Types.ObjectId
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Request counter for one client in one fixed rate limit window.
+// Stored in MongoDB so limits hold across server instances and restarts.
+const RateLimitSchema = new mongoose.Schema({
+  // Limiter name, client key and window start, e.g. "login:127.0.0.1:28860410"
+  key: {
+    type: String,
+    required: [true, 'Please add a key'],
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Please add an expiry date']
+  }
+});
+
+// Drop counters once their window has passed
+RateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Count a hit in a window and return the updated counter
+RateLimitSchema.statics.hit = async function(key, expiresAt) {
+  const update = { $inc: { count: 1 }, $setOnInsert: { expiresAt } };
+  const options = { upsert: true, new: true };
+
+  try {
+    return await this.findOneAndUpdate({ key }, update, options);
+  } catch (err) {
+    // Two first hits raced on the upsert; the counter exists now
+    if (err.code === 11000) {
+      return await this.findOneAndUpdate({ key }, update, options);
+    }
+    throw err;
+  }
+};
+
+module.exports = mongoose.model('RateLimit', RateLimitSchema);
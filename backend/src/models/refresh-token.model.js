@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const RefreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Please add a user']
+  },
+  // Only a SHA-256 hash of the token is stored, never the token itself
+  tokenHash: {
+    type: String,
+    required: [true, 'Please add a token hash'],
+    unique: true
+  },
+  // Every token issued by rotation from the same login shares a family
+  family: {
+    type: String,
+    required: [true, 'Please add a token family'],
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Please add an expiry date']
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'reuse_detected', 'revoked']
+  },
+  replacedByHash: {
+    type: String
+  },
+  createdByIp: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Let MongoDB purge tokens once they expire
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// A token can be exchanged only while it is neither revoked nor expired
+RefreshTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+// Revoke every still-active token of a family
+RefreshTokenSchema.statics.revokeFamily = async function(family, reason) {
+  return await this.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: Date.now(), revokedReason: reason }
+  );
+};
+
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReportCardComment:
+ *       type: object
+ *       required:
+ *         - student
+ *         - course
+ *         - comment
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: The auto-generated id of the comment
+ *         student:
+ *           type: string
+ *           description: Student the comment is about
+ *         course:
+ *           type: string
+ *           description: Course the comment is for; the course sets the term
+ *         comment:
+ *           type: string
+ *           description: Teacher comment printed on the report card
+ *         author:
+ *           type: string
+ *           description: User who wrote the comment
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         id: 60d0fe4f5311236168a109d2
+ *         student: 60d0fe4f5311236168a109cb
+ *         course: 60d0fe4f5311236168a109cc
+ *         comment: Consistent effort all term. Keep practising mental arithmetic.
+ *         author: 60d0fe4f5311236168a109ca
+ *         updatedAt: 2023-06-10T09:30:00.000Z
+ */
+
+const ReportCardCommentSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Please add a student']
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Please add a course']
+  },
+  comment: {
+    type: String,
+    required: [true, 'Please add a comment'],
+    trim: true,
+    maxlength: [1000, 'Comment cannot be more than 1000 characters']
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One comment per student per course
+ReportCardCommentSchema.index({ student: 1, course: 1 }, { unique: true });
+
+module.exports = mongoose.model('ReportCardComment', ReportCardCommentSchema);
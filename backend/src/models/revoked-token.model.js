@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Denylist of access tokens that were revoked before they expired.
+// An entry matches either a single token (jti) or every token of a session.
+const RevokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    index: true,
+    sparse: true
+  },
+  session: {
+    type: String,
+    index: true,
+    sparse: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Please add a user']
+  },
+  reason: {
+    type: String,
+    enum: ['logout', 'revoked', 'reuse_detected'],
+    default: 'revoked'
+  },
+  // Entries are only needed until the access tokens they cover expire
+  expiresAt: {
+    type: Date,
+    required: [true, 'Please add an expiry date']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+RevokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check whether an access token payload has been revoked
+RevokedTokenSchema.statics.isRevoked = async function({ jti, sid }) {
+  const conditions = [];
+
+  if (jti) {
+    conditions.push({ jti });
+  }
+
+  if (sid) {
+    conditions.push({ session: sid });
+  }
+
+  if (conditions.length === 0) {
+    return false;
+  }
+
+  return !!(await this.exists({ $or: conditions }));
+};
+
+module.exports = mongoose.model('RevokedToken', RevokedTokenSchema);
@@ -0,0 +1,189 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Rubric:
+ *       type: object
+ *       required:
+ *         - title
+ *         - course
+ *         - criteria
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: The auto-generated id of the rubric
+ *         title:
+ *           type: string
+ *           description: Rubric title
+ *         description:
+ *           type: string
+ *         course:
+ *           type: string
+ *           description: Course the rubric belongs to; copy it to use it in another course
+ *         criteria:
+ *           type: array
+ *           description: What is assessed; a submission gets one level per criterion
+ *           items:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               levels:
+ *                 type: array
+ *                 description: Performance levels, highest points first
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     title:
+ *                       type: string
+ *                     description:
+ *                       type: string
+ *                     points:
+ *                       type: number
+ *         totalPoints:
+ *           type: number
+ *           description: Points for the top level of every criterion
+ *         createdBy:
+ *           type: string
+ *       example:
+ *         id: 60d0fe4f5311236168a109d6
+ *         title: Essay rubric
+ *         course: 60d0fe4f5311236168a109cb
+ *         criteria:
+ *           - title: Argument
+ *             levels:
+ *               - { title: Excellent, points: 4 }
+ *               - { title: Good, points: 3 }
+ *               - { title: Developing, points: 1 }
+ *           - title: Grammar
+ *             levels:
+ *               - { title: No errors, points: 2 }
+ *               - { title: Some errors, points: 1 }
+ *         totalPoints: 6
+ */
+
+const LevelSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Please add a level title'],
+    trim: true,
+    maxlength: [50, 'Level title cannot be more than 50 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Level description cannot be more than 500 characters']
+  },
+  points: {
+    type: Number,
+    required: [true, 'Please add the points of the level'],
+    min: [0, 'Level points cannot be negative']
+  }
+});
+
+const CriterionSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Please add a criterion title'],
+    trim: true,
+    maxlength: [100, 'Criterion title cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Criterion description cannot be more than 500 characters']
+  },
+  levels: [LevelSchema]
+});
+
+const RubricSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Please add a title'],
+    trim: true,
+    maxlength: [100, 'Title cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Please add a course']
+  },
+  criteria: [CriterionSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Every criterion needs levels to choose from, listed highest first
+RubricSchema.pre('validate', function(next) {
+  if (!this.criteria || this.criteria.length === 0) {
+    this.invalidate('criteria', 'Please add at least one criterion');
+    return next();
+  }
+
+  this.criteria.forEach((criterion, index) => {
+    if (!criterion.levels || criterion.levels.length === 0) {
+      this.invalidate(`criteria.${index}.levels`, `Please add at least one level to ${criterion.title || 'every criterion'}`);
+      return;
+    }
+
+    criterion.levels.sort((a, b) => b.points - a.points);
+  });
+
+  next();
+});
+
+RubricSchema.virtual('totalPoints').get(function() {
+  return (this.criteria || []).reduce((total, criterion) =>
+    total + Math.max(0, ...(criterion.levels || []).map(level => level.points)), 0);
+});
+
+/**
+ * Fill in the rubric with one level per criterion
+ * @param {Array} selections - { criterion, level, comment } with criterion and level IDs
+ * @returns {Object} Scores per criterion, kept with the submission, and the points earned
+ */
+RubricSchema.methods.fill = function(selections) {
+  const byCriterion = new Map((selections || [])
+    .filter(selection => selection && selection.criterion)
+    .map(selection => [String(selection.criterion), selection]));
+
+  const scores = this.criteria.map(criterion => {
+    const selection = byCriterion.get(criterion._id.toString());
+    const level = selection && criterion.levels.find(candidate => candidate._id.toString() === String(selection.level));
+
+    if (!level) {
+      const error = new Error(`Please choose a level for ${criterion.title}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return {
+      criterion: criterion._id,
+      criterionTitle: criterion.title,
+      level: level._id,
+      levelTitle: level.title,
+      points: level.points,
+      maxPoints: Math.max(...criterion.levels.map(candidate => candidate.points)),
+      comment: selection.comment || undefined
+    };
+  });
+
+  return {
+    scores,
+    points: scores.reduce((total, score) => total + score.points, 0)
+  };
+};
+
+module.exports = mongoose.model('Rubric', RubricSchema);
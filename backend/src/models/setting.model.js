@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// School-wide configuration managed by admins, one document per key.
+// Known keys, their defaults and validation live in setting.service.js.
+const SettingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Please add a setting key'],
+    unique: true,
+    trim: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Setting', SettingSchema);
@@ -42,6 +42,35 @@ const SubmissionSchema = new mongoose.Schema({
   feedback: {
     type: String
   },
+  rubric: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Rubric'
+  },
+  // Copied from the rubric at grading time, so later edits to the rubric leave it as graded
+  rubricScores: [{
+    _id: false,
+    criterion: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    criterionTitle: {
+      type: String
+    },
+    level: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    levelTitle: {
+      type: String
+    },
+    points: {
+      type: Number
+    },
+    maxPoints: {
+      type: Number
+    },
+    comment: {
+      type: String
+    }
+  }],
   gradedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 
@@ -38,9 +39,16 @@ const jwt = require('jsonwebtoken');
  *         avatar:
  *           type: string
  *           description: URL to user's profile image
+ *         twoFactorEnabled:
+ *           type: boolean
+ *           description: Whether the user signs in with a TOTP code in addition to the password
+ *         approvalStatus:
+ *           type: string
+ *           enum: [approved, pending, rejected]
+ *           description: Self-registered accounts stay pending until an admin approves them (when approval is required)
  *         active:
  *           type: boolean
- *           description: Whether the user account is active
+ *           description: Whether the user account is active. Deactivated users are rejected at login and on every request.
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -138,14 +146,100 @@ const UserSchema = new mongoose.Schema({
     }],
     relationship: String
   },
+  // Hashes of previous passwords, most recent first
+  passwordHistory: {
+    type: [String],
+    select: false
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  // Deactivated users cannot log in or use existing tokens
+  active: {
+    type: Boolean,
+    default: true
+  },
+  deactivatedAt: {
+    type: Date
+  },
+  // Self-registered accounts may need an admin's approval before they can sign in
+  approvalStatus: {
+    type: String,
+    enum: ['approved', 'pending', 'rejected'],
+    default: 'approved'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  rejectionReason: {
+    type: String,
+    maxlength: [500, 'Rejection reason cannot be more than 500 characters']
+  },
+  // Two-factor authentication (TOTP). Secrets and backup code hashes are never selected by default.
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  // Secret generated at setup, moved to twoFactorSecret once a code is verified
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorBackupCodes: {
+    type: [String],
+    select: false
+  },
+  // Last accepted TOTP time step, so a code cannot be replayed
+  twoFactorLastStep: {
+    type: Number,
+    select: false
+  },
+  // Brute-force protection: failed logins since the last success or lock,
+  // and how many times in a row the account has been locked
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date
+  },
   resetPasswordToken: String,
   resetPasswordExpire: Date,
+  // Incremented to invalidate every access token issued so far
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 }, {
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    // Never send password hashes or two-factor secrets to clients, even when they were selected
+    transform: (doc, ret) => {
+      delete ret.password;
+      delete ret.passwordHistory;
+      delete ret.twoFactorSecret;
+      delete ret.twoFactorPendingSecret;
+      delete ret.twoFactorBackupCodes;
+      delete ret.twoFactorLastStep;
+      return ret;
+    }
+  },
   toObject: { virtuals: true }
 });
 
@@ -165,10 +259,15 @@ UserSchema.virtual('teachingCourses', {
   justOne: false
 });
 
+// Whether the account is temporarily locked after too many failed logins
+UserSchema.virtual('isLocked').get(function() {
+  return !!(this.lockUntil && this.lockUntil > Date.now());
+});
+
 // Encrypt password using bcrypt
 UserSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
 
   const salt = await bcrypt.genSalt(10);
@@ -189,6 +288,21 @@ UserSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Generate a password reset token; only its hash is stored
+UserSchema.methods.getResetPasswordToken = function() {
+  const resetToken = crypto.randomBytes(20).toString('hex');
+  
+  this.resetPasswordToken = crypto
+    .createHash('sha256')
+    .update(resetToken)
+    .digest('hex');
+  
+  const expireMinutes = parseInt(process.env.RESET_PASSWORD_EXPIRE_MINUTES, 10) || 30;
+  this.resetPasswordExpire = Date.now() + expireMinutes * 60 * 1000;
+  
+  return resetToken;
+};
+
 // Get full name
 UserSchema.methods.getFullName = function() {
   return `${this.firstName} ${this.lastName}`;
@@ -7,6 +7,7 @@ const {
   deleteAssignment,
   submitAssignment,
   getSubmissions,
+  getAssignmentStats,
   gradeSubmission
 } = require('../controllers/assignment.controller');
 
@@ -56,6 +57,9 @@ const router = express.Router();
  *         latePenalty:
  *           type: number
  *           description: Percentage penalty for late submissions
+ *         rubric:
+ *           type: string
+ *           description: ID of a rubric of the same course to grade submissions with
  *         attachments:
  *           type: array
  *           items:
@@ -112,6 +116,26 @@ const router = express.Router();
  *         feedback:
  *           type: string
  *           description: Teacher feedback on the submission
+ *         rubricScores:
+ *           type: array
+ *           description: Level chosen per rubric criterion, copied from the rubric when graded
+ *           items:
+ *             type: object
+ *             properties:
+ *               criterion:
+ *                 type: string
+ *               criterionTitle:
+ *                 type: string
+ *               level:
+ *                 type: string
+ *               levelTitle:
+ *                 type: string
+ *               points:
+ *                 type: number
+ *               maxPoints:
+ *                 type: number
+ *               comment:
+ *                 type: string
  *         status:
  *           type: string
  *           enum: [submitted, graded]
@@ -126,6 +150,46 @@ const router = express.Router();
  *         score: 95
  *         feedback: Great work!
  *         status: graded
+ *     ScoreStatistics:
+ *       type: object
+ *       description: Statistics of a set of scores; null values when there are none
+ *       properties:
+ *         count:
+ *           type: integer
+ *         mean:
+ *           type: number
+ *         median:
+ *           type: number
+ *         standardDeviation:
+ *           type: number
+ *           description: Standard deviation of the whole set
+ *         min:
+ *           type: number
+ *         max:
+ *           type: number
+ *         quartiles:
+ *           type: object
+ *           properties:
+ *             q1:
+ *               type: number
+ *             q2:
+ *               type: number
+ *             q3:
+ *               type: number
+ *     GradeBandCount:
+ *       type: object
+ *       description: Number of grades in a band of the grading scale, or in a 10% range on scales without bands
+ *       properties:
+ *         label:
+ *           type: string
+ *         minPercentage:
+ *           type: number
+ *         maxPercentage:
+ *           type: number
+ *         passing:
+ *           type: boolean
+ *         count:
+ *           type: integer
  */
 
 /**
@@ -279,6 +343,9 @@ router.post('/', authorize('admin', 'teacher'), upload.array('files'), handleUpl
  *                 type: boolean
  *               latePenalty:
  *                 type: number
+ *               rubric:
+ *                 type: string
+ *                 description: Rubric of the same course, or null to remove it
  *     responses:
  *       200:
  *         description: Assignment updated successfully
@@ -349,12 +416,69 @@ router.delete('/:id', authorize('admin', 'teacher'), deleteAssignment);
  */
 router.get('/:id/submissions', authorize('admin', 'teacher'), getSubmissions);
 
+/**
+ * @swagger
+ * /assignments/{id}/stats:
+ *   get:
+ *     summary: Get score statistics for an assignment
+ *     description: Submission counts, and the mean, median, standard deviation, minimum, maximum and quartiles of the assignment's grades in points and percent, with the number of grades in each band of the course's grading scale. Only accessible by admins and the course teacher.
+ *     tags: [Assignments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Assignment ID
+ *     responses:
+ *       200:
+ *         description: Assignment statistics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     enrolled:
+ *                       type: integer
+ *                     submissions:
+ *                       type: object
+ *                       properties:
+ *                         total:
+ *                           type: integer
+ *                         onTime:
+ *                           type: integer
+ *                         late:
+ *                           type: integer
+ *                     scores:
+ *                       $ref: '#/components/schemas/ScoreStatistics'
+ *                     percentages:
+ *                       $ref: '#/components/schemas/ScoreStatistics'
+ *                     distribution:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/GradeBandCount'
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Assignment not found
+ */
+router.get('/:id/stats', authorize('admin', 'teacher'), getAssignmentStats);
+
 /**
  * @swagger
  * /assignments/submissions/{id}:
  *   put:
  *     summary: Grade a submission
- *     description: Grade a student's submission. Only accessible by admins and the course teacher.
+ *     description: Grade a student's submission. Only accessible by admins and the course teacher. Assignments with a rubric can be graded by sending a level per criterion instead of a score.
  *     tags: [Assignments]
  *     security:
  *       - bearerAuth: []
@@ -371,18 +495,28 @@ router.get('/:id/submissions', authorize('admin', 'teacher'), getSubmissions);
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - score
  *             properties:
  *               score:
  *                 type: number
- *                 description: Score awarded for the submission
+ *                 description: Score awarded for the submission, unless graded with the rubric
+ *               rubricScores:
+ *                 type: array
+ *                 description: A level for every criterion of the assignment's rubric; the score becomes their points, scaled to the assignment's total points
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     criterion:
+ *                       type: string
+ *                     level:
+ *                       type: string
+ *                     comment:
+ *                       type: string
  *               feedback:
  *                 type: string
  *                 description: Teacher feedback on the submission
  *               publishGrade:
  *                 type: boolean
- *                 description: Whether to publish the grade immediately
+ *                 description: Publish the grade immediately, or withdraw it with false. Left out, a regraded submission keeps its grade's publication
  *     responses:
  *       200:
  *         description: Submission graded successfully
@@ -2,11 +2,20 @@ const express = require('express');
 const {
   getAttendanceRecords,
   getAttendanceStats,
+  getExpectedSessions,
   recordAttendance,
-  bulkRecordAttendance
+  bulkRecordAttendance,
+  updateAttendance,
+  deleteAttendance,
+  getAttendanceHistory,
+  getExcuses,
+  submitExcuse,
+  getExcuseDocument,
+  reviewExcuse
 } = require('../controllers/attendance.controller');
 
 const { protect, authorize } = require('../middleware/auth.middleware');
+const { upload, handleUploadError } = require('../services/upload.service');
 
 const router = express.Router();
 
@@ -35,6 +44,25 @@ const router = express.Router();
  *           type: string
  *           format: date
  *           description: Date of the attendance record
+ *         session:
+ *           type: string
+ *           nullable: true
+ *           description: >
+ *             ID of the course schedule entry the record is for, so that each session of a day is recorded
+ *             separately. Leave out for a whole-day record. A student's day is recorded as a whole or per
+ *             session, not both. The session must be held on the record's weekday.
+ *         startTime:
+ *           type: string
+ *           readOnly: true
+ *           description: Start time of the session when it was recorded
+ *         endTime:
+ *           type: string
+ *           readOnly: true
+ *           description: End time of the session when it was recorded
+ *         room:
+ *           type: string
+ *           readOnly: true
+ *           description: Room of the session when it was recorded
  *         status:
  *           type: string
  *           enum: [present, absent, late, excused]
@@ -162,6 +190,11 @@ router.get('/', getAttendanceRecords);
  *           type: string
  *           format: date
  *         description: Filter by date range (end)
+ *       - in: query
+ *         name: bySession
+ *         schema:
+ *           type: boolean
+ *         description: Report course statistics per session of each date instead of per date
  *     responses:
  *       200:
  *         description: Attendance statistics
@@ -170,6 +203,103 @@ router.get('/', getAttendanceRecords);
  */
 router.get('/stats', getAttendanceStats);
 
+/**
+ * @swagger
+ * /attendance/sessions:
+ *   get:
+ *     summary: Get the expected sessions of a course
+ *     description: >
+ *       Generate the sessions a course meets in a date range from its weekly schedule, in date and time order,
+ *       with how many students have been recorded for each and with which status. Only accessible by the
+ *       course teacher and admins.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: course
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day of the range, today by default
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day of the range, six days after the start by default, at most a year after it
+ *     responses:
+ *       200:
+ *         description: Expected sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     course:
+ *                       type: object
+ *                     startDate:
+ *                       type: string
+ *                       format: date
+ *                     endDate:
+ *                       type: string
+ *                       format: date
+ *                     enrolled:
+ *                       type: integer
+ *                     sessions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           date:
+ *                             type: string
+ *                             format: date
+ *                           session:
+ *                             type: string
+ *                             description: Schedule entry ID
+ *                           day:
+ *                             type: string
+ *                           startTime:
+ *                             type: string
+ *                           endTime:
+ *                             type: string
+ *                           room:
+ *                             type: string
+ *                           recorded:
+ *                             type: integer
+ *                           present:
+ *                             type: integer
+ *                           absent:
+ *                             type: integer
+ *                           late:
+ *                             type: integer
+ *                           excused:
+ *                             type: integer
+ *                           complete:
+ *                             type: boolean
+ *                             description: Every enrolled student has been recorded
+ *       400:
+ *         description: Course missing or invalid date range
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Course not found
+ */
+router.get('/sessions', authorize('admin', 'teacher'), getExpectedSessions);
+
 /**
  * @swagger
  * /attendance:
@@ -224,6 +354,9 @@ router.post('/', authorize('admin', 'teacher'), recordAttendance);
  *                 type: string
  *                 format: date
  *                 description: Date of the attendance records
+ *               session:
+ *                 type: string
+ *                 description: ID of the course schedule entry the records are for; leave out for whole-day records
  *               records:
  *                 type: array
  *                 items:
@@ -254,4 +387,328 @@ router.post('/', authorize('admin', 'teacher'), recordAttendance);
  */
 router.post('/bulk', authorize('admin', 'teacher'), bulkRecordAttendance);
 
+/**
+ * @swagger
+ * /attendance/excuses:
+ *   get:
+ *     summary: Get absence excuses
+ *     description: >
+ *       Students get their own excuses, parents their children's, teachers those of the courses they teach
+ *       and admins every excuse. Sorted by the date of the absence.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *         description: Filter by status, e.g. pending for the review queue
+ *       - in: query
+ *         name: course
+ *         schema:
+ *           type: string
+ *         description: Filter by course ID
+ *       - in: query
+ *         name: student
+ *         schema:
+ *           type: string
+ *         description: Filter by student ID
+ *     responses:
+ *       200:
+ *         description: Excuses
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AbsenceExcuse'
+ *       401:
+ *         description: Not authorized
+ *   post:
+ *     summary: Submit an absence excuse
+ *     description: >
+ *       Excuse a past or future absence from a course, for the whole day or one session of the schedule.
+ *       Students submit for themselves and parents for one of their children. A supporting document
+ *       (PDF, PNG or JPEG) can be uploaded as `document`. The course teacher is notified.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - course
+ *               - date
+ *               - reason
+ *             properties:
+ *               course:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               session:
+ *                 type: string
+ *                 description: Schedule entry ID; leave out to excuse the whole day
+ *               student:
+ *                 type: string
+ *                 description: Child the excuse is for, required for parents
+ *               reason:
+ *                 type: string
+ *               document:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: Excuse submitted
+ *       400:
+ *         description: Invalid input data or an excuse for the absence is already pending
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Course or session not found
+ */
+router.route('/excuses')
+  .get(getExcuses)
+  .post(authorize('student', 'parent'), upload.single('document'), handleUploadError, submitExcuse);
+
+/**
+ * @swagger
+ * /attendance/excuses/{excuseId}:
+ *   put:
+ *     summary: Approve or reject an absence excuse
+ *     description: >
+ *       Only the course teacher and admins can review excuses, and only once. Approving sets the student's
+ *       absences and late arrivals in the excused session, or every session of that day, to excused, and
+ *       creates the records of a future absence ahead of time. Changes appear in the records' history with the
+ *       source `excuse`. The student and their parents are notified either way.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: excuseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Excuse ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [approved, rejected]
+ *               notes:
+ *                 type: string
+ *                 description: Told to the student and parents, e.g. why the excuse was rejected
+ *     responses:
+ *       200:
+ *         description: Excuse reviewed
+ *       400:
+ *         description: Invalid status or the excuse was already reviewed
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Excuse not found
+ */
+router.put('/excuses/:excuseId', authorize('admin', 'teacher'), reviewExcuse);
+
+/**
+ * @swagger
+ * /attendance/excuses/{excuseId}/document:
+ *   get:
+ *     summary: Download the supporting document of an absence excuse
+ *     description: >
+ *       Documents are not publicly served. Only the student, their parents, the course teacher and admins
+ *       can download them.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: excuseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Excuse ID
+ *     responses:
+ *       200:
+ *         description: The document
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           image/png:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           image/jpeg:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Excuse not found or it has no document
+ */
+router.get('/excuses/:excuseId/document', getExcuseDocument);
+
+/**
+ * @swagger
+ * /attendance/{id}/history:
+ *   get:
+ *     summary: Get the change history of an attendance record
+ *     description: >
+ *       Every change to the record, newest first, with old and new values, who made it and why.
+ *       Also available for deleted records. Only accessible by the course teacher and admins.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Attendance record ID
+ *     responses:
+ *       200:
+ *         description: History entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AttendanceHistory'
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Attendance record not found
+ */
+router.get('/:id/history', authorize('admin', 'teacher'), getAttendanceHistory);
+
+/**
+ * @swagger
+ * /attendance/{id}:
+ *   put:
+ *     summary: Correct an attendance record
+ *     description: >
+ *       Change the status, late minutes, excuse or notes of a record. Only the course teacher and admins
+ *       can correct attendance. Changing the status needs a reason, which is stored in the record's history,
+ *       and the student and their parents are told about the correction.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Attendance record ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [present, absent, late, excused]
+ *               lateMinutes:
+ *                 type: number
+ *                 description: Kept only for late arrivals
+ *               excuseReason:
+ *                 type: string
+ *               excuseDocumentUrl:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *                 description: Why the record changed, required when the status changes
+ *           example:
+ *             status: excused
+ *             excuseReason: Doctor's appointment
+ *             reason: Parent sent a doctor's note
+ *     responses:
+ *       200:
+ *         description: Attendance record updated
+ *       400:
+ *         description: Invalid input data or reason missing
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Attendance record not found
+ *   delete:
+ *     summary: Delete an attendance record
+ *     description: >
+ *       Remove a record taken by mistake. The record is kept with the reason but no longer listed or counted;
+ *       recording the same attendance again restores it. The student and their parents are told when an absence
+ *       or late arrival is removed. Only the course teacher and admins can delete records.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Attendance record ID
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *         description: Why the record is deleted (may also be sent in the body)
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Attendance record deleted
+ *       400:
+ *         description: Reason missing
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Attendance record not found
+ */
+router.route('/:id')
+  .put(authorize('admin', 'teacher'), updateAttendance)
+  .delete(authorize('admin', 'teacher'), deleteAttendance);
+
 module.exports = router;
@@ -3,14 +3,52 @@ const {
   register, 
   login, 
   firebaseAuth, 
+  refresh,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  getPasswordPolicy,
+  getInvitation,
+  acceptInvitation,
+  verifyTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
   getMe, 
-  logout 
+  logout,
+  logoutAll,
+  getSessions,
+  revokeSession
 } = require('../controllers/auth.controller');
 
-const { protect, verifyFirebaseToken } = require('../middleware/auth.middleware');
+const { protect, protectOrTwoFactorSetup, verifyFirebaseToken } = require('../middleware/auth.middleware');
+const { rateLimit } = require('../middleware/rate-limit.middleware');
 
 const router = express.Router();
 
+// Per-IP throttling of credential endpoints
+const loginLimiter = rateLimit({
+  name: 'login',
+  windowMs: (parseInt(process.env.LOGIN_RATE_LIMIT_WINDOW_MINUTES, 10) || 15) * 60 * 1000,
+  max: parseInt(process.env.LOGIN_RATE_LIMIT_MAX, 10) || 20,
+  message: 'Too many login attempts from this IP, please try again later'
+});
+
+const twoFactorLimiter = rateLimit({
+  name: 'two-factor',
+  windowMs: (parseInt(process.env.LOGIN_RATE_LIMIT_WINDOW_MINUTES, 10) || 15) * 60 * 1000,
+  max: parseInt(process.env.LOGIN_RATE_LIMIT_MAX, 10) || 20,
+  message: 'Too many two-factor attempts from this IP, please try again later'
+});
+
+const registerLimiter = rateLimit({
+  name: 'register',
+  windowMs: (parseInt(process.env.REGISTER_RATE_LIMIT_WINDOW_MINUTES, 10) || 60) * 60 * 1000,
+  max: parseInt(process.env.REGISTER_RATE_LIMIT_MAX, 10) || 10,
+  message: 'Too many accounts created from this IP, please try again later'
+});
+
 /**
  * @swagger
  * tags:
@@ -35,7 +73,6 @@ const router = express.Router();
  *               - lastName
  *               - email
  *               - password
- *               - role
  *             properties:
  *               firstName:
  *                 type: string
@@ -47,17 +84,25 @@ const router = express.Router();
  *               password:
  *                 type: string
  *                 format: password
- *                 minLength: 6
+ *                 description: Must satisfy the password policy (see /auth/password-policy)
  *               role:
  *                 type: string
- *                 enum: [student, teacher, parent, admin]
+ *                 enum: [student, parent]
+ *                 description: Defaults to student. Parent accounts wait for an admin's approval. Ignored with an invitation.
+ *               invitationToken:
+ *                 type: string
+ *                 description: Token from an invitation link; the account gets the invited role and must use the invited email
  *     responses:
  *       201:
- *         description: User registered successfully
+ *         description: User registered successfully, or approvalPending when an admin must approve the account
  *       400:
- *         description: Invalid input data
+ *         description: Invalid input data or invitation
+ *       403:
+ *         description: Role requires an invitation, or registration is closed to this email
+ *       429:
+ *         description: Too many registrations from this IP
  */
-router.post('/register', register);
+router.post('/register', registerLimiter, register);
 
 /**
  * @swagger
@@ -83,11 +128,15 @@ router.post('/register', register);
  *                 format: password
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful. If the user has two-factor enabled the response has `twoFactorRequired` and a `challengeToken` for /auth/2fa/verify instead of tokens; if their role requires two-factor and they have not enrolled it has `twoFactorSetupRequired` and a `challengeToken` for /auth/2fa/setup.
  *       401:
  *         description: Invalid credentials
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts
+ *       429:
+ *         description: Too many login attempts from this IP
  */
-router.post('/login', login);
+router.post('/login', loginLimiter, login);
 
 /**
  * @swagger
@@ -111,9 +160,369 @@ router.post('/login', login);
  *         description: Firebase authentication successful
  *       401:
  *         description: Invalid Firebase token
+ *       403:
+ *         description: Email not verified, or self-registration not allowed for it
  */
 router.post('/firebase', verifyFirebaseToken, firebaseAuth);
 
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access token
+ *     description: The presented refresh token is rotated. Replaying an already rotated token revokes the whole session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New access token and refresh token issued
+ *       400:
+ *         description: Refresh token missing
+ *       401:
+ *         description: Refresh token invalid, expired or revoked
+ */
+router.post('/refresh', refresh);
+
+/**
+ * @swagger
+ * /auth/2fa/verify:
+ *   post:
+ *     summary: Complete login with a two-factor code
+ *     description: Second login step for users with two-factor enabled. Accepts a code from the authenticator app or an unused backup code.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *               - code
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       401:
+ *         description: Invalid code or expired challenge
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts
+ *       429:
+ *         description: Too many attempts from this IP
+ */
+router.post('/2fa/verify', twoFactorLimiter, verifyTwoFactor);
+
+/**
+ * @swagger
+ * /auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: Generates a new secret and returns it with an otpauth URI and a QR code image (data URL) for authenticator apps. Authenticate with an access token, or pass the `challengeToken` from a login that requires setup.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Secret, otpauth URI and QR code
+ *       400:
+ *         description: Two-factor already enabled
+ *       401:
+ *         description: Not authenticated
+ */
+router.post('/2fa/setup', protectOrTwoFactorSetup, setupTwoFactor);
+
+/**
+ * @swagger
+ * /auth/2fa/enable:
+ *   post:
+ *     summary: Enable two-factor authentication
+ *     description: Verifies a code for the secret from /auth/2fa/setup and returns backup codes, which are shown only once. When authenticated with a setup `challengeToken` the login is completed and tokens are returned too.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor enabled
+ *       400:
+ *         description: Invalid code or setup not started
+ *       401:
+ *         description: Not authenticated
+ */
+router.post('/2fa/enable', protectOrTwoFactorSetup, enableTwoFactor);
+
+/**
+ * @swagger
+ * /auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     description: Not allowed when an admin made two-factor mandatory for the user's role.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor disabled
+ *       400:
+ *         description: Wrong password, invalid code, or two-factor is required for the user's role
+ *       401:
+ *         description: Not authenticated
+ */
+router.post('/2fa/disable', protect, disableTwoFactor);
+
+/**
+ * @swagger
+ * /auth/2fa/backup-codes:
+ *   post:
+ *     summary: Regenerate backup codes
+ *     description: Replaces all backup codes. The new codes are shown only once.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New backup codes
+ *       400:
+ *         description: Invalid code
+ *       401:
+ *         description: Not authenticated
+ */
+router.post('/2fa/backup-codes', protect, regenerateBackupCodes);
+
+/**
+ * @swagger
+ * /auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     description: Always responds with success so that registered emails cannot be discovered.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ *       400:
+ *         description: Email missing
+ */
+router.post('/forgot-password', forgotPassword);
+
+/**
+ * @swagger
+ * /auth/reset-password/{token}:
+ *   put:
+ *     summary: Reset password with a reset token
+ *     description: Sets a new password, signs out every existing session and logs the user in.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Reset token from the email
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       200:
+ *         description: Password reset, new tokens issued
+ *       400:
+ *         description: Invalid or expired token, or password rejected by the password policy
+ */
+router.put('/reset-password/:token', resetPassword);
+
+/**
+ * @swagger
+ * /auth/password-policy:
+ *   get:
+ *     summary: Get the password policy
+ *     description: Rules new passwords must satisfy, so clients can show them before submitting.
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: Password policy
+ */
+router.get('/password-policy', getPasswordPolicy);
+
+/**
+ * @swagger
+ * /auth/invitations/{token}:
+ *   get:
+ *     summary: Get an invitation
+ *     description: Details shown on the invitation landing page before the invitee sets a password.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token from the invitation link
+ *     responses:
+ *       200:
+ *         description: Invited email, role, name, inviter and linked students
+ *       400:
+ *         description: Invalid, expired, revoked or already used invitation
+ */
+router.get('/invitations/:token', getInvitation);
+
+/**
+ * @swagger
+ * /auth/invitations/{token}/accept:
+ *   post:
+ *     summary: Accept an invitation
+ *     description: Creates the account with the invited email and role. Parents are linked to the students named in the invitation.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token from the invitation link
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               firstName:
+ *                 type: string
+ *                 description: Defaults to the name in the invitation
+ *               lastName:
+ *                 type: string
+ *                 description: Defaults to the name in the invitation
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 description: Must satisfy the password policy (see /auth/password-policy)
+ *     responses:
+ *       201:
+ *         description: Account created, tokens issued (or a two-factor setup challenge if required for the role)
+ *       400:
+ *         description: Invalid invitation, or password rejected by the password policy
+ *       429:
+ *         description: Too many registrations from this IP
+ */
+router.post('/invitations/:token/accept', registerLimiter, acceptInvitation);
+
+/**
+ * @swagger
+ * /auth/password:
+ *   put:
+ *     summary: Change password
+ *     description: Requires the current password. The new password must satisfy the password policy and differ from recent passwords. Every other session is signed out and new tokens are issued for this one.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 format: password
+ *               newPassword:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       200:
+ *         description: Password changed, new tokens issued
+ *       400:
+ *         description: Missing fields, current password incorrect or new password rejected by the password policy
+ *       401:
+ *         description: Not authenticated
+ */
+router.put('/password', protect, changePassword);
+
 /**
  * @swagger
  * /auth/me:
@@ -135,6 +544,7 @@ router.get('/me', protect, getMe);
  * /auth/logout:
  *   post:
  *     summary: Logout user
+ *     description: Revokes the refresh token and every access token of the current session.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -146,4 +556,63 @@ router.get('/me', protect, getMe);
  */
 router.post('/logout', protect, logout);
 
+/**
+ * @swagger
+ * /auth/logout-all:
+ *   post:
+ *     summary: Logout from every session
+ *     description: Invalidates all access and refresh tokens of the current user, including the one used for this request.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *       401:
+ *         description: Not authenticated
+ */
+router.post('/logout-all', protect, logoutAll);
+
+/**
+ * @swagger
+ * /auth/sessions:
+ *   get:
+ *     summary: List active sessions
+ *     description: Returns the devices the current user is signed in on. The session of the request is flagged as current.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of active sessions
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/sessions', protect, getSessions);
+
+/**
+ * @swagger
+ * /auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke a session
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:id', protect, revokeSession);
+
 module.exports = router;
@@ -9,7 +9,9 @@ const {
   unenrollStudents,
   getCourseMaterials,
   addCourseMaterial,
-  removeCourseMaterial
+  removeCourseMaterial,
+  getGradebook,
+  getCourseStats
 } = require('../controllers/course.controller');
 
 // Import upload service
@@ -316,6 +318,96 @@ router.delete('/:id', authorize('admin', 'teacher'), deleteCourse);
 router.put('/:id/enroll', authorize('admin', 'teacher'), enrollStudents);
 router.put('/:id/unenroll', authorize('admin', 'teacher'), unenrollStudents);
 
+/**
+ * @swagger
+ * /courses/{id}/gradebook:
+ *   get:
+ *     summary: Get the gradebook of a course
+ *     description: |
+ *       All grades of a course in one grid. Columns are the course assignments by due date,
+ *       followed by one column per grade type recorded without an assignment. Each row is an
+ *       enrolled student with their grades keyed by column key and their course total, which
+ *       includes unpublished grades. Only accessible by admins and the course teacher.
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *     responses:
+ *       200:
+ *         description: Course, grading scale, columns and student rows
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Course not found
+ */
+router.get('/:id/gradebook', authorize('admin', 'teacher'), getGradebook);
+
+/**
+ * @swagger
+ * /courses/{id}/stats:
+ *   get:
+ *     summary: Get grade statistics of a course
+ *     description: |
+ *       Statistics over the gradebook, in percent: the mean, median, standard deviation, minimum,
+ *       maximum and quartiles of the students' course totals with the number of students in each
+ *       band of the course's grading scale, and the same statistics for every gradebook column.
+ *       Unpublished grades count. Only accessible by admins and the course teacher.
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *     responses:
+ *       200:
+ *         description: Course statistics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     enrolled:
+ *                       type: integer
+ *                     ungraded:
+ *                       type: integer
+ *                       description: Enrolled students without any grade, left out of totals and distribution
+ *                     totals:
+ *                       $ref: '#/components/schemas/ScoreStatistics'
+ *                     distribution:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/GradeBandCount'
+ *                     columns:
+ *                       type: array
+ *                       description: Gradebook columns, each with its statistics under stats
+ *                       items:
+ *                         type: object
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Course not found
+ */
+router.get('/:id/stats', authorize('admin', 'teacher'), getCourseStats);
+
 // Course materials routes
 router.get('/:id/materials', protect, getCourseMaterials);
 router.post('/:id/materials', authorize('admin', 'teacher'), upload.single('file'), handleUploadError, addCourseMaterial);
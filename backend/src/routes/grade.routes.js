@@ -3,10 +3,20 @@ const {
   getGrades,
   getGradeSummary,
   recordGrade,
-  bulkRecordGrades
+  bulkRecordGrades,
+  getGrade,
+  updateGrade,
+  deleteGrade,
+  getGradeHistory,
+  importGrades,
+  exportGrades,
+  getReleases,
+  scheduleRelease,
+  cancelRelease
 } = require('../controllers/grade.controller');
 
 const { protect, authorize } = require('../middleware/auth.middleware');
+const { spreadsheetUpload, handleUploadError } = require('../services/upload.service');
 
 const router = express.Router();
 
@@ -48,7 +58,10 @@ const router = express.Router();
  *           description: Maximum possible score
  *         weight:
  *           type: number
- *           description: Weight of this grade in the overall course grade calculation
+ *           description: Weight of this grade within its category
+ *         isExtraCredit:
+ *           type: boolean
+ *           description: Extra credit adds to the category score without adding to the points that can be earned
  *         feedback:
  *           type: string
  *           description: Teacher feedback on the grade
@@ -150,7 +163,11 @@ router.get('/', getGrades);
  * /grades/summary/{courseId}:
  *   get:
  *     summary: Get grade summary for a course
- *     description: Retrieve grade summary for a specific course. Results are filtered based on user role.
+ *     description: >
+ *       Course grade of a student with a breakdown per grade category. When the course has
+ *       grade categories, each category's average counts with its weight, its lowest grades
+ *       are dropped as configured, and categories without grades are left out. Students get
+ *       their own summary; other roles pass the student ID.
  *     tags: [Grades]
  *     security:
  *       - bearerAuth: []
@@ -161,9 +178,14 @@ router.get('/', getGrades);
  *         schema:
  *           type: string
  *         description: Course ID to get summary for
+ *       - in: query
+ *         name: studentId
+ *         schema:
+ *           type: string
+ *         description: Student ID (required for teachers, parents and admins)
  *     responses:
  *       200:
- *         description: Grade summary
+ *         description: Grade summary with percentage, letterGrade, weighting (category or grade) and categories
  *       401:
  *         description: Not authorized
  */
@@ -234,6 +256,9 @@ router.post('/', authorize('admin', 'teacher'), recordGrade);
  *               weight:
  *                 type: number
  *                 description: Weight in overall grade calculation
+ *               isExtraCredit:
+ *                 type: boolean
+ *                 description: Record the grades as extra credit
  *               isPublished:
  *                 type: boolean
  *                 description: Whether to publish grades immediately
@@ -266,4 +291,372 @@ router.post('/', authorize('admin', 'teacher'), recordGrade);
  */
 router.post('/bulk', authorize('admin', 'teacher'), bulkRecordGrades);
 
+/**
+ * @swagger
+ * /grades/import:
+ *   post:
+ *     summary: Import grades from a spreadsheet
+ *     description: |
+ *       Import the grades of a course from a CSV or XLSX file laid out like the export: a row per
+ *       student with an Email or Student ID column, and a column per assignment or grade type
+ *       headed by its title and maximum score, e.g. "Quiz 1 /20". The response previews every
+ *       column and row with its changes and errors. A dry run stops there; otherwise all changes
+ *       are saved together, or none with a 400 response carrying the preview if it has errors.
+ *       Only accessible by admins and the course teacher.
+ *     tags: [Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *               - course
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: CSV or XLSX file
+ *               course:
+ *                 type: string
+ *                 description: ID of the course
+ *               dryRun:
+ *                 type: boolean
+ *                 description: Only preview the import
+ *               matchBy:
+ *                 type: string
+ *                 enum: [email, studentId]
+ *                 description: Column that identifies students (default email, or student ID where the email is empty)
+ *               mapping:
+ *                 type: string
+ *                 description: JSON object of gradebook column keys by header, e.g. {"HW 1 /10":"assignment:<id>","Notes":""}; an empty key skips the column
+ *               publish:
+ *                 type: boolean
+ *                 description: Publish new grades
+ *               reason:
+ *                 type: string
+ *                 description: Reason recorded in the grade history
+ *     responses:
+ *       200:
+ *         description: Import preview, saved unless it was a dry run
+ *       400:
+ *         description: Invalid file or input, or errors in the import
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Course not found
+ */
+router.post('/import', authorize('admin', 'teacher'), spreadsheetUpload.single('file'), handleUploadError, importGrades);
+
+/**
+ * @swagger
+ * /grades/export:
+ *   get:
+ *     summary: Export grades to a spreadsheet
+ *     description: Download the gradebook of a course as CSV or XLSX in the layout accepted by the import. Only accessible by admins and the course teacher.
+ *     tags: [Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: course
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *           default: csv
+ *         description: File format
+ *     responses:
+ *       200:
+ *         description: Spreadsheet file
+ *       400:
+ *         description: Missing course or unsupported format
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Course not found
+ */
+router.get('/export', authorize('admin', 'teacher'), exportGrades);
+
+/**
+ * @swagger
+ * /grades/releases:
+ *   get:
+ *     summary: Get grade releases
+ *     description: List scheduled and past grade releases, latest first. Scheduled releases include pendingCount, the number of unpublished grades they will publish. Teachers see releases of their own courses.
+ *     tags: [Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: course
+ *         schema:
+ *           type: string
+ *         description: Filter by course ID
+ *       - in: query
+ *         name: assignment
+ *         schema:
+ *           type: string
+ *         description: Filter by assignment ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [scheduled, releasing, released, cancelled]
+ *         description: Filter by status
+ *     responses:
+ *       200:
+ *         description: List of grade releases
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/GradeRelease'
+ *       401:
+ *         description: Not authorized
+ *   post:
+ *     summary: Schedule a grade release
+ *     description: |
+ *       Publish every unpublished grade of an assignment, or of a course's grades of one type
+ *       recorded without an assignment (e.g. an exam), at a chosen time so that students see
+ *       them together. Students and parents get their grade notifications at release. A release
+ *       already scheduled for the same grades moves to the new time; without releaseAt, or with
+ *       a time in the past, the grades are released right away. Only accessible by admins and the
+ *       course teacher.
+ *     tags: [Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               assignment:
+ *                 type: string
+ *                 description: Assignment whose grades to release
+ *               course:
+ *                 type: string
+ *                 description: Course ID, with type, for grades without an assignment
+ *               type:
+ *                 type: string
+ *                 description: Grade type, with course
+ *               releaseAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When to release the grades (default now)
+ *     responses:
+ *       200:
+ *         description: Scheduled or released grade release
+ *       400:
+ *         description: Invalid input data
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Assignment or course not found
+ */
+router.route('/releases')
+  .get(authorize('admin', 'teacher'), getReleases)
+  .post(authorize('admin', 'teacher'), scheduleRelease);
+
+/**
+ * @swagger
+ * /grades/releases/{releaseId}:
+ *   delete:
+ *     summary: Cancel a scheduled grade release
+ *     description: Cancel a release that has not happened yet; its grades stay unpublished. Only accessible by admins and the course teacher.
+ *     tags: [Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: releaseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Release ID
+ *     responses:
+ *       200:
+ *         description: Cancelled release
+ *       400:
+ *         description: The release is not scheduled
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Release not found
+ */
+router.delete('/releases/:releaseId', authorize('admin', 'teacher'), cancelRelease);
+
+/**
+ * @swagger
+ * /grades/{id}:
+ *   get:
+ *     summary: Get a grade
+ *     description: Students and parents can only get published grades of their own or their children.
+ *     tags: [Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Grade ID
+ *     responses:
+ *       200:
+ *         description: Grade
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Grade not found
+ *   put:
+ *     summary: Update a grade
+ *     description: >
+ *       Change the score, maximum score, weight, extra credit flag, comments or published state of a grade.
+ *       Only the course teacher and admins can update grades. The student and their parents are notified
+ *       when a published grade changes. An optional reason is stored in the grade's history.
+ *     tags: [Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Grade ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               score:
+ *                 type: number
+ *               maxScore:
+ *                 type: number
+ *               weight:
+ *                 type: number
+ *               isExtraCredit:
+ *                 type: boolean
+ *               comments:
+ *                 type: string
+ *               isPublished:
+ *                 type: boolean
+ *               reason:
+ *                 type: string
+ *                 description: Why the grade changed
+ *     responses:
+ *       200:
+ *         description: Grade updated
+ *       400:
+ *         description: Invalid input data
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Grade not found
+ *   delete:
+ *     summary: Delete a grade
+ *     description: >
+ *       Soft delete: the grade is kept with the reason but no longer listed or counted.
+ *       Recording the same grade again restores it. Only the course teacher and admins can delete grades.
+ *     tags: [Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Grade ID
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *         description: Why the grade is deleted (may also be sent in the body)
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Grade deleted
+ *       400:
+ *         description: Reason missing
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Grade not found
+ */
+/**
+ * @swagger
+ * /grades/{id}/history:
+ *   get:
+ *     summary: Get the change history of a grade
+ *     description: >
+ *       Every change to the grade, newest first, with old and new values, who made it and why.
+ *       Also available for deleted grades. Only accessible by the course teacher and admins.
+ *     tags: [Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Grade ID
+ *     responses:
+ *       200:
+ *         description: History entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/GradeHistory'
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Grade not found
+ */
+router.get('/:id/history', authorize('admin', 'teacher'), getGradeHistory);
+
+router.route('/:id')
+  .get(getGrade)
+  .put(authorize('admin', 'teacher'), updateGrade)
+  .delete(authorize('admin', 'teacher'), deleteGrade);
+
 module.exports = router;
@@ -0,0 +1,182 @@
+const express = require('express');
+const {
+  getGradingScales,
+  getDefaultScale,
+  getCourseScale,
+  getGradingScale,
+  createGradingScale,
+  updateGradingScale,
+  deleteGradingScale
+} = require('../controllers/grading-scale.controller');
+
+const { protect, authorize } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Grading Scales
+ *   description: Scales that turn percentages into letter, pass/fail or numeric grades
+ */
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /grading-scales:
+ *   get:
+ *     summary: Get all grading scales
+ *     description: Built-in scales (letter, plus-minus, pass-fail, five-point, percentage) and custom scales.
+ *     tags: [Grading Scales]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of grading scales
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/GradingScale'
+ *       401:
+ *         description: Not authorized
+ *   post:
+ *     summary: Create a custom grading scale
+ *     description: Only accessible by admins. Bands need unique labels and one band starting at 0%.
+ *     tags: [Grading Scales]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/GradingScale'
+ *     responses:
+ *       201:
+ *         description: Grading scale created
+ *       400:
+ *         description: Invalid bands
+ *       403:
+ *         description: Forbidden
+ */
+router.route('/')
+  .get(getGradingScales)
+  .post(authorize('admin'), createGradingScale);
+
+/**
+ * @swagger
+ * /grading-scales/default:
+ *   get:
+ *     summary: Get the school default grading scale
+ *     description: The scale named by the grading.defaultScale setting, used by courses without their own scale.
+ *     tags: [Grading Scales]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Grading scale
+ */
+router.get('/default', getDefaultScale);
+
+/**
+ * @swagger
+ * /grading-scales/course/{courseId}:
+ *   get:
+ *     summary: Get the grading scale a course uses
+ *     tags: [Grading Scales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *     responses:
+ *       200:
+ *         description: The course's own scale, or the school default
+ */
+router.get('/course/:courseId', getCourseScale);
+
+/**
+ * @swagger
+ * /grading-scales/{id}:
+ *   get:
+ *     summary: Get a grading scale
+ *     tags: [Grading Scales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Scale ID or built-in key, e.g. plus-minus
+ *     responses:
+ *       200:
+ *         description: Grading scale
+ *       404:
+ *         description: Grading scale not found
+ *   put:
+ *     summary: Update a custom grading scale
+ *     description: Only accessible by admins. Stored letter grades of courses using the scale are updated. Built-in scales cannot be changed.
+ *     tags: [Grading Scales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/GradingScale'
+ *     responses:
+ *       200:
+ *         description: Grading scale updated
+ *       400:
+ *         description: Invalid bands or built-in scale
+ *       404:
+ *         description: Grading scale not found
+ *   delete:
+ *     summary: Delete a custom grading scale
+ *     description: Only accessible by admins. Scales used by a course or as the school default cannot be deleted.
+ *     tags: [Grading Scales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Grading scale deleted
+ *       400:
+ *         description: Scale is built in or in use
+ *       404:
+ *         description: Grading scale not found
+ */
+router.route('/:id')
+  .get(getGradingScale)
+  .put(authorize('admin'), updateGradingScale)
+  .delete(authorize('admin'), deleteGradingScale);
+
+module.exports = router;
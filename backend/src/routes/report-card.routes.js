@@ -0,0 +1,277 @@
+const express = require('express');
+const {
+  getReportCard,
+  getReportCardPdf,
+  getClassReportCardsPdf,
+  getCourseComments,
+  saveComment,
+  updateLogo,
+  deleteLogo
+} = require('../controllers/report-card.controller');
+
+const { protect, authorize } = require('../middleware/auth.middleware');
+const { upload, handleUploadError } = require('../services/upload.service');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Report Cards
+ *   description: End-of-term report cards with grades, attendance and teacher comments
+ */
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /report-cards/student/{studentId}:
+ *   get:
+ *     summary: Get a student's report card for a term
+ *     description: Every course of the term with its grade, category breakdown, attendance and teacher comment. Accessible by admins, the student and their parents.
+ *     tags: [Report Cards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: academicYear
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: 2023-2024
+ *       - in: query
+ *         name: semester
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [Fall, Spring, Summer]
+ *     responses:
+ *       200:
+ *         description: Report card
+ *       400:
+ *         description: Missing or invalid term
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Student not found
+ */
+router.get('/student/:studentId', authorize('admin', 'student', 'parent'), getReportCard);
+
+/**
+ * @swagger
+ * /report-cards/student/{studentId}/pdf:
+ *   get:
+ *     summary: Download a student's report card for a term as a PDF
+ *     description: Laid out with the school's report card template (reportCards.* settings). Accessible by admins, the student and their parents.
+ *     tags: [Report Cards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: academicYear
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: semester
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [Fall, Spring, Summer]
+ *     responses:
+ *       200:
+ *         description: PDF file
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Missing or invalid term
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Student not found
+ */
+router.get('/student/:studentId/pdf', authorize('admin', 'student', 'parent'), getReportCardPdf);
+
+/**
+ * @swagger
+ * /report-cards/class/pdf:
+ *   get:
+ *     summary: Download the report cards of a class as one PDF
+ *     description: One report card per student, each starting on a new page. Pass a course to get its students for the course's term (its teacher or an admin), or a grade level with a term to get every student taking a course of that level (admins only).
+ *     tags: [Report Cards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: course
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *       - in: query
+ *         name: gradeLevel
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: academicYear
+ *         schema:
+ *           type: string
+ *         description: Required with gradeLevel
+ *       - in: query
+ *         name: semester
+ *         schema:
+ *           type: string
+ *           enum: [Fall, Spring, Summer]
+ *         description: Required with gradeLevel
+ *     responses:
+ *       200:
+ *         description: PDF file
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Neither a course nor a grade level, or an invalid term
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Course or students not found
+ */
+router.get('/class/pdf', authorize('admin', 'teacher'), getClassReportCardsPdf);
+
+/**
+ * @swagger
+ * /report-cards/course/{courseId}/comments:
+ *   get:
+ *     summary: Get the report card comments of a course
+ *     description: Only accessible by the course's teacher and admins.
+ *     tags: [Report Cards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of comments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ReportCardComment'
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Course not found
+ */
+router.get('/course/:courseId/comments', authorize('admin', 'teacher'), getCourseComments);
+
+/**
+ * @swagger
+ * /report-cards/course/{courseId}/comments/{studentId}:
+ *   put:
+ *     summary: Write a student's report card comment for a course
+ *     description: Only accessible by the course's teacher and admins. An empty comment removes it.
+ *     tags: [Report Cards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Comment saved or removed
+ *       400:
+ *         description: Student not enrolled in the course
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Course not found
+ */
+router.put('/course/:courseId/comments/:studentId', authorize('admin', 'teacher'), saveComment);
+
+/**
+ * @swagger
+ * /report-cards/logo:
+ *   put:
+ *     summary: Upload the logo printed on report cards
+ *     description: Only accessible by admins. Replaces the previous logo.
+ *     tags: [Report Cards]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               logo:
+ *                 type: string
+ *                 format: binary
+ *                 description: PNG or JPEG image
+ *     responses:
+ *       200:
+ *         description: Logo uploaded
+ *       400:
+ *         description: No file, or not a PNG or JPEG image
+ *       403:
+ *         description: Forbidden
+ *   delete:
+ *     summary: Remove the report card logo
+ *     description: Only accessible by admins.
+ *     tags: [Report Cards]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logo removed
+ *       403:
+ *         description: Forbidden
+ */
+router.route('/logo')
+  .put(authorize('admin'), upload.single('logo'), handleUploadError, updateLogo)
+  .delete(authorize('admin'), deleteLogo);
+
+module.exports = router;
@@ -0,0 +1,193 @@
+const express = require('express');
+const {
+  getRubrics,
+  getRubric,
+  createRubric,
+  updateRubric,
+  deleteRubric,
+  copyRubric
+} = require('../controllers/rubric.controller');
+
+const { protect, authorize } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Rubrics
+ *   description: Reusable grading rubrics of criteria and performance levels
+ */
+
+router.use(protect);
+router.use(authorize('admin', 'teacher'));
+
+/**
+ * @swagger
+ * /rubrics:
+ *   get:
+ *     summary: Get rubrics
+ *     description: Rubrics of a course, or of every course the teacher teaches. Admins get every rubric.
+ *     tags: [Rubrics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: course
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *     responses:
+ *       200:
+ *         description: List of rubrics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Rubric'
+ *       403:
+ *         description: Forbidden
+ *   post:
+ *     summary: Create a rubric
+ *     description: Only accessible by admins and the course teacher. Every criterion needs at least one level.
+ *     tags: [Rubrics]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Rubric'
+ *     responses:
+ *       201:
+ *         description: Rubric created
+ *       400:
+ *         description: Invalid criteria or levels
+ *       403:
+ *         description: Forbidden
+ */
+router.route('/')
+  .get(getRubrics)
+  .post(createRubric);
+
+/**
+ * @swagger
+ * /rubrics/{id}/copy:
+ *   post:
+ *     summary: Copy a rubric to another course
+ *     description: The copy belongs to the target course and can be changed without affecting the original.
+ *     tags: [Rubrics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Rubric ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - course
+ *             properties:
+ *               course:
+ *                 type: string
+ *                 description: Course to copy the rubric to
+ *               title:
+ *                 type: string
+ *                 description: Title of the copy, the original's by default
+ *     responses:
+ *       201:
+ *         description: Rubric copied
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Rubric or course not found
+ */
+router.post('/:id/copy', copyRubric);
+
+/**
+ * @swagger
+ * /rubrics/{id}:
+ *   get:
+ *     summary: Get a rubric
+ *     tags: [Rubrics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Rubric ID
+ *     responses:
+ *       200:
+ *         description: Rubric
+ *       404:
+ *         description: Rubric not found
+ *   put:
+ *     summary: Update a rubric
+ *     description: Submissions already graded with the rubric keep the scores they were given.
+ *     tags: [Rubrics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Rubric'
+ *     responses:
+ *       200:
+ *         description: Rubric updated
+ *       400:
+ *         description: Invalid criteria or levels
+ *       404:
+ *         description: Rubric not found
+ *   delete:
+ *     summary: Delete a rubric
+ *     description: Rubrics attached to an assignment cannot be deleted.
+ *     tags: [Rubrics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rubric deleted
+ *       400:
+ *         description: Rubric is in use
+ *       404:
+ *         description: Rubric not found
+ */
+router.route('/:id')
+  .get(getRubric)
+  .put(updateRubric)
+  .delete(deleteRubric);
+
+module.exports = router;
@@ -0,0 +1,97 @@
+const express = require('express');
+const {
+  getSettings,
+  getSetting,
+  updateSetting
+} = require('../controllers/setting.controller');
+
+const { protect, authorize } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Settings
+ *   description: School-wide configuration managed by admins
+ */
+
+// Settings are admin-only
+router.use(protect);
+router.use(authorize('admin'));
+
+/**
+ * @swagger
+ * /settings:
+ *   get:
+ *     summary: Get all settings
+ *     description: Every known setting with its current value and default. Only accessible by admins.
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of settings
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Forbidden
+ */
+router.get('/', getSettings);
+
+/**
+ * @swagger
+ * /settings/{key}:
+ *   get:
+ *     summary: Get a setting
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Setting key, e.g. auth.twoFactorRequiredRoles
+ *     responses:
+ *       200:
+ *         description: Setting value
+ *       404:
+ *         description: Unknown setting
+ *   put:
+ *     summary: Update a setting
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Setting key, e.g. auth.twoFactorRequiredRoles
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - value
+ *             properties:
+ *               value:
+ *                 description: New value; its type depends on the setting
+ *     responses:
+ *       200:
+ *         description: Setting updated
+ *       400:
+ *         description: Invalid value
+ *       404:
+ *         description: Unknown setting
+ */
+router.route('/:key')
+  .get(getSetting)
+  .put(updateSetting);
+
+module.exports = router;
@@ -6,7 +6,22 @@ const {
   updateUser,
   deleteUser,
   getParentStudents,
-  getStudentTeachers
+  getStudentTeachers,
+  getTranscript,
+  getUserSessions,
+  revokeUserSessions,
+  revokeUserSession,
+  unlockUser,
+  deactivateUser,
+  activateUser,
+  resetUserTwoFactor,
+  getPendingUsers,
+  approveUser,
+  rejectUser,
+  getInvitations,
+  createInvitation,
+  resendInvitation,
+  revokeInvitation
 } = require('../controllers/user.controller');
 
 const { protect, authorize } = require('../middleware/auth.middleware');
@@ -92,6 +107,193 @@ router.route('/')
   .get(authorize('admin', 'teacher'), getUsers)
   .post(authorize('admin'), createUser);
 
+/**
+ * @swagger
+ * /users/pending-approval:
+ *   get:
+ *     summary: Get accounts awaiting approval
+ *     description: Self-registered accounts wait here when the registration.requireApproval setting is on. Oldest first. Only accessible by admins.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: A list of pending users
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Forbidden
+ */
+router.get('/pending-approval', authorize('admin'), getPendingUsers);
+
+/**
+ * @swagger
+ * /users/invitations:
+ *   get:
+ *     summary: Get invitations
+ *     description: Newest first. Only accessible by admins.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, revoked, expired]
+ *         description: Filter by status
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [student, teacher, parent, admin]
+ *         description: Filter by role
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: A list of invitations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Invitation'
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Forbidden
+ *   post:
+ *     summary: Invite someone to create an account
+ *     description: Emails a signed link that expires after INVITATION_EXPIRE_DAYS. The account is created with the invited email and role. This is the only way to create teacher and admin accounts besides an admin creating the user directly. Parent invitations can name students the parent is linked to on accepting. Only accessible by admins.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 enum: [student, teacher, parent, admin]
+ *               firstName:
+ *                 type: string
+ *               lastName:
+ *                 type: string
+ *               students:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Student IDs to link a parent to (parent invitations only)
+ *     responses:
+ *       201:
+ *         description: Invitation created; url holds the invitation link and emailSent tells whether the email went out
+ *       400:
+ *         description: Invalid input, unknown students, the email is already registered or already has a pending invitation
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Forbidden
+ */
+router.route('/invitations')
+  .get(authorize('admin'), getInvitations)
+  .post(authorize('admin'), createInvitation);
+
+/**
+ * @swagger
+ * /users/invitations/{id}:
+ *   delete:
+ *     summary: Revoke an invitation
+ *     description: The invitation link stops working. Only accessible by admins.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invitation ID
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       400:
+ *         description: Invitation has already been accepted
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Invitation not found
+ */
+router.delete('/invitations/:id', authorize('admin'), revokeInvitation);
+
+/**
+ * @swagger
+ * /users/invitations/{id}/resend:
+ *   post:
+ *     summary: Resend an invitation
+ *     description: Emails a new link with a fresh expiry; links sent before stop working. Works for pending and expired invitations. Only accessible by admins.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invitation ID
+ *     responses:
+ *       200:
+ *         description: Invitation resent; url holds the new link and emailSent tells whether the email went out
+ *       400:
+ *         description: Invitation has been accepted or revoked
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Invitation not found
+ */
+router.post('/invitations/:id/resend', authorize('admin'), resendInvitation);
+
 /**
  * @swagger
  * /users/{id}:
@@ -210,4 +412,317 @@ router.get('/parent/students', authorize('parent'), getParentStudents);
 // Student routes
 router.get('/student/teachers', authorize('student'), getStudentTeachers);
 
+/**
+ * @swagger
+ * /users/{id}/transcript:
+ *   get:
+ *     summary: Get a student's transcript
+ *     description: Every course the student took, grouped by term, with credit hours, grades, grade points, term GPA and cumulative GPA. GPAs weight the grade points of the grading.gpaScale setting by credit hours; pass/fail courses only earn credits. Accessible by admins, the student and their parents.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Student ID
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [pdf, csv]
+ *         description: Download the transcript as a file instead of JSON
+ *     responses:
+ *       200:
+ *         description: Transcript
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Unknown format
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Student not found
+ */
+router.get('/:id/transcript', authorize('admin', 'student', 'parent'), getTranscript);
+
+/**
+ * @swagger
+ * /users/{id}/sessions:
+ *   get:
+ *     summary: Get a user's active sessions
+ *     description: List the devices a user is signed in on. Only accessible by admins.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: A list of sessions
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: User not found
+ *   delete:
+ *     summary: Revoke all of a user's sessions
+ *     description: Immediately invalidates every access and refresh token of the user. Only accessible by admins.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: User not found
+ */
+router.route('/:id/sessions')
+  .get(authorize('admin'), getUserSessions)
+  .delete(authorize('admin'), revokeUserSessions);
+
+/**
+ * @swagger
+ * /users/{id}/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke one of a user's sessions
+ *     description: Only accessible by admins.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/:id/sessions/:sessionId', authorize('admin'), revokeUserSession);
+
+/**
+ * @swagger
+ * /users/{id}/unlock:
+ *   put:
+ *     summary: Unlock a user account
+ *     description: Clears the failed login counter and lifts a lockout caused by too many failed logins. Only accessible by admins.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: User not found
+ */
+router.put('/:id/unlock', authorize('admin'), unlockUser);
+
+/**
+ * @swagger
+ * /users/{id}/deactivate:
+ *   put:
+ *     summary: Deactivate (suspend) a user account
+ *     description: The user is signed out of every session and can no longer log in until reactivated. Only accessible by admins.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Account deactivated
+ *       400:
+ *         description: Admins cannot deactivate themselves
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: User not found
+ */
+router.put('/:id/deactivate', authorize('admin'), deactivateUser);
+
+/**
+ * @swagger
+ * /users/{id}/activate:
+ *   put:
+ *     summary: Reactivate a user account
+ *     description: Only accessible by admins.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Account reactivated
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: User not found
+ */
+router.put('/:id/activate', authorize('admin'), activateUser);
+
+/**
+ * @swagger
+ * /users/{id}/two-factor:
+ *   delete:
+ *     summary: Reset a user's two-factor authentication
+ *     description: For users who lost their authenticator device. If two-factor is mandatory for their role they enroll again at their next login. Only accessible by admins.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Two-factor reset
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: User not found
+ */
+router.delete('/:id/two-factor', authorize('admin'), resetUserTwoFactor);
+
+/**
+ * @swagger
+ * /users/{id}/approve:
+ *   put:
+ *     summary: Approve a pending account
+ *     description: The user is emailed and can sign in afterwards. Only accessible by admins.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Account approved
+ *       400:
+ *         description: User is not awaiting approval
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: User not found
+ */
+router.put('/:id/approve', authorize('admin'), approveUser);
+
+/**
+ * @swagger
+ * /users/{id}/reject:
+ *   put:
+ *     summary: Reject a pending account
+ *     description: The user is emailed, with the reason if one is given, and cannot sign in. Only accessible by admins.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Account rejected
+ *       400:
+ *         description: User is not awaiting approval
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: User not found
+ */
+router.put('/:id/reject', authorize('admin'), rejectUser);
+
 module.exports = router;
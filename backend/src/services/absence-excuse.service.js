@@ -0,0 +1,455 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const AbsenceExcuse = require('../models/absence-excuse.model');
+const Attendance = require('../models/attendance.model');
+const AttendanceHistory = require('../models/attendance-history.model');
+const Course = require('../models/course.model');
+const User = require('../models/user.model');
+const Notification = require('../models/notification.model');
+const attendanceService = require('./attendance.service');
+const userService = require('./user.service');
+const { EXCUSE_DOCUMENTS_DIR } = require('./upload.service');
+const { withTransaction } = require('../utils/transaction');
+
+// Documents accepted with an excuse, e.g. a scanned or photographed doctor's note
+const DOCUMENT_TYPES = ['application/pdf', 'image/png', 'image/jpeg'];
+
+/**
+ * Describe the absence an excuse is for, e.g. "Biology (08:00-09:30) on 2/15/2023"
+ * @param {Object} excuse - Excuse
+ * @param {Object} courseDoc - Course document
+ * @returns {string} Description
+ */
+const describeAbsence = (excuse, courseDoc) => {
+  const time = excuse.startTime ? ` (${excuse.startTime}-${excuse.endTime})` : '';
+  return `${courseDoc.name}${time} on ${new Date(excuse.date).toLocaleDateString()}`;
+};
+
+/**
+ * Notify users about an excuse
+ * @param {Object} excuse - Excuse
+ * @param {Array} recipients - Recipient IDs and messages
+ * @param {Object} user - User who took the step
+ * @param {string} title - Notification title
+ */
+const notifyExcuse = async (excuse, recipients, user, title) => {
+  for (const recipient of recipients) {
+    if (recipient.id.toString() === user.id) {
+      continue;
+    }
+
+    await Notification.createNotification({
+      recipient: recipient.id,
+      sender: user.id,
+      type: 'attendance',
+      title,
+      message: recipient.message,
+      relatedResource: {
+        resourceType: 'excuse',
+        resourceId: excuse._id
+      },
+      priority: recipient.priority || 'normal'
+    });
+  }
+};
+
+/**
+ * The student and their parents, with a message for each
+ * @param {Object} studentDoc - Student user document
+ * @param {Function} message - Builds the message from the subject, "Your" or the student's name
+ * @returns {Array} Recipients
+ */
+const studentAndParents = (studentDoc, message) => [
+  { id: studentDoc._id, message: message('Your') },
+  ...(studentDoc.studentDetails?.parentIds || []).map(parentId => ({
+    id: parentId,
+    message: message(`${studentDoc.firstName} ${studentDoc.lastName}'s`),
+    priority: 'high'
+  }))
+];
+
+/**
+ * Get absence excuses. Students see their own, parents their children's,
+ * teachers those of the courses they teach and admins all of them.
+ * @param {Object} queryParams - status, course and student filters
+ * @param {Object} user - Current user object
+ * @returns {Array} Excuses, oldest absence first
+ */
+exports.getExcuses = async (queryParams, user) => {
+  const query = {};
+
+  ['status', 'course', 'student'].forEach(field => {
+    if (queryParams[field]) {
+      query[field] = queryParams[field];
+    }
+  });
+
+  if (user.role === 'student') {
+    query.student = user.id;
+  } else if (user.role === 'parent') {
+    const parent = await User.findById(user.id);
+    const studentIds = (parent.parentDetails?.studentIds || []).map(id => id.toString());
+
+    query.student = query.student
+      ? (studentIds.includes(String(query.student)) ? query.student : null)
+      : { $in: studentIds };
+  } else if (user.role === 'teacher') {
+    const courses = await Course.find({ teacher: user.id }).select('_id');
+    const courseIds = courses.map(course => course._id.toString());
+
+    query.course = query.course
+      ? (courseIds.includes(String(query.course)) ? query.course : null)
+      : { $in: courseIds };
+  }
+
+  return await AbsenceExcuse.find(query)
+    .populate('student', 'firstName lastName')
+    .populate('course', 'name code')
+    .populate('submittedBy', 'firstName lastName role')
+    .populate('reviewedBy', 'firstName lastName')
+    .sort('date -createdAt');
+};
+
+/**
+ * Submit an excuse for a past or future absence. Students submit for
+ * themselves, parents for one of their children. The course teacher is asked
+ * to review it.
+ * @param {Object} excuseData - course, date, optional session, reason, student for parents, and the excuses URL to link the document from
+ * @param {Object} file - Uploaded document, if any
+ * @param {Object} user - Current user object
+ * @returns {Object} Excuse
+ */
+exports.submitExcuse = async (excuseData, file, user) => {
+  let excuse = null;
+
+  try {
+    let student = user.id;
+    let submitter = null;
+
+    if (user.role === 'parent') {
+      const parent = await User.findById(user.id);
+      submitter = `${parent.firstName} ${parent.lastName}`;
+      const studentIds = (parent.parentDetails?.studentIds || []).map(id => id.toString());
+
+      if (!excuseData.student || !studentIds.includes(String(excuseData.student))) {
+        const error = new Error('Please choose one of your children');
+        error.statusCode = 403;
+        throw error;
+      }
+
+      student = String(excuseData.student);
+    } else if (user.role !== 'student') {
+      const error = new Error('Only students and parents can submit absence excuses');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    if (!excuseData.reason || !String(excuseData.reason).trim()) {
+      const error = new Error('Please give a reason for the absence');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (file && !DOCUMENT_TYPES.includes(file.mimetype)) {
+      const error = new Error('The document must be a PDF, PNG or JPEG file');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const courseDoc = await Course.findById(excuseData.course);
+
+    if (!courseDoc) {
+      const error = new Error(`Course not found with id of ${excuseData.course}`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (!courseDoc.students.some(studentId => studentId.toString() === student)) {
+      const error = new Error('Student is not enrolled in this course');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const date = new Date(excuseData.date);
+
+    if (!excuseData.date || isNaN(date)) {
+      const error = new Error('Please give the date of the absence as YYYY-MM-DD');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    date.setUTCHours(0, 0, 0, 0);
+    const session = attendanceService.resolveSession(courseDoc, excuseData.session, date);
+
+    const pending = await AbsenceExcuse.findOne({
+      student,
+      course: courseDoc._id,
+      date,
+      session: session ? session._id : null,
+      status: 'pending'
+    });
+
+    if (pending) {
+      const error = new Error('An excuse for this absence is already waiting for review');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // The document is linked by the excuse's ID, so the ID is chosen up front
+    const excuseId = new mongoose.Types.ObjectId();
+
+    excuse = await AbsenceExcuse.create({
+      _id: excuseId,
+      student,
+      course: courseDoc._id,
+      date,
+      session: session ? session._id : null,
+      startTime: session?.startTime,
+      endTime: session?.endTime,
+      reason: String(excuseData.reason).trim(),
+      document: file
+        ? {
+          fileName: file.originalname,
+          fileUrl: `${excuseData.excusesUrl}/${excuseId}/document`,
+          fileType: file.mimetype,
+          storedName: file.filename
+        }
+        : undefined,
+      submittedBy: user.id
+    });
+
+    const studentDoc = await User.findById(student);
+    const absence = describeAbsence(excuse, courseDoc);
+
+    await notifyExcuse(excuse, [
+      {
+        id: courseDoc.teacher,
+        message: `${submitter || `${studentDoc.firstName} ${studentDoc.lastName}`} submitted an excuse for ${studentDoc.firstName} ${studentDoc.lastName}'s absence from ${absence}`
+      },
+      ...studentAndParents(studentDoc, subject => `${subject} excuse for the absence from ${absence} was submitted for review`)
+    ], user, 'Absence Excuse Submitted');
+
+    return excuse;
+  } catch (err) {
+    // Keep the document only with a saved excuse
+    if (file && !excuse) {
+      fs.unlink(file.path, () => {});
+    }
+    throw err;
+  }
+};
+
+/**
+ * Get the supporting document of an excuse. Only the student, their parents,
+ * the course teacher and admins can see it.
+ * @param {string} excuseId - Excuse ID
+ * @param {Object} user - Current user object
+ * @returns {Object} File name and type, and the path of the stored file
+ */
+exports.getExcuseDocument = async (excuseId, user) => {
+  const excuse = await AbsenceExcuse.findById(excuseId).select('+document.storedName');
+
+  if (!excuse) {
+    const error = new Error(`Excuse not found with id of ${excuseId}`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (user.role === 'teacher') {
+    const courseDoc = await Course.findById(excuse.course);
+
+    if (!courseDoc || courseDoc.teacher.toString() !== user.id) {
+      const error = new Error('Not authorized to access the excuses of this course');
+      error.statusCode = 403;
+      throw error;
+    }
+  } else {
+    await userService.assertCanViewStudent(excuse.student, user, 'excuses');
+  }
+
+  const filePath = excuse.document?.storedName
+    && path.join(EXCUSE_DOCUMENTS_DIR, path.basename(excuse.document.storedName));
+
+  if (!filePath || !fs.existsSync(filePath)) {
+    const error = new Error('This excuse has no document');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return {
+    fileName: excuse.document.fileName,
+    fileType: excuse.document.fileType,
+    path: filePath
+  };
+};
+
+/**
+ * Approve or reject a pending excuse. Approval sets the student's absences
+ * and late arrivals in the excused session, or every session of the day, to
+ * excused, creating the records of a future absence ahead of time. The
+ * records and the decision are written in one transaction, which first claims
+ * the excuse so that it is reviewed only once even when two reviews arrive
+ * together. The student and their parents are told either way.
+ * @param {string} excuseId - Excuse ID
+ * @param {Object} reviewData - status (approved or rejected) and notes
+ * @param {Object} user - Current user object
+ * @returns {Object} Excuse
+ */
+exports.reviewExcuse = async (excuseId, reviewData, user) => {
+  const { status, notes } = reviewData;
+
+  if (!['approved', 'rejected'].includes(status)) {
+    const error = new Error('Please approve or reject the excuse');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const excuse = await AbsenceExcuse.findById(excuseId);
+
+  if (!excuse) {
+    const error = new Error(`Excuse not found with id of ${excuseId}`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const courseDoc = await Course.findById(excuse.course);
+
+  if (user.role === 'teacher' && (!courseDoc || courseDoc.teacher.toString() !== user.id)) {
+    const error = new Error('Not authorized to review excuses for this course');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  if (excuse.status !== 'pending') {
+    const error = new Error(`This excuse has already been ${excuse.status}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // The excused records, their history and the decision are written together
+  const reviewed = await withTransaction(async (session, undo) => {
+    await undo.track(excuse);
+
+    // Claimed before anything else, so that of two reviews at the same time only one goes ahead
+    const claimed = await AbsenceExcuse.findOneAndUpdate(
+      { _id: excuse._id, status: 'pending' },
+      {
+        status,
+        reviewedBy: user.id,
+        reviewedAt: Date.now(),
+        ...(notes ? { reviewNotes: String(notes).trim() } : {})
+      },
+      { new: true, runValidators: true, session }
+    );
+
+    if (!claimed) {
+      const error = new Error('This excuse has already been reviewed');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (status === 'approved') {
+      const existing = await Attendance.find({
+        student: excuse.student,
+        course: excuse.course,
+        date: excuse.date
+      }).session(session);
+      const active = existing.filter(record => !record.deletedAt);
+      const entries = excuse.session
+        ? [courseDoc.schedule.find(entry => entry._id.equals(excuse.session)) || { _id: excuse.session }]
+        : attendanceService.sessionsOn(courseDoc, excuse.date);
+      const isFor = (record, entry) => (entry ? Boolean(record.session && record.session.equals(entry._id)) : !record.session);
+      // A day is recorded whole or per session, never both: a whole-day record
+      // covers every session and any session record rules out a whole-day one
+      const covers = (record, entry) => !record.session || !entry || record.session.equals(entry._id);
+      const excused = excuse.session ? active.filter(record => isFor(record, entries[0])) : active;
+      const records = [];
+
+      for (const record of excused.filter(item => AbsenceExcuse.covers(item.status))) {
+        const oldValues = AttendanceHistory.snapshot(record);
+
+        await undo.track(record);
+        record.status = 'excused';
+        record.lateMinutes = 0;
+        attendanceService.setExcuse(record, { excuseReason: excuse.reason, excuseDocumentUrl: excuse.document?.fileUrl });
+        record.recordedBy = user.id;
+        await record.save({ session });
+
+        undo.created(await AttendanceHistory.record({
+          attendance: record,
+          action: 'update',
+          oldValues,
+          changedBy: user.id,
+          reason: 'Excuse approved',
+          source: 'excuse',
+          session
+        }));
+        records.push(record);
+      }
+
+      // Sessions not recorded yet, or the whole day for a course without sessions that day
+      const missing = (entries.length > 0 ? entries : [null])
+        .filter(entry => !active.some(record => covers(record, entry)));
+
+      for (const entry of missing) {
+        // A deleted record of the session is restored rather than recorded twice
+        const deleted = existing.find(record => record.deletedAt && isFor(record, entry));
+        const oldValues = AttendanceHistory.snapshot(deleted);
+        const record = deleted || new Attendance({
+          student: excuse.student,
+          course: excuse.course,
+          date: excuse.date,
+          session: entry ? entry._id : null,
+          startTime: entry?.startTime,
+          endTime: entry?.endTime,
+          room: entry?.room
+        });
+
+        await undo.track(record);
+        record.deletedAt = undefined;
+        record.deletedBy = undefined;
+        record.deletionReason = undefined;
+        record.status = 'excused';
+        record.lateMinutes = 0;
+        attendanceService.setExcuse(record, { excuseReason: excuse.reason, excuseDocumentUrl: excuse.document?.fileUrl });
+        record.recordedBy = user.id;
+        await record.save({ session });
+
+        undo.created(await AttendanceHistory.record({
+          attendance: record,
+          action: deleted ? 'restore' : 'create',
+          oldValues,
+          changedBy: user.id,
+          reason: 'Excuse approved',
+          source: 'excuse',
+          session
+        }));
+        records.push(record);
+      }
+
+      claimed.attendance = records.map(record => record._id);
+      await claimed.save({ session });
+    }
+
+    return claimed;
+  });
+
+  const studentDoc = await User.findById(reviewed.student);
+
+  if (studentDoc) {
+    const absence = describeAbsence(reviewed, courseDoc);
+    const outcome = status === 'approved'
+      ? 'was approved and the absence is excused'
+      : `was rejected${reviewed.reviewNotes ? `: ${reviewed.reviewNotes}` : ''}`;
+
+    await notifyExcuse(
+      reviewed,
+      studentAndParents(studentDoc, subject => `${subject} excuse for the absence from ${absence} ${outcome}`),
+      user,
+      status === 'approved' ? 'Absence Excuse Approved' : 'Absence Excuse Rejected'
+    );
+  }
+
+  return reviewed;
+};
@@ -3,6 +3,47 @@ const Course = require('../models/course.model');
 const Submission = require('../models/submission.model');
 const User = require('../models/user.model');
 const Notification = require('../models/notification.model');
+const Grade = require('../models/grade.model');
+const GradeHistory = require('../models/grade-history.model');
+const Rubric = require('../models/rubric.model');
+const rubricService = require('./rubric.service');
+const gradingScaleService = require('./grading-scale.service');
+const { withTransaction } = require('../utils/transaction');
+const { describe, histogram } = require('../utils/statistics');
+
+/**
+ * Hide the results of submissions whose grade is not published yet, e.g. while
+ * it waits for a scheduled release, so that students and parents see them
+ * only when the grade comes out
+ * @param {Array} submissions - Plain submission objects of one assignment
+ * @param {string} assignmentId - Assignment ID
+ * @returns {Array} The submissions, graded ones without published grades shown as submitted
+ */
+const hideUnpublishedResults = async (submissions, assignmentId) => {
+  const graded = submissions.filter(submission => submission.status === 'graded');
+  
+  if (graded.length === 0) {
+    return submissions;
+  }
+  
+  const published = await Grade.find({
+    assignment: assignmentId,
+    student: { $in: graded.map(submission => submission.student._id || submission.student) },
+    type: 'assignment',
+    isPublished: true,
+    deletedAt: null
+  }).distinct('student');
+  const publishedIds = new Set(published.map(id => id.toString()));
+  
+  return submissions.map(submission => {
+    if (submission.status !== 'graded' || publishedIds.has((submission.student._id || submission.student).toString())) {
+      return submission;
+    }
+    
+    const { score, feedback, rubricScores, gradedBy, gradedAt, ...rest } = submission;
+    return { ...rest, status: 'submitted' };
+  });
+};
 
 /**
  * Get all assignments with filtering, sorting, and pagination
@@ -131,6 +172,7 @@ exports.getAssignmentById = async (assignmentId, user) => {
     let assignment = await Assignment.findById(assignmentId)
       .populate({ path: 'course', select: 'name code teacher students' })
       .populate({ path: 'createdBy', select: 'firstName lastName' })
+      .populate({ path: 'rubric' })
       .populate({ path: 'submissionIds', select: '_id student submittedAt content status isLate' });
 
     if (!assignment) {
@@ -191,7 +233,7 @@ exports.getAssignmentById = async (assignmentId, user) => {
       
       if (studentSubmission) {
         // Add submission to assignment object
-        assignment.submission = studentSubmission;
+        [assignment.submission] = await hideUnpublishedResults([studentSubmission], assignmentId);
         assignment.hasSubmitted = true;
         
         console.log(`Submission details: id=${studentSubmission._id}, date=${studentSubmission.submittedAt}, status=${studentSubmission.status}`);
@@ -269,7 +311,7 @@ exports.getAssignmentById = async (assignmentId, user) => {
       }).populate('student', 'firstName lastName').lean();
       
       console.log(`Found ${childSubmissions.length} submissions for parent's children`);
-      assignment.childSubmissions = childSubmissions;
+      assignment.childSubmissions = await hideUnpublishedResults(childSubmissions, assignmentId);
     } else {
       // If none of the roles match, user is not authorized
       const error = new Error('Not authorized to access this assignment');
@@ -311,6 +353,10 @@ exports.createAssignment = async (assignmentData, user) => {
     throw error;
   }
   
+  if (assignmentData.rubric !== undefined) {
+    assignmentData.rubric = await rubricService.resolveAssignmentRubric(assignmentData.rubric, course._id);
+  }
+  
   const assignment = await Assignment.create(assignmentData);
   
   // If assignment is published, send notifications to enrolled students
@@ -360,6 +406,14 @@ exports.updateAssignment = async (assignmentId, assignmentData, user) => {
     throw error;
   }
   
+  // A rubric must belong to the assignment's course, including one it is moved to
+  if (assignmentData.rubric !== undefined || (assignmentData.course && assignment.rubric)) {
+    assignmentData.rubric = await rubricService.resolveAssignmentRubric(
+      assignmentData.rubric !== undefined ? assignmentData.rubric : assignment.rubric,
+      assignmentData.course || assignment.course
+    );
+  }
+  
   // Check if assignment is being published
   const isBeingPublished = !assignment.isPublished && assignmentData.isPublished;
   
@@ -589,6 +643,64 @@ exports.getSubmissions = async (assignmentId, user) => {
   return submissions;
 };
 
+/**
+ * Get score statistics of an assignment: submission counts, and the mean,
+ * median, standard deviation, range and quartiles of its grades with how
+ * many fall into each band of the course's grading scale. Grades of every
+ * enrolled student count, published or not.
+ * @param {string} assignmentId - Assignment ID
+ * @param {Object} user - Current user object
+ * @returns {Object} Assignment statistics
+ */
+exports.getAssignmentStats = async (assignmentId, user) => {
+  const assignment = await Assignment.findById(assignmentId);
+  
+  if (!assignment) {
+    const error = new Error(`Assignment not found with id of ${assignmentId}`);
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  const course = await Course.findById(assignment.course);
+  
+  // Make sure user is course teacher or admin
+  if (user.role === 'teacher' && course.teacher.toString() !== user.id) {
+    const error = new Error('Not authorized to view statistics for this assignment');
+    error.statusCode = 403;
+    throw error;
+  }
+  
+  const enrolledIds = new Set(course.students.map(studentId => studentId.toString()));
+  const grades = (await Grade.find({ assignment: assignment._id, deletedAt: null }).select('student score percentage'))
+    .filter(grade => enrolledIds.has(grade.student.toString()));
+  const percentages = grades.map(grade => grade.percentage);
+  const scale = await gradingScaleService.getScaleForCourse(course);
+  const submissions = await assignment.getSubmissionStats();
+  
+  return {
+    assignment: {
+      _id: assignment._id,
+      title: assignment.title,
+      totalPoints: assignment.totalPoints,
+      dueDate: assignment.dueDate
+    },
+    scale: {
+      _id: scale._id,
+      name: scale.name,
+      type: scale.type
+    },
+    enrolled: enrolledIds.size,
+    submissions: {
+      total: submissions.totalSubmissions,
+      onTime: submissions.onTimeSubmissions,
+      late: submissions.lateSubmissions
+    },
+    scores: describe(grades.map(grade => grade.score)),
+    percentages: describe(percentages),
+    distribution: histogram(percentages, scale)
+  };
+};
+
 /**
  * Grade submission
  * @param {string} submissionId - Submission ID
@@ -617,91 +729,122 @@ exports.gradeSubmission = async (submissionId, gradeData, user) => {
       throw error;
     }
     
-    // Update submission with grade and feedback
-    submission.score = gradeData.score;
-    submission.feedback = gradeData.feedback;
-    submission.gradedBy = user.id;
-    submission.gradedAt = Date.now();
-    submission.status = 'graded';
-    
-    await submission.save();
-    
-    // Handle grade record using native MongoDB operation
-    const Grade = require('../models/grade.model');
-    const mongoose = require('mongoose');
-    const now = Date.now();
-    
-    // Get the native collection
-    const gradeCollection = mongoose.connection.collection('grades');
-    
-    // Prepare the update operation
-    const filter = {
-      student: new mongoose.Types.ObjectId(submission.student),
-      course: new mongoose.Types.ObjectId(course._id),
-      assignment: new mongoose.Types.ObjectId(assignment._id),
-      type: 'assignment'
-    };
+    // With a rubric the score is the sum of the chosen levels, scaled to the assignment's points
+    let score = gradeData.score;
+    let rubricScores = [];
     
-    const update = {
-      $set: {
-        score: submission.score,
-        maxScore: assignment.totalPoints,
-        comments: submission.feedback,
-        gradedBy: new mongoose.Types.ObjectId(user.id),
-        gradedAt: now,
-        isPublished: gradeData.publishGrade || false,
-        updatedAt: now
+    if (gradeData.rubricScores) {
+      const rubric = assignment.rubric && await Rubric.findById(assignment.rubric);
+      
+      if (!rubric) {
+        const error = new Error('This assignment has no rubric to grade with');
+        error.statusCode = 400;
+        throw error;
       }
-    };
-    
-    if (gradeData.publishGrade) {
-      update.$set.publishedAt = now;
-    }
-    
-    // Calculate percentage and letter grade
-    const percentage = (submission.score / assignment.totalPoints) * 100;
-    let letterGrade;
-    if (percentage >= 90) {
-      letterGrade = 'A';
-    } else if (percentage >= 80) {
-      letterGrade = 'B';
-    } else if (percentage >= 70) {
-      letterGrade = 'C';
-    } else if (percentage >= 60) {
-      letterGrade = 'D';
-    } else {
-      letterGrade = 'F';
+      
+      const filled = rubric.fill(gradeData.rubricScores);
+      const maxPoints = filled.scores.reduce((total, rubricScore) => total + rubricScore.maxPoints, 0);
+      
+      rubricScores = filled.scores;
+      score = maxPoints === assignment.totalPoints || maxPoints === 0
+        ? filled.points
+        : Math.round(filled.points / maxPoints * assignment.totalPoints * 100) / 100;
     }
     
-    update.$set.percentage = percentage;
-    update.$set.letterGrade = letterGrade;
-    
-    // Add createdAt for new documents
-    update.$setOnInsert = {
-      createdAt: now
-    };
-    
-    // Perform the update operation with upsert
-    const result = await gradeCollection.updateOne(
-      filter,
-      update,
-      { upsert: true }
-    );
-    
-    // Notify student of graded submission
-    await Notification.createNotification({
-      recipient: submission.student,
-      sender: user.id,
-      type: 'grade',
-      title: 'Assignment Graded',
-      message: `Your submission for "${assignment.title}" has been graded`,
-      relatedResource: {
-        resourceType: 'submission',
-        resourceId: submission._id
-      },
-      priority: 'high'
+    // Write the submission and its gradebook entry together
+    const written = await withTransaction(async (session, undo) => {
+      await undo.track(submission);
+      
+      // Update submission with grade and feedback
+      submission.score = score;
+      submission.feedback = gradeData.feedback;
+      submission.rubric = rubricScores.length > 0 ? assignment.rubric : undefined;
+      submission.rubricScores = rubricScores;
+      submission.gradedBy = user.id;
+      submission.gradedAt = Date.now();
+      submission.status = 'graded';
+      
+      await submission.save({ session });
+      
+      let grade = await Grade.findOne({
+        student: submission.student,
+        course: course._id,
+        assignment: assignment._id,
+        type: 'assignment'
+      }).session(session);
+      
+      const oldValues = GradeHistory.snapshot(grade);
+      const wasDeleted = Boolean(grade && grade.deletedAt);
+      const gradeWasPublished = Boolean(grade && grade.isPublished && !wasDeleted);
+      
+      if (!grade) {
+        grade = new Grade({
+          student: submission.student,
+          course: course._id,
+          assignment: assignment._id,
+          type: 'assignment'
+        });
+      }
+      
+      await undo.track(grade);
+      
+      // Grading the submission again restores a deleted grade
+      grade.deletedAt = undefined;
+      grade.deletedBy = undefined;
+      grade.deletionReason = undefined;
+      
+      // Percentage and letter grade are set by the Grade model
+      grade.score = submission.score;
+      grade.maxScore = assignment.totalPoints;
+      grade.comments = submission.feedback;
+      grade.gradedBy = user.id;
+      grade.gradedAt = submission.gradedAt;
+      
+      // publishGrade publishes or withdraws the grade; without it a regraded
+      // grade keeps its publication and a new or restored one waits for release
+      if (gradeData.publishGrade !== undefined) {
+        grade.isPublished = Boolean(gradeData.publishGrade);
+      } else if (!gradeWasPublished) {
+        grade.isPublished = false;
+      }
+      
+      await grade.save({ session });
+      
+      undo.created(await GradeHistory.record({
+        grade,
+        action: !oldValues ? 'create' : wasDeleted ? 'restore' : 'update',
+        oldValues,
+        changedBy: user.id,
+        reason: gradeData.reason,
+        source: 'submission',
+        session
+      }));
+      
+      return {
+        grade,
+        wasPublished: gradeWasPublished,
+        changed: !gradeWasPublished || oldValues.score !== grade.score || oldValues.comments !== grade.comments
+      };
     });
     
+    // Notify student of a newly published or changed grade; an unpublished grade is announced when it is released
+    if (written.grade.isPublished && written.changed) {
+      await Notification.createNotification({
+        recipient: submission.student,
+        sender: user.id,
+        type: 'grade',
+        title: written.wasPublished ? 'Assignment Grade Updated' : 'Assignment Graded',
+        message: written.wasPublished
+          ? `Your grade for "${assignment.title}" was changed to ${written.grade.score}/${written.grade.maxScore}`
+          : `Your submission for "${assignment.title}" has been graded`,
+        relatedResource: {
+          resourceType: 'submission',
+          resourceId: submission._id
+        },
+        priority: 'high'
+      });
+    }
+    
     return submission;
   } catch (error) {
     console.error('Error in gradeSubmission:', error);
@@ -2,6 +2,208 @@ const Attendance = require('../models/attendance.model');
 const Course = require('../models/course.model');
 const User = require('../models/user.model');
 const Notification = require('../models/notification.model');
+const AttendanceHistory = require('../models/attendance-history.model');
+const AbsenceExcuse = require('../models/absence-excuse.model');
+
+const capitalize = (status) => status.charAt(0).toUpperCase() + status.slice(1);
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Longest date range expected sessions are generated for
+const MAX_SESSION_RANGE_DAYS = 366;
+
+/**
+ * Time of a session for messages, e.g. " (08:00-09:30)"; empty for whole-day records
+ * @param {Object} session - Schedule entry or attendance record with start and end times
+ * @returns {string} Label
+ */
+const sessionLabel = (session) => (session && session.startTime ? ` (${session.startTime}-${session.endTime})` : '');
+
+/**
+ * Find the schedule entry attendance is recorded for and make sure the course
+ * meets on that day
+ * @param {Object} courseDoc - Course document
+ * @param {string} sessionId - Schedule entry ID, empty for a whole-day record
+ * @param {Date} date - Attendance date
+ * @returns {Object|null} Schedule entry
+ */
+exports.resolveSession = (courseDoc, sessionId, date) => {
+  if (!sessionId || sessionId === 'null') {
+    return null;
+  }
+  
+  const session = courseDoc.schedule.find(entry => entry._id.toString() === String(sessionId));
+  
+  if (!session) {
+    const error = new Error(`Session not found in the schedule of ${courseDoc.name}`);
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  if (DAYS[date.getUTCDay()] !== session.day) {
+    const error = new Error(`The ${session.startTime}-${session.endTime} session of ${courseDoc.name} is held on ${session.day}s`);
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  return session;
+};
+
+/**
+ * Sessions of a course's schedule held on the weekday of a date, by start time
+ * @param {Object} courseDoc - Course document
+ * @param {Date} date - Date
+ * @returns {Array} Schedule entries
+ */
+exports.sessionsOn = (courseDoc, date) => courseDoc.schedule
+  .filter(entry => entry.day === DAYS[date.getUTCDay()])
+  .sort((a, b) => a.startTime.localeCompare(b.startTime));
+
+/**
+ * Make sure a student's attendance for a day is recorded either for the whole
+ * day or per session, never both, which would count the day twice
+ * @param {string} student - Student ID
+ * @param {Object} courseDoc - Course document
+ * @param {Date} date - Attendance date
+ * @param {Object|null} session - Schedule entry being recorded, null for the whole day
+ */
+const assertNoOverlappingRecord = async (student, courseDoc, date, session) => {
+  const overlapping = await Attendance.findOne({
+    student,
+    course: courseDoc._id,
+    date,
+    session: session ? null : { $ne: null },
+    deletedAt: null
+  });
+  
+  if (overlapping) {
+    const day = `${courseDoc.name} on ${date.toLocaleDateString()}`;
+    const error = new Error(session
+      ? `Attendance for ${day} is recorded for the whole day; correct or delete that record instead`
+      : `Attendance for ${day} is recorded per session; correct or delete those records instead`);
+    error.statusCode = 400;
+    throw error;
+  }
+};
+
+/**
+ * Record an absence or late arrival covered by an approved excuse as excused,
+ * with the excuse's reason and document
+ * @param {Object} values - status, lateMinutes, excuseReason and excuseDocumentUrl sent by the teacher
+ * @param {string} student - Student ID
+ * @param {Object} courseDoc - Course document
+ * @param {Date} date - Attendance date
+ * @param {Object|null} session - Schedule entry
+ * @returns {Object} status, lateMinutes, excuseReason and excuseDocumentUrl to record, and the excuse that applies if any
+ */
+const applyApprovedExcuse = async (values, student, courseDoc, date, session) => {
+  const excuse = AbsenceExcuse.covers(values.status)
+    ? await AbsenceExcuse.findOne({
+      student,
+      course: courseDoc._id,
+      date,
+      status: 'approved',
+      session: { $in: [null, session ? session._id : null] }
+    })
+    : null;
+  
+  if (!excuse) {
+    return {
+      status: values.status,
+      lateMinutes: values.lateMinutes,
+      excuseReason: values.excuseReason,
+      excuseDocumentUrl: values.excuseDocumentUrl,
+      excuse: null
+    };
+  }
+  
+  return {
+    status: 'excused',
+    lateMinutes: 0,
+    excuseReason: excuse.reason,
+    excuseDocumentUrl: excuse.document?.fileUrl,
+    excuse
+  };
+};
+
+/**
+ * Set the excuse reason and document of a record together, so that a new
+ * reason is never shown with the document of an earlier one
+ * @param {Object} record - Attendance record
+ * @param {Object} values - excuseReason and excuseDocumentUrl
+ */
+exports.setExcuse = (record, { excuseReason, excuseDocumentUrl }) => {
+  record.excuseReason = excuseReason;
+  record.excuseDocumentUrl = excuseDocumentUrl;
+};
+
+/**
+ * Load an attendance record with its course, and make sure the user may
+ * change it: the course teacher or an admin
+ * @param {string} attendanceId - Attendance record ID
+ * @param {Object} user - Current user object
+ * @returns {Object} Attendance record and course document
+ */
+const findManagedRecord = async (attendanceId, user) => {
+  const record = await Attendance.findOne({ _id: attendanceId, deletedAt: null });
+  
+  if (!record) {
+    const error = new Error(`Attendance record not found with id of ${attendanceId}`);
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  const courseDoc = await Course.findById(record.course);
+  
+  if (user.role === 'teacher' && (!courseDoc || courseDoc.teacher.toString() !== user.id)) {
+    const error = new Error('Not authorized to change attendance for this course');
+    error.statusCode = 403;
+    throw error;
+  }
+  
+  return { record, courseDoc };
+};
+
+/**
+ * Tell a student and their parents that one of their attendance records changed
+ * @param {Object} record - Attendance document
+ * @param {Object} courseDoc - Course document
+ * @param {Object} user - User who made the change
+ * @param {string} title - Notification title
+ * @param {string} change - What happened, e.g. "was changed from absent to excused"
+ */
+const notifyAttendanceChanged = async (record, courseDoc, user, title, change) => {
+  const studentDoc = await User.findById(record.student);
+  
+  if (!studentDoc) {
+    return;
+  }
+  
+  const day = new Date(record.date).toLocaleDateString();
+  const recipients = [
+    { id: studentDoc._id, message: `Your attendance for ${courseDoc.name}${sessionLabel(record)} on ${day} ${change}`, priority: 'normal' },
+    ...(studentDoc.studentDetails?.parentIds || []).map(parentId => ({
+      id: parentId,
+      message: `The attendance of ${studentDoc.firstName} ${studentDoc.lastName} for ${courseDoc.name}${sessionLabel(record)} on ${day} ${change}`,
+      priority: 'high'
+    }))
+  ];
+  
+  for (const recipient of recipients) {
+    await Notification.createNotification({
+      recipient: recipient.id,
+      sender: user.id,
+      type: 'attendance',
+      title,
+      message: recipient.message,
+      relatedResource: {
+        resourceType: 'attendance',
+        resourceId: record._id
+      },
+      priority: recipient.priority
+    });
+  }
+};
 
 /**
  * Get attendance records with filtering, sorting, and pagination
@@ -29,7 +231,7 @@ exports.getAttendanceRecords = async (queryParams, user) => {
   queryStr = queryStr.replace(/\b(gt|gte|lt|lte|in)\b/g, match => `$${match}`);
   
   // Finding resource
-  query = Attendance.find(JSON.parse(queryStr));
+  query = Attendance.find({ ...JSON.parse(queryStr), deletedAt: null });
   
   // Role-based filtering
   if (user.role === 'student') {
@@ -119,6 +321,7 @@ exports.getAttendanceRecords = async (queryParams, user) => {
  */
 exports.getAttendanceStats = async (params, user) => {
   const { studentId, courseId } = params;
+  const bySession = params.bySession === true || params.bySession === 'true';
   
   // Role-based access control
   if (user.role === 'student') {
@@ -172,7 +375,7 @@ exports.getAttendanceStats = async (params, user) => {
       return stats;
     } else {
       // Get stats for all students in course
-      const stats = await Attendance.getCourseStats(courseId);
+      const stats = await Attendance.getCourseStats(courseId, null, bySession);
       return stats;
     }
   } else if (user.role === 'admin') {
@@ -187,7 +390,7 @@ exports.getAttendanceStats = async (params, user) => {
       return stats;
     } else if (courseId) {
       // Get stats for all students in course
-      const stats = await Attendance.getCourseStats(courseId);
+      const stats = await Attendance.getCourseStats(courseId, null, bySession);
       return stats;
     } else {
       const error = new Error('Student ID or Course ID is required');
@@ -198,13 +401,13 @@ exports.getAttendanceStats = async (params, user) => {
 };
 
 /**
- * Record attendance
+ * Record attendance for a day, or for one session of the course schedule on that day
  * @param {Object} attendanceData - Attendance data
  * @param {Object} user - Current user object
- * @returns {Object} Attendance record
+ * @returns {Object} Attendance record and whether it was created
  */
 exports.recordAttendance = async (attendanceData, user) => {
-  const { student, course, date, status, lateMinutes, excuseReason, excuseDocumentUrl, notes } = attendanceData;
+  const { student, course, date, notes } = attendanceData;
   
   // Check if course exists and user is authorized
   const courseDoc = await Course.findById(course);
@@ -233,31 +436,65 @@ exports.recordAttendance = async (attendanceData, user) => {
     throw error;
   }
   
+  const session = exports.resolveSession(courseDoc, attendanceData.session, new Date(date));
+  await assertNoOverlappingRecord(student, courseDoc, new Date(date), session);
+  
+  const { status, lateMinutes, excuseReason, excuseDocumentUrl, excuse } = await applyApprovedExcuse(
+    attendanceData, student, courseDoc, new Date(date), session
+  );
+  
   // Check if attendance record already exists
   const existingRecord = await Attendance.findOne({
     student,
     course,
-    date: new Date(date)
+    date: new Date(date),
+    session: session ? session._id : null
   });
   
   let attendanceRecord;
+  let isNew = !existingRecord;
+  let previousStatus = null;
   
   if (existingRecord) {
     // Update existing record
+    const oldValues = AttendanceHistory.snapshot(existingRecord);
+    
+    // Recording a deleted record again restores it
+    const wasDeleted = Boolean(existingRecord.deletedAt);
+    
+    if (wasDeleted) {
+      existingRecord.deletedAt = undefined;
+      existingRecord.deletedBy = undefined;
+      existingRecord.deletionReason = undefined;
+      isNew = true;
+    } else {
+      previousStatus = existingRecord.status;
+    }
+    
     existingRecord.status = status;
     existingRecord.lateMinutes = lateMinutes || 0;
-    existingRecord.excuseReason = excuseReason;
-    existingRecord.excuseDocumentUrl = excuseDocumentUrl;
+    exports.setExcuse(existingRecord, { excuseReason, excuseDocumentUrl });
     existingRecord.notes = notes;
     existingRecord.recordedBy = user.id;
     
     attendanceRecord = await existingRecord.save();
+    
+    await AttendanceHistory.record({
+      attendance: attendanceRecord,
+      action: wasDeleted ? 'restore' : 'update',
+      oldValues,
+      changedBy: user.id
+    });
   } else {
     // Create new record
     attendanceRecord = await Attendance.create({
       student,
       course,
       date: new Date(date),
+      session: session ? session._id : null,
+      startTime: session?.startTime,
+      endTime: session?.endTime,
+      room: session?.room,
       status,
       lateMinutes: lateMinutes || 0,
       excuseReason,
@@ -266,6 +503,14 @@ exports.recordAttendance = async (attendanceData, user) => {
       recordedBy: user.id
     });
     
+    await AttendanceHistory.record({
+      attendance: attendanceRecord,
+      action: 'create',
+      changedBy: user.id
+    });
+  }
+  
+  if (isNew) {
     // If student is absent or late, send notification
     if (status === 'absent' || status === 'late') {
       // Notify student
@@ -274,7 +519,7 @@ exports.recordAttendance = async (attendanceData, user) => {
         sender: user.id,
         type: 'attendance',
         title: `Attendance: ${status.charAt(0).toUpperCase() + status.slice(1)}`,
-        message: `You were marked as ${status} for ${courseDoc.name} on ${new Date(date).toLocaleDateString()}`,
+        message: `You were marked as ${status} for ${courseDoc.name}${sessionLabel(session)} on ${new Date(date).toLocaleDateString()}`,
         relatedResource: {
           resourceType: 'attendance',
           resourceId: attendanceRecord._id
@@ -292,7 +537,7 @@ exports.recordAttendance = async (attendanceData, user) => {
           sender: user.id,
           type: 'attendance',
           title: `Attendance: ${status.charAt(0).toUpperCase() + status.slice(1)}`,
-          message: `${studentDoc.firstName} ${studentDoc.lastName} was marked as ${status} for ${courseDoc.name} on ${new Date(date).toLocaleDateString()}`,
+          message: `${studentDoc.firstName} ${studentDoc.lastName} was marked as ${status} for ${courseDoc.name}${sessionLabel(session)} on ${new Date(date).toLocaleDateString()}`,
           relatedResource: {
             resourceType: 'attendance',
             resourceId: attendanceRecord._id
@@ -301,13 +546,25 @@ exports.recordAttendance = async (attendanceData, user) => {
         });
       });
     }
+  } else if (status !== previousStatus) {
+    await notifyAttendanceChanged(
+      attendanceRecord,
+      courseDoc,
+      user,
+      `Attendance Corrected: ${capitalize(status)}`,
+      `was changed from ${previousStatus} to ${status}`
+    );
+  }
+  
+  if (excuse) {
+    await AbsenceExcuse.updateOne({ _id: excuse._id }, { $addToSet: { attendance: attendanceRecord._id } });
   }
   
-  return attendanceRecord;
+  return { record: attendanceRecord, isNew };
 };
 
 /**
- * Bulk record attendance
+ * Bulk record attendance for a day, or for one session of the course schedule on that day
  * @param {Object} bulkData - Bulk attendance data
  * @param {Object} user - Current user object
  * @returns {Array} Array of results
@@ -338,12 +595,13 @@ exports.bulkRecordAttendance = async (bulkData, user) => {
   }
   
   const attendanceDate = new Date(date);
+  const session = exports.resolveSession(courseDoc, bulkData.session, attendanceDate);
   const results = [];
   const notifications = [];
   
   // Process each record
   for (const record of records) {
-    const { student, status, lateMinutes, excuseReason, notes } = record;
+    const { student, notes } = record;
     
     // Check if student is enrolled in course
     const isEnrolled = courseDoc.students.some(
@@ -360,36 +618,83 @@ exports.bulkRecordAttendance = async (bulkData, user) => {
     }
     
     try {
+      await assertNoOverlappingRecord(student, courseDoc, attendanceDate, session);
+      
+      const { status, lateMinutes, excuseReason, excuseDocumentUrl, excuse } = await applyApprovedExcuse(
+        record, student, courseDoc, attendanceDate, session
+      );
+      
       // Check if attendance record already exists
       const existingRecord = await Attendance.findOne({
         student,
         course,
-        date: attendanceDate
+        date: attendanceDate,
+        session: session ? session._id : null
       });
       
       let attendanceRecord;
+      let isNew = !existingRecord;
+      let previousStatus = null;
       
       if (existingRecord) {
         // Update existing record
+        const oldValues = AttendanceHistory.snapshot(existingRecord);
+        
+        // Recording a deleted record again restores it
+        const wasDeleted = Boolean(existingRecord.deletedAt);
+        
+        if (wasDeleted) {
+          existingRecord.deletedAt = undefined;
+          existingRecord.deletedBy = undefined;
+          existingRecord.deletionReason = undefined;
+          isNew = true;
+        } else {
+          previousStatus = existingRecord.status;
+        }
+        
         existingRecord.status = status;
         existingRecord.lateMinutes = lateMinutes || 0;
-        existingRecord.excuseReason = excuseReason;
+        exports.setExcuse(existingRecord, { excuseReason, excuseDocumentUrl });
         existingRecord.notes = notes;
         existingRecord.recordedBy = user.id;
         
         attendanceRecord = await existingRecord.save();
+        
+        await AttendanceHistory.record({
+          attendance: attendanceRecord,
+          action: wasDeleted ? 'restore' : 'update',
+          oldValues,
+          changedBy: user.id,
+          source: 'bulk'
+        });
       } else {
         // Create new record
         attendanceRecord = await Attendance.create({
           student,
           course,
           date: attendanceDate,
+          session: session ? session._id : null,
+          startTime: session?.startTime,
+          endTime: session?.endTime,
+          room: session?.room,
           status,
           lateMinutes: lateMinutes || 0,
           excuseReason,
+          excuseDocumentUrl,
           notes,
           recordedBy: user.id
         });
+        
+        await AttendanceHistory.record({
+          attendance: attendanceRecord,
+          action: 'create',
+          changedBy: user.id,
+          source: 'bulk'
+        });
+      }
+      
+      if (excuse) {
+        await AbsenceExcuse.updateOne({ _id: excuse._id }, { $addToSet: { attendance: attendanceRecord._id } });
       }
       
       results.push({
@@ -399,14 +704,14 @@ exports.bulkRecordAttendance = async (bulkData, user) => {
       });
       
       // If student is absent or late, send notification
-      if (status === 'absent' || status === 'late') {
+      if (isNew && (status === 'absent' || status === 'late')) {
         // Notify student
         await Notification.createNotification({
           recipient: student,
           sender: user.id,
           type: 'attendance',
           title: `Attendance: ${status.charAt(0).toUpperCase() + status.slice(1)}`,
-          message: `You were marked as ${status} for ${courseDoc.name} on ${attendanceDate.toLocaleDateString()}`,
+          message: `You were marked as ${status} for ${courseDoc.name}${sessionLabel(session)} on ${attendanceDate.toLocaleDateString()}`,
           relatedResource: {
             resourceType: 'attendance',
             resourceId: attendanceRecord._id
@@ -424,7 +729,7 @@ exports.bulkRecordAttendance = async (bulkData, user) => {
             sender: user.id,
             type: 'attendance',
             title: `Attendance: ${status.charAt(0).toUpperCase() + status.slice(1)}`,
-            message: `${studentDoc.firstName} ${studentDoc.lastName} was marked as ${status} for ${courseDoc.name} on ${attendanceDate.toLocaleDateString()}`,
+            message: `${studentDoc.firstName} ${studentDoc.lastName} was marked as ${status} for ${courseDoc.name}${sessionLabel(session)} on ${attendanceDate.toLocaleDateString()}`,
             relatedResource: {
               resourceType: 'attendance',
               resourceId: attendanceRecord._id
@@ -432,6 +737,14 @@ exports.bulkRecordAttendance = async (bulkData, user) => {
             priority: 'high'
           });
         });
+      } else if (!isNew && status !== previousStatus) {
+        await notifyAttendanceChanged(
+          attendanceRecord,
+          courseDoc,
+          user,
+          `Attendance Corrected: ${capitalize(status)}`,
+          `was changed from ${previousStatus} to ${status}`
+        );
       }
     } catch (error) {
       results.push({
@@ -444,3 +757,255 @@ exports.bulkRecordAttendance = async (bulkData, user) => {
   
   return results;
 };
+
+/**
+ * List the sessions a course is expected to meet in a date range, generated
+ * from its weekly schedule, with how many of its students have been recorded
+ * for each. Dates are calendar days (UTC), as attendance dates are stored.
+ * @param {Object} queryParams - course, startDate and endDate (YYYY-MM-DD); the range defaults to the coming week
+ * @param {Object} user - Current user object
+ * @returns {Object} Course, range, enrolment and sessions in date and time order
+ */
+exports.getExpectedSessions = async (queryParams, user) => {
+  const { course } = queryParams;
+  
+  if (!course) {
+    const error = new Error('Course ID is required');
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  const courseDoc = await Course.findById(course);
+  
+  if (!courseDoc) {
+    const error = new Error(`Course not found with id of ${course}`);
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  if (user.role === 'teacher' && courseDoc.teacher.toString() !== user.id) {
+    const error = new Error('Not authorized to access this course\'s attendance');
+    error.statusCode = 403;
+    throw error;
+  }
+  
+  const today = new Date(new Date().toISOString().slice(0, 10));
+  const startDate = queryParams.startDate ? new Date(queryParams.startDate) : today;
+  const endDate = queryParams.endDate
+    ? new Date(queryParams.endDate)
+    : new Date(startDate.getTime() + 6 * 24 * 60 * 60 * 1000);
+  
+  if (isNaN(startDate) || isNaN(endDate)) {
+    const error = new Error('Please give the start and end dates as YYYY-MM-DD');
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  startDate.setUTCHours(0, 0, 0, 0);
+  endDate.setUTCHours(0, 0, 0, 0);
+  const days = Math.round((endDate - startDate) / (24 * 60 * 60 * 1000)) + 1;
+  
+  if (days < 1 || days > MAX_SESSION_RANGE_DAYS) {
+    const error = new Error(`The end date must be after the start date and at most ${MAX_SESSION_RANGE_DAYS} days later`);
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  const recorded = await Attendance.aggregate([
+    {
+      $match: {
+        course: courseDoc._id,
+        session: { $ne: null },
+        deletedAt: null,
+        date: { $gte: startDate, $lt: new Date(endDate.getTime() + 24 * 60 * 60 * 1000) }
+      }
+    },
+    {
+      $group: {
+        _id: { date: '$date', session: '$session' },
+        recorded: { $sum: 1 },
+        present: { $sum: { $cond: [{ $eq: ['$status', 'present'] }, 1, 0] } },
+        absent: { $sum: { $cond: [{ $eq: ['$status', 'absent'] }, 1, 0] } },
+        late: { $sum: { $cond: [{ $eq: ['$status', 'late'] }, 1, 0] } },
+        excused: { $sum: { $cond: [{ $eq: ['$status', 'excused'] }, 1, 0] } }
+      }
+    }
+  ]);
+  
+  const countsByKey = new Map(recorded.map(group => [
+    `${group._id.date.toISOString().slice(0, 10)}:${group._id.session}`,
+    group
+  ]));
+  const enrolled = courseDoc.students.length;
+  const sessions = [];
+  
+  for (let index = 0; index < days; index++) {
+    const date = new Date(startDate.getTime() + index * 24 * 60 * 60 * 1000);
+    const day = DAYS[date.getUTCDay()];
+    const isoDate = date.toISOString().slice(0, 10);
+    
+    exports.sessionsOn(courseDoc, date).forEach(entry => {
+      const counts = countsByKey.get(`${isoDate}:${entry._id}`);
+      
+      sessions.push({
+        date: isoDate,
+        session: entry._id,
+        day,
+        startTime: entry.startTime,
+        endTime: entry.endTime,
+        room: entry.room,
+        recorded: counts?.recorded || 0,
+        present: counts?.present || 0,
+        absent: counts?.absent || 0,
+        late: counts?.late || 0,
+        excused: counts?.excused || 0,
+        complete: enrolled > 0 && (counts?.recorded || 0) >= enrolled
+      });
+    });
+  }
+  
+  return {
+    course: { _id: courseDoc._id, name: courseDoc.name, code: courseDoc.code },
+    startDate: startDate.toISOString().slice(0, 10),
+    endDate: endDate.toISOString().slice(0, 10),
+    enrolled,
+    sessions
+  };
+};
+
+/**
+ * Correct a single attendance record. Changing the status needs a reason,
+ * which is kept in the record's history, and the student and their parents
+ * are told about the correction.
+ * @param {string} attendanceId - Attendance record ID
+ * @param {Object} attendanceData - Status, late minutes, excuse, notes and the reason for the change
+ * @param {Object} user - Current user object
+ * @returns {Object} Attendance record
+ */
+exports.updateAttendance = async (attendanceId, attendanceData, user) => {
+  const { record, courseDoc } = await findManagedRecord(attendanceId, user);
+  const reason = attendanceData.reason ? String(attendanceData.reason).trim() : '';
+  const previousStatus = record.status;
+  
+  if (attendanceData.status !== undefined && attendanceData.status !== previousStatus && !reason) {
+    const error = new Error('Please give a reason for changing the attendance status');
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  const oldValues = AttendanceHistory.snapshot(record);
+  
+  ['status', 'lateMinutes', 'excuseReason', 'excuseDocumentUrl', 'notes'].forEach(field => {
+    if (attendanceData[field] !== undefined) {
+      record[field] = attendanceData[field];
+    }
+  });
+  
+  if (record.status !== 'late') {
+    record.lateMinutes = 0;
+  }
+  
+  record.recordedBy = user.id;
+  
+  await record.save();
+  
+  await AttendanceHistory.record({
+    attendance: record,
+    action: 'update',
+    oldValues,
+    changedBy: user.id,
+    reason: reason || undefined,
+    source: 'edit'
+  });
+  
+  if (record.status !== previousStatus) {
+    await notifyAttendanceChanged(
+      record,
+      courseDoc,
+      user,
+      `Attendance Corrected: ${capitalize(record.status)}`,
+      `was changed from ${previousStatus} to ${record.status}${reason ? `: ${reason}` : ''}`
+    );
+  }
+  
+  return record;
+};
+
+/**
+ * Delete an attendance record, e.g. one taken for the wrong day. The record is
+ * kept with the reason but no longer shown or counted; recording it again
+ * restores it.
+ * @param {string} attendanceId - Attendance record ID
+ * @param {string} reason - Why the record is deleted
+ * @param {Object} user - Current user object
+ * @returns {boolean} True if deleted
+ */
+exports.deleteAttendance = async (attendanceId, reason, user) => {
+  if (!reason || !String(reason).trim()) {
+    const error = new Error('Please give a reason for deleting the attendance record');
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  const { record, courseDoc } = await findManagedRecord(attendanceId, user);
+  const oldValues = AttendanceHistory.snapshot(record);
+  
+  record.deletedAt = Date.now();
+  record.deletedBy = user.id;
+  record.deletionReason = String(reason).trim();
+  
+  await record.save();
+  
+  await AttendanceHistory.record({
+    attendance: record,
+    action: 'delete',
+    oldValues,
+    changedBy: user.id,
+    reason: record.deletionReason,
+    source: 'edit'
+  });
+  
+  // Only absences and late arrivals were notified when recorded
+  if (record.status === 'absent' || record.status === 'late') {
+    await notifyAttendanceChanged(
+      record,
+      courseDoc,
+      user,
+      'Attendance Record Removed',
+      `(${record.status}) was removed: ${record.deletionReason}`
+    );
+  }
+  
+  return true;
+};
+
+/**
+ * Get the change history of an attendance record, newest first. Deleted
+ * records keep their history.
+ * @param {string} attendanceId - Attendance record ID
+ * @param {Object} user - Current user object
+ * @returns {Array} History entries
+ */
+exports.getAttendanceHistory = async (attendanceId, user) => {
+  const history = await AttendanceHistory.find({ attendance: attendanceId })
+    .populate('changedBy', 'firstName lastName role')
+    .sort('-createdAt');
+  
+  const record = await Attendance.findById(attendanceId);
+  
+  if (!record && history.length === 0) {
+    const error = new Error(`Attendance record not found with id of ${attendanceId}`);
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  const courseDoc = await Course.findById(record ? record.course : history[0].course);
+  
+  if (user.role === 'teacher' && (!courseDoc || courseDoc.teacher.toString() !== user.id)) {
+    const error = new Error('Not authorized to access the history of this attendance record');
+    error.statusCode = 403;
+    throw error;
+  }
+  
+  return history;
+};
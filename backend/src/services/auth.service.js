@@ -1,15 +1,162 @@
+const crypto = require('crypto');
 const User = require('../models/user.model');
-const jwt = require('jsonwebtoken');
 const admin = require('firebase-admin');
+const tokenService = require('./token.service');
+const passwordService = require('./password.service');
+const twoFactorService = require('./two-factor.service');
+const mailService = require('./mail.service');
+const registrationService = require('./registration.service');
+const invitationService = require('./invitation.service');
 
 /**
- * Register a new user
- * @param {Object} userData - User data
- * @returns {Object} User object and token
+ * Reject users whose account has been deactivated
+ * @param {Object} user - User object
+ */
+const assertActive = (user) => {
+  if (user.active === false) {
+    const error = new Error('Your account has been deactivated. Please contact an administrator');
+    error.statusCode = 403;
+    throw error;
+  }
+};
+
+/**
+ * Build the error returned while an account is locked
+ * @param {Date} lockUntil - End of the lock
+ * @returns {Error} Error with status 423
+ */
+const accountLockedError = (lockUntil) => {
+  const minutes = Math.ceil((lockUntil - Date.now()) / (60 * 1000));
+  const error = new Error(
+    `Account is locked due to too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}`
+  );
+  error.statusCode = 423;
+  return error;
+};
+
+/**
+ * Count a failed login and lock the account once the limit is reached.
+ * Each consecutive lock lasts twice as long as the previous one.
+ * @param {Object} user - User that failed to log in
+ * @returns {Date|null} End of the lock if the account was locked
+ */
+const recordFailedLogin = async (user) => {
+  const maxAttempts = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+  const baseMinutes = parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15;
+  const maxMinutes = parseInt(process.env.LOGIN_LOCK_MAX_MINUTES, 10) || 24 * 60;
+  
+  // Increment atomically so parallel guesses are all counted
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+  
+  if (!updated || updated.failedLoginAttempts < maxAttempts) {
+    return null;
+  }
+  
+  const minutes = Math.min(baseMinutes * 2 ** updated.lockCount, maxMinutes);
+  const lockUntil = new Date(Date.now() + minutes * 60 * 1000);
+  
+  // Only the request that reached the limit applies the lock
+  const locked = await User.updateOne(
+    { _id: user._id, failedLoginAttempts: updated.failedLoginAttempts },
+    { failedLoginAttempts: 0, lockUntil, $inc: { lockCount: 1 } }
+  );
+  
+  return locked.modifiedCount > 0 ? lockUntil : null;
+};
+
+/**
+ * Clear the failed login counter and any lock after a successful login
+ * @param {Object} user - User object
+ */
+const resetFailedLogins = async (user) => {
+  if (user.failedLoginAttempts || user.lockCount || user.lockUntil) {
+    await User.updateOne(
+      { _id: user._id },
+      { failedLoginAttempts: 0, lockCount: 0, $unset: { lockUntil: 1 } }
+    );
+  }
+};
+
+/**
+ * Finish a login whose first factor passed. Users with two-factor enabled get
+ * a challenge token for the code step; users whose role requires two-factor
+ * but who have not enrolled get a challenge token for setup. Accounts still
+ * awaiting approval are turned away.
+ * @param {Object} user - User object
+ * @param {Object} meta - Client metadata (ip, userAgent)
+ * @returns {Object} Either user, token and refresh token, or a challenge
+ */
+const completeLogin = async (user, meta) => {
+  if (user.approvalStatus === 'pending') {
+    const error = new Error('Your account is awaiting approval by an administrator');
+    error.statusCode = 403;
+    throw error;
+  }
+  
+  if (user.approvalStatus === 'rejected') {
+    const error = new Error('Your registration was not approved. Please contact your school administrator');
+    error.statusCode = 403;
+    throw error;
+  }
+  
+  if (user.twoFactorEnabled) {
+    return {
+      twoFactorRequired: true,
+      challengeToken: tokenService.issueChallengeToken(user, 'two_factor')
+    };
+  }
+  
+  if (await twoFactorService.isRequiredForRole(user.role)) {
+    return {
+      twoFactorSetupRequired: true,
+      challengeToken: tokenService.issueChallengeToken(user, 'two_factor_setup')
+    };
+  }
+  
+  const { token, refreshToken } = await tokenService.issueAuthTokens(user, meta);
+  
+  return { user, token, refreshToken };
+};
+
+/**
+ * Pick the profile fields a user may choose for their own new account
+ * @param {Object} userData - Request data
+ * @returns {Object} User fields
+ */
+const pickProfileFields = (userData) => ({
+  firstName: userData.firstName,
+  lastName: userData.lastName,
+  email: userData.email,
+  password: userData.password,
+  phone: userData.phone,
+  dateOfBirth: userData.dateOfBirth
+});
+
+/**
+ * Register a new user. Without an invitation only student and parent accounts
+ * can be created; an invitation fixes the email and role of the account.
+ * @param {Object} userData - User data, optionally with an invitationToken
+ * @param {Object} meta - Client metadata (ip, userAgent)
+ * @returns {Object} User object, token and refresh token, a two-factor challenge,
+ * or approvalPending when an admin must approve the account first
  */
-exports.registerUser = async (userData) => {
+exports.registerUser = async (userData, meta = {}) => {
+  if (userData.invitationToken) {
+    return await exports.acceptInvitation(userData.invitationToken, userData, meta);
+  }
+  
+  const fields = pickProfileFields(userData);
+  fields.role = userData.role || 'student';
+  
+  registrationService.assertSelfRegistrationRole(fields.role);
+  await registrationService.assertSelfRegistrationAllowed(fields.email);
+  
   // Check if user exists
-  const existingUser = await User.findOne({ email: userData.email });
+  const existingUser = await User.findOne({ email: fields.email });
   
   if (existingUser) {
     const error = new Error('User already exists');
@@ -17,22 +164,90 @@ exports.registerUser = async (userData) => {
     throw error;
   }
   
+  passwordService.validatePassword(fields.password);
+  
+  fields.approvalStatus = await registrationService.getInitialApprovalStatus(fields.role);
+  
   // Create user
-  const user = await User.create(userData);
+  const user = await User.create(fields);
   
-  // Generate token
-  const token = generateToken(user);
+  if (user.approvalStatus === 'pending') {
+    await registrationService.notifyAdminsOfPendingUser(user);
+    return { approvalPending: true, user };
+  }
   
-  return { user, token };
+  return await completeLogin(user, meta);
+};
+
+/**
+ * Create an account from an invitation. The account gets the invited email and
+ * role, needs no approval, and a parent is linked to the invited students.
+ * @param {string} invitationToken - Signed invitation token
+ * @param {Object} userData - Profile data and password; email is optional
+ * @param {Object} meta - Client metadata (ip, userAgent)
+ * @returns {Object} User object, token and refresh token, or a two-factor challenge
+ */
+exports.acceptInvitation = async (invitationToken, userData, meta = {}) => {
+  const invitation = await invitationService.verifyInvitationToken(invitationToken);
+  
+  if (userData.email && String(userData.email).trim().toLowerCase() !== invitation.email) {
+    const error = new Error('Please register with the email address the invitation was sent to');
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  const fields = {
+    ...pickProfileFields(userData),
+    firstName: userData.firstName || invitation.firstName,
+    lastName: userData.lastName || invitation.lastName,
+    email: invitation.email,
+    role: invitation.role,
+    approvalStatus: 'approved'
+  };
+  
+  if (invitation.role === 'parent') {
+    fields.parentDetails = { studentIds: invitation.students };
+  }
+  
+  // Check if user exists
+  const existingUser = await User.findOne({ email: fields.email });
+  
+  if (existingUser) {
+    const error = new Error('User already exists');
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  passwordService.validatePassword(fields.password);
+  
+  if (!await invitationService.claimInvitation(invitation)) {
+    const error = new Error('This invitation has already been used');
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  let user;
+  
+  try {
+    user = await User.create(fields);
+  } catch (err) {
+    await invitationService.releaseInvitation(invitation);
+    throw err;
+  }
+  
+  await invitationService.completeInvitation(invitation, user);
+  
+  return await completeLogin(user, meta);
 };
 
 /**
  * Login user with email and password
  * @param {string} email - User email
  * @param {string} password - User password
- * @returns {Object} User object and token
+ * @param {Object} meta - Client metadata (ip, userAgent)
+ * @returns {Object} User object, token and refresh token, or a two-factor challenge
  */
-exports.loginUser = async (email, password) => {
+exports.loginUser = async (email, password, meta = {}) => {
   // Check for user
   const user = await User.findOne({ email }).select('+password');
   
@@ -42,48 +257,217 @@ exports.loginUser = async (email, password) => {
     throw error;
   }
   
+  // Don't even check the password while the account is locked
+  if (user.isLocked) {
+    throw accountLockedError(user.lockUntil);
+  }
+  
   // Check if password matches
   const isMatch = await user.matchPassword(password);
   
   if (!isMatch) {
+    const lockUntil = await recordFailedLogin(user);
+    
+    if (lockUntil) {
+      throw accountLockedError(lockUntil);
+    }
+    
     const error = new Error('Invalid credentials');
     error.statusCode = 401;
     throw error;
   }
   
-  // Generate token
-  const token = generateToken(user);
+  // Only reveal the deactivation to someone who knows the password
+  assertActive(user);
   
-  return { user, token };
+  // A correct password only resets the counter once no second factor is pending
+  if (!user.twoFactorEnabled) {
+    await resetFailedLogins(user);
+  }
+  
+  return await completeLogin(user, meta);
 };
 
 /**
- * Authenticate with Firebase
+ * Second login step: check the two-factor code for a challenge token
+ * @param {string} challengeToken - Challenge token from the password step
+ * @param {string} code - TOTP code or backup code
+ * @param {Object} meta - Client metadata (ip, userAgent)
+ * @returns {Object} User object, token and refresh token
+ */
+exports.verifyTwoFactorLogin = async (challengeToken, code, meta = {}) => {
+  const user = await tokenService.verifyChallengeToken(challengeToken, 'two_factor');
+  
+  if (user.isLocked) {
+    throw accountLockedError(user.lockUntil);
+  }
+  
+  const isValid = await twoFactorService.verifyCode(user._id, code);
+  
+  if (!isValid) {
+    // Wrong codes count towards the same lockout as wrong passwords
+    const lockUntil = await recordFailedLogin(user);
+    
+    if (lockUntil) {
+      throw accountLockedError(lockUntil);
+    }
+    
+    const error = new Error('Invalid two-factor code');
+    error.statusCode = 401;
+    throw error;
+  }
+  
+  await resetFailedLogins(user);
+  
+  const { token, refreshToken } = await tokenService.issueAuthTokens(user, meta);
+  
+  return { user, token, refreshToken };
+};
+
+/**
+ * Start two-factor enrollment
+ * @param {string} userId - User ID
+ * @returns {Object} Secret, otpauth URI and QR code
+ */
+exports.setupTwoFactor = async (userId) => {
+  return await twoFactorService.setup(userId);
+};
+
+/**
+ * Finish two-factor enrollment. When enrolling during a login that required
+ * it, the login is completed and tokens are returned as well.
+ * @param {string} userId - User ID
+ * @param {string} code - Current TOTP code
+ * @param {boolean} completeLoginAfter - Issue tokens after enabling
+ * @param {Object} meta - Client metadata (ip, userAgent)
+ * @returns {Object} User object, backup codes and optionally tokens
+ */
+exports.enableTwoFactor = async (userId, code, completeLoginAfter = false, meta = {}) => {
+  const { user, backupCodes } = await twoFactorService.enable(userId, code);
+  
+  if (!completeLoginAfter) {
+    return { user, backupCodes };
+  }
+  
+  await resetFailedLogins(user);
+  
+  const { token, refreshToken } = await tokenService.issueAuthTokens(user, meta);
+  
+  return { user, backupCodes, token, refreshToken };
+};
+
+/**
+ * Turn two-factor authentication off after confirming password and code
+ * @param {string} userId - User ID
+ * @param {string} password - Current password
+ * @param {string} code - TOTP code or backup code
+ * @returns {Object} Updated user object
+ */
+exports.disableTwoFactor = async (userId, password, code) => {
+  if (!password || !code) {
+    const error = new Error('Please provide your password and a two-factor code');
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  const user = await User.findById(userId).select('+password');
+  
+  if (!user || !(await user.matchPassword(password))) {
+    const error = new Error('Password is incorrect');
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  if (!(await twoFactorService.verifyCode(userId, code))) {
+    const error = new Error('Invalid two-factor code');
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  return await twoFactorService.disable(userId);
+};
+
+/**
+ * Replace the backup codes after confirming a code
+ * @param {string} userId - User ID
+ * @param {string} code - TOTP code or backup code
+ * @returns {Array} New backup codes
+ */
+exports.regenerateBackupCodes = async (userId, code) => {
+  if (!(await twoFactorService.verifyCode(userId, code))) {
+    const error = new Error('Invalid two-factor code');
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  return await twoFactorService.regenerateBackupCodes(userId);
+};
+
+/**
+ * Authenticate with Firebase. Unknown identities are linked to an existing
+ * account by verified email or get a new student account, as the registration
+ * policy allows.
  * @param {string} idToken - Firebase ID token
- * @returns {Object} User object and token
+ * @param {Object} meta - Client metadata (ip, userAgent)
+ * @returns {Object} User object, token and refresh token, a two-factor challenge,
+ * or approvalPending when an admin must approve the account first
  */
-exports.firebaseAuth = async (idToken) => {
+exports.firebaseAuth = async (idToken, meta = {}) => {
   // Verify Firebase token
   const decodedToken = await admin.auth().verifyIdToken(idToken);
-  const { uid, email, name } = decodedToken;
+  const { uid, email, name, email_verified: emailVerified } = decodedToken;
   
   // Check if user exists
   let user = await User.findOne({ firebaseUid: uid });
   
   if (!user && email) {
-    // Create new user if not exists
-    const names = name ? name.split(' ') : ['New', 'User'];
-    const firstName = names[0];
-    const lastName = names.length > 1 ? names[names.length - 1] : '';
+    const existingUser = await User.findOne({ email });
     
-    user = await User.create({
-      firebaseUid: uid,
-      email,
-      firstName,
-      lastName,
-      password: Math.random().toString(36).slice(-8), // Generate random password
-      role: 'student' // Default role
-    });
+    if (existingUser) {
+      // Only a verified email proves the Firebase identity owns the account
+      const linkByVerifiedEmail = await registrationService.isLinkByVerifiedEmailEnabled();
+      
+      if (!linkByVerifiedEmail || !emailVerified || existingUser.firebaseUid) {
+        const error = new Error('An account with this email already exists. Please sign in with your password');
+        error.statusCode = 409;
+        throw error;
+      }
+      
+      existingUser.firebaseUid = uid;
+      await existingUser.save({ validateBeforeSave: false });
+      user = existingUser;
+    } else {
+      // The school domain check means nothing unless Firebase verified the address
+      if (!emailVerified) {
+        const error = new Error('Please verify your email address before signing up');
+        error.statusCode = 403;
+        throw error;
+      }
+      
+      await registrationService.assertSelfRegistrationAllowed(email);
+      
+      // Create new user if not exists
+      const names = name ? name.split(' ') : ['New', 'User'];
+      const firstName = names[0];
+      const lastName = names.length > 1 ? names.slice(1).join(' ') : '-';
+      const approvalStatus = await registrationService.getInitialApprovalStatus('student');
+      
+      user = await User.create({
+        firebaseUid: uid,
+        email,
+        firstName,
+        lastName,
+        // Firebase users sign in through Firebase; this password is never handed out
+        password: crypto.randomBytes(32).toString('hex'),
+        role: 'student', // Default role
+        approvalStatus
+      });
+      
+      if (approvalStatus === 'pending') {
+        await registrationService.notifyAdminsOfPendingUser(user);
+        return { approvalPending: true, user };
+      }
+    }
   }
   
   if (!user) {
@@ -92,10 +476,173 @@ exports.firebaseAuth = async (idToken) => {
     throw error;
   }
   
-  // Generate token
-  const token = generateToken(user);
+  assertActive(user);
+  
+  return await completeLogin(user, meta);
+};
+
+/**
+ * Refresh an access token
+ * @param {string} refreshToken - Refresh token issued at login or by a previous refresh
+ * @param {Object} meta - Client metadata (ip, userAgent)
+ * @returns {Object} User object, token and rotated refresh token
+ */
+exports.refreshAuthToken = async (refreshToken, meta = {}) => {
+  return await tokenService.rotateRefreshToken(refreshToken, meta);
+};
+
+/**
+ * Send a password reset email
+ * @param {string} email - Email address of the account
+ * @returns {boolean} True once the request is handled
+ */
+exports.forgotPassword = async (email) => {
+  if (!email) {
+    const error = new Error('Please provide an email');
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  const user = await User.findOne({ email });
+  
+  // Respond the same way for unknown emails so accounts cannot be enumerated
+  if (!user) {
+    return true;
+  }
+  
+  const resetToken = user.getResetPasswordToken();
+  await user.save({ validateBeforeSave: false });
+  
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+  const resetUrl = `${clientUrl}/reset-password/${resetToken}`;
+  
+  try {
+    await mailService.sendMail({
+      to: user.email,
+      subject: 'MySchool password reset',
+      text: `Hello ${user.firstName},\n\n` +
+        `Someone requested a password reset for your MySchool account. ` +
+        `Open the link below to choose a new password:\n\n${resetUrl}\n\n` +
+        `In the mobile app, enter this reset code instead: ${resetToken}\n\n` +
+        `If you did not request this, you can ignore this email.`
+    });
+  } catch (err) {
+    // Logged only: an error response would reveal that the account exists
+    console.error('Error sending password reset email:', err);
+    
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+  }
+  
+  return true;
+};
+
+/**
+ * Reset password with a token from the reset email
+ * @param {string} resetToken - Raw reset token
+ * @param {string} password - New password
+ * @param {Object} meta - Client metadata (ip, userAgent)
+ * @returns {Object} User object, token and refresh token, or a two-factor challenge
+ */
+exports.resetPassword = async (resetToken, password, meta = {}) => {
+  passwordService.validatePassword(password);
+  
+  const resetPasswordToken = crypto
+    .createHash('sha256')
+    .update(resetToken)
+    .digest('hex');
+  
+  const user = await User.findOne({
+    resetPasswordToken,
+    resetPasswordExpire: { $gt: Date.now() }
+  }).select('+password +passwordHistory');
+  
+  if (!user) {
+    const error = new Error('Invalid or expired reset token');
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  assertActive(user);
+  
+  await passwordService.applyNewPassword(user, password);
+  user.passwordChangedAt = Date.now();
+  user.resetPasswordToken = undefined;
+  user.resetPasswordExpire = undefined;
+  // Proving access to the email also lifts a lockout
+  user.failedLoginAttempts = 0;
+  user.lockCount = 0;
+  user.lockUntil = undefined;
+  await user.save();
+  
+  // Whoever knew the old password must not stay signed in
+  user.tokenVersion = await tokenService.revokeAllSessions(user._id);
+  
+  // A reset proves access to the email only, so the second factor still applies
+  return await completeLogin(user, meta);
+};
+
+/**
+ * Change the password of a signed-in user. Every session is revoked and a
+ * fresh session is issued for the device that made the change.
+ * @param {string} userId - User ID
+ * @param {string} currentPassword - Current password
+ * @param {string} newPassword - New password
+ * @param {Object} meta - Client metadata (ip, userAgent)
+ * @returns {Object} User object, token and refresh token
+ */
+exports.changePassword = async (userId, currentPassword, newPassword, meta = {}) => {
+  if (!currentPassword || !newPassword) {
+    const error = new Error('Please provide your current and new password');
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  const user = await User.findById(userId).select('+password +passwordHistory');
+  
+  if (!user) {
+    const error = new Error(`User not found with id of ${userId}`);
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  const isMatch = await user.matchPassword(currentPassword);
   
-  return { user, token };
+  // 400 rather than 401: the session is valid, only the confirmation failed
+  if (!isMatch) {
+    const error = new Error('Current password is incorrect');
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  await passwordService.applyNewPassword(user, newPassword);
+  user.passwordChangedAt = Date.now();
+  await user.save();
+  
+  // Sign out every other device; this one gets a new session below
+  user.tokenVersion = await tokenService.revokeAllSessions(user._id);
+  
+  const { token, refreshToken } = await tokenService.issueAuthTokens(user, meta);
+  
+  return { user, token, refreshToken };
+};
+
+/**
+ * Get the password policy new passwords must satisfy
+ * @returns {Object} Password policy
+ */
+exports.getPasswordPolicy = () => {
+  return passwordService.getPasswordPolicy();
+};
+
+/**
+ * Get the details of an invitation for its landing page
+ * @param {string} invitationToken - Signed invitation token
+ * @returns {Object} Invitation details
+ */
+exports.getInvitation = async (invitationToken) => {
+  return await invitationService.getInvitationByToken(invitationToken);
 };
 
 /**
@@ -116,14 +663,41 @@ exports.getUserById = async (userId) => {
 };
 
 /**
- * Generate JWT token
- * @param {Object} user - User object
- * @returns {string} JWT token
+ * Log out of the current session
+ * @param {Object} payload - Decoded access token of the request
+ * @returns {boolean} True if logged out
  */
-const generateToken = (user) => {
-  return jwt.sign(
-    { id: user._id, role: user.role },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE }
-  );
+exports.logoutUser = async (payload) => {
+  await tokenService.endSession(payload, 'logout');
+  return true;
+};
+
+/**
+ * Log out of every session of a user
+ * @param {string} userId - User ID
+ * @returns {boolean} True if logged out
+ */
+exports.logoutAllSessions = async (userId) => {
+  await tokenService.revokeAllSessions(userId);
+  return true;
+};
+
+/**
+ * Get the active sessions of a user
+ * @param {string} userId - User ID
+ * @param {Object} payload - Decoded access token of the request
+ * @returns {Array} Array of sessions
+ */
+exports.getSessions = async (userId, payload = {}) => {
+  return await tokenService.getSessions(userId, payload.sid);
+};
+
+/**
+ * Revoke one of the user's own sessions
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @returns {boolean} True if revoked
+ */
+exports.revokeSession = async (userId, sessionId) => {
+  return await tokenService.revokeSession(userId, sessionId);
 };
@@ -1,6 +1,68 @@
 const Course = require('../models/course.model');
+const Assignment = require('../models/assignment.model');
 const User = require('../models/user.model');
 const EnrollmentRequest = require('../models/enrollment-request.model');
+const GradingScale = require('../models/grading-scale.model');
+const Grade = require('../models/grade.model');
+const gradingScaleService = require('./grading-scale.service');
+const { describe, histogram } = require('../utils/statistics');
+
+/**
+ * Make sure a grading scale assigned to a course exists
+ * @param {string} scaleId - Grading scale ID; empty keeps the school default
+ */
+const assertGradingScaleExists = async (scaleId) => {
+  if (scaleId && !(await GradingScale.exists({ _id: scaleId }))) {
+    const error = new Error(`Grading scale not found with id of ${scaleId}`);
+    error.statusCode = 400;
+    throw error;
+  }
+};
+
+/**
+ * Check course grade categories: one per grade type, with weights adding up to 100
+ * @param {Array} categories - Grade categories; empty averages grades by their own weight
+ */
+const validateGradeCategories = (categories) => {
+  if (categories === undefined || categories === null) {
+    return;
+  }
+  
+  const invalid = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  };
+  
+  if (!Array.isArray(categories)) {
+    throw invalid('Grade categories must be an array');
+  }
+  
+  if (categories.length === 0) {
+    return;
+  }
+  
+  const gradeTypes = Grade.schema.path('type').enumValues;
+  const types = categories.map(category => category.type);
+  
+  const unknown = types.find(type => !gradeTypes.includes(type));
+  if (unknown !== undefined) {
+    throw invalid(`Unknown grade type ${unknown}. Use one of: ${gradeTypes.join(', ')}`);
+  }
+  
+  if (new Set(types).size !== types.length) {
+    throw invalid('Each grade type can only have one category');
+  }
+  
+  const totalWeight = categories.reduce((sum, category) => sum + Number(category.weight || 0), 0);
+  if (Math.abs(totalWeight - 100) > 0.01) {
+    throw invalid(`Category weights must add up to 100 (currently ${totalWeight})`);
+  }
+  
+  if (categories.some(category => !Number.isInteger(Number(category.dropLowest || 0)))) {
+    throw invalid('The number of grades to drop must be a whole number');
+  }
+};
 
 /**
  * Get all courses with filtering, sorting, and pagination
@@ -206,6 +268,9 @@ exports.createCourse = async (courseData, user) => {
     throw error;
   }
   
+  await assertGradingScaleExists(courseData.gradingScale);
+  validateGradeCategories(courseData.gradeCategories);
+  
   // Create course
   const course = await Course.create(courseData);
   
@@ -235,11 +300,27 @@ exports.updateCourse = async (courseId, courseData, user) => {
     throw error;
   }
   
+  // An empty grading scale switches the course back to the school default
+  if (courseData.gradingScale === '') {
+    courseData.gradingScale = null;
+  }
+  
+  await assertGradingScaleExists(courseData.gradingScale);
+  validateGradeCategories(courseData.gradeCategories);
+  
+  const previousScale = course.gradingScale ? course.gradingScale.toString() : null;
+  
   course = await Course.findByIdAndUpdate(courseId, courseData, {
     new: true,
     runValidators: true
   });
   
+  // Re-label existing grades when the course switches scales
+  const currentScale = course.gradingScale ? course.gradingScale.toString() : null;
+  if (currentScale !== previousScale) {
+    await gradingScaleService.refreshLetterGrades([course._id]);
+  }
+  
   return course;
 };
 
@@ -496,3 +577,180 @@ exports.getCourseMaterials = async (courseId, user) => {
   
   return course.materials;
 };
+
+/**
+ * Most frequent value in a list, the first one seen on a tie
+ * @param {Array} values - Values
+ * @returns {*} Most frequent value, undefined for an empty list
+ */
+const mostCommon = (values) => {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  
+  let best;
+  counts.forEach((count, value) => {
+    if (best === undefined || count > counts.get(best)) {
+      best = value;
+    }
+  });
+  
+  return best;
+};
+
+/**
+ * Get the gradebook of a course: a column per assignment and per other grade
+ * type in use, and a row per enrolled student with their grades and total.
+ * Totals cover every recorded grade, including unpublished ones.
+ * @param {string} courseId - Course ID
+ * @param {Object} user - Current user object
+ * @returns {Object} Course, grading scale, columns and student rows
+ */
+exports.getGradebook = async (courseId, user) => {
+  const course = await Course.findById(courseId)
+    .populate({
+      path: 'students',
+      select: 'firstName lastName email studentDetails.studentId',
+      options: { sort: { lastName: 1, firstName: 1 } }
+    });
+  
+  if (!course) {
+    const error = new Error(`Course not found with id of ${courseId}`);
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  if (user.role === 'teacher' && course.teacher.toString() !== user.id) {
+    const error = new Error('Not authorized to access the gradebook of this course');
+    error.statusCode = 403;
+    throw error;
+  }
+  
+  const assignments = await Assignment.find({ course: course._id })
+    .select('title dueDate totalPoints')
+    .sort('dueDate');
+  
+  const enrolledIds = new Set(course.students.map(student => student._id.toString()));
+  const grades = (await Grade.find({ course: course._id, deletedAt: null }).populate('assignment', 'title'))
+    .filter(grade => enrolledIds.has(grade.student.toString()));
+  
+  const scale = await gradingScaleService.getScaleForCourse(course);
+  
+  const columnKey = (grade) => (grade.assignment
+    ? `assignment:${grade.assignment._id}`
+    : `type:${grade.type}`);
+  
+  const columns = assignments.map(assignment => {
+    const assignmentGrades = grades.filter(grade => grade.assignment && grade.assignment._id.equals(assignment._id));
+    
+    return {
+      key: `assignment:${assignment._id}`,
+      assignment: assignment._id,
+      type: mostCommon(assignmentGrades.map(grade => grade.type)) || 'assignment',
+      title: assignment.title,
+      maxScore: assignment.totalPoints,
+      dueDate: assignment.dueDate
+    };
+  });
+  
+  // Grades recorded without an assignment get one column per grade type
+  const gradeTypes = Grade.schema.path('type').enumValues;
+  gradeTypes.forEach(type => {
+    const typeGrades = grades.filter(grade => !grade.assignment && grade.type === type);
+    
+    if (typeGrades.length > 0) {
+      columns.push({
+        key: `type:${type}`,
+        assignment: null,
+        type,
+        title: type.charAt(0).toUpperCase() + type.slice(1),
+        maxScore: mostCommon(typeGrades.map(grade => grade.maxScore)),
+        dueDate: null
+      });
+    }
+  });
+  
+  const students = course.students.map(student => {
+    const studentGrades = grades.filter(grade => grade.student.equals(student._id));
+    const summary = Grade.summarizeGrades(studentGrades, course, scale);
+    const cells = {};
+    
+    studentGrades.forEach(grade => {
+      cells[columnKey(grade)] = {
+        _id: grade._id,
+        score: grade.score,
+        maxScore: grade.maxScore,
+        percentage: grade.percentage,
+        letterGrade: grade.letterGrade,
+        isPublished: grade.isPublished,
+        isExtraCredit: grade.isExtraCredit,
+        comments: grade.comments
+      };
+    });
+    
+    return {
+      student: {
+        _id: student._id,
+        firstName: student.firstName,
+        lastName: student.lastName,
+        email: student.email,
+        studentId: student.studentDetails?.studentId || null
+      },
+      grades: cells,
+      total: {
+        percentage: summary.percentage,
+        letterGrade: summary.letterGrade,
+        passing: summary.passing,
+        totalGrades: summary.totalGrades
+      }
+    };
+  });
+  
+  return {
+    course: {
+      _id: course._id,
+      name: course.name,
+      code: course.code,
+      academicYear: course.academicYear,
+      semester: course.semester,
+      gradeCategories: course.gradeCategories
+    },
+    scale,
+    columns,
+    students
+  };
+};
+
+/**
+ * Get grade statistics of a course from its gradebook: the spread of the
+ * students' course totals with how many fall into each band of the grading
+ * scale, and the statistics of every gradebook column, all in percent.
+ * Students without any grade are counted as ungraded, not as 0%
+ * @param {string} courseId - Course ID
+ * @param {Object} user - Current user object
+ * @returns {Object} Course statistics
+ */
+exports.getCourseStats = async (courseId, user) => {
+  const gradebook = await exports.getGradebook(courseId, user);
+  // Students without grades have a total of 0%, which is not a result
+  const graded = gradebook.students.filter(row => row.total.totalGrades > 0);
+  const totals = graded.map(row => row.total.percentage);
+  
+  return {
+    course: gradebook.course,
+    scale: {
+      _id: gradebook.scale._id,
+      name: gradebook.scale.name,
+      type: gradebook.scale.type
+    },
+    enrolled: gradebook.students.length,
+    ungraded: gradebook.students.length - graded.length,
+    totals: describe(totals),
+    distribution: histogram(totals, gradebook.scale),
+    columns: gradebook.columns.map(column => ({
+      ...column,
+      stats: describe(gradebook.students
+        .map(row => row.grades[column.key]?.percentage)
+        .filter(percentage => percentage !== null && percentage !== undefined))
+    }))
+  };
+};
@@ -0,0 +1,381 @@
+const GradeRelease = require('../models/grade-release.model');
+const Grade = require('../models/grade.model');
+const GradeHistory = require('../models/grade-history.model');
+const Assignment = require('../models/assignment.model');
+const Course = require('../models/course.model');
+const User = require('../models/user.model');
+const Notification = require('../models/notification.model');
+const { withTransaction } = require('../utils/transaction');
+
+// A release left in progress this long, e.g. by a restart, is picked up again
+const STALE_RELEASE_MINUTES = 10;
+
+// Tries before a release is given up on, so one broken release cannot block the rest
+const MAX_RELEASE_ATTEMPTS = 5;
+
+/**
+ * Make sure the user may release grades of a course: its teacher or an admin
+ * @param {Object} course - Course document
+ * @param {Object} user - Current user object
+ */
+const assertCanReleaseCourse = (course, user) => {
+  if (user.role === 'teacher' && course.teacher.toString() !== user.id) {
+    const error = new Error('Not authorized to release grades for this course');
+    error.statusCode = 403;
+    throw error;
+  }
+};
+
+/**
+ * Work out what a release is for: an assignment, or a course and grade type
+ * @param {Object} data - assignment, or course and type
+ * @param {Object} user - Current user object
+ * @returns {Object} Course ID, assignment ID (or null) and type (or null)
+ */
+const resolveTarget = async ({ course, assignment, type }, user) => {
+  let courseId = course;
+
+  if (assignment) {
+    const assignmentDoc = await Assignment.findById(assignment).select('course');
+
+    if (!assignmentDoc) {
+      const error = new Error(`Assignment not found with id of ${assignment}`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    courseId = assignmentDoc.course;
+  } else if (!course || !type) {
+    const error = new Error('Please provide an assignment, or a course and grade type');
+    error.statusCode = 400;
+    throw error;
+  } else if (!Grade.schema.path('type').enumValues.includes(type)) {
+    const error = new Error(`Unknown grade type ${type}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const courseDoc = await Course.findById(courseId).select('teacher');
+
+  if (!courseDoc) {
+    const error = new Error(`Course not found with id of ${courseId}`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  assertCanReleaseCourse(courseDoc, user);
+
+  return {
+    course: courseDoc._id,
+    assignment: assignment || null,
+    type: assignment ? null : type
+  };
+};
+
+/**
+ * Query for the unpublished grades a release covers
+ * @param {Object} release - Release or target
+ * @returns {Object} Grade query
+ */
+const pendingGradesQuery = (release) => ({
+  course: release.course,
+  assignment: release.assignment || null,
+  ...(release.assignment ? {} : { type: release.type }),
+  isPublished: false,
+  deletedAt: null
+});
+
+/**
+ * Tell students and their parents about newly published grades, in one batch
+ * @param {Array} grades - Published grades
+ * @param {Object} release - Release that published them
+ */
+const notifyReleased = async (grades, release) => {
+  if (grades.length === 0) {
+    return;
+  }
+
+  const course = await Course.findById(release.course).select('name');
+  const assignment = release.assignment ? await Assignment.findById(release.assignment).select('title') : null;
+  const label = assignment ? assignment.title : release.type;
+  const students = await User.find({ _id: { $in: grades.map(grade => grade.student) } })
+    .select('firstName lastName studentDetails.parentIds');
+  const studentsById = new Map(students.map(student => [student._id.toString(), student]));
+  const notifications = [];
+
+  grades.forEach(grade => {
+    const student = studentsById.get(grade.student.toString());
+
+    if (!student) {
+      return;
+    }
+
+    const notification = {
+      sender: release.createdBy,
+      type: 'grade',
+      title: 'New Grade Posted',
+      relatedResource: {
+        resourceType: 'grade',
+        resourceId: grade._id
+      },
+      priority: 'high'
+    };
+
+    notifications.push({
+      ...notification,
+      recipient: student._id,
+      message: `A new grade has been posted for ${course.name}: ${label}`
+    });
+
+    (student.studentDetails?.parentIds || []).forEach(parentId => {
+      notifications.push({
+        ...notification,
+        recipient: parentId,
+        message: `A new grade has been posted for ${student.firstName} ${student.lastName} in ${course.name}: ${label}`
+      });
+    });
+  });
+
+  await Notification.insertMany(notifications);
+};
+
+/**
+ * Tell the user who scheduled a release that it was given up on
+ * @param {Object} release - Release document
+ * @param {Error} err - Error of the last try
+ */
+const notifyFailed = async (release, err) => {
+  try {
+    await Notification.createNotification({
+      recipient: release.createdBy,
+      type: 'grade',
+      title: 'Grade Release Failed',
+      message: `Grades scheduled for release on ${release.releaseAt.toLocaleString()} could not be published ` +
+        `after ${release.attempts} tries (${err.message}). They stay unpublished; please release them again.`,
+      priority: 'high'
+    });
+  } catch (notifyErr) {
+    console.error('Failed to send grade release failure notification:', notifyErr);
+  }
+};
+
+/**
+ * Publish the grades of a release that has been claimed for releasing, then notify
+ * @param {Object} release - Release document with status releasing
+ * @returns {Object} Released release
+ */
+const publishRelease = async (release) => {
+  const releasedAt = new Date();
+  let grades;
+
+  try {
+    grades = await withTransaction(async (session, undo) => {
+      const pending = await Grade.find(pendingGradesQuery(release)).session(session);
+
+      await undo.track(release);
+      for (const grade of pending) {
+        await undo.track(grade);
+      }
+
+      await Grade.updateMany(
+        { _id: { $in: pending.map(grade => grade._id) } },
+        { isPublished: true, publishedAt: releasedAt },
+        { session }
+      );
+
+      for (const grade of pending) {
+        const oldValues = GradeHistory.snapshot(grade);
+        grade.isPublished = true;
+
+        undo.created(await GradeHistory.record({
+          grade,
+          action: 'update',
+          oldValues,
+          changedBy: release.createdBy,
+          source: 'release',
+          session
+        }));
+      }
+
+      release.status = 'released';
+      release.releasedAt = releasedAt;
+      release.releasedCount = pending.length;
+      await release.save({ session });
+
+      return pending;
+    });
+  } catch (err) {
+    // Left for the next run of the job, unless it has failed too often
+    const failed = release.attempts >= MAX_RELEASE_ATTEMPTS;
+
+    await GradeRelease.updateOne(
+      { _id: release._id },
+      { status: failed ? 'failed' : 'scheduled', lastError: err.message }
+    );
+
+    if (failed) {
+      await notifyFailed(release, err);
+    }
+    throw err;
+  }
+
+  // The grades are out; a failed notification must not undo that
+  try {
+    await notifyReleased(grades, release);
+  } catch (err) {
+    console.error('Failed to send grade release notifications:', err);
+  }
+
+  return release;
+};
+
+/**
+ * Claim a due release so that it is published only once, even with several servers
+ * @param {Object} query - Extra conditions for the release to claim
+ * @returns {Object|null} Claimed release
+ */
+const claimDueRelease = async (query = {}) => await GradeRelease.findOneAndUpdate(
+  { ...query, status: 'scheduled', releaseAt: { $lte: new Date() } },
+  { status: 'releasing', $inc: { attempts: 1 } },
+  { new: true, sort: { releaseAt: 1 } }
+);
+
+/**
+ * Get grade releases of a course or assignment, with the number of grades
+ * a scheduled release will publish
+ * @param {Object} queryParams - course, assignment and status filters
+ * @param {Object} user - Current user object
+ * @returns {Array} Releases, latest release time first
+ */
+exports.getReleases = async (queryParams, user) => {
+  const query = {};
+
+  ['course', 'assignment', 'status'].forEach(field => {
+    if (queryParams[field]) {
+      query[field] = String(queryParams[field]);
+    }
+  });
+
+  if (user.role === 'teacher') {
+    const courseIds = await Course.find({ teacher: user.id }).distinct('_id');
+    query.course = query.course
+      ? { $in: courseIds.filter(id => id.toString() === String(queryParams.course)) }
+      : { $in: courseIds };
+  }
+
+  const releases = await GradeRelease.find(query)
+    .populate('assignment', 'title')
+    .populate('createdBy', 'firstName lastName')
+    .sort('-releaseAt');
+
+  return await Promise.all(releases.map(async release => ({
+    ...release.toObject(),
+    pendingCount: release.status === 'scheduled'
+      ? await Grade.countDocuments(pendingGradesQuery({ ...release.toObject(), assignment: release.assignment?._id }))
+      : 0
+  })));
+};
+
+/**
+ * Schedule the release of an assignment's grades, or of a course's grades of
+ * one type such as an exam. A release already scheduled for the same grades
+ * is moved to the new time. Without a time, or with one in the past, the
+ * grades are released right away.
+ * @param {Object} data - assignment, or course and type, and releaseAt
+ * @param {Object} user - Current user object
+ * @returns {Object} Scheduled or released release
+ */
+exports.scheduleRelease = async (data, user) => {
+  const target = await resolveTarget(data, user);
+  const releaseAt = data.releaseAt ? new Date(data.releaseAt) : new Date();
+
+  if (Number.isNaN(releaseAt.getTime())) {
+    const error = new Error('Release time must be a valid date');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  let release = await GradeRelease.findOne({ ...target, status: 'scheduled' });
+
+  if (release) {
+    release.releaseAt = releaseAt;
+    release.createdBy = user.id;
+    release.attempts = 0;
+    await release.save();
+  } else {
+    release = await GradeRelease.create({ ...target, releaseAt, createdBy: user.id });
+  }
+
+  if (releaseAt <= new Date()) {
+    const claimed = await claimDueRelease({ _id: release._id });
+
+    // Otherwise the job claimed it first and is releasing it
+    if (claimed) {
+      return await publishRelease(claimed);
+    }
+  }
+
+  return release;
+};
+
+/**
+ * Cancel a scheduled release; its grades stay unpublished
+ * @param {string} releaseId - Release ID
+ * @param {Object} user - Current user object
+ * @returns {Object} Cancelled release
+ */
+exports.cancelRelease = async (releaseId, user) => {
+  const release = await GradeRelease.findById(releaseId);
+
+  if (!release) {
+    const error = new Error(`Grade release not found with id of ${releaseId}`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  assertCanReleaseCourse(await Course.findById(release.course).select('teacher'), user);
+
+  if (release.status !== 'scheduled') {
+    const error = new Error(`Only scheduled releases can be cancelled; this one is ${release.status}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  release.status = 'cancelled';
+  release.cancelledBy = user.id;
+  await release.save();
+
+  return release;
+};
+
+/**
+ * Publish every release that is due. Run by the grade release job.
+ * @returns {number} Number of releases published
+ */
+exports.processDueReleases = async () => {
+  const stale = { status: 'releasing', updatedAt: { $lt: new Date(Date.now() - STALE_RELEASE_MINUTES * 60 * 1000) } };
+
+  // Publishing only touches unpublished grades, so an interrupted release can safely run again
+  await GradeRelease.updateMany(
+    { ...stale, attempts: { $gte: MAX_RELEASE_ATTEMPTS } },
+    { status: 'failed', lastError: 'Interrupted too often' }
+  );
+  await GradeRelease.updateMany(stale, { status: 'scheduled' });
+
+  let count = 0;
+  let release;
+  const failedIds = [];
+
+  // A failed release waits for the next run so the others due now still go out
+  while ((release = await claimDueRelease({ _id: { $nin: failedIds } }))) {
+    try {
+      await publishRelease(release);
+      count++;
+    } catch (err) {
+      console.error(`Grade release ${release._id} failed (attempt ${release.attempts}):`, err);
+      failedIds.push(release._id);
+    }
+  }
+
+  return count;
+};
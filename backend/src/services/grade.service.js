@@ -2,6 +2,91 @@ const Grade = require('../models/grade.model');
 const Course = require('../models/course.model');
 const User = require('../models/user.model');
 const Notification = require('../models/notification.model');
+const GradeHistory = require('../models/grade-history.model');
+const courseService = require('./course.service');
+const { withTransaction } = require('../utils/transaction');
+const { toCsv } = require('../utils/csv');
+const { readSpreadsheet, toXlsx } = require('../utils/spreadsheet');
+
+// Spreadsheet columns that identify the student rather than hold grades
+const STUDENT_HEADERS = {
+  'student id': 'studentId',
+  email: 'email',
+  'last name': 'lastName',
+  'first name': 'firstName'
+};
+
+// Exported summary columns, skipped on import
+const SUMMARY_HEADERS = ['total', 'grade'];
+
+/**
+ * Make sure the user may change grades of a course: its teacher or an admin
+ * @param {Object} courseDoc - Course document
+ * @param {Object} user - Current user object
+ */
+const assertCanGradeCourse = (courseDoc, user) => {
+  if (user.role === 'teacher' && courseDoc.teacher.toString() !== user.id) {
+    const error = new Error('Not authorized to record grades for this course');
+    error.statusCode = 403;
+    throw error;
+  }
+};
+
+/**
+ * Load a grade that has not been deleted
+ * @param {string} gradeId - Grade ID
+ * @returns {Object} Grade
+ */
+const findGrade = async (gradeId) => {
+  const grade = await Grade.findOne({ _id: gradeId, deletedAt: null });
+  
+  if (!grade) {
+    const error = new Error(`Grade not found with id of ${gradeId}`);
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  return grade;
+};
+
+/**
+ * Tell a student and their parents that one of their published grades changed
+ * @param {Object} grade - Grade document
+ * @param {Object} courseDoc - Course document
+ * @param {Object} user - User who made the change
+ * @param {string} title - Notification title
+ * @param {string} change - What happened, e.g. "was updated"
+ */
+const notifyGradeChanged = async (grade, courseDoc, user, title, change) => {
+  const studentDoc = await User.findById(grade.student);
+  
+  if (!studentDoc) {
+    return;
+  }
+  
+  const recipients = [
+    { id: studentDoc._id, message: `Your ${grade.type} grade in ${courseDoc.name} ${change}` },
+    ...(studentDoc.studentDetails?.parentIds || []).map(parentId => ({
+      id: parentId,
+      message: `The ${grade.type} grade of ${studentDoc.firstName} ${studentDoc.lastName} in ${courseDoc.name} ${change}`
+    }))
+  ];
+  
+  for (const recipient of recipients) {
+    await Notification.createNotification({
+      recipient: recipient.id,
+      sender: user.id,
+      type: 'grade',
+      title,
+      message: recipient.message,
+      relatedResource: {
+        resourceType: 'grade',
+        resourceId: grade._id
+      },
+      priority: 'high'
+    });
+  }
+};
 
 /**
  * Get grades with filtering, sorting, and pagination
@@ -28,8 +113,8 @@ exports.getGrades = async (queryParams, user) => {
   // Create operators ($gt, $gte, etc)
   queryStr = queryStr.replace(/\b(gt|gte|lt|lte|in)\b/g, match => `$${match}`);
   
-  // Finding resource
-  query = Grade.find(JSON.parse(queryStr));
+  // Finding resource, leaving out deleted grades
+  query = Grade.find({ ...JSON.parse(queryStr), deletedAt: null });
   
   // Role-based filtering
   if (user.role === 'student') {
@@ -121,7 +206,7 @@ exports.getGrades = async (queryParams, user) => {
 };
 
 /**
- * Get course grade summary for a student
+ * Get course grade summary for a student, broken down by grade category
  * @param {Object} params - Parameters for summary (studentId, courseId)
  * @param {Object} user - Current user object
  * @returns {Object} Grade summary
@@ -157,7 +242,7 @@ exports.getGradeSummary = async (params, user) => {
     const parent = await User.findById(user.id);
     const studentIds = parent.parentDetails?.studentIds || [];
     
-    if (!studentIds.includes(studentId)) {
+    if (!studentIds.some(id => id.toString() === studentId)) {
       const error = new Error('Not authorized to access this student\'s grades');
       error.statusCode = 403;
       throw error;
@@ -210,10 +295,10 @@ exports.getGradeSummary = async (params, user) => {
  * Record grade
  * @param {Object} gradeData - Grade data
  * @param {Object} user - Current user object
- * @returns {Object} Grade record
+ * @returns {Object} Grade record and whether it was newly created
  */
 exports.recordGrade = async (gradeData, user) => {
-  const { student, course, assignment, type, score, maxScore, weight, comments, isPublished } = gradeData;
+  const { student, course, assignment, type, score, maxScore, weight, isExtraCredit, comments, isPublished, reason } = gradeData;
   
   // Check if course exists and user is authorized
   const courseDoc = await Course.findById(course);
@@ -225,11 +310,7 @@ exports.recordGrade = async (gradeData, user) => {
   }
   
   // Make sure user is course teacher or admin
-  if (user.role === 'teacher' && courseDoc.teacher.toString() !== user.id) {
-    const error = new Error('Not authorized to record grades for this course');
-    error.statusCode = 403;
-    throw error;
-  }
+  assertCanGradeCourse(courseDoc, user);
   
   // Check if student is enrolled in course
   const isEnrolled = courseDoc.students.some(
@@ -251,18 +332,36 @@ exports.recordGrade = async (gradeData, user) => {
   });
   
   let grade;
+  let isNew = !existingGrade;
   
   if (existingGrade) {
+    const oldValues = GradeHistory.snapshot(existingGrade);
+    
+    // Recording a deleted grade again restores it
+    const wasDeleted = Boolean(existingGrade.deletedAt);
+    const wasPublished = existingGrade.isPublished && !wasDeleted;
+    const scoreChanged = existingGrade.score !== score || existingGrade.maxScore !== maxScore;
+    
+    if (wasDeleted) {
+      existingGrade.deletedAt = undefined;
+      existingGrade.deletedBy = undefined;
+      existingGrade.deletionReason = undefined;
+      isNew = true;
+    }
+    
     // Update existing grade
     existingGrade.score = score;
     existingGrade.maxScore = maxScore;
     existingGrade.weight = weight || existingGrade.weight;
+    if (isExtraCredit !== undefined) {
+      existingGrade.isExtraCredit = isExtraCredit;
+    }
     existingGrade.comments = comments;
     existingGrade.gradedBy = user.id;
     existingGrade.gradedAt = Date.now();
     
     // Check if grade is being published
-    const isBeingPublished = !existingGrade.isPublished && isPublished;
+    const isBeingPublished = !wasPublished && isPublished;
     existingGrade.isPublished = isPublished;
     
     if (isPublished && !existingGrade.publishedAt) {
@@ -271,6 +370,18 @@ exports.recordGrade = async (gradeData, user) => {
     
     grade = await existingGrade.save();
     
+    await GradeHistory.record({
+      grade,
+      action: wasDeleted ? 'restore' : 'update',
+      oldValues,
+      changedBy: user.id,
+      reason
+    });
+    
+    if (wasPublished && isPublished && scoreChanged) {
+      await notifyGradeChanged(grade, courseDoc, user, 'Grade Updated', `was changed to ${grade.score}/${grade.maxScore}`);
+    }
+    
     // If grade is being published, send notification
     if (isBeingPublished) {
       // Notify student
@@ -316,12 +427,15 @@ exports.recordGrade = async (gradeData, user) => {
       score,
       maxScore,
       weight: weight || 1,
+      isExtraCredit: Boolean(isExtraCredit),
       comments,
       gradedBy: user.id,
       isPublished,
       publishedAt: isPublished ? Date.now() : undefined
     });
     
+    await GradeHistory.record({ grade, action: 'create', changedBy: user.id, reason });
+    
     // If grade is published, send notification
     if (isPublished) {
       // Notify student
@@ -359,7 +473,7 @@ exports.recordGrade = async (gradeData, user) => {
     }
   }
   
-  return grade;
+  return { grade, isNew };
 };
 
 /**
@@ -369,7 +483,7 @@ exports.recordGrade = async (gradeData, user) => {
  * @returns {Array} Array of results
  */
 exports.bulkRecordGrades = async (bulkData, user) => {
-  const { course, assignment, type, grades } = bulkData;
+  const { course, assignment, type, isExtraCredit, reason, grades } = bulkData;
   
   if (!course || !type || !grades || !Array.isArray(grades)) {
     const error = new Error('Please provide course, type, and grades array');
@@ -387,11 +501,7 @@ exports.bulkRecordGrades = async (bulkData, user) => {
   }
   
   // Make sure user is course teacher or admin
-  if (user.role === 'teacher' && courseDoc.teacher.toString() !== user.id) {
-    const error = new Error('Not authorized to record grades for this course');
-    error.statusCode = 403;
-    throw error;
-  }
+  assertCanGradeCourse(courseDoc, user);
   
   const results = [];
   const notifications = [];
@@ -427,16 +537,29 @@ exports.bulkRecordGrades = async (bulkData, user) => {
       let isBeingPublished = false;
       
       if (existingGrade) {
+        const oldValues = GradeHistory.snapshot(existingGrade);
+        const wasDeleted = Boolean(existingGrade.deletedAt);
+        
+        // Recording a deleted grade again restores it
+        const wasPublished = existingGrade.isPublished && !wasDeleted;
+        const scoreChanged = existingGrade.score !== score || existingGrade.maxScore !== maxScore;
+        existingGrade.deletedAt = undefined;
+        existingGrade.deletedBy = undefined;
+        existingGrade.deletionReason = undefined;
+        
         // Update existing grade
         existingGrade.score = score;
         existingGrade.maxScore = maxScore;
         existingGrade.weight = weight || existingGrade.weight;
+        if (isExtraCredit !== undefined) {
+          existingGrade.isExtraCredit = isExtraCredit;
+        }
         existingGrade.comments = comments;
         existingGrade.gradedBy = user.id;
         existingGrade.gradedAt = Date.now();
         
         // Check if grade is being published
-        isBeingPublished = !existingGrade.isPublished && isPublished;
+        isBeingPublished = !wasPublished && isPublished;
         existingGrade.isPublished = isPublished;
         
         if (isPublished && !existingGrade.publishedAt) {
@@ -444,6 +567,19 @@ exports.bulkRecordGrades = async (bulkData, user) => {
         }
         
         grade = await existingGrade.save();
+        
+        await GradeHistory.record({
+          grade,
+          action: wasDeleted ? 'restore' : 'update',
+          oldValues,
+          changedBy: user.id,
+          reason,
+          source: 'bulk'
+        });
+        
+        if (wasPublished && isPublished && scoreChanged) {
+          await notifyGradeChanged(grade, courseDoc, user, 'Grade Updated', `was changed to ${grade.score}/${grade.maxScore}`);
+        }
       } else {
         // Create new grade
         grade = await Grade.create({
@@ -454,12 +590,15 @@ exports.bulkRecordGrades = async (bulkData, user) => {
           score,
           maxScore,
           weight: weight || 1,
+          isExtraCredit: Boolean(isExtraCredit),
           comments,
           gradedBy: user.id,
           isPublished,
           publishedAt: isPublished ? Date.now() : undefined
         });
         
+        await GradeHistory.record({ grade, action: 'create', changedBy: user.id, reason, source: 'bulk' });
+        
         isBeingPublished = isPublished;
       }
       
@@ -528,3 +667,584 @@ exports.bulkRecordGrades = async (bulkData, user) => {
   
   return results;
 };
+
+/**
+ * Get a single grade
+ * @param {string} gradeId - Grade ID
+ * @param {Object} user - Current user object
+ * @returns {Object} Grade
+ */
+exports.getGrade = async (gradeId, user) => {
+  const grade = await findGrade(gradeId);
+  
+  let allowed = user.role === 'admin';
+  
+  if (user.role === 'teacher') {
+    const courseDoc = await Course.findById(grade.course).select('teacher');
+    allowed = Boolean(courseDoc) && courseDoc.teacher.toString() === user.id;
+  } else if (user.role === 'student') {
+    allowed = grade.isPublished && grade.student.toString() === user.id;
+  } else if (user.role === 'parent') {
+    const parent = await User.findById(user.id);
+    const studentIds = parent.parentDetails?.studentIds || [];
+    allowed = grade.isPublished && studentIds.some(id => id.toString() === grade.student.toString());
+  }
+  
+  if (!allowed) {
+    const error = new Error('Not authorized to access this grade');
+    error.statusCode = 403;
+    throw error;
+  }
+  
+  return await grade.populate([
+    { path: 'student', select: 'firstName lastName' },
+    { path: 'course', select: 'name code' },
+    { path: 'assignment', select: 'title dueDate' },
+    { path: 'gradedBy', select: 'firstName lastName' }
+  ]);
+};
+
+/**
+ * Update a grade. The student, course, assignment and type of a grade cannot change.
+ * @param {string} gradeId - Grade ID
+ * @param {Object} gradeData - Fields to change (score, maxScore, weight, isExtraCredit, comments, isPublished) and an optional reason
+ * @param {Object} user - Current user object
+ * @returns {Object} Updated grade
+ */
+exports.updateGrade = async (gradeId, gradeData, user) => {
+  const grade = await findGrade(gradeId);
+  const courseDoc = await Course.findById(grade.course);
+  
+  assertCanGradeCourse(courseDoc, user);
+  
+  const oldValues = GradeHistory.snapshot(grade);
+  const wasPublished = grade.isPublished;
+  const previousScore = `${grade.score}/${grade.maxScore}`;
+  
+  ['score', 'maxScore', 'weight', 'isExtraCredit', 'comments', 'isPublished'].forEach(field => {
+    if (gradeData[field] !== undefined) {
+      grade[field] = gradeData[field];
+    }
+  });
+  
+  grade.gradedBy = user.id;
+  grade.gradedAt = Date.now();
+  
+  await grade.save();
+  
+  await GradeHistory.record({
+    grade,
+    action: 'update',
+    oldValues,
+    changedBy: user.id,
+    reason: gradeData.reason
+  });
+  
+  const currentScore = `${grade.score}/${grade.maxScore}`;
+  
+  if (!wasPublished && grade.isPublished) {
+    await notifyGradeChanged(grade, courseDoc, user, 'New Grade Posted', `has been posted: ${currentScore}`);
+  } else if (wasPublished && !grade.isPublished) {
+    await notifyGradeChanged(grade, courseDoc, user, 'Grade Withdrawn', 'has been withdrawn for review');
+  } else if (wasPublished && currentScore !== previousScore) {
+    await notifyGradeChanged(grade, courseDoc, user, 'Grade Updated', `was changed from ${previousScore} to ${currentScore}`);
+  }
+  
+  return grade;
+};
+
+/**
+ * Delete a grade. The grade is kept with the reason but no longer shown or counted.
+ * @param {string} gradeId - Grade ID
+ * @param {string} reason - Why the grade is deleted
+ * @param {Object} user - Current user object
+ * @returns {boolean} True if deleted
+ */
+exports.deleteGrade = async (gradeId, reason, user) => {
+  if (!reason || !String(reason).trim()) {
+    const error = new Error('Please give a reason for deleting the grade');
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  const grade = await findGrade(gradeId);
+  const courseDoc = await Course.findById(grade.course);
+  
+  assertCanGradeCourse(courseDoc, user);
+  
+  const oldValues = GradeHistory.snapshot(grade);
+  
+  grade.deletedAt = Date.now();
+  grade.deletedBy = user.id;
+  grade.deletionReason = String(reason).trim();
+  
+  await grade.save();
+  
+  await GradeHistory.record({
+    grade,
+    action: 'delete',
+    oldValues,
+    changedBy: user.id,
+    reason: grade.deletionReason
+  });
+  
+  if (grade.isPublished) {
+    await notifyGradeChanged(grade, courseDoc, user, 'Grade Removed', `was removed: ${grade.deletionReason}`);
+  }
+  
+  return true;
+};
+
+/**
+ * Get the change history of a grade, newest first. Deleted grades keep their history.
+ * @param {string} gradeId - Grade ID
+ * @param {Object} user - Current user object
+ * @returns {Array} History entries
+ */
+exports.getGradeHistory = async (gradeId, user) => {
+  const grade = await Grade.findById(gradeId);
+  
+  if (!grade) {
+    const error = new Error(`Grade not found with id of ${gradeId}`);
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  const courseDoc = await Course.findById(grade.course);
+  
+  if (user.role === 'teacher' && (!courseDoc || courseDoc.teacher.toString() !== user.id)) {
+    const error = new Error('Not authorized to access the history of this grade');
+    error.statusCode = 403;
+    throw error;
+  }
+  
+  return await GradeHistory.find({ grade: grade._id })
+    .populate('changedBy', 'firstName lastName role')
+    .sort('-createdAt');
+};
+
+/**
+ * Titles of gradebook columns in a spreadsheet. Columns sharing a title get
+ * their due date added, and a number if that is shared too.
+ * @param {Array} columns - Gradebook columns
+ * @returns {Map} Title by column key
+ */
+const spreadsheetTitles = (columns) => {
+  const titles = new Map();
+  const count = (title) => columns.filter(column => column.title.toLowerCase() === title.toLowerCase()).length;
+  
+  columns.forEach(column => {
+    const dated = count(column.title) > 1 && column.dueDate
+      ? `${column.title} (${new Date(column.dueDate).toISOString().slice(0, 10)})`
+      : column.title;
+    const taken = [...titles.values()].filter(title => title.toLowerCase() === dated.toLowerCase()).length;
+    
+    titles.set(column.key, taken > 0 ? `${dated} (${taken + 1})` : dated);
+  });
+  
+  return titles;
+};
+
+/**
+ * Split a grade column header into its title and the maximum score after a slash
+ * @param {string} header - Header
+ * @returns {Object} Title and maximum score (null without one)
+ */
+const parseColumnHeader = (header) => {
+  const match = header.match(/^(.*\S)\s*\/\s*(\d+(?:\.\d+)?)$/);
+
+  return match ? { title: match[1], maxScore: Number(match[2]) } : { title: header, maxScore: null };
+};
+
+/**
+ * Work out which gradebook column each spreadsheet column goes into. Headers
+ * match the exported titles, then assignments by title and other grades by
+ * grade type; the mapping
+ * overrides this per header with a column key, or an empty value to skip it.
+ * @param {Array} headers - Header row
+ * @param {Object} gradebook - Course gradebook
+ * @param {Object} mapping - Column keys by header
+ * @returns {Array} Column per header with its status
+ */
+const mapImportColumns = (headers, gradebook, mapping) => {
+  const gradeTypes = Grade.schema.path('type').enumValues;
+  const titles = spreadsheetTitles(gradebook.columns);
+  const usedKeys = new Set();
+  
+  return headers.map((header, index) => {
+    const column = { index, header, status: 'ignored', key: null, message: null };
+    const mapped = Object.prototype.hasOwnProperty.call(mapping, header);
+    
+    if (!header) {
+      return column;
+    }
+    
+    if (!mapped && STUDENT_HEADERS[header.toLowerCase()]) {
+      return { ...column, status: 'student', field: STUDENT_HEADERS[header.toLowerCase()] };
+    }
+    
+    if (mapped ? !mapping[header] : SUMMARY_HEADERS.includes(header.toLowerCase())) {
+      return column;
+    }
+    
+    const { title, maxScore } = parseColumnHeader(header);
+    let key = mapped ? mapping[header] : null;
+    
+    if (!key) {
+      key = [...titles].find(([, columnTitle]) => columnTitle.toLowerCase() === title.toLowerCase())?.[0] || null;
+    }
+    
+    if (!key) {
+      const assignments = gradebook.columns.filter(candidate =>
+        candidate.assignment && candidate.title.toLowerCase() === title.toLowerCase()
+      );
+      
+      if (assignments.length > 1) {
+        return { ...column, status: 'invalid', message: `Matches ${assignments.length} assignments; map it to one of them` };
+      }
+      
+      if (assignments.length === 1) {
+        key = assignments[0].key;
+      } else if (gradeTypes.includes(title.toLowerCase())) {
+        key = `type:${title.toLowerCase()}`;
+      } else {
+        return { ...column, status: 'unmatched', message: 'No assignment or grade type with this name' };
+      }
+    }
+    
+    let target = gradebook.columns.find(candidate => candidate.key === key);
+    
+    // Grade types without grades yet get a new column
+    if (!target && typeof key === 'string' && key.startsWith('type:') && gradeTypes.includes(key.slice('type:'.length))) {
+      const type = key.slice('type:'.length);
+      target = { key, assignment: null, type, title: type.charAt(0).toUpperCase() + type.slice(1), maxScore: null };
+    }
+    
+    if (!target) {
+      return { ...column, status: 'invalid', message: `Unknown gradebook column ${key}` };
+    }
+    
+    if (usedKeys.has(key)) {
+      return { ...column, status: 'invalid', message: `Another column is already imported into ${target.title}` };
+    }
+    usedKeys.add(key);
+    
+    const columnMaxScore = maxScore ?? target.maxScore;
+    if (!(columnMaxScore > 0)) {
+      return { ...column, status: 'invalid', message: `Add the maximum score to the header, e.g. "${target.title} /100"` };
+    }
+    
+    return {
+      ...column,
+      status: 'mapped',
+      key,
+      assignment: target.assignment,
+      type: target.type,
+      title: target.title,
+      maxScore: columnMaxScore
+    };
+  });
+};
+
+/**
+ * Import grades of a course from a CSV or XLSX file laid out like the export:
+ * a row per student, matched by email or student ID, and a column per
+ * assignment or grade type. Every row is checked first; a dry run only returns
+ * that preview, otherwise all changes are written in one transaction, or none
+ * if the preview has errors. Empty cells leave grades as they are, and
+ * existing grades keep their maximum score, comments and publication.
+ * @param {Object} file - Uploaded file with buffer and originalname
+ * @param {Object} options - course, dryRun, matchBy (email or studentId), mapping, publish and reason
+ * @param {Object} user - Current user object
+ * @returns {Object} Preview of columns and rows with a summary, and whether it was committed
+ */
+exports.importGrades = async (file, options, user) => {
+  const invalid = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  };
+  
+  if (!file) {
+    throw invalid('Please upload a CSV or XLSX file');
+  }
+  
+  if (!options.course) {
+    throw invalid('Please provide a course');
+  }
+  
+  const dryRun = options.dryRun === true || options.dryRun === 'true';
+  const publish = options.publish === true || options.publish === 'true';
+  const { matchBy } = options;
+  
+  if (matchBy && !['email', 'studentId'].includes(matchBy)) {
+    throw invalid('matchBy must be email or studentId');
+  }
+  
+  let mapping = options.mapping || {};
+  if (typeof mapping === 'string') {
+    try {
+      mapping = JSON.parse(mapping);
+    } catch (err) {
+      mapping = null;
+    }
+  }
+  
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw invalid('Column mapping must be a JSON object of column keys by header');
+  }
+  
+  // Loading the gradebook also checks that the user teaches the course
+  const gradebook = await courseService.getGradebook(options.course, user);
+  const sheet = await readSpreadsheet(file.buffer, file.originalname);
+  
+  if (sheet.length === 0) {
+    throw invalid('The file is empty');
+  }
+  
+  const columns = mapImportColumns(sheet[0].map(cell => String(cell).trim()), gradebook, mapping);
+  const emailColumn = columns.find(column => column.field === 'email');
+  const studentIdColumn = columns.find(column => column.field === 'studentId');
+  const gradeColumns = columns.filter(column => column.status === 'mapped');
+  
+  if (matchBy === 'email' && !emailColumn) {
+    throw invalid('The file has no Email column');
+  }
+  
+  if (matchBy === 'studentId' && !studentIdColumn) {
+    throw invalid('The file has no Student ID column');
+  }
+  
+  if (!emailColumn && !studentIdColumn) {
+    throw invalid('The file needs an Email or Student ID column to match students');
+  }
+  
+  const byEmail = new Map(gradebook.students.map(row => [row.student.email.toLowerCase(), row]));
+  const byStudentId = new Map(gradebook.students
+    .filter(row => row.student.studentId)
+    .map(row => [row.student.studentId.toLowerCase(), row]));
+  const seen = new Map();
+  const rows = [];
+  let unchanged = 0;
+  
+  const cellText = (cells, column) => (column ? String(cells[column.index] ?? '').trim() : '');
+  
+  sheet.slice(1).forEach((cells, index) => {
+    if (cells.every(cell => String(cell).trim() === '')) {
+      return;
+    }
+    
+    const email = cellText(cells, emailColumn);
+    const studentId = cellText(cells, studentIdColumn);
+    const useEmail = matchBy ? matchBy === 'email' : Boolean(email);
+    const identifier = useEmail ? email : studentId;
+    const label = useEmail ? 'email' : 'student ID';
+    const gradebookRow = (useEmail ? byEmail : byStudentId).get(identifier.toLowerCase());
+    const entry = { row: index + 2, email, studentId, student: null, status: 'ready', changes: [], errors: [] };
+    rows.push(entry);
+    
+    if (!identifier || !gradebookRow) {
+      entry.status = 'unmatched';
+      entry.errors.push(identifier
+        ? `No student enrolled in this course has ${label} ${identifier}`
+        : `No ${label} to match a student`);
+      return;
+    }
+    
+    entry.student = {
+      _id: gradebookRow.student._id,
+      firstName: gradebookRow.student.firstName,
+      lastName: gradebookRow.student.lastName
+    };
+    
+    const studentKey = gradebookRow.student._id.toString();
+    if (seen.has(studentKey)) {
+      entry.status = 'invalid';
+      entry.errors.push(`The student is also on row ${seen.get(studentKey)}`);
+      return;
+    }
+    seen.set(studentKey, entry.row);
+    
+    gradeColumns.forEach(column => {
+      const value = cells[column.index];
+      const text = cellText(cells, column);
+      
+      if (text === '') {
+        return;
+      }
+      
+      const score = typeof value === 'number' ? value : Number(text);
+      const existing = gradebookRow.grades[column.key];
+      const maxScore = existing ? existing.maxScore : column.maxScore;
+      
+      if (!Number.isFinite(score)) {
+        entry.errors.push(`${column.header}: "${text}" is not a number`);
+      } else if (score < 0 || score > maxScore) {
+        entry.errors.push(`${column.header}: ${score} must be between 0 and ${maxScore}`);
+      } else if (existing && existing.score === score) {
+        unchanged++;
+      } else {
+        entry.changes.push({
+          column: column.header,
+          key: column.key,
+          action: existing ? 'update' : 'create',
+          oldScore: existing ? existing.score : null,
+          score,
+          maxScore
+        });
+      }
+    });
+    
+    if (entry.errors.length > 0) {
+      entry.status = 'invalid';
+    } else if (entry.changes.length === 0) {
+      entry.status = 'unchanged';
+    }
+  });
+  
+  const changes = rows.flatMap(entry => (entry.status === 'ready' ? entry.changes.map(change => ({ entry, change })) : []));
+  const summary = {
+    rows: rows.length,
+    matched: rows.filter(entry => entry.student).length,
+    unmatched: rows.filter(entry => entry.status === 'unmatched').length,
+    invalid: rows.filter(entry => entry.status === 'invalid').length,
+    invalidColumns: columns.filter(column => column.status === 'invalid').length,
+    created: changes.filter(({ change }) => change.action === 'create').length,
+    updated: changes.filter(({ change }) => change.action === 'update').length,
+    unchanged
+  };
+  
+  const result = {
+    course: {
+      _id: gradebook.course._id,
+      name: gradebook.course.name,
+      code: gradebook.course.code
+    },
+    dryRun,
+    committed: false,
+    columns: columns.map(({ index, ...column }) => column),
+    rows,
+    summary
+  };
+  
+  if (dryRun || summary.unmatched > 0 || summary.invalid > 0 || summary.invalidColumns > 0) {
+    return result;
+  }
+  
+  const columnsByKey = new Map(gradeColumns.map(column => [column.key, column]));
+  
+  const written = await withTransaction(async (session, undo) => {
+    const grades = [];
+    
+    for (const { entry, change } of changes) {
+      const column = columnsByKey.get(change.key);
+      let grade = await Grade.findOne({
+        student: entry.student._id,
+        course: gradebook.course._id,
+        assignment: column.assignment,
+        type: column.type
+      }).session(session);
+      
+      const oldValues = GradeHistory.snapshot(grade);
+      const wasDeleted = Boolean(grade && grade.deletedAt);
+      const wasPublished = Boolean(grade && grade.isPublished && !wasDeleted);
+      
+      if (!grade) {
+        grade = new Grade({
+          student: entry.student._id,
+          course: gradebook.course._id,
+          assignment: column.assignment,
+          type: column.type
+        });
+      }
+      
+      await undo.track(grade);
+      
+      // New and restored grades follow the publish option; others keep their publication
+      if (!oldValues || wasDeleted) {
+        grade.isPublished = publish;
+      }
+      
+      grade.deletedAt = undefined;
+      grade.deletedBy = undefined;
+      grade.deletionReason = undefined;
+      grade.score = change.score;
+      grade.maxScore = change.maxScore;
+      grade.gradedBy = user.id;
+      grade.gradedAt = Date.now();
+      
+      await grade.save({ session });
+      
+      undo.created(await GradeHistory.record({
+        grade,
+        action: !oldValues ? 'create' : wasDeleted ? 'restore' : 'update',
+        oldValues,
+        changedBy: user.id,
+        reason: options.reason,
+        source: 'import',
+        session
+      }));
+      
+      grades.push({ grade, wasPublished });
+    }
+    
+    return grades;
+  });
+  
+  // Send notifications asynchronously
+  process.nextTick(async () => {
+    for (const { grade, wasPublished } of written) {
+      try {
+        if (wasPublished) {
+          await notifyGradeChanged(grade, gradebook.course, user, 'Grade Updated', `was changed to ${grade.score}/${grade.maxScore}`);
+        } else if (grade.isPublished) {
+          await notifyGradeChanged(grade, gradebook.course, user, 'New Grade Posted', `was posted: ${grade.score}/${grade.maxScore}`);
+        }
+      } catch (err) {
+        console.error('Failed to send notification:', err);
+      }
+    }
+  });
+  
+  return { ...result, committed: true };
+};
+
+/**
+ * Export the grades of a course as a spreadsheet that can be edited and imported again
+ * @param {string} courseId - Course ID
+ * @param {string} format - csv or xlsx
+ * @param {Object} user - Current user object
+ * @returns {Object} File name and content
+ */
+exports.exportGrades = async (courseId, format, user) => {
+  const gradebook = await courseService.getGradebook(courseId, user);
+  const titles = spreadsheetTitles(gradebook.columns);
+  
+  const rows = [[
+    'Student ID', 'Email', 'Last Name', 'First Name',
+    ...gradebook.columns.map(column => `${titles.get(column.key)} /${column.maxScore}`),
+    'Total', 'Grade'
+  ]];
+  
+  gradebook.students.forEach(row => {
+    const graded = row.total.totalGrades > 0;
+    
+    rows.push([
+      row.student.studentId,
+      row.student.email,
+      row.student.lastName,
+      row.student.firstName,
+      ...gradebook.columns.map(column => (row.grades[column.key] ? row.grades[column.key].score : null)),
+      graded ? Math.round(row.total.percentage * 100) / 100 : null,
+      graded ? row.total.letterGrade : null
+    ]);
+  });
+  
+  const filename = `${['grades', gradebook.course.code || gradebook.course.name]
+    .join('-').replace(/[^a-z0-9]+/gi, '-')}.${format}`;
+  
+  return {
+    filename,
+    content: format === 'xlsx' ? await toXlsx(rows, gradebook.course.code || 'Grades') : toCsv(rows)
+  };
+};
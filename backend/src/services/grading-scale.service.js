@@ -0,0 +1,303 @@
+const mongoose = require('mongoose');
+const GradingScale = require('../models/grading-scale.model');
+const Course = require('../models/course.model');
+const settingService = require('./setting.service');
+
+const DEFAULT_PRESET = 'letter';
+
+/**
+ * Built-in scales, seeded on first use and kept read-only
+ */
+const PRESETS = [
+  {
+    preset: 'letter',
+    name: 'Letter grades (A-F)',
+    description: 'A 90%, B 80%, C 70%, D 60% on a 4-point GPA scale',
+    type: 'letter',
+    bands: [
+      { label: 'A', minPercentage: 90, points: 4 },
+      { label: 'B', minPercentage: 80, points: 3 },
+      { label: 'C', minPercentage: 70, points: 2 },
+      { label: 'D', minPercentage: 60, points: 1 },
+      { label: 'F', minPercentage: 0, points: 0, passing: false }
+    ]
+  },
+  {
+    preset: 'plus-minus',
+    name: 'Letter grades with plus/minus',
+    description: 'A+ to F on a 4-point GPA scale',
+    type: 'letter',
+    bands: [
+      { label: 'A+', minPercentage: 97, points: 4 },
+      { label: 'A', minPercentage: 93, points: 4 },
+      { label: 'A-', minPercentage: 90, points: 3.7 },
+      { label: 'B+', minPercentage: 87, points: 3.3 },
+      { label: 'B', minPercentage: 83, points: 3 },
+      { label: 'B-', minPercentage: 80, points: 2.7 },
+      { label: 'C+', minPercentage: 77, points: 2.3 },
+      { label: 'C', minPercentage: 73, points: 2 },
+      { label: 'C-', minPercentage: 70, points: 1.7 },
+      { label: 'D+', minPercentage: 67, points: 1.3 },
+      { label: 'D', minPercentage: 63, points: 1 },
+      { label: 'D-', minPercentage: 60, points: 0.7 },
+      { label: 'F', minPercentage: 0, points: 0, passing: false }
+    ]
+  },
+  {
+    preset: 'pass-fail',
+    name: 'Pass/Fail',
+    description: 'Pass from 60%',
+    type: 'pass-fail',
+    bands: [
+      { label: 'Pass', minPercentage: 60, points: 1 },
+      { label: 'Fail', minPercentage: 0, points: 0, passing: false }
+    ]
+  },
+  {
+    preset: 'five-point',
+    name: '1-5 scale',
+    description: 'National 1-5 scale: 5 from 85%, 4 from 70%, 3 from 60%, 2 from 50%',
+    type: 'numeric',
+    bands: [
+      { label: '5', minPercentage: 85, points: 5 },
+      { label: '4', minPercentage: 70, points: 4 },
+      { label: '3', minPercentage: 60, points: 3 },
+      { label: '2', minPercentage: 50, points: 2 },
+      { label: '1', minPercentage: 0, points: 1, passing: false }
+    ]
+  },
+  {
+    preset: 'percentage',
+    name: '0-100 scale',
+    description: 'Grades shown as percentages, passing from 50',
+    type: 'percentage',
+    bands: [],
+    passingPercentage: 50
+  }
+];
+
+let presetsReady = null;
+
+/**
+ * Make sure the built-in scales exist. Runs once per process.
+ */
+const ensurePresets = () => {
+  if (!presetsReady) {
+    presetsReady = Promise.all(PRESETS.map(preset =>
+      GradingScale.updateOne(
+        { preset: preset.preset },
+        { $setOnInsert: preset },
+        { upsert: true }
+      )
+    )).catch(err => {
+      presetsReady = null;
+      throw err;
+    });
+  }
+
+  return presetsReady;
+};
+
+/**
+ * Find a scale by preset key or ID
+ * @param {string} keyOrId - Preset key or scale ID
+ * @returns {Object|null} Grading scale
+ */
+const findScale = async (keyOrId) => {
+  await ensurePresets();
+
+  if (mongoose.Types.ObjectId.isValid(keyOrId) && String(keyOrId).length === 24) {
+    return await GradingScale.findById(keyOrId);
+  }
+
+  return await GradingScale.findOne({ preset: keyOrId });
+};
+
+/**
+ * Load a scale that can be changed, rejecting built-in scales
+ * @param {string} scaleId - Scale ID
+ * @returns {Object} Grading scale
+ */
+const findEditableScale = async (scaleId) => {
+  const scale = await GradingScale.findById(scaleId);
+
+  if (!scale) {
+    const error = new Error(`Grading scale not found with id of ${scaleId}`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (scale.preset) {
+    const error = new Error('Built-in grading scales cannot be changed. Create a custom scale instead');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return scale;
+};
+
+/**
+ * Get every grading scale, built-in scales first
+ * @returns {Array} Grading scales
+ */
+exports.getGradingScales = async () => {
+  await ensurePresets();
+
+  return await GradingScale.find().sort('createdAt');
+};
+
+/**
+ * Get a grading scale
+ * @param {string} keyOrId - Preset key or scale ID
+ * @returns {Object} Grading scale
+ */
+exports.getGradingScale = async (keyOrId) => {
+  const scale = await findScale(keyOrId);
+
+  if (!scale) {
+    const error = new Error(`Grading scale not found with id of ${keyOrId}`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return scale;
+};
+
+/**
+ * Create a custom grading scale
+ * @param {Object} scaleData - Name, description, type, bands and passing percentage
+ * @param {Object} user - Current user object
+ * @returns {Object} Grading scale
+ */
+exports.createGradingScale = async (scaleData, user) => {
+  const { name, description, type, bands, passingPercentage } = scaleData;
+
+  return await GradingScale.create({
+    name,
+    description,
+    type,
+    bands,
+    passingPercentage,
+    createdBy: user.id
+  });
+};
+
+/**
+ * Update a custom grading scale and re-grade the courses that use it
+ * @param {string} scaleId - Scale ID
+ * @param {Object} scaleData - Fields to change
+ * @returns {Object} Grading scale
+ */
+exports.updateGradingScale = async (scaleId, scaleData) => {
+  const scale = await findEditableScale(scaleId);
+
+  ['name', 'description', 'type', 'bands', 'passingPercentage'].forEach(field => {
+    if (scaleData[field] !== undefined) {
+      scale[field] = scaleData[field];
+    }
+  });
+
+  await scale.save();
+
+  const courses = await Course.find({ gradingScale: scale._id }).select('_id');
+  const defaultScale = await exports.getDefaultScale();
+  const courseIds = courses.map(course => course._id);
+
+  if (defaultScale._id.equals(scale._id)) {
+    const unassigned = await Course.find({ gradingScale: null }).select('_id');
+    courseIds.push(...unassigned.map(course => course._id));
+  }
+
+  await exports.refreshLetterGrades(courseIds);
+
+  return scale;
+};
+
+/**
+ * Delete a custom grading scale that no course or school default uses
+ * @param {string} scaleId - Scale ID
+ * @returns {boolean} True if deleted
+ */
+exports.deleteGradingScale = async (scaleId) => {
+  const scale = await findEditableScale(scaleId);
+
+  const courseCount = await Course.countDocuments({ gradingScale: scale._id });
+  const defaultScale = await exports.getDefaultScale();
+
+  if (courseCount > 0 || defaultScale._id.equals(scale._id)) {
+    const error = new Error('This grading scale is in use. Assign another scale to its courses and the school first');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  await GradingScale.deleteOne({ _id: scale._id });
+  return true;
+};
+
+/**
+ * Get the school-wide scale from the grading.defaultScale setting
+ * @returns {Object} Grading scale
+ */
+exports.getDefaultScale = async () => {
+  const keyOrId = await settingService.getSetting('grading.defaultScale');
+
+  return await findScale(keyOrId) || await findScale(DEFAULT_PRESET);
+};
+
+/**
+ * Get the scale whose grade points make up GPAs, from the grading.gpaScale setting
+ * @returns {Object} Grading scale
+ */
+exports.getGpaScale = async () => {
+  const keyOrId = await settingService.getSetting('grading.gpaScale');
+
+  return await findScale(keyOrId) || await findScale(DEFAULT_PRESET);
+};
+
+/**
+ * Get the scale a course grades with: its own, or the school default
+ * @param {Object|string} courseOrId - Course document or ID
+ * @returns {Object} Grading scale
+ */
+exports.getScaleForCourse = async (courseOrId) => {
+  const course = courseOrId instanceof Course
+    ? courseOrId
+    : await Course.findById(courseOrId).select('gradingScale');
+
+  if (course && course.gradingScale) {
+    const scale = await GradingScale.findById(course.gradingScale._id || course.gradingScale);
+
+    if (scale) {
+      return scale;
+    }
+  }
+
+  return await exports.getDefaultScale();
+};
+
+/**
+ * Re-label stored grades after the scale of their courses changed
+ * @param {Array} courseIds - Course IDs
+ */
+exports.refreshLetterGrades = async (courseIds) => {
+  const Grade = mongoose.model('Grade');
+
+  for (const courseId of courseIds) {
+    const scale = await exports.getScaleForCourse(courseId);
+    const grades = await Grade.find({ course: courseId }).select('percentage letterGrade');
+
+    const operations = grades
+      .map(grade => ({ grade, result: scale.resolve(grade.percentage) }))
+      .filter(({ grade, result }) => result && result.label !== grade.letterGrade)
+      .map(({ grade, result }) => ({
+        updateOne: {
+          filter: { _id: grade._id },
+          update: { $set: { letterGrade: result.label } }
+        }
+      }));
+
+    if (operations.length > 0) {
+      await Grade.bulkWrite(operations);
+    }
+  }
+};
@@ -0,0 +1,374 @@
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const Invitation = require('../models/invitation.model');
+const User = require('../models/user.model');
+const mailService = require('./mail.service');
+
+const INVITATION_PURPOSE = 'invitation';
+
+/**
+ * Get the expiry date for an invitation sent now
+ * @returns {Date} Expiry date
+ */
+const getInvitationExpiry = () => {
+  const days = parseInt(process.env.INVITATION_EXPIRE_DAYS, 10) || 7;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Sign the token carried in an invitation link. It expires with the invitation
+ * and names the invitation's current tokenId, so issuing a new link retires the old one.
+ * @param {Object} invitation - Invitation document (with tokenId selected)
+ * @returns {string} Signed invitation token
+ */
+const signInvitationToken = (invitation) => {
+  return jwt.sign(
+    {
+      id: invitation._id,
+      purpose: INVITATION_PURPOSE,
+      exp: Math.floor(invitation.expiresAt.getTime() / 1000)
+    },
+    process.env.JWT_SECRET,
+    { jwtid: invitation.tokenId }
+  );
+};
+
+/**
+ * Build the link an invited user opens to create their account
+ * @param {string} token - Signed invitation token
+ * @returns {string} Invitation URL
+ */
+const getInvitationUrl = (token) => {
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+  return `${clientUrl}/invite/${token}`;
+};
+
+/**
+ * Email an invitation link. A failed delivery is reported, not thrown, so the
+ * admin still gets the link and can share it another way or resend.
+ * @param {Object} invitation - Invitation document
+ * @param {string} url - Invitation URL
+ * @param {Object} inviter - User sending the invitation
+ * @returns {boolean} True if the email was sent
+ */
+const sendInvitationEmail = async (invitation, url, inviter) => {
+  const greeting = invitation.firstName ? `Hello ${invitation.firstName},` : 'Hello,';
+  const inviterName = inviter.firstName ? `${inviter.firstName} ${inviter.lastName}` : 'An administrator';
+
+  try {
+    await mailService.sendMail({
+      to: invitation.email,
+      subject: 'You are invited to MySchool',
+      text: `${greeting}\n\n${inviterName} has invited you to join MySchool as a ${invitation.role}.\n\n` +
+        `Open the link below to choose a password and activate your account:\n\n${url}\n\n` +
+        `The link can be used once and expires on ${invitation.expiresAt.toUTCString()}.`
+    });
+  } catch (err) {
+    console.error('Error sending invitation email:', err);
+    return false;
+  }
+
+  await Invitation.updateOne(
+    { _id: invitation._id },
+    { lastSentAt: Date.now(), $inc: { sendCount: 1 } }
+  );
+
+  return true;
+};
+
+/**
+ * Check the students a parent invitation links to
+ * @param {Array} studentIds - Student IDs
+ * @returns {Array} Student IDs
+ */
+const validateInvitedStudents = async (studentIds) => {
+  if (!Array.isArray(studentIds) || studentIds.length === 0) {
+    return [];
+  }
+
+  const uniqueIds = [...new Set(studentIds.map(String))];
+  const count = await User.countDocuments({ _id: { $in: uniqueIds }, role: 'student' });
+
+  if (count !== uniqueIds.length) {
+    const error = new Error('Parents can only be linked to existing student accounts');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return uniqueIds;
+};
+
+/**
+ * Build the database filter for an invitation status
+ * @param {string} status - pending, accepted, revoked or expired
+ * @returns {Object} Filter
+ */
+const getStatusFilter = (status) => {
+  const now = new Date();
+
+  switch (status) {
+    case 'pending':
+      return { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } };
+    case 'accepted':
+      return { acceptedAt: { $ne: null } };
+    case 'revoked':
+      return { acceptedAt: null, revokedAt: { $ne: null } };
+    case 'expired':
+      return { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } };
+    default:
+      return {};
+  }
+};
+
+/**
+ * Invite someone to create an account with a given role and email them the link
+ * @param {Object} invitationData - Invitation data (email, role, firstName, lastName, students)
+ * @param {Object} currentUser - Admin sending the invitation
+ * @returns {Object} Invitation, its link and whether the email was sent
+ */
+exports.createInvitation = async (invitationData, currentUser) => {
+  const email = String(invitationData.email || '').trim().toLowerCase();
+
+  const existingUser = await User.findOne({ email });
+
+  if (existingUser) {
+    const error = new Error('A user with this email already exists');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const openInvitation = await Invitation.findOne({ email, ...getStatusFilter('pending') });
+
+  if (openInvitation) {
+    const error = new Error('This email already has a pending invitation. Revoke it first to send a new one');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const students = invitationData.role === 'parent'
+    ? await validateInvitedStudents(invitationData.students)
+    : [];
+
+  const invitation = await Invitation.create({
+    email,
+    role: invitationData.role,
+    firstName: invitationData.firstName,
+    lastName: invitationData.lastName,
+    students,
+    invitedBy: currentUser.id,
+    tokenId: uuidv4(),
+    expiresAt: getInvitationExpiry()
+  });
+
+  const url = getInvitationUrl(signInvitationToken(invitation));
+  const emailSent = await sendInvitationEmail(invitation, url, currentUser);
+
+  return { invitation, url, emailSent };
+};
+
+/**
+ * Send an invitation again with a fresh link and expiry. Links sent earlier stop working.
+ * @param {string} invitationId - Invitation ID
+ * @param {Object} currentUser - Admin resending the invitation
+ * @returns {Object} Invitation, its new link and whether the email was sent
+ */
+exports.resendInvitation = async (invitationId, currentUser) => {
+  const invitation = await Invitation.findById(invitationId).select('+tokenId');
+
+  if (!invitation) {
+    const error = new Error(`Invitation not found with id of ${invitationId}`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (invitation.acceptedAt || invitation.revokedAt) {
+    const error = new Error(`This invitation has been ${invitation.status} and cannot be resent`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  invitation.tokenId = uuidv4();
+  invitation.expiresAt = getInvitationExpiry();
+  await invitation.save();
+
+  const url = getInvitationUrl(signInvitationToken(invitation));
+  const emailSent = await sendInvitationEmail(invitation, url, currentUser);
+
+  return { invitation, url, emailSent };
+};
+
+/**
+ * Get invitations, newest first
+ * @param {Object} queryParams - Query parameters (status, role, page, limit)
+ * @returns {Object} Invitations and pagination data
+ */
+exports.getInvitations = async (queryParams) => {
+  const filter = getStatusFilter(queryParams.status);
+
+  if (queryParams.role) {
+    filter.role = queryParams.role;
+  }
+
+  const page = parseInt(queryParams.page, 10) || 1;
+  const limit = parseInt(queryParams.limit, 10) || 25;
+  const startIndex = (page - 1) * limit;
+  const endIndex = page * limit;
+  const total = await Invitation.countDocuments(filter);
+
+  const invitations = await Invitation.find(filter)
+    .populate('invitedBy', 'firstName lastName email')
+    .populate('students', 'firstName lastName email')
+    .sort('-createdAt')
+    .skip(startIndex)
+    .limit(limit);
+
+  const pagination = {};
+
+  if (endIndex < total) {
+    pagination.next = {
+      page: page + 1,
+      limit
+    };
+  }
+
+  if (startIndex > 0) {
+    pagination.prev = {
+      page: page - 1,
+      limit
+    };
+  }
+
+  return {
+    count: invitations.length,
+    pagination,
+    data: invitations
+  };
+};
+
+/**
+ * Revoke an invitation so its link stops working
+ * @param {string} invitationId - Invitation ID
+ * @param {Object} currentUser - Admin revoking the invitation
+ * @returns {Object} Updated invitation
+ */
+exports.revokeInvitation = async (invitationId, currentUser) => {
+  const invitation = await Invitation.findById(invitationId);
+
+  if (!invitation) {
+    const error = new Error(`Invitation not found with id of ${invitationId}`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (invitation.acceptedAt) {
+    const error = new Error('This invitation has already been accepted');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (!invitation.revokedAt) {
+    invitation.revokedAt = Date.now();
+    invitation.revokedBy = currentUser.id;
+    await invitation.save();
+  }
+
+  return invitation;
+};
+
+/**
+ * Check an invitation link and load its invitation
+ * @param {string} token - Signed invitation token
+ * @returns {Object} Invitation that can still be accepted
+ */
+exports.verifyInvitationToken = async (token) => {
+  const invalid = () => {
+    const error = new Error('This invitation link is invalid or has expired. Please ask for a new invitation');
+    error.statusCode = 400;
+    return error;
+  };
+
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    throw invalid();
+  }
+
+  if (payload.purpose !== INVITATION_PURPOSE) {
+    throw invalid();
+  }
+
+  const invitation = await Invitation.findById(payload.id).select('+tokenId');
+
+  if (!invitation || invitation.tokenId !== payload.jti || invitation.status !== 'pending') {
+    throw invalid();
+  }
+
+  return invitation;
+};
+
+/**
+ * Claim an invitation for a new account. Only one claim can succeed, so a link
+ * cannot be used twice even by concurrent requests.
+ * @param {Object} invitation - Invitation returned by verifyInvitationToken
+ * @returns {boolean} True if the claim succeeded
+ */
+exports.claimInvitation = async (invitation) => {
+  const result = await Invitation.updateOne(
+    { _id: invitation._id, tokenId: invitation.tokenId, ...getStatusFilter('pending') },
+    { acceptedAt: Date.now() }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Undo a claim when creating the account failed, so the link can be used again
+ * @param {Object} invitation - Claimed invitation
+ */
+exports.releaseInvitation = async (invitation) => {
+  await Invitation.updateOne(
+    { _id: invitation._id, acceptedBy: null },
+    { $unset: { acceptedAt: 1 } }
+  );
+};
+
+/**
+ * Get what the landing page shows about an invitation before it is accepted
+ * @param {string} token - Signed invitation token
+ * @returns {Object} Invitation details
+ */
+exports.getInvitationByToken = async (token) => {
+  const invitation = await exports.verifyInvitationToken(token);
+  await invitation.populate([
+    { path: 'invitedBy', select: 'firstName lastName' },
+    { path: 'students', select: 'firstName lastName' }
+  ]);
+
+  return {
+    email: invitation.email,
+    role: invitation.role,
+    firstName: invitation.firstName,
+    lastName: invitation.lastName,
+    invitedBy: invitation.invitedBy,
+    students: invitation.students,
+    expiresAt: invitation.expiresAt
+  };
+};
+
+/**
+ * Record the account created from a claimed invitation and link a new parent
+ * to the students named in the invitation
+ * @param {Object} invitation - Claimed invitation
+ * @param {Object} user - New user
+ */
+exports.completeInvitation = async (invitation, user) => {
+  await Invitation.updateOne({ _id: invitation._id }, { acceptedBy: user._id });
+
+  if (invitation.role === 'parent' && invitation.students.length > 0) {
+    await User.updateMany(
+      { _id: { $in: invitation.students }, role: 'student' },
+      { $addToSet: { 'studentDetails.parentIds': user._id } }
+    );
+  }
+};
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Mail transports deliver a message of the shape { to, subject, text, html }.
+ * The active transport is picked with MAIL_TRANSPORT (console, file or smtp);
+ * additional transports can be added with registerTransport.
+ */
+const transports = {
+  // Print messages to the server log (default for development)
+  console: async (message) => {
+    console.log('--- Outgoing email ---');
+    console.log(`To: ${message.to}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log(message.text);
+    console.log('----------------------');
+  },
+
+  // Write each message as a JSON file so tests and developers can read it back
+  file: async (message) => {
+    const outboxDir = process.env.MAIL_FILE_DIR || path.join(__dirname, '../../mail-outbox');
+
+    if (!fs.existsSync(outboxDir)) {
+      fs.mkdirSync(outboxDir, { recursive: true });
+    }
+
+    const fileName = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9.@_-]/g, '_')}.json`;
+    await fs.promises.writeFile(
+      path.join(outboxDir, fileName),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+  },
+
+  // Deliver through an SMTP server
+  smtp: async (message) => {
+    const nodemailer = require('nodemailer');
+
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASSWORD
+      } : undefined
+    });
+
+    await transporter.sendMail(message);
+  }
+};
+
+/**
+ * Register a custom mail transport
+ * @param {string} name - Transport name used in MAIL_TRANSPORT
+ * @param {Function} transport - Async function receiving the message
+ */
+exports.registerTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - Message (to, subject, text, html)
+ * @returns {boolean} True if sent
+ */
+exports.sendMail = async (message) => {
+  const transportName = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[transportName];
+
+  if (!transport) {
+    const error = new Error(`Unknown mail transport: ${transportName}`);
+    error.statusCode = 500;
+    throw error;
+  }
+
+  await transport({
+    from: process.env.MAIL_FROM || 'MySchool <no-reply@myschool.com>',
+    ...message
+  });
+
+  return true;
+};
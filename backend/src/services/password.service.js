@@ -0,0 +1,85 @@
+const bcrypt = require('bcryptjs');
+
+/**
+ * Get the password policy from the environment
+ * @returns {Object} Password policy
+ */
+exports.getPasswordPolicy = () => ({
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8,
+  requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false',
+  requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false',
+  requireNumber: process.env.PASSWORD_REQUIRE_NUMBER !== 'false',
+  requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === 'true',
+  // How many previous passwords cannot be reused (0 disables the check)
+  historySize: process.env.PASSWORD_HISTORY !== undefined
+    ? parseInt(process.env.PASSWORD_HISTORY, 10) || 0
+    : 5
+});
+
+/**
+ * Check a password against the length and complexity rules of the policy
+ * @param {string} password - Plain text password
+ */
+exports.validatePassword = (password) => {
+  const policy = exports.getPasswordPolicy();
+
+  if (!password) {
+    const error = new Error('Please provide a password');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const problems = [];
+
+  if (password.length < policy.minLength) {
+    problems.push(`be at least ${policy.minLength} characters`);
+  }
+
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    problems.push('contain an uppercase letter');
+  }
+
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    problems.push('contain a lowercase letter');
+  }
+
+  if (policy.requireNumber && !/[0-9]/.test(password)) {
+    problems.push('contain a number');
+  }
+
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    problems.push('contain a symbol');
+  }
+
+  if (problems.length > 0) {
+    const error = new Error(`Password must ${problems.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+};
+
+/**
+ * Set a new password on a user, enforcing the policy and the password history.
+ * The user must be loaded with +password and +passwordHistory; the caller saves it.
+ * @param {Object} user - User document
+ * @param {string} password - New plain text password
+ */
+exports.applyNewPassword = async (user, password) => {
+  exports.validatePassword(password);
+
+  const { historySize } = exports.getPasswordPolicy();
+  const previous = [user.password, ...(user.passwordHistory || [])]
+    .filter(Boolean)
+    .slice(0, historySize);
+
+  for (const hash of previous) {
+    if (await bcrypt.compare(password, hash)) {
+      const error = new Error(`Password cannot be the same as any of your last ${historySize} passwords`);
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  user.passwordHistory = previous;
+  user.password = password;
+};
@@ -0,0 +1,209 @@
+const User = require('../models/user.model');
+const Notification = require('../models/notification.model');
+const settingService = require('./setting.service');
+const mailService = require('./mail.service');
+
+// Roles anyone may pick when creating their own account
+const SELF_REGISTRATION_ROLES = ['student', 'parent'];
+
+/**
+ * Check that an email may be used for a new account under the registration policy
+ * @param {string} email - Email address
+ */
+exports.assertEmailDomainAllowed = async (email) => {
+  const allowedDomains = await settingService.getSetting('registration.allowedEmailDomains');
+
+  if (allowedDomains.length === 0) {
+    return;
+  }
+
+  const domain = String(email || '').split('@').pop().toLowerCase();
+
+  if (!allowedDomains.some(allowed => allowed.toLowerCase() === domain)) {
+    const error = new Error(`Registration is limited to ${allowedDomains.join(', ')} email addresses`);
+    error.statusCode = 403;
+    throw error;
+  }
+};
+
+/**
+ * Check that someone may create their own account with this email
+ * @param {string} email - Email address
+ */
+exports.assertSelfRegistrationAllowed = async (email) => {
+  if (await settingService.getSetting('registration.inviteOnly')) {
+    const error = new Error('Registration is by invitation only. Please contact your school administrator');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  await exports.assertEmailDomainAllowed(email);
+};
+
+/**
+ * Check that a role may be chosen at self-registration. Teacher and admin
+ * accounts are only created through admin invitations.
+ * @param {string} role - Requested role
+ */
+exports.assertSelfRegistrationRole = (role) => {
+  if (!SELF_REGISTRATION_ROLES.includes(role)) {
+    const error = new Error('Teacher and administrator accounts can only be created through an invitation from an administrator');
+    error.statusCode = 403;
+    throw error;
+  }
+};
+
+/**
+ * Get the approval status a self-registered account starts with
+ * @param {string} role - Role of the new account
+ * @returns {string} 'pending' if an admin must approve the account, otherwise 'approved'
+ */
+exports.getInitialApprovalStatus = async (role = 'student') => {
+  // Parents get access to student records, so an admin always verifies them
+  if (role === 'parent') {
+    return 'pending';
+  }
+
+  return (await settingService.getSetting('registration.requireApproval')) ? 'pending' : 'approved';
+};
+
+/**
+ * Check whether Firebase identities may be linked to existing accounts by verified email
+ * @returns {boolean} True if linking is enabled
+ */
+exports.isLinkByVerifiedEmailEnabled = async () => {
+  return await settingService.getSetting('registration.linkByVerifiedEmail');
+};
+
+/**
+ * Let every admin know that an account is waiting for approval
+ * @param {Object} user - Pending user
+ */
+exports.notifyAdminsOfPendingUser = async (user) => {
+  const admins = await User.find({ role: 'admin', active: { $ne: false } }).select('_id');
+
+  await Promise.all(admins.map(admin => Notification.createNotification({
+    recipient: admin._id,
+    type: 'system',
+    title: 'New account awaiting approval',
+    message: `${user.firstName} ${user.lastName} (${user.email}) registered as ${user.role} and is waiting for approval`,
+    relatedResource: {
+      resourceType: 'user',
+      resourceId: user._id
+    },
+    priority: 'normal'
+  })));
+};
+
+/**
+ * Get accounts waiting for approval
+ * @param {Object} queryParams - Query parameters (page, limit)
+ * @returns {Object} Users and pagination data
+ */
+exports.getPendingUsers = async (queryParams) => {
+  const page = parseInt(queryParams.page, 10) || 1;
+  const limit = parseInt(queryParams.limit, 10) || 25;
+  const startIndex = (page - 1) * limit;
+  const endIndex = page * limit;
+  const filter = { approvalStatus: 'pending' };
+  const total = await User.countDocuments(filter);
+
+  // Oldest first, so the queue is worked in order
+  const users = await User.find(filter)
+    .sort('createdAt')
+    .skip(startIndex)
+    .limit(limit);
+
+  const pagination = {};
+
+  if (endIndex < total) {
+    pagination.next = {
+      page: page + 1,
+      limit
+    };
+  }
+
+  if (startIndex > 0) {
+    pagination.prev = {
+      page: page - 1,
+      limit
+    };
+  }
+
+  return {
+    count: users.length,
+    pagination,
+    data: users
+  };
+};
+
+/**
+ * Approve or reject a pending account
+ * @param {string} userId - User ID
+ * @param {string} status - 'approved' or 'rejected'
+ * @param {string} adminId - Admin reviewing the account
+ * @param {string} reason - Rejection reason
+ * @returns {Object} Updated user object
+ */
+const reviewUser = async (userId, status, adminId, reason) => {
+  const user = await User.findById(userId);
+
+  if (!user) {
+    const error = new Error(`User not found with id of ${userId}`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (user.approvalStatus !== 'pending') {
+    const error = new Error(`User is not awaiting approval (status: ${user.approvalStatus})`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  user.approvalStatus = status;
+  user.reviewedBy = adminId;
+  user.reviewedAt = Date.now();
+  user.rejectionReason = status === 'rejected' ? reason : undefined;
+  await user.save({ validateBeforeSave: false });
+
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+
+  try {
+    await mailService.sendMail(status === 'approved' ? {
+      to: user.email,
+      subject: 'Your MySchool account has been approved',
+      text: `Hello ${user.firstName},\n\nYour MySchool account has been approved. You can now sign in at ${clientUrl}/login.`
+    } : {
+      to: user.email,
+      subject: 'Your MySchool registration',
+      text: `Hello ${user.firstName},\n\nYour MySchool registration was not approved.` +
+        (reason ? `\n\nReason: ${reason}` : '')
+    });
+  } catch (err) {
+    // The review itself succeeded; a failed email must not undo it
+    console.error('Error sending account review email:', err);
+  }
+
+  return user;
+};
+
+/**
+ * Approve a pending account
+ * @param {string} userId - User ID
+ * @param {string} adminId - Admin approving the account
+ * @returns {Object} Updated user object
+ */
+exports.approveUser = async (userId, adminId) => {
+  return await reviewUser(userId, 'approved', adminId);
+};
+
+/**
+ * Reject a pending account
+ * @param {string} userId - User ID
+ * @param {string} adminId - Admin rejecting the account
+ * @param {string} reason - Optional reason sent to the user
+ * @returns {Object} Updated user object
+ */
+exports.rejectUser = async (userId, adminId, reason) => {
+  return await reviewUser(userId, 'rejected', adminId, reason);
+};
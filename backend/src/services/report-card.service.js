@@ -0,0 +1,547 @@
+const fs = require('fs');
+const path = require('path');
+const Course = require('../models/course.model');
+const Grade = require('../models/grade.model');
+const Attendance = require('../models/attendance.model');
+const User = require('../models/user.model');
+const ReportCardComment = require('../models/report-card-comment.model');
+const settingService = require('./setting.service');
+const userService = require('./user.service');
+const { renderPdf, ensureSpace, drawLetterhead, drawTable, drawFooters } = require('../utils/pdf');
+
+const SEMESTERS = Course.schema.path('semester').enumValues;
+const LOGO_DIR = path.join(__dirname, '../../uploads/branding');
+const LOGO_TYPES = ['image/png', 'image/jpeg'];
+
+/**
+ * Read the term from query parameters
+ * @param {Object} params - academicYear and semester
+ * @returns {Object} Term
+ */
+const parseTerm = (params) => {
+  const { academicYear, semester } = params;
+
+  if (!academicYear || !SEMESTERS.includes(semester)) {
+    const error = new Error(`Please provide an academicYear and a semester (${SEMESTERS.join(', ')})`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return { academicYear, semester };
+};
+
+/**
+ * Load a student
+ * @param {string} studentId - Student ID
+ * @returns {Object} Student
+ */
+const findStudent = async (studentId) => {
+  const student = await User.findOne({ _id: studentId, role: 'student' })
+    .select('firstName lastName studentDetails');
+
+  if (!student) {
+    const error = new Error(`Student not found with id of ${studentId}`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return student;
+};
+
+/**
+ * Load a course its teacher or an admin works with
+ * @param {string} courseId - Course ID
+ * @param {Object} user - Current user object
+ * @returns {Object} Course
+ */
+const findTeachingCourse = async (courseId, user) => {
+  const course = await Course.findById(courseId);
+
+  if (!course) {
+    const error = new Error(`Course not found with id of ${courseId}`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (user.role === 'teacher' && course.teacher.toString() !== user.id) {
+    const error = new Error('Not authorized to access report cards for this course');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  return course;
+};
+
+/**
+ * Collect a student's grades, attendance and teacher comments for a term
+ * @param {Object} student - Student document
+ * @param {Object} term - academicYear and semester
+ * @returns {Object} Report card
+ */
+const buildReportCard = async (student, term) => {
+  // Courses the student has left still count when they were graded in them
+  const gradedCourseIds = await Grade.distinct('course', { student: student._id, deletedAt: null });
+
+  const courses = await Course.find({
+    academicYear: term.academicYear,
+    semester: term.semester,
+    $or: [{ students: student._id }, { _id: { $in: gradedCourseIds } }]
+  })
+    .populate('teacher', 'firstName lastName')
+    .sort('name');
+
+  const comments = await ReportCardComment.find({
+    student: student._id,
+    course: { $in: courses.map(course => course._id) }
+  });
+
+  const entries = [];
+
+  for (const course of courses) {
+    const summary = await Grade.calculateCourseGrade(student._id, course._id);
+    const attendance = await Attendance.getStudentStats(student._id, course._id);
+    const comment = comments.find(candidate => candidate.course.equals(course._id));
+    const graded = summary.totalGrades > 0;
+
+    entries.push({
+      course: {
+        _id: course._id,
+        name: course.name,
+        code: course.code,
+        teacher: course.teacher ? `${course.teacher.firstName} ${course.teacher.lastName}` : null
+      },
+      percentage: graded ? summary.percentage : null,
+      letterGrade: graded ? summary.letterGrade : null,
+      passing: graded ? summary.passing : null,
+      scale: summary.scale.name,
+      categories: summary.categories
+        .filter(category => category.type !== 'uncategorized')
+        .map(category => ({
+          type: category.type,
+          weight: category.weight,
+          percentage: category.percentage,
+          letterGrade: category.letterGrade
+        })),
+      attendance: {
+        totalDays: attendance.totalDays,
+        presentDays: attendance.presentDays,
+        absentDays: attendance.absentDays,
+        lateDays: attendance.lateDays,
+        excusedDays: attendance.excusedDays,
+        attendanceRate: attendance.attendanceRate
+      },
+      comment: comment ? comment.comment : null
+    });
+  }
+
+  const graded = entries.filter(entry => entry.percentage !== null);
+  const attendance = ['totalDays', 'presentDays', 'absentDays', 'lateDays', 'excusedDays'].reduce((totals, field) => {
+    totals[field] = entries.reduce((sum, entry) => sum + entry.attendance[field], 0);
+    return totals;
+  }, {});
+
+  attendance.attendanceRate = attendance.totalDays > 0
+    ? ((attendance.presentDays + attendance.lateDays) / attendance.totalDays) * 100
+    : 0;
+
+  return {
+    student: {
+      _id: student._id,
+      firstName: student.firstName,
+      lastName: student.lastName,
+      studentId: student.studentDetails?.studentId || null,
+      gradeLevel: student.studentDetails?.grade || null
+    },
+    academicYear: term.academicYear,
+    semester: term.semester,
+    courses: entries,
+    averagePercentage: graded.length > 0
+      ? graded.reduce((sum, entry) => sum + entry.percentage, 0) / graded.length
+      : null,
+    attendance,
+    generatedAt: new Date()
+  };
+};
+
+/**
+ * Read the school's report card template from the settings
+ * @returns {Object} Template
+ */
+const loadTemplate = async () => ({
+  ...await exports.getBranding(),
+  layout: await settingService.getSetting('reportCards.template'),
+  showAttendance: await settingService.getSetting('reportCards.showAttendance')
+});
+
+const formatPercentage = (value) => (value === null || value === undefined ? '-' : `${value.toFixed(1)}%`);
+
+const formatType = (type) => type.charAt(0).toUpperCase() + type.slice(1);
+
+const formatAttendance = (attendance) => (attendance.totalDays > 0
+  ? `${attendance.attendanceRate.toFixed(0)}% (${attendance.absentDays} absent)`
+  : '-');
+
+/**
+ * Draw the school and student header of a report card
+ * @param {Object} doc - PDFKit document
+ * @param {Object} reportCard - Report card
+ * @param {Object} template - Template
+ */
+const drawHeader = (doc, reportCard, template) => {
+  const { student } = reportCard;
+  const details = [`Student: ${student.lastName}, ${student.firstName}`];
+
+  if (student.studentId) {
+    details.push(`Student ID: ${student.studentId}`);
+  }
+
+  if (student.gradeLevel) {
+    details.push(`Grade level: ${student.gradeLevel}`);
+  }
+
+  drawLetterhead(doc, {
+    ...template,
+    title: `Report Card - ${reportCard.semester} ${reportCard.academicYear}`,
+    details: details.join('     ')
+  });
+};
+
+/**
+ * Draw the term average and attendance totals
+ * @param {Object} doc - PDFKit document
+ * @param {Object} reportCard - Report card
+ * @param {Object} template - Template
+ */
+const drawSummary = (doc, reportCard, template) => {
+  ensureSpace(doc, 60);
+
+  doc.font('Helvetica-Bold').fontSize(11).text('Term summary');
+  doc.font('Helvetica').fontSize(10)
+    .text(`Term average: ${formatPercentage(reportCard.averagePercentage)}`);
+
+  if (template.showAttendance) {
+    const { attendance } = reportCard;
+    doc.text(`Attendance: ${formatPercentage(attendance.totalDays > 0 ? attendance.attendanceRate : null)} - `
+      + `${attendance.presentDays} present, ${attendance.lateDays} late, `
+      + `${attendance.absentDays} absent, ${attendance.excusedDays} excused`);
+  }
+};
+
+/**
+ * Draw a report card with a course table followed by each course's breakdown and comment
+ * @param {Object} doc - PDFKit document
+ * @param {Object} reportCard - Report card
+ * @param {Object} template - Template
+ */
+const drawStandardReportCard = (doc, reportCard, template) => {
+  const columns = template.showAttendance
+    ? [
+      { header: 'Course', width: 165 },
+      { header: 'Teacher', width: 120 },
+      { header: 'Grade', width: 60, align: 'center' },
+      { header: 'Score', width: 70, align: 'right' },
+      { header: 'Attendance', width: 80, align: 'right' }
+    ]
+    : [
+      { header: 'Course', width: 215 },
+      { header: 'Teacher', width: 140 },
+      { header: 'Grade', width: 65, align: 'center' },
+      { header: 'Score', width: 75, align: 'right' }
+    ];
+
+  drawTable(doc, columns, reportCard.courses.map(entry => {
+    const row = [
+      `${entry.course.name} (${entry.course.code})`,
+      entry.course.teacher || '-',
+      entry.letterGrade || '-',
+      formatPercentage(entry.percentage)
+    ];
+
+    return template.showAttendance ? [...row, formatAttendance(entry.attendance)] : row;
+  }));
+
+  reportCard.courses.forEach(entry => {
+    const categories = entry.categories.filter(category => category.percentage !== null);
+
+    if (categories.length === 0 && !entry.comment) {
+      return;
+    }
+
+    ensureSpace(doc, 50);
+    doc.font('Helvetica-Bold').fontSize(10).text(entry.course.name);
+    doc.font('Helvetica').fontSize(9);
+
+    if (categories.length > 0) {
+      doc.text(categories.map(category =>
+        `${formatType(category.type)}${category.weight !== null ? ` (${category.weight}%)` : ''}: `
+        + `${formatPercentage(category.percentage)} ${category.letterGrade || ''}`.trim()
+      ).join('   '));
+    }
+
+    if (entry.comment) {
+      doc.font('Helvetica-Oblique').text(entry.comment);
+    }
+
+    doc.moveDown(0.5);
+  });
+
+  doc.moveDown(0.5);
+  drawSummary(doc, reportCard, template);
+};
+
+/**
+ * Draw a report card as one table with the comments in it
+ * @param {Object} doc - PDFKit document
+ * @param {Object} reportCard - Report card
+ * @param {Object} template - Template
+ */
+const drawCompactReportCard = (doc, reportCard, template) => {
+  const columns = [
+    { header: 'Course', width: 130 },
+    { header: 'Grade', width: 45, align: 'center' },
+    { header: 'Score', width: 55, align: 'right' },
+    ...(template.showAttendance ? [{ header: 'Attendance', width: 70, align: 'right' }] : []),
+    { header: 'Comment', width: template.showAttendance ? 195 : 265 }
+  ];
+
+  drawTable(doc, columns, reportCard.courses.map(entry => [
+    entry.course.name,
+    entry.letterGrade || '-',
+    formatPercentage(entry.percentage),
+    ...(template.showAttendance ? [formatAttendance(entry.attendance)] : []),
+    entry.comment || ''
+  ]));
+
+  drawSummary(doc, reportCard, template);
+};
+
+/**
+ * Render report cards into one PDF, each starting on a new page
+ * @param {Array} reportCards - Report cards
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+const renderReportCards = async (reportCards) => {
+  const template = await loadTemplate();
+  const draw = template.layout === 'compact' ? drawCompactReportCard : drawStandardReportCard;
+  const generatedOn = new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+
+  return await renderPdf(doc => {
+    reportCards.forEach((reportCard, index) => {
+      if (index > 0) {
+        doc.addPage();
+      }
+
+      drawHeader(doc, reportCard, template);
+
+      if (reportCard.courses.length === 0) {
+        doc.font('Helvetica').fontSize(10).text('No courses in this term.');
+        return;
+      }
+
+      draw(doc, reportCard, template);
+    });
+
+    drawFooters(doc, () => [template.footerText, `Generated ${generatedOn}`].filter(Boolean).join(' - '));
+  });
+};
+
+/**
+ * Build a file name from its parts
+ * @param {Array} parts - Name parts
+ * @returns {string} PDF file name
+ */
+const toFileName = (parts) => `${parts.join('-').replace(/[^a-z0-9.]+/gi, '-').replace(/^-+|-+$/g, '')}.pdf`;
+
+/**
+ * Get the school name, footer and logo printed on report cards and transcripts
+ * @returns {Object} schoolName, footerText and the logo's file path (null without a logo)
+ */
+exports.getBranding = async () => {
+  const logo = await settingService.getSetting('reportCards.logo');
+  const logoPath = logo ? path.join(LOGO_DIR, logo) : null;
+
+  return {
+    schoolName: await settingService.getSetting('reportCards.schoolName'),
+    footerText: await settingService.getSetting('reportCards.footerText'),
+    logoPath: logoPath && fs.existsSync(logoPath) ? logoPath : null
+  };
+};
+
+/**
+ * Get a student's report card for a term
+ * @param {string} studentId - Student ID
+ * @param {Object} params - academicYear and semester
+ * @param {Object} user - Current user object
+ * @returns {Object} Report card
+ */
+exports.getReportCard = async (studentId, params, user) => {
+  const term = parseTerm(params);
+  await userService.assertCanViewStudent(studentId, user, 'report cards');
+  const student = await findStudent(studentId);
+
+  return await buildReportCard(student, term);
+};
+
+/**
+ * Get a student's report card for a term as a PDF
+ * @param {string} studentId - Student ID
+ * @param {Object} params - academicYear and semester
+ * @param {Object} user - Current user object
+ * @returns {Object} File name and content
+ */
+exports.getReportCardPdf = async (studentId, params, user) => {
+  const reportCard = await exports.getReportCard(studentId, params, user);
+
+  return {
+    filename: toFileName(['report-card', reportCard.student.lastName, reportCard.student.firstName,
+      reportCard.academicYear, reportCard.semester]),
+    content: await renderReportCards([reportCard])
+  };
+};
+
+/**
+ * Get the report cards of a class in one PDF: the students of a course, or
+ * (admins only) every student taking a course of a grade level in a term
+ * @param {Object} params - course, or gradeLevel with academicYear and semester
+ * @param {Object} user - Current user object
+ * @returns {Object} File name and content
+ */
+exports.getClassReportCardsPdf = async (params, user) => {
+  let term;
+  let studentIds;
+  let name;
+
+  if (params.course) {
+    const course = await findTeachingCourse(params.course, user);
+
+    term = { academicYear: course.academicYear, semester: course.semester };
+    studentIds = course.students;
+    name = course.code;
+  } else if (params.gradeLevel) {
+    if (user.role !== 'admin') {
+      const error = new Error('Only admins can generate report cards for a grade level');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    term = parseTerm(params);
+    studentIds = await Course.distinct('students', {
+      grade: Number(params.gradeLevel),
+      academicYear: term.academicYear,
+      semester: term.semester
+    });
+    name = `grade-${params.gradeLevel}`;
+  } else {
+    const error = new Error('Please provide a course or a gradeLevel');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const students = await User.find({ _id: { $in: studentIds }, role: 'student' })
+    .select('firstName lastName studentDetails')
+    .sort('lastName firstName');
+
+  if (students.length === 0) {
+    const error = new Error('No students found for these report cards');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const reportCards = [];
+
+  for (const student of students) {
+    reportCards.push(await buildReportCard(student, term));
+  }
+
+  return {
+    filename: toFileName(['report-cards', name, term.academicYear, term.semester]),
+    content: await renderReportCards(reportCards)
+  };
+};
+
+/**
+ * Get the report card comments of a course
+ * @param {string} courseId - Course ID
+ * @param {Object} user - Current user object
+ * @returns {Array} Comments
+ */
+exports.getCourseComments = async (courseId, user) => {
+  const course = await findTeachingCourse(courseId, user);
+
+  return await ReportCardComment.find({ course: course._id })
+    .populate('author', 'firstName lastName');
+};
+
+/**
+ * Write, change or remove a teacher comment for a student's report card
+ * @param {string} courseId - Course ID
+ * @param {string} studentId - Student ID
+ * @param {string} comment - Comment; empty removes it
+ * @param {Object} user - Current user object
+ * @returns {Object|null} Comment, or null if removed
+ */
+exports.saveComment = async (courseId, studentId, comment, user) => {
+  const course = await findTeachingCourse(courseId, user);
+  const isEnrolled = course.students.some(id => id.toString() === studentId);
+
+  if (!isEnrolled) {
+    const error = new Error('Student is not enrolled in this course');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (!comment || !comment.trim()) {
+    await ReportCardComment.deleteOne({ course: course._id, student: studentId });
+    return null;
+  }
+
+  return await ReportCardComment.findOneAndUpdate(
+    { course: course._id, student: studentId },
+    { comment, author: user.id },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Use an uploaded image as the report card logo, replacing the previous one
+ * @param {Object} file - Uploaded file
+ * @param {Object} user - Current user object
+ * @returns {string} File name of the logo
+ */
+exports.updateLogo = async (file, user) => {
+  if (!file) {
+    const error = new Error('Please upload a logo');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (!LOGO_TYPES.includes(file.mimetype)) {
+    fs.unlink(file.path, () => {});
+
+    const error = new Error('The logo must be a PNG or JPEG image');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const previous = await settingService.getSetting('reportCards.logo');
+  await settingService.updateSetting('reportCards.logo', file.filename, user.id);
+
+  if (previous) {
+    fs.unlink(path.join(LOGO_DIR, previous), () => {});
+  }
+
+  return file.filename;
+};
+
+/**
+ * Stop printing a logo on report cards
+ * @param {Object} user - Current user object
+ */
+exports.deleteLogo = async (user) => {
+  const previous = await settingService.getSetting('reportCards.logo');
+  await settingService.updateSetting('reportCards.logo', '', user.id);
+
+  if (previous) {
+    fs.unlink(path.join(LOGO_DIR, previous), () => {});
+  }
+};
@@ -0,0 +1,228 @@
+const Rubric = require('../models/rubric.model');
+const Course = require('../models/course.model');
+const Assignment = require('../models/assignment.model');
+
+/**
+ * Load a course whose rubrics the user may manage: its teacher or an admin
+ * @param {string} courseId - Course ID
+ * @param {Object} user - Current user object
+ * @returns {Object} Course
+ */
+const findManagedCourse = async (courseId, user) => {
+  const course = await Course.findById(courseId).select('name teacher');
+
+  if (!course) {
+    const error = new Error(`Course not found with id of ${courseId}`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (user.role === 'teacher' && course.teacher.toString() !== user.id) {
+    const error = new Error('Not authorized to manage rubrics for this course');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  return course;
+};
+
+/**
+ * Load a rubric the user may manage
+ * @param {string} rubricId - Rubric ID
+ * @param {Object} user - Current user object
+ * @returns {Object} Rubric
+ */
+const findManagedRubric = async (rubricId, user) => {
+  const rubric = await Rubric.findById(rubricId);
+
+  if (!rubric) {
+    const error = new Error(`Rubric not found with id of ${rubricId}`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  await findManagedCourse(rubric.course, user);
+
+  return rubric;
+};
+
+/**
+ * Keep only the fields a rubric's criteria and levels are made of
+ * @param {Array} criteria - Criteria from the request
+ * @returns {Array} Criteria
+ */
+const pickCriteria = (criteria) => (Array.isArray(criteria) ? criteria : []).map(criterion => ({
+  ...(criterion._id && { _id: criterion._id }),
+  title: criterion.title,
+  description: criterion.description,
+  levels: (Array.isArray(criterion.levels) ? criterion.levels : []).map(level => ({
+    ...(level._id && { _id: level._id }),
+    title: level.title,
+    description: level.description,
+    points: level.points
+  }))
+}));
+
+/**
+ * Get the rubrics of a course, or of every course the user teaches
+ * @param {Object} queryParams - course filter
+ * @param {Object} user - Current user object
+ * @returns {Array} Rubrics by course and title
+ */
+exports.getRubrics = async (queryParams, user) => {
+  const query = {};
+
+  if (queryParams.course) {
+    await findManagedCourse(String(queryParams.course), user);
+    query.course = String(queryParams.course);
+  } else if (user.role === 'teacher') {
+    query.course = { $in: await Course.find({ teacher: user.id }).distinct('_id') };
+  }
+
+  return await Rubric.find(query)
+    .populate('course', 'name code')
+    .sort('course title');
+};
+
+/**
+ * Get a rubric
+ * @param {string} rubricId - Rubric ID
+ * @param {Object} user - Current user object
+ * @returns {Object} Rubric
+ */
+exports.getRubric = async (rubricId, user) => await findManagedRubric(rubricId, user);
+
+/**
+ * Create a rubric for a course
+ * @param {Object} rubricData - Title, description, course and criteria with their levels
+ * @param {Object} user - Current user object
+ * @returns {Object} Rubric
+ */
+exports.createRubric = async (rubricData, user) => {
+  const { title, description, course, criteria } = rubricData;
+
+  if (!course) {
+    const error = new Error('Please add a course');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  await findManagedCourse(course, user);
+
+  return await Rubric.create({
+    title,
+    description,
+    course,
+    criteria: pickCriteria(criteria),
+    createdBy: user.id
+  });
+};
+
+/**
+ * Update a rubric. Submissions already graded keep the scores they were given.
+ * @param {string} rubricId - Rubric ID
+ * @param {Object} rubricData - Fields to change
+ * @param {Object} user - Current user object
+ * @returns {Object} Rubric
+ */
+exports.updateRubric = async (rubricId, rubricData, user) => {
+  const rubric = await findManagedRubric(rubricId, user);
+
+  ['title', 'description'].forEach(field => {
+    if (rubricData[field] !== undefined) {
+      rubric[field] = rubricData[field];
+    }
+  });
+
+  if (rubricData.criteria !== undefined) {
+    rubric.criteria = pickCriteria(rubricData.criteria);
+  }
+
+  await rubric.save();
+
+  return rubric;
+};
+
+/**
+ * Delete a rubric that no assignment uses
+ * @param {string} rubricId - Rubric ID
+ * @param {Object} user - Current user object
+ * @returns {boolean} True if deleted
+ */
+exports.deleteRubric = async (rubricId, user) => {
+  const rubric = await findManagedRubric(rubricId, user);
+
+  const assignmentCount = await Assignment.countDocuments({ rubric: rubric._id });
+
+  if (assignmentCount > 0) {
+    const error = new Error(`This rubric is used by ${assignmentCount} assignment${assignmentCount === 1 ? '' : 's'}. Remove it from them first`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  await Rubric.deleteOne({ _id: rubric._id });
+  return true;
+};
+
+/**
+ * Copy a rubric into another course, where it can be changed on its own
+ * @param {string} rubricId - Rubric ID
+ * @param {Object} copyData - Target course and an optional new title
+ * @param {Object} user - Current user object
+ * @returns {Object} New rubric
+ */
+exports.copyRubric = async (rubricId, copyData, user) => {
+  const rubric = await findManagedRubric(rubricId, user);
+
+  if (!copyData.course) {
+    const error = new Error('Please choose the course to copy the rubric to');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  await findManagedCourse(copyData.course, user);
+
+  return await Rubric.create({
+    title: copyData.title || rubric.title,
+    description: rubric.description,
+    course: copyData.course,
+    criteria: rubric.criteria.map(criterion => ({
+      title: criterion.title,
+      description: criterion.description,
+      levels: criterion.levels.map(level => ({
+        title: level.title,
+        description: level.description,
+        points: level.points
+      }))
+    })),
+    createdBy: user.id
+  });
+};
+
+/**
+ * Check that a rubric can be attached to an assignment of a course
+ * @param {string|null} rubricId - Rubric ID, or empty to attach none
+ * @param {string} courseId - Course of the assignment
+ * @returns {string|null} Rubric ID to store
+ */
+exports.resolveAssignmentRubric = async (rubricId, courseId) => {
+  if (!rubricId || rubricId === 'null') {
+    return null;
+  }
+
+  const rubric = await Rubric.findById(rubricId).select('course');
+
+  if (!rubric) {
+    const error = new Error(`Rubric not found with id of ${rubricId}`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (rubric.course.toString() !== courseId.toString()) {
+    const error = new Error('The rubric belongs to another course. Copy it to this course first');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return rubric._id;
+};
@@ -0,0 +1,220 @@
+const path = require('path');
+const Setting = require('../models/setting.model');
+
+const ROLES = ['admin', 'teacher', 'student', 'parent'];
+const REPORT_CARD_TEMPLATES = ['standard', 'compact'];
+
+/**
+ * Check that a value names an existing grading scale
+ * @param {*} value - Built-in key or scale ID
+ * @returns {string|undefined} Error message
+ */
+const validateGradingScale = async (value) => {
+  if (typeof value !== 'string' || !value) {
+    return 'Value must be a grading scale key or ID';
+  }
+
+  // Required here because the grading scale service reads settings
+  const gradingScaleService = require('./grading-scale.service');
+  try {
+    await gradingScaleService.getGradingScale(value);
+  } catch (err) {
+    return `Grading scale ${value} does not exist`;
+  }
+};
+
+/**
+ * Settings admins can change, with their defaults and validators.
+ * A validator returns an error message, or nothing if the value is valid.
+ * An optional onChange runs after the new value is stored.
+ */
+const definitions = {
+  'auth.twoFactorRequiredRoles': {
+    description: 'Roles that must use two-factor authentication',
+    default: [],
+    validate: (value) => {
+      if (!Array.isArray(value) || !value.every(role => ROLES.includes(role))) {
+        return `Value must be an array of roles (${ROLES.join(', ')})`;
+      }
+    }
+  },
+  'registration.allowedEmailDomains': {
+    description: 'Email domains allowed to create accounts (empty allows any domain)',
+    default: [],
+    validate: (value) => {
+      if (!Array.isArray(value) || !value.every(domain => typeof domain === 'string' && /^[a-z0-9.-]+\.[a-z]{2,}$/i.test(domain))) {
+        return 'Value must be an array of domains, e.g. ["myschool.com"]';
+      }
+    }
+  },
+  'registration.inviteOnly': {
+    description: 'Only existing or invited users can sign in; self-registration is disabled',
+    default: false,
+    validate: (value) => {
+      if (typeof value !== 'boolean') {
+        return 'Value must be true or false';
+      }
+    }
+  },
+  'registration.requireApproval': {
+    description: 'Self-registered accounts must be approved by an admin before they can sign in',
+    default: false,
+    validate: (value) => {
+      if (typeof value !== 'boolean') {
+        return 'Value must be true or false';
+      }
+    }
+  },
+  'registration.linkByVerifiedEmail': {
+    description: 'Link a Firebase sign-in to an existing account with the same verified email',
+    default: true,
+    validate: (value) => {
+      if (typeof value !== 'boolean') {
+        return 'Value must be true or false';
+      }
+    }
+  },
+  'grading.defaultScale': {
+    description: 'Grading scale for courses without their own scale: a built-in key (letter, plus-minus, pass-fail, five-point, percentage) or a scale ID',
+    default: 'letter',
+    validate: validateGradingScale,
+    onChange: async () => {
+      const Course = require('../models/course.model');
+      const gradingScaleService = require('./grading-scale.service');
+      const courses = await Course.find({ gradingScale: null }).select('_id');
+
+      await gradingScaleService.refreshLetterGrades(courses.map(course => course._id));
+    }
+  },
+  'grading.gpaScale': {
+    description: 'Grading scale whose grade points make up GPAs: a built-in key or a scale ID. Pass/fail courses only count for credits',
+    default: 'letter',
+    validate: validateGradingScale
+  },
+  'reportCards.schoolName': {
+    description: 'School name printed at the top of report cards and transcripts',
+    default: 'MySchool',
+    validate: (value) => {
+      if (typeof value !== 'string' || !value.trim() || value.length > 100) {
+        return 'Value must be a name of at most 100 characters';
+      }
+    }
+  },
+  'reportCards.template': {
+    description: 'Report card layout: standard (grade breakdown and comments per course) or compact (one table)',
+    default: 'standard',
+    validate: (value) => {
+      if (!REPORT_CARD_TEMPLATES.includes(value)) {
+        return `Value must be one of ${REPORT_CARD_TEMPLATES.join(', ')}`;
+      }
+    }
+  },
+  'reportCards.footerText': {
+    description: 'Text printed at the bottom of every report card and transcript page, e.g. the school address',
+    default: '',
+    validate: (value) => {
+      if (typeof value !== 'string' || value.length > 300) {
+        return 'Value must be a text of at most 300 characters';
+      }
+    }
+  },
+  'reportCards.showAttendance': {
+    description: 'Print attendance per course on report cards',
+    default: true,
+    validate: (value) => {
+      if (typeof value !== 'boolean') {
+        return 'Value must be true or false';
+      }
+    }
+  },
+  'reportCards.logo': {
+    description: 'Logo printed on report cards and transcripts; set by uploading to PUT /api/report-cards/logo',
+    default: '',
+    validate: (value) => {
+      if (typeof value !== 'string' || path.basename(value) !== value) {
+        return 'Value must be the file name of an uploaded logo, or empty for none';
+      }
+    }
+  }
+};
+
+/**
+ * Get the definition of a setting
+ * @param {string} key - Setting key
+ * @returns {Object} Setting definition
+ */
+const getDefinition = (key) => {
+  const definition = definitions[key];
+
+  if (!definition) {
+    const error = new Error(`Unknown setting ${key}`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return definition;
+};
+
+/**
+ * Get the value of a setting, falling back to its default
+ * @param {string} key - Setting key
+ * @returns {*} Setting value
+ */
+exports.getSetting = async (key) => {
+  const definition = getDefinition(key);
+  const setting = await Setting.findOne({ key });
+
+  return setting ? setting.value : definition.default;
+};
+
+/**
+ * Get every setting with its current value
+ * @returns {Array} Array of settings
+ */
+exports.getSettings = async () => {
+  const stored = await Setting.find({ key: { $in: Object.keys(definitions) } });
+  const byKey = new Map(stored.map(setting => [setting.key, setting]));
+
+  return Object.entries(definitions).map(([key, definition]) => {
+    const setting = byKey.get(key);
+
+    return {
+      key,
+      description: definition.description,
+      value: setting ? setting.value : definition.default,
+      default: definition.default,
+      updatedAt: setting ? setting.updatedAt : null,
+      updatedBy: setting ? setting.updatedBy : null
+    };
+  });
+};
+
+/**
+ * Change the value of a setting
+ * @param {string} key - Setting key
+ * @param {*} value - New value
+ * @param {string} userId - Admin making the change
+ * @returns {Object} Updated setting
+ */
+exports.updateSetting = async (key, value, userId) => {
+  const definition = getDefinition(key);
+  const problem = definition.validate ? await definition.validate(value) : undefined;
+
+  if (problem) {
+    const error = new Error(problem);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const setting = await Setting.findOneAndUpdate(
+    { key },
+    { value, updatedBy: userId },
+    { new: true, upsert: true, runValidators: true }
+  );
+
+  if (definition.onChange) {
+    await definition.onChange(value);
+  }
+
+  return setting;
+};
@@ -0,0 +1,35 @@
+/**
+ * Holds the Socket.io server so services can reach connected clients.
+ * Every authenticated socket joins a room named after its user ID.
+ */
+let io = null;
+
+/**
+ * Register the Socket.io server
+ * @param {Object} server - Socket.io server instance
+ */
+exports.setIo = (server) => {
+  io = server;
+};
+
+/**
+ * Send an event to every socket of a user
+ * @param {string} userId - User ID
+ * @param {string} event - Event name
+ * @param {*} data - Event payload
+ */
+exports.emitToUser = (userId, event, data) => {
+  if (io) {
+    io.to(userId.toString()).emit(event, data);
+  }
+};
+
+/**
+ * Disconnect every socket of a user
+ * @param {string} userId - User ID
+ */
+exports.disconnectUser = (userId) => {
+  if (io) {
+    io.in(userId.toString()).disconnectSockets(true);
+  }
+};
@@ -0,0 +1,341 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const RefreshToken = require('../models/refresh-token.model');
+const RevokedToken = require('../models/revoked-token.model');
+const User = require('../models/user.model');
+
+/**
+ * Hash a refresh token for storage and lookup
+ * @param {string} token - Raw refresh token
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Get the expiry date for a newly issued refresh token
+ * @returns {Date} Expiry date
+ */
+const getRefreshTokenExpiry = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Get the longest time an access token issued now can stay valid
+ * @returns {number} Lifetime in milliseconds
+ */
+const getAccessTokenLifetime = () => {
+  const { iat, exp } = jwt.decode(
+    jwt.sign({}, process.env.JWT_SECRET, { expiresIn: process.env.JWT_EXPIRE })
+  );
+  return (exp - iat) * 1000;
+};
+
+/**
+ * Generate a short-lived JWT access token
+ * @param {Object} user - User object
+ * @param {string} session - Refresh token family the access token belongs to
+ * @returns {string} JWT token
+ */
+const generateAccessToken = (user, session) => {
+  return jwt.sign(
+    { id: user._id, role: user.role, sid: session, tv: user.tokenVersion || 0 },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRE, jwtid: uuidv4() }
+  );
+};
+
+/**
+ * Revoke a session: its refresh tokens and every access token issued for it
+ * @param {string} userId - Owner of the session
+ * @param {string} session - Refresh token family
+ * @param {string} reason - Revocation reason
+ */
+const revokeFamily = async (userId, session, reason) => {
+  await RefreshToken.revokeFamily(session, reason);
+
+  await RevokedToken.create({
+    session,
+    user: userId,
+    reason,
+    expiresAt: new Date(Date.now() + getAccessTokenLifetime())
+  });
+};
+
+/**
+ * Create and persist a refresh token
+ * @param {Object} user - User object
+ * @param {string} family - Token family
+ * @param {Object} meta - Client metadata (ip, userAgent)
+ * @returns {Object} Raw token and its stored hash
+ */
+const createRefreshToken = async (user, family, meta = {}) => {
+  const token = crypto.randomBytes(40).toString('hex');
+  const tokenHash = hashToken(token);
+
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash,
+    family,
+    expiresAt: getRefreshTokenExpiry(),
+    createdByIp: meta.ip,
+    userAgent: meta.userAgent
+  });
+
+  return { token, tokenHash };
+};
+
+/**
+ * Issue an access token and a refresh token for a new session
+ * @param {Object} user - User object
+ * @param {Object} meta - Client metadata (ip, userAgent)
+ * @returns {Object} Access token and refresh token
+ */
+exports.issueAuthTokens = async (user, meta = {}) => {
+  const family = uuidv4();
+  const { token: refreshToken } = await createRefreshToken(user, family, meta);
+
+  return {
+    token: generateAccessToken(user, family),
+    refreshToken
+  };
+};
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token.
+ * Presenting a token that was already rotated revokes the whole family.
+ * @param {string} refreshToken - Raw refresh token
+ * @param {Object} meta - Client metadata (ip, userAgent)
+ * @returns {Object} User object, access token and refresh token
+ */
+exports.rotateRefreshToken = async (refreshToken, meta = {}) => {
+  if (!refreshToken) {
+    const error = new Error('Refresh token is required');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const storedToken = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+
+  if (!storedToken) {
+    const error = new Error('Invalid refresh token');
+    error.statusCode = 401;
+    throw error;
+  }
+
+  if (storedToken.revokedAt) {
+    // A rotated token being replayed means it leaked; kill the whole session
+    if (storedToken.revokedReason === 'rotated') {
+      await revokeFamily(storedToken.user, storedToken.family, 'reuse_detected');
+      console.warn(`Refresh token reuse detected for user ${storedToken.user}, family ${storedToken.family} revoked`);
+    }
+
+    const error = new Error('Invalid refresh token');
+    error.statusCode = 401;
+    throw error;
+  }
+
+  if (storedToken.expiresAt <= Date.now()) {
+    const error = new Error('Refresh token expired');
+    error.statusCode = 401;
+    throw error;
+  }
+
+  const user = await User.findById(storedToken.user);
+
+  if (!user || user.active === false) {
+    await RefreshToken.revokeFamily(storedToken.family, 'revoked');
+
+    const error = new Error('Invalid refresh token');
+    error.statusCode = 401;
+    throw error;
+  }
+
+  // Claim the token atomically so two concurrent refreshes cannot both succeed
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: storedToken._id, revokedAt: null },
+    { revokedAt: Date.now(), revokedReason: 'rotated' }
+  );
+
+  if (!claimed) {
+    const error = new Error('Invalid refresh token');
+    error.statusCode = 401;
+    throw error;
+  }
+
+  const { token: newRefreshToken, tokenHash } = await createRefreshToken(user, storedToken.family, meta);
+
+  await RefreshToken.updateOne({ _id: storedToken._id }, { replacedByHash: tokenHash });
+
+  return {
+    user,
+    token: generateAccessToken(user, storedToken.family),
+    refreshToken: newRefreshToken
+  };
+};
+
+/**
+ * List the active sessions of a user
+ * @param {string} userId - User ID
+ * @param {string} currentSession - Session of the requesting access token
+ * @returns {Array} Array of sessions
+ */
+exports.getSessions = async (userId, currentSession) => {
+  // Rotation leaves exactly one active refresh token per session
+  const tokens = await RefreshToken.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: Date.now() }
+  }).sort('-createdAt');
+
+  return tokens.map(token => ({
+    id: token.family,
+    ip: token.createdByIp,
+    userAgent: token.userAgent,
+    lastActiveAt: token.createdAt,
+    expiresAt: token.expiresAt,
+    current: token.family === currentSession
+  }));
+};
+
+/**
+ * Revoke a single session of a user
+ * @param {string} userId - User ID
+ * @param {string} session - Session ID (refresh token family)
+ * @param {string} reason - Revocation reason
+ * @returns {boolean} True if revoked
+ */
+exports.revokeSession = async (userId, session, reason = 'revoked') => {
+  const exists = await RefreshToken.exists({ user: userId, family: session });
+
+  if (!exists) {
+    const error = new Error(`Session not found with id of ${session}`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  await revokeFamily(userId, session, reason);
+  return true;
+};
+
+/**
+ * End the session an access token belongs to. Tokens issued before sessions
+ * existed carry no session ID, so only the token itself is revoked.
+ * @param {Object} payload - Decoded access token
+ * @param {string} reason - Revocation reason
+ */
+exports.endSession = async (payload, reason = 'logout') => {
+  if (payload.sid) {
+    await revokeFamily(payload.id, payload.sid, reason);
+  } else if (payload.jti) {
+    await RevokedToken.create({
+      jti: payload.jti,
+      user: payload.id,
+      reason,
+      expiresAt: new Date(payload.exp * 1000)
+    });
+  }
+};
+
+/**
+ * Revoke every session of a user. Bumping the token version invalidates all
+ * access tokens already issued, so no denylist entries are needed.
+ * @param {string} userId - User ID
+ * @returns {number} New token version
+ */
+exports.revokeAllSessions = async (userId) => {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { tokenVersion: 1 } },
+    { new: true }
+  );
+
+  if (!user) {
+    const error = new Error(`User not found with id of ${userId}`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: Date.now(), revokedReason: 'revoked' }
+  );
+
+  return user.tokenVersion;
+};
+
+/**
+ * Issue a short-lived token proving the first login step (the password) passed
+ * @param {Object} user - User object
+ * @param {string} purpose - Next step: 'two_factor' or 'two_factor_setup'
+ * @returns {string} Challenge token
+ */
+exports.issueChallengeToken = (user, purpose) => {
+  return jwt.sign(
+    { id: user._id, purpose, tv: user.tokenVersion || 0 },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m', jwtid: uuidv4() }
+  );
+};
+
+/**
+ * Verify a challenge token and load its user
+ * @param {string} challengeToken - Challenge token from the first login step
+ * @param {string} purpose - Expected purpose
+ * @param {string} select - Extra user fields to select
+ * @returns {Object} User object
+ */
+exports.verifyChallengeToken = async (challengeToken, purpose, select = '') => {
+  const invalid = () => {
+    const error = new Error('Invalid or expired login challenge, please sign in again');
+    error.statusCode = 401;
+    return error;
+  };
+
+  if (!challengeToken) {
+    const error = new Error('Challenge token is required');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(challengeToken, process.env.JWT_SECRET);
+  } catch (err) {
+    throw invalid();
+  }
+
+  if (payload.purpose !== purpose) {
+    throw invalid();
+  }
+
+  const user = await User.findById(payload.id).select(select);
+
+  if (!user || user.active === false || (payload.tv || 0) !== (user.tokenVersion || 0)) {
+    throw invalid();
+  }
+
+  return user;
+};
+
+/**
+ * Check whether a decoded access token is still valid for a user
+ * @param {Object} payload - Decoded access token
+ * @param {Object} user - User the token was issued to
+ * @returns {boolean} True if the token has not been revoked
+ */
+exports.isAccessTokenValid = async (payload, user) => {
+  // Challenge tokens are signed with the same secret but grant no access
+  if (payload.purpose) {
+    return false;
+  }
+
+  if ((payload.tv || 0) !== (user.tokenVersion || 0)) {
+    return false;
+  }
+
+  return !(await RevokedToken.isRevoked(payload));
+};
@@ -0,0 +1,266 @@
+const Course = require('../models/course.model');
+const Grade = require('../models/grade.model');
+const User = require('../models/user.model');
+const gradingScaleService = require('./grading-scale.service');
+const reportCardService = require('./report-card.service');
+const userService = require('./user.service');
+const { renderPdf, ensureSpace, drawLetterhead, drawTable, drawFooters } = require('../utils/pdf');
+const { toCsv } = require('../utils/csv');
+
+// Order of the terms within an academic year
+const SEMESTER_ORDER = ['Fall', 'Spring', 'Summer'];
+
+/**
+ * Load a student and make sure the user may see their transcript: the student, their parents or an admin
+ * @param {string} studentId - Student ID
+ * @param {Object} user - Current user object
+ * @returns {Object} Student
+ */
+const findStudent = async (studentId, user) => {
+  await userService.assertCanViewStudent(studentId, user, 'transcript');
+
+  const student = await User.findOne({ _id: studentId, role: 'student' })
+    .select('firstName lastName studentDetails');
+
+  if (!student) {
+    const error = new Error(`Student not found with id of ${studentId}`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return student;
+};
+
+const compareTerms = (a, b) => a.academicYear.localeCompare(b.academicYear)
+  || SEMESTER_ORDER.indexOf(a.semester) - SEMESTER_ORDER.indexOf(b.semester);
+
+/**
+ * Grade point average of course results, weighted by credit hours
+ * @param {Array} results - Course results
+ * @returns {Object} GPA (null without GPA courses) and the credit hours it covers
+ */
+const calculateGpa = (results) => {
+  const counted = results.filter(result => result.gradePoints !== null);
+  const credits = counted.reduce((sum, result) => sum + result.creditHours, 0);
+
+  return {
+    gpa: credits > 0
+      ? Math.round(counted.reduce((sum, result) => sum + result.gradePoints * result.creditHours, 0) / credits * 100) / 100
+      : null,
+    gpaCredits: credits
+  };
+};
+
+/**
+ * Collect a student's course results per term with term and cumulative GPAs
+ * @param {Object} student - Student document
+ * @returns {Object} Transcript
+ */
+const buildTranscript = async (student) => {
+  const gpaScale = await gradingScaleService.getGpaScale();
+
+  // Courses the student has left still count when they were graded in them
+  const gradedCourseIds = await Grade.distinct('course', { student: student._id, deletedAt: null });
+  const courses = await Course.find({
+    $or: [{ students: student._id }, { _id: { $in: gradedCourseIds } }]
+  }).sort('name');
+
+  const terms = [];
+
+  for (const course of courses) {
+    const summary = await Grade.calculateCourseGrade(student._id, course._id);
+    const graded = summary.totalGrades > 0;
+    const creditHours = course.creditHours ?? 1;
+
+    // Pass/fail courses earn credits without counting towards the GPA
+    const countsTowardsGpa = graded && summary.scale.type !== 'pass-fail' && creditHours > 0;
+    const gpaResult = countsTowardsGpa ? gpaScale.resolve(summary.percentage) : null;
+    const gradePoints = gpaResult && typeof gpaResult.points === 'number' ? gpaResult.points : null;
+
+    let term = terms.find(candidate =>
+      candidate.academicYear === course.academicYear && candidate.semester === course.semester
+    );
+
+    if (!term) {
+      term = { academicYear: course.academicYear, semester: course.semester, courses: [] };
+      terms.push(term);
+    }
+
+    term.courses.push({
+      course: {
+        _id: course._id,
+        name: course.name,
+        code: course.code
+      },
+      creditHours,
+      percentage: graded ? summary.percentage : null,
+      letterGrade: graded ? summary.letterGrade : null,
+      gradePoints,
+      status: graded ? (summary.passing ? 'passed' : 'failed') : 'in progress',
+      creditsEarned: graded && summary.passing ? creditHours : 0
+    });
+  }
+
+  terms.sort(compareTerms);
+
+  const completed = [];
+
+  terms.forEach(term => {
+    const graded = term.courses.filter(result => result.status !== 'in progress');
+    completed.push(...graded);
+
+    const termGpa = calculateGpa(graded);
+    term.creditsAttempted = graded.reduce((sum, result) => sum + result.creditHours, 0);
+    term.creditsEarned = graded.reduce((sum, result) => sum + result.creditsEarned, 0);
+    term.gpa = termGpa.gpa;
+    term.gpaCredits = termGpa.gpaCredits;
+    term.cumulativeGpa = calculateGpa(completed).gpa;
+  });
+
+  const cumulative = calculateGpa(completed);
+  const maxPoints = gpaScale.type === 'percentage'
+    ? 100
+    : Math.max(0, ...gpaScale.bands.map(band => band.points || 0));
+
+  return {
+    student: {
+      _id: student._id,
+      firstName: student.firstName,
+      lastName: student.lastName,
+      studentId: student.studentDetails?.studentId || null,
+      gradeLevel: student.studentDetails?.grade || null
+    },
+    gpaScale: {
+      _id: gpaScale._id,
+      name: gpaScale.name,
+      maxPoints
+    },
+    terms,
+    creditsAttempted: completed.reduce((sum, result) => sum + result.creditHours, 0),
+    creditsEarned: completed.reduce((sum, result) => sum + result.creditsEarned, 0),
+    cumulativeGpa: cumulative.gpa,
+    gpaCredits: cumulative.gpaCredits,
+    generatedAt: new Date()
+  };
+};
+
+const formatGpa = (gpa) => (gpa === null ? '-' : gpa.toFixed(2));
+
+const formatPercentage = (value) => (value === null ? '-' : `${value.toFixed(1)}%`);
+
+const fileName = (transcript, extension) => `${['transcript', transcript.student.lastName, transcript.student.firstName]
+  .join('-').replace(/[^a-z0-9]+/gi, '-')}.${extension}`;
+
+/**
+ * Get a student's transcript
+ * @param {string} studentId - Student ID
+ * @param {Object} user - Current user object
+ * @returns {Object} Transcript
+ */
+exports.getTranscript = async (studentId, user) => {
+  const student = await findStudent(studentId, user);
+
+  return await buildTranscript(student);
+};
+
+/**
+ * Get a student's transcript as a PDF
+ * @param {string} studentId - Student ID
+ * @param {Object} user - Current user object
+ * @returns {Object} File name and content
+ */
+exports.getTranscriptPdf = async (studentId, user) => {
+  const transcript = await exports.getTranscript(studentId, user);
+  const branding = await reportCardService.getBranding();
+  const generatedOn = transcript.generatedAt.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+  const { student } = transcript;
+
+  const details = [`Student: ${student.lastName}, ${student.firstName}`];
+  if (student.studentId) {
+    details.push(`Student ID: ${student.studentId}`);
+  }
+
+  const content = await renderPdf(doc => {
+    drawLetterhead(doc, { ...branding, title: 'Academic Transcript', details: details.join('     ') });
+
+    if (transcript.terms.length === 0) {
+      doc.font('Helvetica').fontSize(10).text('No courses taken yet.');
+    }
+
+    transcript.terms.forEach(term => {
+      ensureSpace(doc, 80);
+      doc.font('Helvetica-Bold').fontSize(11).fillColor('black').text(`${term.semester} ${term.academicYear}`);
+      doc.moveDown(0.3);
+
+      drawTable(doc, [
+        { header: 'Code', width: 70 },
+        { header: 'Course', width: 175 },
+        { header: 'Credits', width: 50, align: 'right' },
+        { header: 'Score', width: 60, align: 'right' },
+        { header: 'Grade', width: 50, align: 'center' },
+        { header: 'Points', width: 45, align: 'right' },
+        { header: 'Earned', width: 45, align: 'right' }
+      ], term.courses.map(result => [
+        result.course.code,
+        result.status === 'in progress' ? `${result.course.name} (in progress)` : result.course.name,
+        result.creditHours,
+        formatPercentage(result.percentage),
+        result.letterGrade || '-',
+        result.gradePoints === null ? '-' : result.gradePoints.toFixed(2),
+        result.creditsEarned
+      ]));
+
+      doc.font('Helvetica').fontSize(9)
+        .text(`Term GPA: ${formatGpa(term.gpa)}     Cumulative GPA: ${formatGpa(term.cumulativeGpa)}     `
+          + `Credits earned: ${term.creditsEarned} of ${term.creditsAttempted}`);
+      doc.moveDown();
+    });
+
+    ensureSpace(doc, 50);
+    doc.font('Helvetica-Bold').fontSize(11)
+      .text(`Cumulative GPA: ${formatGpa(transcript.cumulativeGpa)} (${transcript.gpaScale.name})`);
+    doc.font('Helvetica').fontSize(10)
+      .text(`Credits earned: ${transcript.creditsEarned} of ${transcript.creditsAttempted} attempted`);
+
+    drawFooters(doc, (index, count) => [branding.footerText, `Generated ${generatedOn}`, `Page ${index + 1} of ${count}`]
+      .filter(Boolean).join(' - '));
+  });
+
+  return { filename: fileName(transcript, 'pdf'), content };
+};
+
+/**
+ * Get a student's transcript as CSV, one row per course
+ * @param {string} studentId - Student ID
+ * @param {Object} user - Current user object
+ * @returns {Object} File name and content
+ */
+exports.getTranscriptCsv = async (studentId, user) => {
+  const transcript = await exports.getTranscript(studentId, user);
+
+  const rows = [[
+    'Academic Year', 'Semester', 'Course Code', 'Course', 'Credit Hours', 'Percentage', 'Grade',
+    'Grade Points', 'Credits Earned', 'Status', 'Term GPA', 'Cumulative GPA'
+  ]];
+
+  transcript.terms.forEach(term => {
+    term.courses.forEach(result => {
+      rows.push([
+        term.academicYear,
+        term.semester,
+        result.course.code,
+        result.course.name,
+        result.creditHours,
+        result.percentage === null ? '' : result.percentage.toFixed(2),
+        result.letterGrade,
+        result.gradePoints,
+        result.creditsEarned,
+        result.status,
+        term.gpa === null ? '' : term.gpa.toFixed(2),
+        term.cumulativeGpa === null ? '' : term.cumulativeGpa.toFixed(2)
+      ]);
+    });
+  });
+
+  return { filename: fileName(transcript, 'csv'), content: toCsv(rows) };
+};
@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const User = require('../models/user.model');
+const totpService = require('./totp.service');
+const settingService = require('./setting.service');
+
+const BACKUP_CODE_COUNT = 10;
+
+/**
+ * Hash a backup code for storage and lookup
+ * @param {string} code - Backup code as entered by the user
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+const hashBackupCode = (code) => {
+  const normalized = String(code).toLowerCase().replace(/[^a-f0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+/**
+ * Generate a fresh set of backup codes
+ * @returns {Object} Raw codes for the user and hashes for storage
+ */
+const generateBackupCodes = () => {
+  const codes = [];
+
+  for (let i = 0; i < BACKUP_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  return { codes, hashes: codes.map(hashBackupCode) };
+};
+
+/**
+ * Check whether two-factor authentication is mandatory for a role
+ * @param {string} role - User role
+ * @returns {boolean} True if required
+ */
+exports.isRequiredForRole = async (role) => {
+  const roles = await settingService.getSetting('auth.twoFactorRequiredRoles');
+  return roles.includes(role);
+};
+
+/**
+ * Start enrollment: generate a secret the user adds to an authenticator app
+ * @param {string} userId - User ID
+ * @returns {Object} Secret, otpauth URI and QR code image (data URL)
+ */
+exports.setup = async (userId) => {
+  const user = await User.findById(userId);
+
+  if (!user) {
+    const error = new Error(`User not found with id of ${userId}`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (user.twoFactorEnabled) {
+    const error = new Error('Two-factor authentication is already enabled');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const secret = totpService.generateSecret();
+  const otpauthUrl = totpService.getProvisioningUri(
+    secret,
+    user.email,
+    process.env.TWO_FACTOR_ISSUER || 'MySchool'
+  );
+
+  await User.updateOne({ _id: user._id }, { twoFactorPendingSecret: secret });
+
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl)
+  };
+};
+
+/**
+ * Finish enrollment by verifying a code from the authenticator app
+ * @param {string} userId - User ID
+ * @param {string} code - Current TOTP code
+ * @returns {Object} User object and backup codes (shown once)
+ */
+exports.enable = async (userId, code) => {
+  const user = await User.findById(userId).select('+twoFactorPendingSecret');
+
+  if (!user) {
+    const error = new Error(`User not found with id of ${userId}`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (!user.twoFactorPendingSecret) {
+    const error = new Error('Start two-factor setup first');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const step = totpService.verifyCode(user.twoFactorPendingSecret, code);
+
+  if (step === null) {
+    const error = new Error('Invalid two-factor code');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const { codes, hashes } = generateBackupCodes();
+
+  user.twoFactorEnabled = true;
+  user.twoFactorSecret = user.twoFactorPendingSecret;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorBackupCodes = hashes;
+  user.twoFactorLastStep = step;
+  await user.save({ validateBeforeSave: false });
+
+  return { user, backupCodes: codes };
+};
+
+/**
+ * Check a TOTP code or a backup code for a user with two-factor enabled.
+ * Accepted TOTP codes cannot be replayed and backup codes work only once.
+ * @param {string} userId - User ID
+ * @param {string} code - TOTP code or backup code
+ * @returns {boolean} True if the code was accepted
+ */
+exports.verifyCode = async (userId, code) => {
+  const user = await User.findById(userId)
+    .select('+twoFactorSecret +twoFactorBackupCodes +twoFactorLastStep');
+
+  if (!user || !user.twoFactorEnabled || !code) {
+    return false;
+  }
+
+  const step = totpService.verifyCode(user.twoFactorSecret, code);
+
+  if (step !== null) {
+    // Claim the step atomically so the same code cannot be used twice
+    const claimed = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [{ twoFactorLastStep: { $lt: step } }, { twoFactorLastStep: null }]
+      },
+      { twoFactorLastStep: step }
+    );
+
+    return claimed.modifiedCount > 0;
+  }
+
+  const used = await User.updateOne(
+    { _id: user._id, twoFactorBackupCodes: hashBackupCode(code) },
+    { $pull: { twoFactorBackupCodes: hashBackupCode(code) } }
+  );
+
+  return used.modifiedCount > 0;
+};
+
+/**
+ * Turn two-factor authentication off
+ * @param {string} userId - User ID
+ * @param {boolean} force - Skip the role requirement check (admin reset)
+ * @returns {Object} Updated user object
+ */
+exports.disable = async (userId, force = false) => {
+  const user = await User.findById(userId);
+
+  if (!user) {
+    const error = new Error(`User not found with id of ${userId}`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (!force && await exports.isRequiredForRole(user.role)) {
+    const error = new Error(`Two-factor authentication is required for the ${user.role} role`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return await User.findByIdAndUpdate(
+    userId,
+    {
+      twoFactorEnabled: false,
+      $unset: {
+        twoFactorSecret: 1,
+        twoFactorPendingSecret: 1,
+        twoFactorBackupCodes: 1,
+        twoFactorLastStep: 1
+      }
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Replace the backup codes of a user
+ * @param {string} userId - User ID
+ * @returns {Array} New backup codes (shown once)
+ */
+exports.regenerateBackupCodes = async (userId) => {
+  const { codes, hashes } = generateBackupCodes();
+
+  await User.updateOne({ _id: userId }, { twoFactorBackupCodes: hashes });
+
+  return codes;
+};
@@ -3,6 +3,10 @@ const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
 
+// Excuse documents such as doctor's notes are kept out of the public uploads
+// folder and only served to those allowed to see the excuse
+const EXCUSE_DOCUMENTS_DIR = path.join(__dirname, '../../private/excuses');
+
 // Set up storage for uploaded files
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -11,6 +15,10 @@ const storage = multer.diskStorage({
     
     if (req.originalUrl.includes('/assignments')) {
       uploadDir = path.join(__dirname, '../../uploads/assignments');
+    } else if (req.originalUrl.includes('/report-cards')) {
+      uploadDir = path.join(__dirname, '../../uploads/branding');
+    } else if (req.originalUrl.includes('/attendance')) {
+      uploadDir = EXCUSE_DOCUMENTS_DIR;
     } else {
       uploadDir = path.join(__dirname, '../../uploads/course-materials');
     }
@@ -45,6 +53,22 @@ const upload = multer({
   }
 });
 
+// Spreadsheets are read from memory and never stored
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (!['.csv', '.xlsx'].includes(path.extname(file.originalname).toLowerCase())) {
+      const error = new Error('Only CSV and XLSX files can be imported');
+      error.statusCode = 400;
+      return cb(error);
+    }
+    cb(null, true);
+  },
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB max file size
+  }
+});
+
 // Handle file upload errors
 const handleUploadError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
@@ -70,6 +94,8 @@ const getFileUrl = (req, filename, type = 'course-materials') => {
 
 module.exports = {
   upload,
+  spreadsheetUpload,
   handleUploadError,
-  getFileUrl
+  getFileUrl,
+  EXCUSE_DOCUMENTS_DIR
 };
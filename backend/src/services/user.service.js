@@ -1,4 +1,14 @@
 const User = require('../models/user.model');
+const tokenService = require('./token.service');
+const socketService = require('./socket.service');
+const twoFactorService = require('./two-factor.service');
+
+// Fields an admin may edit directly. Passwords, activation, approval, two-factor
+// and session fields have their own endpoints that keep them consistent.
+const UPDATABLE_FIELDS = [
+  'firstName', 'lastName', 'email', 'role', 'phone', 'address', 'dateOfBirth',
+  'profileImage', 'studentDetails', 'teacherDetails', 'parentDetails'
+];
 
 /**
  * Get all users with filtering, sorting, and pagination
@@ -123,18 +133,20 @@ exports.createUser = async (userData) => {
 };
 
 /**
- * Update user
+ * Update user. Fields outside UPDATABLE_FIELDS are ignored.
  * @param {string} userId - User ID
  * @param {Object} userData - User data to update
  * @returns {Object} Updated user
  */
 exports.updateUser = async (userId, userData) => {
-  // Don't allow password updates through this method
-  if (userData.password) {
-    delete userData.password;
-  }
-  
-  const user = await User.findByIdAndUpdate(userId, userData, {
+  const updates = UPDATABLE_FIELDS.reduce((values, field) => {
+    if (userData[field] !== undefined) {
+      values[field] = userData[field];
+    }
+    return values;
+  }, {});
+  
+  const user = await User.findByIdAndUpdate(userId, updates, {
     new: true,
     runValidators: true
   });
@@ -190,6 +202,35 @@ exports.getParentStudents = async (parentId) => {
   return students;
 };
 
+/**
+ * Make sure the user may see a student's records: the student, their parents or an admin
+ * @param {string} studentId - Student ID
+ * @param {Object} user - Current user object
+ * @param {string} records - What is being accessed, for the error message, e.g. "transcript"
+ */
+exports.assertCanViewStudent = async (studentId, user, records = 'records') => {
+  if (user.role === 'admin') {
+    return;
+  }
+  
+  if (user.role === 'student' && String(studentId) === user.id) {
+    return;
+  }
+  
+  if (user.role === 'parent') {
+    const parent = await User.findById(user.id);
+    const studentIds = parent.parentDetails?.studentIds || [];
+    
+    if (studentIds.some(id => id.toString() === String(studentId))) {
+      return;
+    }
+  }
+  
+  const error = new Error(`Not authorized to access this student's ${records}`);
+  error.statusCode = 403;
+  throw error;
+};
+
 /**
  * Get teachers for a student
  * @param {string} studentId - Student user ID
@@ -219,3 +260,119 @@ exports.getStudentTeachers = async (studentId) => {
   
   return teachers;
 };
+
+/**
+ * Get active sessions of a user
+ * @param {string} userId - User ID
+ * @returns {Array} Array of sessions
+ */
+exports.getUserSessions = async (userId) => {
+  const user = await User.findById(userId);
+  
+  if (!user) {
+    const error = new Error(`User not found with id of ${userId}`);
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  return await tokenService.getSessions(userId);
+};
+
+/**
+ * Revoke sessions of a user
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session to revoke; all sessions if omitted
+ * @returns {boolean} True if revoked
+ */
+exports.revokeUserSessions = async (userId, sessionId) => {
+  if (sessionId) {
+    return await tokenService.revokeSession(userId, sessionId);
+  }
+  
+  await tokenService.revokeAllSessions(userId);
+  return true;
+};
+
+/**
+ * Unlock a user account locked after too many failed logins
+ * @param {string} userId - User ID
+ * @returns {Object} Updated user object
+ */
+exports.unlockUser = async (userId) => {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { failedLoginAttempts: 0, lockCount: 0, $unset: { lockUntil: 1 } },
+    { new: true }
+  );
+  
+  if (!user) {
+    const error = new Error(`User not found with id of ${userId}`);
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  return user;
+};
+
+/**
+ * Deactivate (suspend) a user account. Every session is revoked and open
+ * sockets are disconnected, so the user is signed out immediately.
+ * @param {string} userId - User ID
+ * @param {Object} currentUser - Admin performing the action
+ * @returns {Object} Updated user object
+ */
+exports.deactivateUser = async (userId, currentUser) => {
+  if (currentUser && currentUser._id.toString() === userId.toString()) {
+    const error = new Error('You cannot deactivate your own account');
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { active: false, deactivatedAt: Date.now() },
+    { new: true }
+  );
+  
+  if (!user) {
+    const error = new Error(`User not found with id of ${userId}`);
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  user.tokenVersion = await tokenService.revokeAllSessions(user._id);
+  socketService.disconnectUser(user._id);
+  
+  return user;
+};
+
+/**
+ * Reactivate a deactivated user account
+ * @param {string} userId - User ID
+ * @returns {Object} Updated user object
+ */
+exports.activateUser = async (userId) => {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { active: true, $unset: { deactivatedAt: 1 } },
+    { new: true }
+  );
+  
+  if (!user) {
+    const error = new Error(`User not found with id of ${userId}`);
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  return user;
+};
+
+/**
+ * Reset two-factor authentication of a user who lost their device. If their
+ * role requires two-factor they must enroll again at their next login.
+ * @param {string} userId - User ID
+ * @returns {Object} Updated user object
+ */
+exports.resetUserTwoFactor = async (userId) => {
+  return await twoFactorService.disable(userId, true);
+};
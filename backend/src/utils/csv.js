@@ -0,0 +1,82 @@
+/**
+ * Quote a CSV cell when needed. Text starting like a spreadsheet formula is
+ * prefixed with an apostrophe so that opening the file cannot run it.
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+const formatCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Turn rows into CSV text
+ * @param {Array} rows - Rows as arrays of cell values, the header first
+ * @returns {string} CSV text
+ */
+exports.toCsv = (rows) => `${rows.map(row => row.map(formatCell).join(',')).join('\r\n')}\r\n`;
+
+/**
+ * Read CSV text into rows. Handles quoted cells, doubled quotes, CRLF line
+ * endings and a byte order mark, and undoes the apostrophe toCsv puts in front
+ * of formula-like text.
+ * @param {string} text - CSV text
+ * @returns {Array} Rows as arrays of cell texts
+ */
+exports.parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const endCell = () => {
+    row.push(/^'[=+\-@]/.test(cell) ? cell.slice(1) : cell);
+    cell = '';
+  };
+
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let index = 0; index < input.length; index++) {
+    const char = input[index];
+
+    if (quoted) {
+      if (char === '"' && input[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endCell();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[index + 1] === '\n') {
+        index++;
+      }
+      endCell();
+      rows.push(row);
+      row = [];
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    endCell();
+    rows.push(row);
+  }
+
+  return rows;
+};
@@ -0,0 +1,146 @@
+const PDFDocument = require('pdfkit');
+
+const CELL_PADDING = 3;
+const RULE_COLOR = '#dddddd';
+
+/**
+ * Draw a PDF and collect it into a buffer
+ * @param {Function} draw - Receives the PDFKit document and draws the pages
+ * @param {Object} options - PDFKit document options
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+exports.renderPdf = (draw, options = {}) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, bufferPages: true, ...options });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  try {
+    draw(doc);
+    doc.end();
+  } catch (err) {
+    reject(err);
+  }
+});
+
+/**
+ * Width between the left and right page margins
+ * @param {Object} doc - PDFKit document
+ * @returns {number} Width in points
+ */
+exports.contentWidth = (doc) => doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+/**
+ * Start a new page when less than the given height is left on the current one
+ * @param {Object} doc - PDFKit document
+ * @param {number} height - Height needed in points
+ */
+exports.ensureSpace = (doc, height) => {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+};
+
+/**
+ * Draw the school name and logo with a title, then a line of details under a rule
+ * @param {Object} doc - PDFKit document
+ * @param {Object} header - schoolName, logoPath (optional), title and details
+ */
+exports.drawLetterhead = (doc, { schoolName, logoPath, title, details }) => {
+  const left = doc.page.margins.left;
+  const top = doc.page.margins.top;
+  const textLeft = logoPath ? left + 75 : left;
+  const textWidth = exports.contentWidth(doc) - (textLeft - left);
+
+  if (logoPath) {
+    doc.image(logoPath, left, top, { fit: [60, 60] });
+  }
+
+  doc.font('Helvetica-Bold').fontSize(18).fillColor('black')
+    .text(schoolName, textLeft, top, { width: textWidth });
+  doc.font('Helvetica').fontSize(12)
+    .text(title, textLeft, doc.y, { width: textWidth });
+
+  doc.y = Math.max(doc.y, top + (logoPath ? 60 : 0)) + 15;
+
+  doc.font('Helvetica').fontSize(10).text(details, left, doc.y);
+  doc.moveDown(0.5);
+  doc.moveTo(left, doc.y).lineTo(left + exports.contentWidth(doc), doc.y).strokeColor('black').stroke();
+  doc.moveDown();
+};
+
+/**
+ * Draw a table row by row, repeating the header on every new page
+ * @param {Object} doc - PDFKit document
+ * @param {Array} columns - Columns with header, width and an optional align
+ * @param {Array} rows - Rows as arrays of cell texts
+ */
+exports.drawTable = (doc, columns, rows) => {
+  const left = doc.page.margins.left;
+  const right = left + columns.reduce((sum, column) => sum + column.width, 0);
+
+  const drawRow = (cells, bold) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor('black');
+
+    const height = Math.max(...cells.map((cell, index) =>
+      doc.heightOfString(String(cell), { width: columns[index].width - CELL_PADDING * 2 })
+    )) + CELL_PADDING * 2;
+
+    const startsPage = doc.y + height > doc.page.height - doc.page.margins.bottom;
+    if (startsPage) {
+      doc.addPage();
+    }
+
+    if (startsPage && !bold) {
+      drawRow(columns.map(column => column.header), true);
+    }
+
+    const top = doc.y;
+    let x = left;
+
+    cells.forEach((cell, index) => {
+      doc.text(String(cell), x + CELL_PADDING, top + CELL_PADDING, {
+        width: columns[index].width - CELL_PADDING * 2,
+        align: columns[index].align || 'left'
+      });
+      x += columns[index].width;
+    });
+
+    doc.y = top + height;
+    doc.moveTo(left, doc.y).lineTo(right, doc.y).strokeColor(RULE_COLOR).stroke();
+  };
+
+  drawRow(columns.map(column => column.header), true);
+  rows.forEach(row => drawRow(row, false));
+
+  doc.x = left;
+  doc.moveDown();
+};
+
+/**
+ * Write a line at the bottom of every page. Needs a document with bufferPages.
+ * @param {Object} doc - PDFKit document
+ * @param {Function} text - Receives the page index and page count and returns the text
+ */
+exports.drawFooters = (doc, text) => {
+  const { start, count } = doc.bufferedPageRange();
+
+  for (let index = start; index < start + count; index++) {
+    doc.switchToPage(index);
+
+    // Writing inside the bottom margin would otherwise start a new page
+    const { bottom } = doc.page.margins;
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(8).fillColor('#666666').text(
+      text(index - start, count),
+      doc.page.margins.left,
+      doc.page.height - bottom + 15,
+      { width: exports.contentWidth(doc), align: 'center', lineBreak: false }
+    );
+    doc.page.margins.bottom = bottom;
+  }
+
+  doc.fillColor('black');
+};
@@ -0,0 +1,108 @@
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { parseCsv } = require('./csv');
+
+// Spreadsheet formats that can be read and written
+exports.SPREADSHEET_FORMATS = ['csv', 'xlsx'];
+
+/**
+ * Plain value of an XLSX cell: formulas give their result, rich text its text
+ * @param {*} value - ExcelJS cell value
+ * @returns {string|number} Cell value
+ */
+const cellValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  if (typeof value === 'object') {
+    if (value.richText) {
+      return value.richText.map(part => part.text).join('');
+    }
+    if ('result' in value) {
+      return cellValue(value.result);
+    }
+    if ('text' in value) {
+      return value.text;
+    }
+    return '';
+  }
+
+  return value;
+};
+
+/**
+ * Read the rows of an uploaded CSV or XLSX file; of a workbook only the first sheet is read
+ * @param {Buffer} buffer - File contents
+ * @param {string} fileName - Original file name, whose extension names the format
+ * @returns {Promise<Array>} Rows as arrays of cell values, without trailing empty rows
+ */
+exports.readSpreadsheet = async (buffer, fileName) => {
+  const format = path.extname(fileName || '').slice(1).toLowerCase();
+  let rows;
+
+  if (format === 'csv') {
+    rows = parseCsv(buffer.toString('utf8'));
+  } else if (format === 'xlsx') {
+    const workbook = new ExcelJS.Workbook();
+
+    try {
+      await workbook.xlsx.load(buffer);
+    } catch (err) {
+      const error = new Error('The file is not a valid XLSX workbook');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const sheet = workbook.worksheets[0];
+    rows = [];
+
+    if (sheet) {
+      sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+        // row.values is 1-based
+        rows[rowNumber - 1] = row.values.slice(1).map(cellValue);
+      });
+    }
+
+    rows = Array.from(rows, row => row || []);
+  } else {
+    const error = new Error(`Unsupported file type. Upload one of: ${exports.SPREADSHEET_FORMATS.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const isEmpty = (row) => row.every(cell => String(cell).trim() === '');
+  while (rows.length > 0 && isEmpty(rows[rows.length - 1])) {
+    rows.pop();
+  }
+
+  return rows;
+};
+
+/**
+ * Write rows to an XLSX workbook with a single sheet and a bold header row
+ * @param {Array} rows - Rows as arrays of cell values, the header first
+ * @param {string} sheetName - Worksheet name
+ * @returns {Promise<Buffer>} XLSX file contents
+ */
+exports.toXlsx = async (rows, sheetName) => {
+  const workbook = new ExcelJS.Workbook();
+  // Sheet names are limited to 31 characters and cannot contain some symbols
+  const sheet = workbook.addWorksheet((sheetName || 'Sheet1').replace(/[\\/?*[\]:]/g, '-').slice(0, 31));
+
+  rows.forEach(row => sheet.addRow(row.map(cell => (cell === null || cell === undefined ? '' : cell))));
+
+  if (rows.length > 0) {
+    sheet.getRow(1).font = { bold: true };
+    sheet.views = [{ state: 'frozen', ySplit: 1 }];
+    sheet.columns.forEach((column, index) => {
+      column.width = Math.min(40, Math.max(10, ...rows.map(row => String(row[index] ?? '').length + 2)));
+    });
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
@@ -0,0 +1,112 @@
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Value at a fraction of sorted values, interpolating between the closest
+ * ranks like a spreadsheet's QUARTILE.INC
+ * @param {Array} sorted - Numbers in ascending order
+ * @param {number} fraction - Between 0 and 1
+ * @returns {number} Quantile
+ */
+const quantile = (sorted, fraction) => {
+  const position = (sorted.length - 1) * fraction;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+/**
+ * Describe a set of numbers. The standard deviation is that of the whole set,
+ * e.g. a class, not an estimate from a sample. Missing values are left out.
+ * @param {Array} values - Numbers
+ * @returns {Object} Count, mean, median, standard deviation, min, max and quartiles, rounded to 2 decimals
+ */
+exports.describe = (values) => {
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+
+  if (sorted.length === 0) {
+    return {
+      count: 0,
+      mean: null,
+      median: null,
+      standardDeviation: null,
+      min: null,
+      max: null,
+      quartiles: { q1: null, q2: null, q3: null }
+    };
+  }
+
+  const mean = sorted.reduce((total, value) => total + value, 0) / sorted.length;
+  const variance = sorted.reduce((total, value) => total + (value - mean) ** 2, 0) / sorted.length;
+
+  return {
+    count: sorted.length,
+    mean: round(mean),
+    median: round(quantile(sorted, 0.5)),
+    standardDeviation: round(Math.sqrt(variance)),
+    min: round(sorted[0]),
+    max: round(sorted[sorted.length - 1]),
+    quartiles: {
+      q1: round(quantile(sorted, 0.25)),
+      q2: round(quantile(sorted, 0.5)),
+      q3: round(quantile(sorted, 0.75))
+    }
+  };
+};
+
+/**
+ * Bands of 10% for scales without bands of their own. The range holding the
+ * passing percentage is split there, so no band mixes passing and failing
+ * grades.
+ * @param {number} passingPercentage - Lowest passing percentage
+ * @returns {Array} Bands, lowest first, with their label, lowest percentage and passing flag
+ */
+const percentageBands = (passingPercentage) => {
+  const starts = Array.from({ length: 10 }, (_, index) => index * 10);
+
+  if (passingPercentage > 0 && passingPercentage < 100 && !starts.includes(passingPercentage)) {
+    starts.push(passingPercentage);
+    starts.sort((a, b) => a - b);
+  }
+
+  return starts.map((start, index) => {
+    const next = starts[index + 1];
+    // Whole-number ranges end one below the next band, like 50-59
+    const end = next === undefined ? 100 : (Number.isInteger(next) ? next - 1 : next);
+
+    return {
+      label: `${start}-${end}`,
+      minPercentage: start,
+      passing: start >= passingPercentage
+    };
+  });
+};
+
+/**
+ * Count percentages per band of a grading scale. Scales without bands, such
+ * as the 0-100 scale, are split into ranges of 10%.
+ * @param {Array} percentages - Percentages
+ * @param {Object} scale - Grading scale
+ * @returns {Array} Bands, lowest first, with their label, percentage range, passing flag and count
+ */
+exports.histogram = (percentages, scale) => {
+  const bands = scale.type === 'percentage' || !scale.bands || scale.bands.length === 0
+    ? percentageBands(scale.passingPercentage ?? 50)
+    : [...scale.bands]
+      .sort((a, b) => a.minPercentage - b.minPercentage)
+      .map(band => ({ label: band.label, minPercentage: band.minPercentage, passing: band.passing }));
+
+  const result = bands.map((band, index) => ({
+    ...band,
+    maxPercentage: index < bands.length - 1 ? bands[index + 1].minPercentage : 100,
+    count: 0
+  }));
+
+  percentages.filter(Number.isFinite).forEach(percentage => {
+    // The highest band the percentage reaches, or the lowest one
+    const band = [...result].reverse().find(candidate => percentage >= candidate.minPercentage) || result[0];
+    band.count++;
+  });
+
+  return result;
+};
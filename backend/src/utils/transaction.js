@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+let transactionsSupported = null;
+
+/**
+ * Check whether the connected server can run transactions. Only replica set
+ * members and sharded clusters can; a standalone server cannot.
+ * @returns {boolean} True if transactions are supported
+ */
+const supportsTransactions = async () => {
+  if (transactionsSupported === null) {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    transactionsSupported = Boolean(hello.setName) || hello.msg === 'isdbgrid';
+  }
+
+  return transactionsSupported;
+};
+
+/**
+ * Undo log that does nothing, for work run in a transaction, which the
+ * transaction already undoes on failure
+ */
+const transactionUndo = {
+  track: async (doc) => doc,
+  created: (doc) => doc
+};
+
+/**
+ * Start a log of writes made without a transaction, so that they can be
+ * undone if the work fails halfway. Call track with a document before it is
+ * changed or first saved, and created with a document inserted otherwise,
+ * such as through Model.create.
+ * @returns {Object} Undo log with track, created and undo
+ */
+const startUndoLog = () => {
+  const steps = [];
+
+  return {
+    // A new document is deleted again, an existing one put back as it is stored now
+    track: async (doc) => {
+      if (!doc) {
+        return doc;
+      }
+
+      const collection = doc.constructor.collection;
+
+      if (doc.isNew) {
+        steps.push(() => collection.deleteOne({ _id: doc._id }));
+      } else {
+        const stored = await collection.findOne({ _id: doc._id });
+        steps.push(() => (stored
+          ? collection.replaceOne({ _id: doc._id }, stored)
+          : collection.deleteOne({ _id: doc._id })));
+      }
+
+      return doc;
+    },
+    created: (doc) => {
+      if (doc) {
+        steps.push(() => doc.constructor.collection.deleteOne({ _id: doc._id }));
+      }
+
+      return doc;
+    },
+    // Latest write first; a step that fails is logged and the others still run
+    undo: async () => {
+      for (const step of steps.reverse()) {
+        try {
+          await step();
+        } catch (err) {
+          console.error('Failed to undo a write:', err);
+        }
+      }
+    }
+  };
+};
+
+/**
+ * Run database work in a transaction so that either all of it is written or none.
+ * The work receives the session to pass to every query and save, and an undo
+ * log to track every document it changes or creates. On a standalone server,
+ * which cannot run transactions, the work runs without a session and the
+ * tracked writes are undone if it fails; other requests may see the work half
+ * done while it runs.
+ * @param {Function} work - Async function taking a session and an undo log
+ * @returns {*} What the work returns
+ */
+exports.withTransaction = async (work) => {
+  if (!(await supportsTransactions())) {
+    const undoLog = startUndoLog();
+
+    try {
+      return await work(null, undoLog);
+    } catch (err) {
+      await undoLog.undo();
+      throw err;
+    }
+  }
+
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session, transactionUndo);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
@@ -5,6 +5,9 @@ import { useEffect } from 'react';
 import Dashboard from './pages/Dashboard';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import AcceptInvitation from './pages/AcceptInvitation';
 import NotFound from './pages/NotFound';
 import Courses from './pages/Courses';
 import CourseDetail from './pages/CourseDetail';
@@ -18,7 +21,10 @@ import EditAssignment from './pages/EditAssignment';
 import SubmissionDetail from './pages/SubmissionDetail';
 import Attendance from './pages/Attendance';
 import Grades from './pages/Grades';
+import ReportCards from './pages/ReportCards';
+import Transcript from './pages/Transcript';
 import Profile from './pages/Profile';
+import Invitations from './pages/Invitations';
 
 // Import components
 import Layout from './components/Layout';
@@ -45,6 +51,9 @@ function App() {
             {/* Public routes */}
             <Route path="/login" element={<Login />} />
             <Route path="/register" element={<Register />} />
+            <Route path="/forgot-password" element={<ForgotPassword />} />
+            <Route path="/reset-password/:token" element={<ResetPassword />} />
+            <Route path="/invite/:token" element={<AcceptInvitation />} />
             
             {/* Protected routes */}
             <Route element={<ProtectedRoute><Layout /></ProtectedRoute>}>
@@ -62,7 +71,10 @@ function App() {
               <Route path="/assignments/:assignmentId/submissions/:submissionId" element={<SubmissionDetail />} />
               <Route path="/attendance" element={<Attendance />} />
               <Route path="/grades" element={<Grades />} />
+              <Route path="/report-cards" element={<ReportCards />} />
+              <Route path="/transcript" element={<Transcript />} />
               <Route path="/profile" element={<Profile />} />
+              <Route path="/invitations" element={<Invitations />} />
             </Route>
             
             {/* 404 route */}
@@ -0,0 +1,362 @@
+import { useState, useEffect, useCallback } from 'react';
+import { attendanceService, userService, handleApiError, handleDownloadError, saveDownload } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const STATUS_BADGES = {
+  pending: 'bg-warning text-dark',
+  approved: 'bg-success',
+  rejected: 'bg-danger'
+};
+
+const emptyForm = {
+  student: '',
+  course: '',
+  date: new Date().toISOString().split('T')[0],
+  session: '',
+  reason: ''
+};
+
+const describeAbsence = (excuse) => {
+  const date = new Date(excuse.date).toLocaleDateString(undefined, { timeZone: 'UTC' });
+  return excuse.startTime ? `${date} · ${excuse.startTime}-${excuse.endTime}` : `${date} · whole day`;
+};
+
+// Review queue of absence excuses for teachers and admins; submission form and
+// their own excuses for students and parents
+const AbsenceExcuses = ({ courses, onReviewed }) => {
+  const { currentUser } = useAuth();
+  const isReviewer = currentUser?.role === 'teacher' || currentUser?.role === 'admin';
+  const isParent = currentUser?.role === 'parent';
+  const [excuses, setExcuses] = useState([]);
+  const [statusFilter, setStatusFilter] = useState(isReviewer ? 'pending' : '');
+  const [children, setChildren] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [documentFile, setDocumentFile] = useState(null);
+  const [fileInputKey, setFileInputKey] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [actionId, setActionId] = useState(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const fetchExcuses = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await attendanceService.getExcuses(statusFilter ? { status: statusFilter } : {});
+      setExcuses(response.data.data);
+    } catch (error) {
+      console.error('Error fetching excuses:', error);
+      setError(handleApiError(error));
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter]);
+
+  useEffect(() => {
+    fetchExcuses();
+  }, [fetchExcuses]);
+
+  // Documents are only served with the user's token, so they are downloaded rather than linked
+  const handleDownload = async (excuse) => {
+    try {
+      const response = await attendanceService.downloadExcuseDocument(excuse._id);
+      saveDownload(response, excuse.document.fileName);
+    } catch (error) {
+      console.error('Error downloading excuse document:', error);
+      setError(await handleDownloadError(error));
+    }
+  };
+
+  useEffect(() => {
+    if (isParent) {
+      userService.getParentStudents()
+        .then(response => {
+          setChildren(response.data.data);
+          if (response.data.data.length > 0) {
+            setForm(prev => ({ ...prev, student: response.data.data[0]._id }));
+          }
+        })
+        .catch(error => console.error('Error fetching children:', error));
+    }
+  }, [isParent]);
+
+  // Courses of the student the excuse is for
+  const studentId = isParent ? form.student : currentUser?._id;
+  const studentCourses = courses.filter(course =>
+    !Array.isArray(course.students) || course.students.some(student => (student._id || student) === studentId));
+  const selectedCourse = studentCourses.find(course => course._id === form.course);
+  const daySessions = (selectedCourse?.schedule || [])
+    .filter(entry => entry.day === DAYS[new Date(form.date).getUTCDay()])
+    .sort((a, b) => a.startTime.localeCompare(b.startTime));
+
+  const updateForm = (changes) => {
+    setForm(prev => ({ ...prev, ...changes }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const formData = new FormData();
+    ['course', 'date', 'reason'].forEach(field => formData.append(field, form[field]));
+    if (form.session) formData.append('session', form.session);
+    if (isParent) formData.append('student', form.student);
+    if (documentFile) formData.append('document', documentFile);
+
+    try {
+      setSubmitting(true);
+      setError('');
+      setSuccess('');
+      await attendanceService.submitExcuse(formData);
+      setForm(prev => ({ ...emptyForm, student: prev.student }));
+      setDocumentFile(null);
+      setFileInputKey(key => key + 1);
+      setSuccess('Your excuse was sent to the teacher for review.');
+      fetchExcuses();
+    } catch (error) {
+      console.error('Error submitting excuse:', error);
+      setError(handleApiError(error));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleReview = async (excuse, status) => {
+    let notes;
+
+    if (status === 'rejected') {
+      notes = window.prompt('Why is this excuse rejected? The student and their parents are told.');
+      if (notes === null) {
+        return;
+      }
+    } else if (!window.confirm(`Approve the excuse and mark ${excuse.student?.firstName} ${excuse.student?.lastName} as excused?`)) {
+      return;
+    }
+
+    try {
+      setActionId(excuse._id);
+      setError('');
+      await attendanceService.reviewExcuse(excuse._id, status, notes);
+      fetchExcuses();
+      if (onReviewed) onReviewed();
+    } catch (error) {
+      console.error('Error reviewing excuse:', error);
+      setError(handleApiError(error));
+    } finally {
+      setActionId(null);
+    }
+  };
+
+  return (
+    <div className="card shadow-sm mt-4">
+      <div className="card-header bg-light d-flex justify-content-between align-items-center">
+        <h5 className="card-title mb-0 fw-bold">Absence Excuses</h5>
+        <select
+          className="form-select form-select-sm w-auto"
+          value={statusFilter}
+          onChange={(e) => setStatusFilter(e.target.value)}
+          aria-label="Filter excuses by status"
+        >
+          <option value="pending">Waiting for review</option>
+          <option value="approved">Approved</option>
+          <option value="rejected">Rejected</option>
+          <option value="">All</option>
+        </select>
+      </div>
+      <div className="card-body">
+        {error && (
+          <div className="alert alert-danger" role="alert">{error}</div>
+        )}
+        {success && (
+          <div className="alert alert-success" role="alert">{success}</div>
+        )}
+
+        {!isReviewer && (
+          <form onSubmit={handleSubmit} className="border rounded p-3 mb-4">
+            <h6 className="fw-semibold mb-3">Excuse an absence</h6>
+            <div className="row g-3">
+              {isParent && (
+                <div className="col-md-4">
+                  <label htmlFor="excuseStudent" className="form-label">Child</label>
+                  <select
+                    id="excuseStudent"
+                    className="form-select"
+                    value={form.student}
+                    onChange={(e) => updateForm({ student: e.target.value, course: '', session: '' })}
+                    required
+                  >
+                    {children.map(child => (
+                      <option key={child._id} value={child._id}>{child.firstName} {child.lastName}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              <div className="col-md-4">
+                <label htmlFor="excuseCourse" className="form-label">Course</label>
+                <select
+                  id="excuseCourse"
+                  className="form-select"
+                  value={form.course}
+                  onChange={(e) => updateForm({ course: e.target.value, session: '' })}
+                  required
+                >
+                  <option value="">Select a course</option>
+                  {studentCourses.map(course => (
+                    <option key={course._id} value={course._id}>{course.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="col-md-4">
+                <label htmlFor="excuseDate" className="form-label">Date of the absence</label>
+                <input
+                  id="excuseDate"
+                  type="date"
+                  className="form-control"
+                  value={form.date}
+                  onChange={(e) => updateForm({ date: e.target.value, session: '' })}
+                  required
+                />
+              </div>
+              {daySessions.length > 0 && (
+                <div className="col-md-4">
+                  <label htmlFor="excuseSession" className="form-label">Session</label>
+                  <select
+                    id="excuseSession"
+                    className="form-select"
+                    value={form.session}
+                    onChange={(e) => updateForm({ session: e.target.value })}
+                  >
+                    <option value="">Whole day</option>
+                    {daySessions.map(entry => (
+                      <option key={entry._id} value={entry._id}>{entry.startTime}-{entry.endTime} · {entry.room}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              <div className="col-12">
+                <label htmlFor="excuseReason" className="form-label">Reason</label>
+                <textarea
+                  id="excuseReason"
+                  className="form-control"
+                  rows="2"
+                  value={form.reason}
+                  onChange={(e) => updateForm({ reason: e.target.value })}
+                  maxLength={1000}
+                  required
+                ></textarea>
+              </div>
+              <div className="col-md-8">
+                <label htmlFor="excuseDocument" className="form-label">Supporting document</label>
+                <input
+                  key={fileInputKey}
+                  id="excuseDocument"
+                  type="file"
+                  className="form-control"
+                  accept=".pdf,.png,.jpg,.jpeg"
+                  onChange={(e) => setDocumentFile(e.target.files[0] || null)}
+                />
+                <div className="form-text">A doctor's note or similar, as a PDF, PNG or JPEG of up to 10MB.</div>
+              </div>
+              <div className="col-md-4 d-flex align-items-end">
+                <button type="submit" className="btn btn-primary w-100" disabled={submitting}>
+                  {submitting ? 'Sending...' : 'Submit excuse'}
+                </button>
+              </div>
+            </div>
+          </form>
+        )}
+
+        {loading ? (
+          <div className="d-flex justify-content-center my-4">
+            <div className="spinner-border text-primary" role="status">
+              <span className="visually-hidden">Loading...</span>
+            </div>
+          </div>
+        ) : excuses.length > 0 ? (
+          <div className="table-responsive">
+            <table className="table align-middle mb-0">
+              <thead className="table-light">
+                <tr>
+                  <th scope="col" className="fw-semibold text-uppercase fs-7">Student</th>
+                  <th scope="col" className="fw-semibold text-uppercase fs-7">Absence</th>
+                  <th scope="col" className="fw-semibold text-uppercase fs-7">Reason</th>
+                  <th scope="col" className="fw-semibold text-uppercase fs-7">Status</th>
+                  {isReviewer && (
+                    <th scope="col" className="fw-semibold text-uppercase fs-7">Actions</th>
+                  )}
+                </tr>
+              </thead>
+              <tbody>
+                {excuses.map(excuse => (
+                  <tr key={excuse._id}>
+                    <td>
+                      <div className="fw-semibold">{excuse.student?.firstName} {excuse.student?.lastName}</div>
+                      <div className="text-muted small">
+                        Sent by {excuse.submittedBy ? `${excuse.submittedBy.firstName} ${excuse.submittedBy.lastName}` : 'unknown user'} on {new Date(excuse.createdAt).toLocaleDateString()}
+                      </div>
+                    </td>
+                    <td>
+                      <div>{excuse.course?.name}</div>
+                      <div className="text-muted small">{describeAbsence(excuse)}</div>
+                    </td>
+                    <td style={{ maxWidth: '20rem' }}>
+                      <div className="small">{excuse.reason}</div>
+                      {excuse.document?.fileUrl && (
+                        <button type="button" className="btn btn-link btn-sm p-0 small" onClick={() => handleDownload(excuse)}>
+                          <i className="bi bi-paperclip me-1"></i>
+                          {excuse.document.fileName}
+                        </button>
+                      )}
+                    </td>
+                    <td>
+                      <span className={`badge rounded-pill ${STATUS_BADGES[excuse.status]}`}>
+                        {excuse.status.charAt(0).toUpperCase() + excuse.status.slice(1)}
+                      </span>
+                      {excuse.reviewedBy && (
+                        <div className="text-muted small mt-1">by {excuse.reviewedBy.firstName} {excuse.reviewedBy.lastName}</div>
+                      )}
+                      {excuse.reviewNotes && (
+                        <div className="small fst-italic">“{excuse.reviewNotes}”</div>
+                      )}
+                    </td>
+                    {isReviewer && (
+                      <td>
+                        {excuse.status === 'pending' && (
+                          <div className="btn-group" role="group">
+                            <button
+                              type="button"
+                              className="btn btn-sm btn-outline-success"
+                              onClick={() => handleReview(excuse, 'approved')}
+                              disabled={actionId === excuse._id}
+                            >
+                              Approve
+                            </button>
+                            <button
+                              type="button"
+                              className="btn btn-sm btn-outline-danger"
+                              onClick={() => handleReview(excuse, 'rejected')}
+                              disabled={actionId === excuse._id}
+                            >
+                              Reject
+                            </button>
+                          </div>
+                        )}
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p className="text-muted mb-0">
+            {isReviewer && statusFilter === 'pending' ? 'No excuses are waiting for review.' : 'No excuses found.'}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AbsenceExcuses;
@@ -1,7 +1,8 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { assignmentService, courseService } from '../services/api';
+import { assignmentService, courseService, rubricService, handleApiError } from '../services/api';
 import { useAuth } from '../contexts/AuthContext';
+import RubricEditor from './RubricEditor';
 
 const AssignmentForm = ({ assignment, isEdit = false }) => {
   const navigate = useNavigate();
@@ -21,9 +22,14 @@ const AssignmentForm = ({ assignment, isEdit = false }) => {
     assignmentType: 'Homework',
     allowLateSubmissions: false,
     latePenalty: 0,
-    isPublished: true
+    isPublished: true,
+    rubric: ''
   });
 
+  // Rubrics of every course the user manages; undefined editor rubric means the editor is closed
+  const [rubrics, setRubrics] = useState([]);
+  const [editorRubric, setEditorRubric] = useState(undefined);
+
   // File upload state
   const [files, setFiles] = useState([]);
   const [fileError, setFileError] = useState('');
@@ -54,6 +60,19 @@ const AssignmentForm = ({ assignment, isEdit = false }) => {
     fetchCourses();
   }, [currentUser]);
 
+  const fetchRubrics = useCallback(async () => {
+    try {
+      const response = await rubricService.getRubrics();
+      setRubrics(response.data.data || []);
+    } catch (error) {
+      console.error('Error fetching rubrics:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRubrics();
+  }, [fetchRubrics]);
+
   // If editing, populate form with assignment data
   useEffect(() => {
     if (isEdit && assignment) {
@@ -70,7 +89,8 @@ const AssignmentForm = ({ assignment, isEdit = false }) => {
         assignmentType: assignment.assignmentType || 'Homework',
         allowLateSubmissions: assignment.allowLateSubmissions || false,
         latePenalty: assignment.latePenalty || 0,
-        isPublished: assignment.isPublished !== undefined ? assignment.isPublished : true
+        isPublished: assignment.isPublished !== undefined ? assignment.isPublished : true,
+        rubric: assignment.rubric?._id || assignment.rubric || ''
       });
     }
   }, [assignment, isEdit]);
@@ -79,10 +99,33 @@ const AssignmentForm = ({ assignment, isEdit = false }) => {
     const { name, value, type, checked } = e.target;
     setFormData(prev => ({
       ...prev,
-      [name]: type === 'checkbox' ? checked : value
+      [name]: type === 'checkbox' ? checked : value,
+      // Rubrics belong to a course
+      ...(name === 'course' && { rubric: '' })
     }));
   };
 
+  const courseRubrics = rubrics.filter(rubric => (rubric.course?._id || rubric.course) === formData.course);
+  const otherRubrics = rubrics.filter(rubric => (rubric.course?._id || rubric.course) !== formData.course);
+  const selectedRubric = courseRubrics.find(rubric => rubric._id === formData.rubric);
+
+  const handleRubricSaved = (rubric) => {
+    setEditorRubric(undefined);
+    setFormData(prev => ({ ...prev, rubric: rubric._id }));
+    fetchRubrics();
+  };
+
+  const handleCopyRubric = async (rubricId) => {
+    try {
+      setError('');
+      const response = await rubricService.copyRubric(rubricId, formData.course);
+      setFormData(prev => ({ ...prev, rubric: response.data.data._id }));
+      fetchRubrics();
+    } catch (error) {
+      setError(handleApiError(error));
+    }
+  };
+
   const handleFileChange = (e) => {
     const selectedFiles = Array.from(e.target.files);
     // Validate file size (max 5MB per file)
@@ -271,6 +314,63 @@ const AssignmentForm = ({ assignment, isEdit = false }) => {
             </div>
           </div>
           
+          <div className="mb-3">
+            <label htmlFor="rubric" className="form-label">Rubric</label>
+            <div className="input-group">
+              <select
+                className="form-select"
+                id="rubric"
+                name="rubric"
+                value={formData.rubric}
+                onChange={handleChange}
+                disabled={!formData.course}
+              >
+                <option value="">No rubric, grade with a score</option>
+                {courseRubrics.map(rubric => (
+                  <option key={rubric._id} value={rubric._id}>
+                    {rubric.title} ({rubric.totalPoints} points)
+                  </option>
+                ))}
+              </select>
+              <button
+                type="button"
+                className="btn btn-outline-secondary"
+                onClick={() => setEditorRubric(selectedRubric)}
+                disabled={!selectedRubric}
+              >
+                <i className="bi bi-pencil me-1"></i> Edit
+              </button>
+              <button
+                type="button"
+                className="btn btn-outline-primary"
+                onClick={() => setEditorRubric(null)}
+                disabled={!formData.course}
+              >
+                <i className="bi bi-plus me-1"></i> New
+              </button>
+            </div>
+            {formData.course && otherRubrics.length > 0 && (
+              <select
+                className="form-select form-select-sm mt-2"
+                value=""
+                onChange={(e) => e.target.value && handleCopyRubric(e.target.value)}
+                aria-label="Copy a rubric from another course"
+              >
+                <option value="">Copy a rubric from another course...</option>
+                {otherRubrics.map(rubric => (
+                  <option key={rubric._id} value={rubric._id}>
+                    {rubric.course?.name ? `${rubric.course.name}: ` : ''}{rubric.title}
+                  </option>
+                ))}
+              </select>
+            )}
+            {selectedRubric && selectedRubric.totalPoints !== Number(formData.totalPoints) && (
+              <div className="form-text">
+                The rubric's top score is {selectedRubric.totalPoints} points; rubric scores are scaled to the assignment's {formData.totalPoints} points.
+              </div>
+            )}
+          </div>
+          
           <div className="row mb-3">
             <div className="col-md-6">
               <div className="form-check form-switch">
@@ -359,6 +459,16 @@ const AssignmentForm = ({ assignment, isEdit = false }) => {
           </div>
         </form>
       </div>
+
+      {editorRubric !== undefined && (
+        <RubricEditor
+          key={editorRubric?._id || 'new'}
+          courseId={formData.course}
+          rubric={editorRubric}
+          onClose={() => setEditorRubric(undefined)}
+          onSaved={handleRubricSaved}
+        />
+      )}
     </div>
   );
 };
@@ -1,8 +1,19 @@
 import { useState, useEffect } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
-import { courseService, userService } from '../services/api';
+import { courseService, userService, gradingScaleService } from '../services/api';
 import { useAuth } from '../contexts/AuthContext';
 
+const GRADE_TYPES = [
+  { value: 'assignment', label: 'Assignments' },
+  { value: 'quiz', label: 'Quizzes' },
+  { value: 'test', label: 'Tests' },
+  { value: 'project', label: 'Projects' },
+  { value: 'midterm', label: 'Midterm' },
+  { value: 'final', label: 'Final' },
+  { value: 'participation', label: 'Participation' },
+  { value: 'other', label: 'Other' }
+];
+
 const CourseForm = ({ isEditing = false }) => {
   const { id } = useParams();
   const navigate = useNavigate();
@@ -12,6 +23,8 @@ const CourseForm = ({ isEditing = false }) => {
   const [success, setSuccess] = useState('');
   const [scheduleItems, setScheduleItems] = useState([{ day: 'Monday', startTime: '08:00', endTime: '09:30', room: '' }]);
   const [teachers, setTeachers] = useState([]);
+  const [gradingScales, setGradingScales] = useState([]);
+  const [gradeCategories, setGradeCategories] = useState([]);
 
   const [formData, setFormData] = useState({
     name: '',
@@ -21,9 +34,17 @@ const CourseForm = ({ isEditing = false }) => {
     grade: '',
     academicYear: '',
     semester: 'Fall',
-    syllabus: ''
+    syllabus: '',
+    gradingScale: '',
+    creditHours: 1
   });
 
+  useEffect(() => {
+    gradingScaleService.getGradingScales()
+      .then(response => setGradingScales(response.data.data))
+      .catch(error => console.error('Error fetching grading scales:', error));
+  }, []);
+
   // Fetch teachers if user is admin
   useEffect(() => {
     if (currentUser?.role === 'admin') {
@@ -58,13 +79,17 @@ const CourseForm = ({ isEditing = false }) => {
             grade: course.grade || '',
             academicYear: course.academicYear || '',
             semester: course.semester || 'Fall',
-            syllabus: course.syllabus || ''
+            syllabus: course.syllabus || '',
+            gradingScale: course.gradingScale?._id || course.gradingScale || '',
+            creditHours: course.creditHours ?? 1
           });
 
           // Set schedule items
           if (course.schedule && course.schedule.length > 0) {
             setScheduleItems(course.schedule);
           }
+
+          setGradeCategories(course.gradeCategories || []);
         } catch (error) {
           console.error('Error fetching course:', error);
           setError('Failed to load course data');
@@ -104,6 +129,28 @@ const CourseForm = ({ isEditing = false }) => {
     }
   };
 
+  const handleCategoryChange = (index, field, value) => {
+    const updatedCategories = [...gradeCategories];
+    updatedCategories[index] = {
+      ...updatedCategories[index],
+      [field]: value
+    };
+    setGradeCategories(updatedCategories);
+  };
+
+  const addCategory = () => {
+    const unused = GRADE_TYPES.find(type => !gradeCategories.some(category => category.type === type.value));
+    if (unused) {
+      setGradeCategories([...gradeCategories, { type: unused.value, weight: 0, dropLowest: 0 }]);
+    }
+  };
+
+  const removeCategory = (index) => {
+    setGradeCategories(gradeCategories.filter((_, i) => i !== index));
+  };
+
+  const totalCategoryWeight = gradeCategories.reduce((sum, category) => sum + Number(category.weight || 0), 0);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
@@ -124,9 +171,21 @@ const CourseForm = ({ isEditing = false }) => {
         }
       }
 
+      if (gradeCategories.length > 0 && totalCategoryWeight !== 100) {
+        throw new Error('Grade category weights must add up to 100%');
+      }
+
       const courseData = {
         ...formData,
-        schedule: scheduleItems
+        // No scale means the course uses the school default
+        gradingScale: formData.gradingScale || null,
+        creditHours: Number(formData.creditHours),
+        schedule: scheduleItems,
+        gradeCategories: gradeCategories.map(category => ({
+          type: category.type,
+          weight: Number(category.weight),
+          dropLowest: Number(category.dropLowest || 0)
+        }))
       };
 
       let response;
@@ -278,6 +337,46 @@ const CourseForm = ({ isEditing = false }) => {
               </div>
             )}
 
+            <div className="row mb-3">
+              <div className="col-md-8">
+                <label htmlFor="gradingScale" className="form-label">Grading Scale</label>
+                <select
+                  className="form-select"
+                  id="gradingScale"
+                  name="gradingScale"
+                  value={formData.gradingScale}
+                  onChange={handleChange}
+                >
+                  <option value="">School default</option>
+                  {gradingScales.map(scale => (
+                    <option key={scale._id} value={scale._id}>
+                      {scale.name}
+                    </option>
+                  ))}
+                </select>
+                <div className="form-text">
+                  Changing the scale updates the letter grades already given in this course.
+                </div>
+              </div>
+              <div className="col-md-4">
+                <label htmlFor="creditHours" className="form-label">Credit Hours</label>
+                <input
+                  type="number"
+                  className="form-control"
+                  id="creditHours"
+                  name="creditHours"
+                  min="0"
+                  max="20"
+                  step="0.5"
+                  value={formData.creditHours}
+                  onChange={handleChange}
+                />
+                <div className="form-text">
+                  Weight of the course in GPAs.
+                </div>
+              </div>
+            </div>
+
             <div className="mb-3">
               <label htmlFor="syllabus" className="form-label">Syllabus URL (optional)</label>
               <input
@@ -372,6 +471,89 @@ const CourseForm = ({ isEditing = false }) => {
           </div>
         </div>
 
+        <div className="card mb-4">
+          <div className="card-header bg-primary text-white d-flex justify-content-between align-items-center">
+            <h5 className="mb-0">Grade Weighting</h5>
+            <button
+              type="button"
+              className="btn btn-sm btn-light"
+              onClick={addCategory}
+              disabled={gradeCategories.length === GRADE_TYPES.length}
+            >
+              <i className="bi bi-plus-circle me-1"></i>
+              Add Category
+            </button>
+          </div>
+          <div className="card-body">
+            {gradeCategories.length === 0 ? (
+              <p className="text-muted mb-0">
+                No categories: every grade counts by its own weight. Add categories to set, for example, tests to 40% and homework to 30%.
+              </p>
+            ) : (
+              <>
+                {gradeCategories.map((category, index) => (
+                  <div key={index} className="row mb-3 align-items-end">
+                    <div className="col-md-5">
+                      <label className={index === 0 ? 'form-label' : 'visually-hidden'}>Grade Type*</label>
+                      <select
+                        className="form-select"
+                        value={category.type}
+                        onChange={(e) => handleCategoryChange(index, 'type', e.target.value)}
+                        required
+                      >
+                        {GRADE_TYPES.map(type => (
+                          <option
+                            key={type.value}
+                            value={type.value}
+                            disabled={type.value !== category.type && gradeCategories.some(other => other.type === type.value)}
+                          >
+                            {type.label}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="col-md-3">
+                      <label className={index === 0 ? 'form-label' : 'visually-hidden'}>Weight (%)*</label>
+                      <input
+                        type="number"
+                        className="form-control"
+                        min="0"
+                        max="100"
+                        value={category.weight}
+                        onChange={(e) => handleCategoryChange(index, 'weight', e.target.value)}
+                        required
+                      />
+                    </div>
+                    <div className="col-md-3">
+                      <label className={index === 0 ? 'form-label' : 'visually-hidden'}>Drop Lowest</label>
+                      <input
+                        type="number"
+                        className="form-control"
+                        min="0"
+                        step="1"
+                        value={category.dropLowest}
+                        onChange={(e) => handleCategoryChange(index, 'dropLowest', e.target.value)}
+                      />
+                    </div>
+                    <div className="col-md-1">
+                      <button
+                        type="button"
+                        className="btn btn-outline-danger"
+                        onClick={() => removeCategory(index)}
+                      >
+                        <i className="bi bi-trash"></i>
+                      </button>
+                    </div>
+                  </div>
+                ))}
+                <div className={`small ${totalCategoryWeight === 100 ? 'text-success' : 'text-danger'}`}>
+                  Total: {totalCategoryWeight}% (must be 100%). Grades of other types do not count towards the course grade.
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+
         <div className="d-flex gap-2">
           <button 
             type="button" 
@@ -0,0 +1,265 @@
+import { useState } from 'react';
+import { Modal } from 'react-bootstrap';
+import { gradeService, handleApiError } from '../services/api';
+
+const GRADE_TYPES = ['assignment', 'quiz', 'test', 'project', 'midterm', 'final', 'participation', 'other'];
+
+const ROW_BADGES = {
+  ready: 'bg-success',
+  unchanged: 'bg-secondary',
+  unmatched: 'bg-warning text-dark',
+  invalid: 'bg-danger'
+};
+
+const COLUMN_BADGES = {
+  mapped: 'bg-success',
+  student: 'bg-info text-dark',
+  ignored: 'bg-secondary',
+  unmatched: 'bg-warning text-dark',
+  invalid: 'bg-danger'
+};
+
+// Imports a CSV or XLSX file into the gradebook: preview first, then save everything at once
+const GradeImport = ({ courseId, columns, show, onClose, onImported }) => {
+  const [file, setFile] = useState(null);
+  const [matchBy, setMatchBy] = useState('');
+  const [publish, setPublish] = useState(false);
+  const [mapping, setMapping] = useState({});
+  const [preview, setPreview] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+
+  const reset = () => {
+    setFile(null);
+    setMapping({});
+    setPreview(null);
+    setError('');
+  };
+
+  const handleClose = () => {
+    reset();
+    onClose();
+  };
+
+  const runImport = async (dryRun, columnMapping = mapping) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('course', courseId);
+    formData.append('dryRun', dryRun);
+    formData.append('publish', publish);
+    formData.append('mapping', JSON.stringify(columnMapping));
+    if (matchBy) formData.append('matchBy', matchBy);
+
+    try {
+      setWorking(true);
+      setError('');
+      const response = await gradeService.importGrades(formData);
+      const result = response.data.data;
+
+      if (result.committed) {
+        reset();
+        onImported(result.summary);
+      } else {
+        setPreview(result);
+      }
+    } catch (error) {
+      // A rejected import still returns its preview
+      if (error.response?.data?.data) {
+        setPreview(error.response.data.data);
+      }
+      setError(handleApiError(error));
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleMappingChange = (header, key) => {
+    const next = { ...mapping, [header]: key };
+    setMapping(next);
+    runImport(true, next);
+  };
+
+  const summary = preview?.summary;
+  const hasProblems = summary && (summary.unmatched > 0 || summary.invalid > 0 || summary.invalidColumns > 0);
+  const changeCount = summary ? summary.created + summary.updated : 0;
+
+  return (
+    <Modal show={show} onHide={handleClose} size="xl" scrollable>
+      <Modal.Header closeButton>
+        <Modal.Title>Import grades</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        {error && (
+          <div className="alert alert-danger" role="alert">{error}</div>
+        )}
+
+        <p className="text-muted small">
+          Upload a CSV or XLSX file with a row per student, an Email or Student ID column and a column per
+          assignment or grade type headed by its title and maximum score, e.g. "Quiz 1 /20". Exporting the
+          gradebook gives a file in this layout. Empty cells leave grades unchanged.
+        </p>
+
+        <div className="row g-3 align-items-end mb-3">
+          <div className="col-md-5">
+            <label htmlFor="gradeImportFile" className="form-label">File</label>
+            <input
+              id="gradeImportFile"
+              type="file"
+              className="form-control"
+              accept=".csv,.xlsx"
+              onChange={(e) => {
+                reset();
+                setFile(e.target.files[0] || null);
+              }}
+            />
+          </div>
+          <div className="col-md-3">
+            <label htmlFor="gradeImportMatchBy" className="form-label">Match students by</label>
+            <select
+              id="gradeImportMatchBy"
+              className="form-select"
+              value={matchBy}
+              onChange={(e) => setMatchBy(e.target.value)}
+            >
+              <option value="">Email, else student ID</option>
+              <option value="email">Email</option>
+              <option value="studentId">Student ID</option>
+            </select>
+          </div>
+          <div className="col-md-2">
+            <div className="form-check">
+              <input
+                id="gradeImportPublish"
+                type="checkbox"
+                className="form-check-input"
+                checked={publish}
+                onChange={(e) => setPublish(e.target.checked)}
+              />
+              <label htmlFor="gradeImportPublish" className="form-check-label">Publish new grades</label>
+            </div>
+          </div>
+          <div className="col-md-2 d-grid">
+            <button className="btn btn-outline-primary" onClick={() => runImport(true)} disabled={!file || working}>
+              {working ? 'Checking...' : 'Preview'}
+            </button>
+          </div>
+        </div>
+
+        {preview && (
+          <>
+            <div className="d-flex flex-wrap gap-3 small mb-3">
+              <span><strong>{summary.rows}</strong> rows</span>
+              <span><strong>{summary.matched}</strong> matched</span>
+              <span className={summary.unmatched > 0 ? 'text-warning' : ''}><strong>{summary.unmatched}</strong> unmatched</span>
+              <span className={summary.invalid > 0 ? 'text-danger' : ''}><strong>{summary.invalid}</strong> with errors</span>
+              <span><strong>{summary.created}</strong> new grades</span>
+              <span><strong>{summary.updated}</strong> changed</span>
+              <span><strong>{summary.unchanged}</strong> unchanged</span>
+            </div>
+
+            <h6 className="fw-semibold">Columns</h6>
+            <div className="table-responsive mb-4">
+              <table className="table table-sm align-middle">
+                <thead className="table-light">
+                  <tr>
+                    <th>Header</th>
+                    <th>Status</th>
+                    <th>Imported into</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.columns.filter(column => column.header).map(column => (
+                    <tr key={column.header}>
+                      <td>{column.header}</td>
+                      <td>
+                        <span className={`badge ${COLUMN_BADGES[column.status]}`}>{column.status}</span>
+                        {column.message && <div className="small text-muted">{column.message}</div>}
+                      </td>
+                      <td>
+                        {column.status === 'student' ? (
+                          <span className="text-muted small">Identifies the student</span>
+                        ) : (
+                          <select
+                            className="form-select form-select-sm"
+                            value={mapping[column.header] ?? column.key ?? ''}
+                            onChange={(e) => handleMappingChange(column.header, e.target.value)}
+                            disabled={working}
+                            aria-label={`Gradebook column for ${column.header}`}
+                          >
+                            <option value="">Skip this column</option>
+                            {columns.map(target => (
+                              <option key={target.key} value={target.key}>
+                                {target.title}{target.assignment ? '' : ' (no assignment)'}
+                              </option>
+                            ))}
+                            {GRADE_TYPES
+                              .filter(type => !columns.some(target => target.key === `type:${type}`))
+                              .map(type => (
+                                <option key={type} value={`type:${type}`}>New {type} column</option>
+                              ))}
+                          </select>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <h6 className="fw-semibold">Rows</h6>
+            <div className="table-responsive">
+              <table className="table table-sm align-middle mb-0">
+                <thead className="table-light">
+                  <tr>
+                    <th>Row</th>
+                    <th>Student</th>
+                    <th>Status</th>
+                    <th>Changes and errors</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.rows.map(row => (
+                    <tr key={row.row}>
+                      <td>{row.row}</td>
+                      <td>
+                        {row.student
+                          ? `${row.student.lastName}, ${row.student.firstName}`
+                          : <span className="text-muted">{row.email || row.studentId || '-'}</span>}
+                      </td>
+                      <td><span className={`badge ${ROW_BADGES[row.status]}`}>{row.status}</span></td>
+                      <td className="small">
+                        {row.changes.map(change => (
+                          <div key={change.key}>
+                            {change.column}: {change.oldScore === null ? 'new' : change.oldScore} → {change.score}/{change.maxScore}
+                          </div>
+                        ))}
+                        {row.errors.map(rowError => (
+                          <div key={rowError} className="text-danger">{rowError}</div>
+                        ))}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </Modal.Body>
+      <Modal.Footer>
+        {hasProblems && (
+          <span className="text-danger small me-auto">Fix the errors above, or skip their columns, before importing.</span>
+        )}
+        <button className="btn btn-outline-secondary" onClick={handleClose}>Cancel</button>
+        <button
+          className="btn btn-primary"
+          onClick={() => runImport(false)}
+          disabled={!preview || hasProblems || changeCount === 0 || working}
+        >
+          {working ? 'Importing...' : `Import ${changeCount} grade${changeCount === 1 ? '' : 's'}`}
+        </button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default GradeImport;
@@ -0,0 +1,143 @@
+import { useState, useEffect, useCallback } from 'react';
+import { gradeService, handleApiError } from '../services/api';
+
+const formatDateTime = (dateString) => new Date(dateString).toLocaleString(undefined, {
+  year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+});
+
+// Value for a datetime-local input, in local time
+const toLocalInputValue = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
+
+// Releases an assignment's unpublished grades now or at a chosen time, so students see them together
+const GradeRelease = ({ assignmentId }) => {
+  const [releases, setReleases] = useState([]);
+  const [releaseAt, setReleaseAt] = useState('');
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const fetchReleases = useCallback(async () => {
+    try {
+      const response = await gradeService.getReleases({ assignment: assignmentId });
+      setReleases(response.data.data);
+    } catch (error) {
+      setError(handleApiError(error));
+    }
+  }, [assignmentId]);
+
+  useEffect(() => {
+    fetchReleases();
+  }, [fetchReleases]);
+
+  const scheduled = releases.find(release => release.status === 'scheduled');
+  const lastReleased = releases.find(release => release.status === 'released');
+  // Releases are listed latest first; only a failure after the last release matters
+  const lastOutcome = releases.find(release => release.status === 'failed' || release.status === 'released');
+
+  const handleRelease = async (now) => {
+    if (now && !window.confirm('Publish every unpublished grade of this assignment now? Students and their parents are notified.')) {
+      return;
+    }
+
+    try {
+      setWorking(true);
+      setError('');
+      setMessage('');
+
+      const response = await gradeService.scheduleRelease({
+        assignment: assignmentId,
+        ...(now ? {} : { releaseAt: new Date(releaseAt).toISOString() })
+      });
+      const release = response.data.data;
+
+      setMessage(release.status === 'released'
+        ? `Released ${release.releasedCount} grade${release.releasedCount === 1 ? '' : 's'}.`
+        : `Grades will be released on ${formatDateTime(release.releaseAt)}.`);
+      setReleaseAt('');
+      fetchReleases();
+    } catch (error) {
+      setError(handleApiError(error));
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    try {
+      setWorking(true);
+      setError('');
+      setMessage('');
+      await gradeService.cancelRelease(scheduled._id);
+      setMessage('The scheduled release was cancelled. Its grades stay unpublished.');
+      fetchReleases();
+    } catch (error) {
+      setError(handleApiError(error));
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <div className="card shadow-sm mb-4">
+      <div className="card-body">
+        <h2 className="fs-4 fw-semibold mb-3">Grade Release</h2>
+
+        {error && (
+          <div className="alert alert-danger py-2 small" role="alert">{error}</div>
+        )}
+        {message && (
+          <div className="alert alert-success py-2 small" role="alert">{message}</div>
+        )}
+
+        {!scheduled && lastOutcome?.status === 'failed' && (
+          <div className="alert alert-warning py-2 small" role="alert">
+            The release scheduled for {formatDateTime(lastOutcome.releaseAt)} failed{lastOutcome.lastError ? `: ${lastOutcome.lastError}` : ''}. Its grades are still unpublished.
+          </div>
+        )}
+
+        {scheduled ? (
+          <div className="mb-3">
+            <p className="text-muted mb-1">Scheduled</p>
+            <p className="fw-medium mb-1">{formatDateTime(scheduled.releaseAt)}</p>
+            <p className="small text-muted mb-2">
+              {scheduled.pendingCount} unpublished grade{scheduled.pendingCount === 1 ? '' : 's'} so far
+            </p>
+            <button className="btn btn-sm btn-outline-danger" onClick={handleCancel} disabled={working}>
+              Cancel release
+            </button>
+          </div>
+        ) : lastReleased && (
+          <p className="small text-muted mb-3">
+            Last released {formatDateTime(lastReleased.releasedAt)} ({lastReleased.releasedCount} grade{lastReleased.releasedCount === 1 ? '' : 's'})
+          </p>
+        )}
+
+        <label htmlFor="gradeReleaseAt" className="form-label small text-muted">
+          {scheduled ? 'Move the release to' : 'Release grades at'}
+        </label>
+        <div className="input-group input-group-sm mb-2">
+          <input
+            id="gradeReleaseAt"
+            type="datetime-local"
+            className="form-control"
+            value={releaseAt}
+            min={toLocalInputValue(new Date())}
+            onChange={(e) => setReleaseAt(e.target.value)}
+          />
+          <button className="btn btn-outline-primary" onClick={() => handleRelease(false)} disabled={working || !releaseAt}>
+            Schedule
+          </button>
+        </div>
+        <button className="btn btn-sm btn-primary w-100" onClick={() => handleRelease(true)} disabled={working}>
+          <i className="bi bi-send me-1"></i>
+          Release grades now
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default GradeRelease;
@@ -0,0 +1,181 @@
+import { useState, useEffect, useCallback } from 'react';
+import { assignmentService, courseService, handleApiError } from '../services/api';
+
+const CHART_HEIGHT = 140;
+
+const formatNumber = (value) => (value === null || value === undefined ? '-' : value);
+
+// Vertical bars scaled to the largest value, labelled underneath
+const BarChart = ({ bars, formatValue = formatNumber }) => {
+  const maxValue = Math.max(0, ...bars.map(bar => bar.value || 0));
+
+  return (
+    <div>
+      <div className="d-flex align-items-end gap-1 border-bottom" style={{ height: CHART_HEIGHT + 20 }}>
+        {bars.map(bar => (
+          <div key={bar.key} className="flex-fill text-center" style={{ minWidth: 0 }} title={bar.title}>
+            <div className="small text-muted text-truncate">{bar.value ? formatValue(bar.value) : ''}</div>
+            <div
+              className={`rounded-top ${bar.className || 'bg-primary'}`}
+              style={{ height: maxValue ? (bar.value || 0) / maxValue * CHART_HEIGHT : 0 }}
+            ></div>
+          </div>
+        ))}
+      </div>
+      <div className="d-flex gap-1 mt-1">
+        {bars.map(bar => (
+          <div key={bar.key} className="flex-fill text-center small text-muted text-truncate" style={{ minWidth: 0 }} title={bar.title}>
+            {bar.label}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const distributionBars = (distribution) => distribution.map(band => ({
+  key: band.label,
+  label: band.label,
+  value: band.count,
+  title: `${band.label} (${band.minPercentage}-${band.maxPercentage}%): ${band.count}`,
+  className: band.passing ? 'bg-success' : 'bg-danger'
+}));
+
+const StatsTable = ({ stats, unit = '' }) => (
+  <table className="table table-sm small mb-3">
+    <tbody>
+      <tr>
+        <th scope="row" className="fw-normal text-muted">Mean</th>
+        <td>{formatNumber(stats.mean)}{stats.mean !== null && unit}</td>
+        <th scope="row" className="fw-normal text-muted">Median</th>
+        <td>{formatNumber(stats.median)}{stats.median !== null && unit}</td>
+      </tr>
+      <tr>
+        <th scope="row" className="fw-normal text-muted">Std. deviation</th>
+        <td>{formatNumber(stats.standardDeviation)}</td>
+        <th scope="row" className="fw-normal text-muted">Range</th>
+        <td>{stats.count > 0 ? `${stats.min}-${stats.max}${unit}` : '-'}</td>
+      </tr>
+      <tr>
+        <th scope="row" className="fw-normal text-muted">Quartiles</th>
+        <td colSpan="3">
+          {stats.count > 0 ? `${stats.quartiles.q1} / ${stats.quartiles.q2} / ${stats.quartiles.q3}${unit}` : '-'}
+        </td>
+      </tr>
+    </tbody>
+  </table>
+);
+
+// Score statistics and charts of an assignment, next to those of its course
+const GradeStatistics = ({ assignmentId, courseId }) => {
+  const [assignmentStats, setAssignmentStats] = useState(null);
+  const [courseStats, setCourseStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchStats = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const [assignmentResponse, courseResponse] = await Promise.all([
+        assignmentService.getAssignmentStats(assignmentId),
+        courseService.getCourseStats(courseId)
+      ]);
+      setAssignmentStats(assignmentResponse.data.data);
+      setCourseStats(courseResponse.data.data);
+    } catch (error) {
+      setError(handleApiError(error));
+    } finally {
+      setLoading(false);
+    }
+  }, [assignmentId, courseId]);
+
+  useEffect(() => {
+    fetchStats();
+  }, [fetchStats]);
+
+  if (loading) {
+    return (
+      <div className="card shadow-sm mb-4">
+        <div className="card-body text-center py-4">
+          <div className="spinner-border spinner-border-sm text-primary" role="status">
+            <span className="visually-hidden">Loading...</span>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="alert alert-danger" role="alert">{error}</div>
+    );
+  }
+
+  const { scores, percentages, submissions } = assignmentStats;
+  const columnBars = courseStats.columns
+    .filter(column => column.stats.count > 0)
+    .map(column => ({
+      key: column.key,
+      label: column.title,
+      value: column.stats.mean,
+      title: `${column.title}: mean ${column.stats.mean}% over ${column.stats.count} grades`,
+      className: column.assignment === assignmentId ? 'bg-primary' : 'bg-secondary'
+    }));
+
+  return (
+    <div className="card shadow-sm mb-4">
+      <div className="card-body p-4">
+        <div className="d-flex justify-content-between align-items-center mb-3">
+          <h2 className="fs-4 fw-semibold mb-0">Grade Statistics</h2>
+          <span className="small text-muted">Grading scale: {assignmentStats.scale.name} · includes unpublished grades</span>
+        </div>
+
+        <div className="row g-4">
+          <div className="col-lg-6">
+            <h3 className="fs-6 fw-semibold">This assignment</h3>
+            <p className="small text-muted mb-2">
+              {scores.count} of {assignmentStats.enrolled} students graded · {submissions.total} submissions
+              ({submissions.onTime} on time, {submissions.late} late)
+            </p>
+            {scores.count > 0 ? (
+              <>
+                <StatsTable stats={scores} />
+                <p className="small text-muted mb-2">
+                  Mean {formatNumber(percentages.mean)}%, median {formatNumber(percentages.median)}% of {assignmentStats.assignment.totalPoints} points
+                </p>
+                <BarChart bars={distributionBars(assignmentStats.distribution)} />
+              </>
+            ) : (
+              <p className="text-muted">No grades recorded yet.</p>
+            )}
+          </div>
+
+          <div className="col-lg-6">
+            <h3 className="fs-6 fw-semibold">Course totals</h3>
+            <p className="small text-muted mb-2">
+              {courseStats.totals.count} of {courseStats.enrolled} students with a course grade
+            </p>
+            {courseStats.totals.count > 0 ? (
+              <>
+                <StatsTable stats={courseStats.totals} unit="%" />
+                <BarChart bars={distributionBars(courseStats.distribution)} />
+              </>
+            ) : (
+              <p className="text-muted">No course grades yet.</p>
+            )}
+          </div>
+
+          {columnBars.length > 1 && (
+            <div className="col-12">
+              <h3 className="fs-6 fw-semibold">Mean score by assignment</h3>
+              <BarChart bars={columnBars} formatValue={(value) => `${value}%`} />
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GradeStatistics;
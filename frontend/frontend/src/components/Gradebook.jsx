@@ -0,0 +1,445 @@
+import { useState, useEffect, useCallback } from 'react';
+import { courseService, gradeService, handleApiError, handleDownloadError, saveDownload } from '../services/api';
+import GradeImport from './GradeImport';
+
+const GRADE_TYPES = ['assignment', 'quiz', 'test', 'project', 'midterm', 'final', 'participation', 'other'];
+
+const cellKey = (studentId, columnKey) => `${studentId}|${columnKey}`;
+
+const cellId = (rowIndex, columnIndex) => `gradebook-cell-${rowIndex}-${columnIndex}`;
+
+// An edited cell must hold a non-negative number; clearing a recorded grade is done by deleting it
+const isValidScore = (value) => value.trim() !== '' && !Number.isNaN(Number(value)) && Number(value) >= 0;
+
+const Gradebook = ({ courseId }) => {
+  const [gradebook, setGradebook] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [edits, setEdits] = useState({});
+  const [addedColumns, setAddedColumns] = useState([]);
+  const [newColumn, setNewColumn] = useState({ type: '', maxScore: 100 });
+  const [publishNew, setPublishNew] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [failures, setFailures] = useState([]);
+  const [showImport, setShowImport] = useState(false);
+  const [exporting, setExporting] = useState(null);
+  const [notice, setNotice] = useState('');
+
+  const fetchGradebook = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await courseService.getGradebook(courseId);
+      setGradebook(response.data.data);
+    } catch (error) {
+      setError(handleApiError(error));
+      setGradebook(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [courseId]);
+
+  useEffect(() => {
+    setEdits({});
+    setAddedColumns([]);
+    setFailures([]);
+    setNotice('');
+    fetchGradebook();
+  }, [fetchGradebook]);
+
+  if (loading && !gradebook) {
+    return (
+      <div className="d-flex justify-content-center align-items-center p-5">
+        <div className="spinner-border text-primary" role="status">
+          <span className="visually-hidden">Loading...</span>
+        </div>
+      </div>
+    );
+  }
+
+  if (!gradebook) {
+    return error ? <div className="alert alert-danger m-3" role="alert">{error}</div> : null;
+  }
+
+  const columns = [
+    ...gradebook.columns,
+    ...addedColumns.filter(added => !gradebook.columns.some(column => column.key === added.key))
+  ];
+  const rows = gradebook.students;
+
+  // Grade types that can still get a column for grades without an assignment
+  const freeTypes = GRADE_TYPES.filter(type => !columns.some(column => !column.assignment && column.type === type));
+
+  const dirtyKeys = Object.keys(edits);
+  const invalidKeys = dirtyKeys.filter(key => !isValidScore(edits[key]));
+
+  const getCellValue = (row, column) => {
+    const key = cellKey(row.student._id, column.key);
+    if (key in edits) return edits[key];
+
+    const grade = row.grades[column.key];
+    return grade ? String(grade.score) : '';
+  };
+
+  const handleChange = (row, column, value) => {
+    const key = cellKey(row.student._id, column.key);
+    const grade = row.grades[column.key];
+    const original = grade ? String(grade.score) : '';
+
+    setEdits(current => {
+      const next = { ...current };
+      if (value === original) {
+        delete next[key];
+      } else {
+        next[key] = value;
+      }
+      return next;
+    });
+  };
+
+  const revertCell = (row, column) => {
+    const key = cellKey(row.student._id, column.key);
+    setEdits(current => {
+      const next = { ...current };
+      delete next[key];
+      return next;
+    });
+  };
+
+  const focusCell = (rowIndex, columnIndex) => {
+    const input = document.getElementById(cellId(rowIndex, columnIndex));
+    if (input) {
+      input.focus();
+      input.select();
+    }
+  };
+
+  // Spreadsheet-style movement: arrows, Enter down and Shift+Enter up, Escape reverts the cell
+  const handleKeyDown = (event, rowIndex, columnIndex, row, column) => {
+    const { key, target } = event;
+    const atStart = target.selectionStart === 0 && target.selectionEnd === 0;
+    const atEnd = target.selectionStart === target.value.length;
+
+    if (key === 'ArrowUp' || (key === 'Enter' && event.shiftKey)) {
+      event.preventDefault();
+      focusCell(rowIndex - 1, columnIndex);
+    } else if (key === 'ArrowDown' || key === 'Enter') {
+      event.preventDefault();
+      focusCell(rowIndex + 1, columnIndex);
+    } else if (key === 'ArrowLeft' && atStart) {
+      event.preventDefault();
+      focusCell(rowIndex, columnIndex - 1);
+    } else if (key === 'ArrowRight' && atEnd) {
+      event.preventDefault();
+      focusCell(rowIndex, columnIndex + 1);
+    } else if (key === 'Escape') {
+      event.preventDefault();
+      revertCell(row, column);
+    }
+  };
+
+  const handleAddColumn = (e) => {
+    e.preventDefault();
+    if (!newColumn.type || !(Number(newColumn.maxScore) > 0)) return;
+
+    setAddedColumns(current => [...current, {
+      key: `type:${newColumn.type}`,
+      assignment: null,
+      type: newColumn.type,
+      title: newColumn.type.charAt(0).toUpperCase() + newColumn.type.slice(1),
+      maxScore: Number(newColumn.maxScore),
+      dueDate: null
+    }]);
+    setNewColumn({ type: '', maxScore: 100 });
+  };
+
+  // Saves the edited cells with one bulk request per column
+  const handleSave = async () => {
+    const studentNames = new Map(rows.map(row => [row.student._id, `${row.student.firstName} ${row.student.lastName}`]));
+    const problems = [];
+
+    try {
+      setSaving(true);
+      setError('');
+      setFailures([]);
+
+      for (const column of columns) {
+        const grades = rows
+          .filter(row => cellKey(row.student._id, column.key) in edits)
+          .map(row => {
+            const grade = row.grades[column.key];
+
+            // Bulk recording overwrites comments and publication, so existing values are sent back
+            return {
+              student: row.student._id,
+              score: Number(edits[cellKey(row.student._id, column.key)]),
+              maxScore: grade ? grade.maxScore : column.maxScore,
+              comments: grade ? grade.comments : undefined,
+              isPublished: grade ? grade.isPublished : publishNew
+            };
+          });
+
+        if (grades.length === 0) continue;
+
+        try {
+          const response = await gradeService.bulkRecordGrades({
+            course: courseId,
+            assignment: column.assignment,
+            type: column.type,
+            grades
+          });
+
+          response.data.data
+            .filter(result => !result.success)
+            .forEach(result => problems.push(`${studentNames.get(result.student)} · ${column.title}: ${result.message}`));
+        } catch (error) {
+          problems.push(`${column.title}: ${handleApiError(error)}`);
+        }
+      }
+
+      setEdits({});
+      setFailures(problems);
+      await fetchGradebook();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleExport = async (format) => {
+    try {
+      setExporting(format);
+      setError('');
+      const response = await gradeService.exportGrades(courseId, format);
+      saveDownload(response, `grades-${gradebook.course.code || gradebook.course.name}.${format}`.replace(/[^a-z0-9.]+/gi, '-'));
+    } catch (error) {
+      setError(await handleDownloadError(error));
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const handleImported = (summary) => {
+    setShowImport(false);
+    setEdits({});
+    setNotice(`Imported ${summary.created} new and ${summary.updated} changed grades.`);
+    fetchGradebook();
+  };
+
+  // Average percentage of the recorded grades in a column
+  const columnAverage = (column) => {
+    const percentages = rows
+      .map(row => row.grades[column.key])
+      .filter(Boolean)
+      .map(grade => grade.percentage);
+
+    if (percentages.length === 0) return null;
+    return percentages.reduce((sum, percentage) => sum + percentage, 0) / percentages.length;
+  };
+
+  const classAverage = () => {
+    const graded = rows.filter(row => row.total.totalGrades > 0);
+    if (graded.length === 0) return null;
+    return graded.reduce((sum, row) => sum + row.total.percentage, 0) / graded.length;
+  };
+
+  return (
+    <div>
+      <div className="d-flex flex-wrap gap-3 justify-content-between align-items-center p-3 border-bottom">
+        <form className="d-flex flex-wrap gap-2 align-items-center" onSubmit={handleAddColumn}>
+          <select
+            className="form-select form-select-sm w-auto"
+            value={newColumn.type}
+            onChange={(e) => setNewColumn({ ...newColumn, type: e.target.value })}
+            aria-label="Grade type of the new column"
+          >
+            <option value="">Add a column for...</option>
+            {freeTypes.map(type => (
+              <option key={type} value={type} className="text-capitalize">{type}</option>
+            ))}
+          </select>
+          <div className="input-group input-group-sm" style={{ width: '9rem' }}>
+            <span className="input-group-text">Out of</span>
+            <input
+              type="number"
+              className="form-control"
+              min="1"
+              value={newColumn.maxScore}
+              onChange={(e) => setNewColumn({ ...newColumn, maxScore: e.target.value })}
+              aria-label="Maximum score of the new column"
+            />
+          </div>
+          <button type="submit" className="btn btn-sm btn-outline-primary" disabled={!newColumn.type}>
+            Add column
+          </button>
+        </form>
+
+        <div className="d-flex flex-wrap gap-3 align-items-center">
+          <div className="btn-group btn-group-sm" role="group" aria-label="Import and export">
+            <button className="btn btn-outline-secondary" onClick={() => setShowImport(true)} disabled={saving}>
+              <i className="bi bi-upload me-1"></i>
+              Import
+            </button>
+            <button className="btn btn-outline-secondary" onClick={() => handleExport('csv')} disabled={exporting !== null}>
+              <i className="bi bi-filetype-csv me-1"></i>
+              CSV
+            </button>
+            <button className="btn btn-outline-secondary" onClick={() => handleExport('xlsx')} disabled={exporting !== null}>
+              <i className="bi bi-file-earmark-spreadsheet me-1"></i>
+              XLSX
+            </button>
+          </div>
+          <div className="form-check mb-0">
+            <input
+              id="gradebookPublishNew"
+              type="checkbox"
+              className="form-check-input"
+              checked={publishNew}
+              onChange={(e) => setPublishNew(e.target.checked)}
+            />
+            <label htmlFor="gradebookPublishNew" className="form-check-label small">
+              Publish new grades
+            </label>
+          </div>
+          {dirtyKeys.length > 0 && (
+            <button className="btn btn-sm btn-outline-secondary" onClick={() => setEdits({})} disabled={saving}>
+              Discard
+            </button>
+          )}
+          <button
+            className="btn btn-sm btn-primary"
+            onClick={handleSave}
+            disabled={saving || dirtyKeys.length === 0 || invalidKeys.length > 0}
+          >
+            {saving ? 'Saving...' : `Save changes${dirtyKeys.length > 0 ? ` (${dirtyKeys.length})` : ''}`}
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="alert alert-danger m-3" role="alert">{error}</div>
+      )}
+
+      {notice && (
+        <div className="alert alert-success m-3" role="alert">{notice}</div>
+      )}
+
+      {failures.length > 0 && (
+        <div className="alert alert-warning m-3" role="alert">
+          <p className="fw-semibold mb-1">Some grades were not saved:</p>
+          <ul className="mb-0 small">
+            {failures.map(failure => <li key={failure}>{failure}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {rows.length === 0 ? (
+        <div className="text-center py-5">
+          <i className="bi bi-people fs-1 text-muted"></i>
+          <p className="text-muted mt-2">No students are enrolled in this course yet.</p>
+        </div>
+      ) : (
+        <div className="table-responsive">
+          <table className="table table-bordered table-sm align-middle mb-0">
+            <thead className="table-light">
+              <tr>
+                <th scope="col" className="fw-semibold text-nowrap" style={{ minWidth: '12rem' }}>Student</th>
+                {columns.map(column => (
+                  <th key={column.key} scope="col" className="fw-semibold text-center" style={{ minWidth: '6.5rem' }}>
+                    <div className="text-truncate" style={{ maxWidth: '10rem' }} title={column.title}>{column.title}</div>
+                    <div className="text-muted small fw-normal">
+                      <span className="text-capitalize">{column.type}</span> · /{column.maxScore}
+                    </div>
+                  </th>
+                ))}
+                <th scope="col" className="fw-semibold text-center text-nowrap">Total</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row, rowIndex) => (
+                <tr key={row.student._id}>
+                  <th scope="row" className="fw-normal text-nowrap">
+                    <div className="fw-semibold">{row.student.lastName}, {row.student.firstName}</div>
+                    <div className="text-muted small">{row.student.email}</div>
+                  </th>
+                  {columns.map((column, columnIndex) => {
+                    const key = cellKey(row.student._id, column.key);
+                    const grade = row.grades[column.key];
+                    const dirty = key in edits;
+                    const invalid = dirty && !isValidScore(edits[key]);
+
+                    return (
+                      <td key={column.key} className={dirty ? 'table-warning' : ''}>
+                        <input
+                          id={cellId(rowIndex, columnIndex)}
+                          type="text"
+                          inputMode="decimal"
+                          className={`form-control form-control-sm text-end border-0 bg-transparent ${invalid ? 'is-invalid' : ''}`}
+                          value={getCellValue(row, column)}
+                          onChange={(e) => handleChange(row, column, e.target.value)}
+                          onKeyDown={(e) => handleKeyDown(e, rowIndex, columnIndex, row, column)}
+                          onFocus={(e) => e.target.select()}
+                          disabled={saving}
+                          aria-label={`${column.title} for ${row.student.firstName} ${row.student.lastName}`}
+                          title={grade
+                            ? `${grade.score}/${grade.maxScore} (${grade.percentage.toFixed(1)}%)${grade.isPublished ? '' : ' · not published'}${grade.isExtraCredit ? ' · extra credit' : ''}`
+                            : 'No grade yet'}
+                        />
+                        {grade && !grade.isPublished && !dirty && (
+                          <div className="text-muted text-end" style={{ fontSize: '0.7rem' }}>unpublished</div>
+                        )}
+                      </td>
+                    );
+                  })}
+                  <td className="text-center text-nowrap">
+                    {row.total.totalGrades > 0 ? (
+                      <>
+                        <span className="fw-semibold">{row.total.percentage.toFixed(1)}%</span>
+                        <span className={`badge ms-2 ${row.total.passing === false ? 'bg-danger' : 'bg-secondary'}`}>
+                          {row.total.letterGrade}
+                        </span>
+                      </>
+                    ) : (
+                      <span className="text-muted">-</span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+            <tfoot className="table-light">
+              <tr>
+                <th scope="row" className="fw-semibold">Average</th>
+                {columns.map(column => {
+                  const average = columnAverage(column);
+                  return (
+                    <td key={column.key} className="text-end small">
+                      {average === null ? '-' : `${average.toFixed(1)}%`}
+                    </td>
+                  );
+                })}
+                <td className="text-center small fw-semibold">
+                  {classAverage() === null ? '-' : `${classAverage().toFixed(1)}%`}
+                </td>
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+      )}
+
+      <GradeImport
+        courseId={courseId}
+        columns={gradebook.columns}
+        show={showImport}
+        onClose={() => setShowImport(false)}
+        onImported={handleImported}
+      />
+
+      <div className="text-muted small p-3 border-top">
+        Totals include unpublished grades and use the {gradebook.scale?.name || 'course'} grading scale.
+        Use the arrow keys or Enter to move between cells and Escape to undo a change.
+        {dirtyKeys.length > 0 && invalidKeys.length > 0 && ' Highlighted cells need a score of 0 or more.'}
+      </div>
+    </div>
+  );
+};
+
+export default Gradebook;
@@ -11,7 +11,10 @@ import {
   UserCircleIcon,
   Bars3Icon,
   XMarkIcon,
-  PlusCircleIcon
+  PlusCircleIcon,
+  EnvelopeIcon,
+  DocumentTextIcon,
+  DocumentChartBarIcon
 } from '@heroicons/react/24/outline';
 
 const Layout = () => {
@@ -50,6 +53,7 @@ const Layout = () => {
     { name: 'Assignments', href: '/assignments', icon: ClipboardDocumentListIcon },
     { name: 'Attendance', href: '/attendance', icon: UserGroupIcon },
     { name: 'Grades', href: '/grades', icon: ChartBarIcon },
+    { name: 'Report Cards', href: '/report-cards', icon: DocumentTextIcon },
   ];
   
   // Add role-specific navigation items
@@ -60,6 +64,16 @@ const Layout = () => {
     navigation.push({ name: 'Enrollment Requests', href: '/enrollment-requests', icon: PlusCircleIcon });
   }
 
+  // Teachers have no transcript of their own
+  if (currentUser && currentUser.role !== 'teacher') {
+    navigation.push({ name: 'Transcript', href: '/transcript', icon: DocumentChartBarIcon });
+  }
+
+  // Add invitation management for admins
+  if (currentUser?.role === 'admin') {
+    navigation.push({ name: 'Invitations', href: '/invitations', icon: EnvelopeIcon });
+  }
+
   const toggleSidebar = () => {
     setSidebarOpen(!sidebarOpen);
   };
@@ -0,0 +1,241 @@
+import { useState } from 'react';
+import { Modal } from 'react-bootstrap';
+import { rubricService, handleApiError } from '../services/api';
+
+const DEFAULT_LEVELS = [
+  { title: 'Excellent', description: '', points: 4 },
+  { title: 'Good', description: '', points: 3 },
+  { title: 'Fair', description: '', points: 2 },
+  { title: 'Poor', description: '', points: 1 }
+];
+
+const newCriterion = () => ({
+  title: '',
+  description: '',
+  levels: DEFAULT_LEVELS.map(level => ({ ...level }))
+});
+
+// Creates or edits a course rubric: criteria as rows, performance levels with their points
+const RubricEditor = ({ courseId, rubric, onClose, onSaved }) => {
+  const [title, setTitle] = useState(rubric?.title || '');
+  const [description, setDescription] = useState(rubric?.description || '');
+  const [criteria, setCriteria] = useState(() => rubric
+    ? rubric.criteria.map(criterion => ({
+      ...criterion,
+      levels: criterion.levels.map(level => ({ ...level }))
+    }))
+    : [newCriterion()]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const totalPoints = criteria.reduce((total, criterion) =>
+    total + Math.max(0, ...criterion.levels.map(level => Number(level.points) || 0)), 0);
+
+  const updateCriterion = (index, changes) => {
+    setCriteria(prev => prev.map((criterion, i) => (i === index ? { ...criterion, ...changes } : criterion)));
+  };
+
+  const updateLevel = (criterionIndex, levelIndex, changes) => {
+    setCriteria(prev => prev.map((criterion, i) => (i === criterionIndex
+      ? {
+        ...criterion,
+        levels: criterion.levels.map((level, j) => (j === levelIndex ? { ...level, ...changes } : level))
+      }
+      : criterion)));
+  };
+
+  const handleSave = async () => {
+    if (!title.trim()) {
+      setError('Please add a title');
+      return;
+    }
+
+    if (criteria.some(criterion => !criterion.title.trim() || criterion.levels.some(level => !level.title.trim()))) {
+      setError('Every criterion and level needs a title');
+      return;
+    }
+
+    const rubricData = {
+      title,
+      description,
+      course: courseId,
+      criteria: criteria.map(criterion => ({
+        ...criterion,
+        levels: criterion.levels.map(level => ({ ...level, points: Number(level.points) || 0 }))
+      }))
+    };
+
+    try {
+      setSaving(true);
+      setError('');
+      const response = rubric
+        ? await rubricService.updateRubric(rubric._id, rubricData)
+        : await rubricService.createRubric(rubricData);
+      onSaved(response.data.data);
+    } catch (error) {
+      setError(handleApiError(error));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal show onHide={onClose} size="xl" scrollable>
+      <Modal.Header closeButton>
+        <Modal.Title>{rubric ? 'Edit rubric' : 'New rubric'}</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        {error && (
+          <div className="alert alert-danger" role="alert">{error}</div>
+        )}
+
+        {rubric && (
+          <p className="text-muted small">
+            Submissions already graded with this rubric keep the levels they were given.
+          </p>
+        )}
+
+        <div className="row g-3 mb-4">
+          <div className="col-md-5">
+            <label htmlFor="rubricTitle" className="form-label">Title <span className="text-danger">*</span></label>
+            <input
+              id="rubricTitle"
+              type="text"
+              className="form-control"
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              maxLength={100}
+            />
+          </div>
+          <div className="col-md-7">
+            <label htmlFor="rubricDescription" className="form-label">Description</label>
+            <input
+              id="rubricDescription"
+              type="text"
+              className="form-control"
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+              maxLength={500}
+            />
+          </div>
+        </div>
+
+        {criteria.map((criterion, criterionIndex) => (
+          <div key={criterion._id || criterionIndex} className="border rounded p-3 mb-3">
+            <div className="row g-2 mb-2">
+              <div className="col-md-4">
+                <input
+                  type="text"
+                  className="form-control fw-medium"
+                  placeholder="Criterion, e.g. Argument"
+                  value={criterion.title}
+                  onChange={(e) => updateCriterion(criterionIndex, { title: e.target.value })}
+                  maxLength={100}
+                  aria-label={`Criterion ${criterionIndex + 1} title`}
+                />
+              </div>
+              <div className="col-md-7">
+                <input
+                  type="text"
+                  className="form-control"
+                  placeholder="What is assessed (optional)"
+                  value={criterion.description || ''}
+                  onChange={(e) => updateCriterion(criterionIndex, { description: e.target.value })}
+                  maxLength={500}
+                  aria-label={`Criterion ${criterionIndex + 1} description`}
+                />
+              </div>
+              <div className="col-md-1 d-grid">
+                <button
+                  type="button"
+                  className="btn btn-outline-danger"
+                  onClick={() => setCriteria(prev => prev.filter((_, i) => i !== criterionIndex))}
+                  disabled={criteria.length === 1}
+                  title="Remove criterion"
+                >
+                  <i className="bi bi-trash"></i>
+                </button>
+              </div>
+            </div>
+
+            <div className="row g-2">
+              {criterion.levels.map((level, levelIndex) => (
+                <div key={level._id || levelIndex} className="col-md-3">
+                  <div className="bg-light rounded p-2 h-100">
+                    <div className="input-group input-group-sm mb-1">
+                      <input
+                        type="text"
+                        className="form-control"
+                        placeholder="Level"
+                        value={level.title}
+                        onChange={(e) => updateLevel(criterionIndex, levelIndex, { title: e.target.value })}
+                        maxLength={50}
+                        aria-label="Level title"
+                      />
+                      <input
+                        type="number"
+                        className="form-control"
+                        style={{ maxWidth: '4.5rem' }}
+                        min="0"
+                        step="0.5"
+                        value={level.points}
+                        onChange={(e) => updateLevel(criterionIndex, levelIndex, { points: e.target.value })}
+                        aria-label="Level points"
+                      />
+                      <button
+                        type="button"
+                        className="btn btn-outline-secondary"
+                        onClick={() => updateCriterion(criterionIndex, {
+                          levels: criterion.levels.filter((_, j) => j !== levelIndex)
+                        })}
+                        disabled={criterion.levels.length === 1}
+                        title="Remove level"
+                      >
+                        <i className="bi bi-x"></i>
+                      </button>
+                    </div>
+                    <textarea
+                      className="form-control form-control-sm"
+                      rows="2"
+                      placeholder="Description (optional)"
+                      value={level.description || ''}
+                      onChange={(e) => updateLevel(criterionIndex, levelIndex, { description: e.target.value })}
+                      maxLength={500}
+                      aria-label="Level description"
+                    ></textarea>
+                  </div>
+                </div>
+              ))}
+              <div className="col-md-3 d-flex align-items-center">
+                <button
+                  type="button"
+                  className="btn btn-sm btn-outline-primary"
+                  onClick={() => updateCriterion(criterionIndex, {
+                    levels: [...criterion.levels, { title: '', description: '', points: 0 }]
+                  })}
+                >
+                  <i className="bi bi-plus me-1"></i>
+                  Add level
+                </button>
+              </div>
+            </div>
+          </div>
+        ))}
+
+        <button type="button" className="btn btn-outline-primary" onClick={() => setCriteria(prev => [...prev, newCriterion()])}>
+          <i className="bi bi-plus me-1"></i>
+          Add criterion
+        </button>
+      </Modal.Body>
+      <Modal.Footer>
+        <span className="text-muted small me-auto">Top score: {totalPoints} points</span>
+        <button className="btn btn-outline-secondary" onClick={onClose} disabled={saving}>Cancel</button>
+        <button className="btn btn-primary" onClick={handleSave} disabled={saving}>
+          {saving ? 'Saving...' : 'Save rubric'}
+        </button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default RubricEditor;
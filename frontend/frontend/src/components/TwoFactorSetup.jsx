@@ -0,0 +1,132 @@
+import { useState, useEffect, useRef } from 'react';
+
+// Walks the user through enrolling an authenticator app: scan the QR code,
+// confirm a code, then save the backup codes.
+// onSetup() resolves to { secret, otpauthUrl, qrCode }, onEnable(code) to { backupCodes, ... }
+const TwoFactorSetup = ({ onSetup, onEnable, onComplete, onCancel }) => {
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  // Parents pass a new onSetup on every render; the setup starts once per mount
+  const onSetupRef = useRef(onSetup);
+
+  useEffect(() => {
+    const startSetup = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        setSetup(await onSetupRef.current());
+      } catch (error) {
+        console.error('Error starting two-factor setup:', error);
+        setError(error.response?.data?.message || 'Failed to start two-factor setup');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    startSetup();
+  }, []);
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+
+    try {
+      setLoading(true);
+      setError('');
+      setResult(await onEnable(code.trim()));
+    } catch (error) {
+      console.error('Error enabling two-factor authentication:', error);
+      setError(error.response?.data?.message || 'Failed to verify the code');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (result) {
+    return (
+      <div>
+        <div className="alert alert-success" role="alert">
+          Two-factor authentication is now enabled.
+        </div>
+        <p>
+          Save these backup codes somewhere safe. Each one can be used once to sign in
+          if you lose access to your authenticator app. They will not be shown again.
+        </p>
+        <div className="row row-cols-2 g-2 mb-4 font-monospace">
+          {result.backupCodes.map(backupCode => (
+            <div key={backupCode} className="col">
+              <div className="border rounded px-2 py-1 text-center bg-light">{backupCode}</div>
+            </div>
+          ))}
+        </div>
+        <button type="button" className="btn btn-primary" onClick={() => onComplete(result)}>
+          I have saved my backup codes
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      {error && (
+        <div className="alert alert-danger" role="alert">
+          {error}
+        </div>
+      )}
+
+      {loading && !setup ? (
+        <div className="text-center py-3">
+          <div className="spinner-border text-primary" role="status">
+            <span className="visually-hidden">Loading...</span>
+          </div>
+        </div>
+      ) : setup && (
+        <form onSubmit={handleEnable}>
+          <p>
+            Scan this QR code with an authenticator app such as Google Authenticator,
+            Microsoft Authenticator or Authy, then enter the 6-digit code it shows.
+          </p>
+          <div className="text-center mb-3">
+            <img src={setup.qrCode} alt="Two-factor QR code" width="200" height="200" />
+          </div>
+          <p className="small text-muted text-center">
+            Can't scan it? Enter this key manually: <code>{setup.secret}</code>
+          </p>
+
+          <div className="mb-3">
+            <label htmlFor="twoFactorSetupCode" className="form-label">Verification code</label>
+            <input
+              id="twoFactorSetupCode"
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              className="form-control"
+              placeholder="123456"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              required
+            />
+          </div>
+
+          <div className="d-flex gap-2">
+            <button type="submit" className="btn btn-primary" disabled={loading || !code}>
+              {loading ? (
+                <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+              ) : null}
+              Verify and enable
+            </button>
+            {onCancel && (
+              <button type="button" className="btn btn-outline-secondary" onClick={onCancel}>
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSetup;
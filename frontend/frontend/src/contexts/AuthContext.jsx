@@ -1,5 +1,6 @@
 import { createContext, useState, useEffect, useContext } from 'react';
 import axios from 'axios';
+import { refreshSession } from '../services/api';
 
 const AuthContext = createContext();
 
@@ -42,7 +43,7 @@ export const AuthProvider = ({ children }) => {
           Authorization: `Bearer ${token}`
         }
       });
-      setCurrentUser(response.data);
+      setCurrentUser(response.data.data);
       setAuthenticated(true);
     } catch (error) {
       console.error('Error fetching user profile:', error);
@@ -58,13 +59,11 @@ export const AuthProvider = ({ children }) => {
   };
 
   const refreshToken = async () => {
-    const refreshToken = localStorage.getItem('refreshToken');
-    if (!refreshToken) return false;
+    if (!localStorage.getItem('refreshToken')) return false;
 
     try {
-      const response = await axios.post(`${API_URL}/auth/refresh`, { refreshToken });
-      const { token } = response.data;
-      localStorage.setItem('token', token);
+      // Shares the in-flight refresh with the API interceptor and stores the rotated token
+      const token = await refreshSession();
       
       // Fetch user profile with new token
       await fetchUserProfile(token);
@@ -75,21 +74,31 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Store the tokens of a completed login and mark the user as signed in
+  const startSession = ({ token, refreshToken, user }) => {
+    localStorage.setItem('token', token);
+    if (refreshToken) {
+      localStorage.setItem('refreshToken', refreshToken);
+    }
+    
+    setCurrentUser(user);
+    setAuthenticated(true);
+    return user;
+  };
+
+  // Resolves to the user, or to the challenge ({ twoFactorRequired | twoFactorSetupRequired,
+  // challengeToken }) when a second factor is needed before the login completes
   const login = async (email, password) => {
     try {
       setError('');
       setLoading(true);
       const response = await axios.post(`${API_URL}/auth/login`, { email, password });
-      const { token, refreshToken, user } = response.data;
       
-      localStorage.setItem('token', token);
-      if (refreshToken) {
-        localStorage.setItem('refreshToken', refreshToken);
+      if (response.data.twoFactorRequired || response.data.twoFactorSetupRequired) {
+        return response.data;
       }
       
-      setCurrentUser(user);
-      setAuthenticated(true);
-      return user;
+      return startSession(response.data);
     } catch (error) {
       console.error('Login error:', error);
       setError(error.response?.data?.message || 'Failed to login');
@@ -99,6 +108,26 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Second login step with a code from the authenticator app or a backup code
+  const verifyTwoFactor = async (challengeToken, code) => {
+    const response = await axios.post(`${API_URL}/auth/2fa/verify`, { challengeToken, code });
+    return startSession(response.data);
+  };
+
+  // Enrollment during a login that requires two-factor; the challenge token
+  // stands in for the access token the user does not have yet
+  const setupTwoFactorWithChallenge = async (challengeToken) => {
+    const response = await axios.post(`${API_URL}/auth/2fa/setup`, { challengeToken });
+    return response.data.data;
+  };
+
+  // Resolves to the backup codes and the tokens; call startSession once the
+  // user has saved the backup codes
+  const enableTwoFactorWithChallenge = async (challengeToken, code) => {
+    const response = await axios.post(`${API_URL}/auth/2fa/enable`, { challengeToken, code });
+    return response.data;
+  };
+
   const register = async (userData) => {
     try {
       setError('');
@@ -140,6 +169,10 @@ export const AuthProvider = ({ children }) => {
     currentUser,
     authenticated,
     login,
+    verifyTwoFactor,
+    setupTwoFactorWithChallenge,
+    enableTwoFactorWithChallenge,
+    startSession,
     register,
     logout,
     loading,
@@ -0,0 +1,244 @@
+import { useState, useEffect } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { authService, handleApiError } from '../services/api';
+
+const ROLE_LABELS = {
+  student: 'a student',
+  parent: 'a parent',
+  teacher: 'a teacher',
+  admin: 'an administrator'
+};
+
+const AcceptInvitation = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const [invitation, setInvitation] = useState(null);
+  const [passwordPolicy, setPasswordPolicy] = useState(null);
+  const [loadingInvitation, setLoadingInvitation] = useState(true);
+  const [invalidMessage, setInvalidMessage] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const {
+    register,
+    handleSubmit,
+    watch,
+    reset,
+    formState: { errors },
+  } = useForm();
+
+  const password = watch('password', '');
+
+  useEffect(() => {
+    const fetchInvitation = async () => {
+      try {
+        setLoadingInvitation(true);
+        const response = await authService.getInvitation(token);
+        setInvitation(response.data.data);
+        reset({
+          firstName: response.data.data.firstName || '',
+          lastName: response.data.data.lastName || ''
+        });
+      } catch (error) {
+        setInvalidMessage(handleApiError(error));
+      } finally {
+        setLoadingInvitation(false);
+      }
+    };
+
+    fetchInvitation();
+
+    authService.getPasswordPolicy()
+      .then(response => setPasswordPolicy(response.data.data))
+      .catch(error => console.error('Error fetching password policy:', error));
+  }, [token, reset]);
+
+  const describePasswordPolicy = (policy) => {
+    const rules = [`at least ${policy.minLength} characters`];
+    if (policy.requireUppercase) rules.push('an uppercase letter');
+    if (policy.requireLowercase) rules.push('a lowercase letter');
+    if (policy.requireNumber) rules.push('a number');
+    if (policy.requireSymbol) rules.push('a symbol');
+    return `Use ${rules.join(', ')}.`;
+  };
+
+  const onSubmit = async (data) => {
+    try {
+      setError('');
+      setLoading(true);
+      await authService.acceptInvitation(token, {
+        firstName: data.firstName,
+        lastName: data.lastName,
+        password: data.password
+      });
+      navigate('/login', {
+        replace: true,
+        state: { message: `Your account has been created. Sign in with ${invitation.email} and your new password.` }
+      });
+    } catch (error) {
+      setError(handleApiError(error));
+      setLoading(false);
+    }
+  };
+
+  if (loadingInvitation) {
+    return (
+      <div className="d-flex align-items-center justify-content-center min-vh-100 bg-light">
+        <div className="spinner-border text-primary" role="status">
+          <span className="visually-hidden">Loading...</span>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="d-flex min-vh-100">
+      <div className="container my-auto py-5">
+        <div className="row justify-content-center">
+          <div className="col-12 col-md-8 col-lg-6">
+            <div className="text-center mb-4">
+              <h2 className="fw-bold text-primary">Join MySchool</h2>
+              {invitation && (
+                <p className="text-muted">
+                  {invitation.invitedBy
+                    ? `${invitation.invitedBy.firstName} ${invitation.invitedBy.lastName} invited you`
+                    : 'You have been invited'}
+                  {' '}to join as {ROLE_LABELS[invitation.role]}
+                </p>
+              )}
+            </div>
+
+            {invalidMessage ? (
+              <>
+                <div className="alert alert-danger" role="alert">
+                  {invalidMessage}
+                </div>
+                <div className="text-center">
+                  <Link to="/login" className="text-decoration-none">
+                    Go to sign in
+                  </Link>
+                </div>
+              </>
+            ) : (
+              <>
+                {error && (
+                  <div className="alert alert-danger" role="alert">
+                    {error}
+                  </div>
+                )}
+
+                {invitation.students?.length > 0 && (
+                  <div className="alert alert-info" role="alert">
+                    Your account will be linked to{' '}
+                    {invitation.students.map(student => `${student.firstName} ${student.lastName}`).join(', ')}.
+                  </div>
+                )}
+
+                <form className="needs-validation" onSubmit={handleSubmit(onSubmit)} noValidate>
+                  <div className="mb-3">
+                    <label htmlFor="email" className="form-label">Email</label>
+                    <input
+                      id="email"
+                      type="email"
+                      className="form-control"
+                      value={invitation.email}
+                      readOnly
+                      disabled
+                    />
+                  </div>
+
+                  <div className="row mb-3">
+                    <div className="col-md-6">
+                      <label htmlFor="firstName" className="form-label">First Name</label>
+                      <input
+                        id="firstName"
+                        type="text"
+                        className={`form-control ${errors.firstName ? 'is-invalid' : ''}`}
+                        {...register('firstName', { required: 'First name is required' })}
+                      />
+                      {errors.firstName && (
+                        <div className="invalid-feedback">{errors.firstName.message}</div>
+                      )}
+                    </div>
+                    <div className="col-md-6">
+                      <label htmlFor="lastName" className="form-label">Last Name</label>
+                      <input
+                        id="lastName"
+                        type="text"
+                        className={`form-control ${errors.lastName ? 'is-invalid' : ''}`}
+                        {...register('lastName', { required: 'Last name is required' })}
+                      />
+                      {errors.lastName && (
+                        <div className="invalid-feedback">{errors.lastName.message}</div>
+                      )}
+                    </div>
+                  </div>
+
+                  <div className="mb-3">
+                    <label htmlFor="password" className="form-label">Password</label>
+                    <input
+                      id="password"
+                      type="password"
+                      className={`form-control ${errors.password ? 'is-invalid' : ''}`}
+                      placeholder="••••••••"
+                      {...register('password', {
+                        required: 'Password is required',
+                        minLength: passwordPolicy ? {
+                          value: passwordPolicy.minLength,
+                          message: `Password must be at least ${passwordPolicy.minLength} characters`
+                        } : undefined
+                      })}
+                    />
+                    {errors.password && (
+                      <div className="invalid-feedback">{errors.password.message}</div>
+                    )}
+                    {passwordPolicy && (
+                      <div className="form-text">{describePasswordPolicy(passwordPolicy)}</div>
+                    )}
+                  </div>
+
+                  <div className="mb-4">
+                    <label htmlFor="confirmPassword" className="form-label">Confirm Password</label>
+                    <input
+                      id="confirmPassword"
+                      type="password"
+                      className={`form-control ${errors.confirmPassword ? 'is-invalid' : ''}`}
+                      placeholder="••••••••"
+                      {...register('confirmPassword', {
+                        required: 'Please confirm your password',
+                        validate: value => value === password || 'Passwords do not match'
+                      })}
+                    />
+                    {errors.confirmPassword && (
+                      <div className="invalid-feedback">{errors.confirmPassword.message}</div>
+                    )}
+                  </div>
+
+                  <div className="d-grid mb-3">
+                    <button
+                      type="submit"
+                      disabled={loading}
+                      className="btn btn-primary btn-lg"
+                    >
+                      {loading ? (
+                        <>
+                          <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                          Creating account...
+                        </>
+                      ) : (
+                        'Create Account'
+                      )}
+                    </button>
+                  </div>
+                </form>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AcceptInvitation;
@@ -2,6 +2,8 @@ import { useState, useEffect } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
 import { assignmentService } from '../services/api';
 import { useAuth } from '../contexts/AuthContext';
+import GradeRelease from '../components/GradeRelease';
+import GradeStatistics from '../components/GradeStatistics';
 
 const AssignmentDetail = () => {
   const { id } = useParams();
@@ -229,7 +231,10 @@ const AssignmentDetail = () => {
                   {hasSubmitted ? (
                     <div className="alert alert-success">
                       <p className="fw-medium mb-1">You have already submitted this assignment.</p>
-                      <p className="mb-0">Submitted on: {formatDate(assignment.submission.submittedAt)}</p>
+                      <p className="mb-2">Submitted on: {formatDate(assignment.submission.submittedAt)}</p>
+                      <Link to={`/assignments/${id}/submissions/${assignment.submission._id}`} className="btn btn-sm btn-outline-success">
+                        {assignment.submission.status === 'graded' ? 'View grade and feedback' : 'View submission'}
+                      </Link>
                     </div>
                   ) : isPastDue(assignment.dueDate) ? (
                     <div className="alert alert-danger">
@@ -337,6 +342,8 @@ const AssignmentDetail = () => {
                 </div>
               </div>
 
+              {(isTeacher || isAdmin) && <GradeRelease assignmentId={assignment._id} />}
+
               {(isTeacher || isAdmin) && assignment.submissions && assignment.submissions.length > 0 && (
                 <div className="card shadow-sm">
                   <div className="card-body">
@@ -373,6 +380,10 @@ const AssignmentDetail = () => {
           </div>
         </div>
       </div>
+
+      {(isTeacher || isAdmin) && assignment.course?._id && (
+        <GradeStatistics assignmentId={assignment._id} courseId={assignment.course._id} />
+      )}
     </div>
   );
 };
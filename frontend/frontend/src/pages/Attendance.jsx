@@ -1,32 +1,91 @@
-import { useState, useEffect } from 'react';
-import { attendanceService, courseService } from '../services/api';
+import { useState, useEffect, useCallback } from 'react';
+import { attendanceService, courseService, handleApiError } from '../services/api';
 import { useAuth } from '../contexts/AuthContext';
+import AbsenceExcuses from '../components/AbsenceExcuses';
+
+const STATUS_LABELS = {
+  present: 'Present',
+  late: 'Late',
+  absent: 'Absent',
+  excused: 'Excused'
+};
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Attendance dates are calendar days, so weekdays are read in UTC
+const weekdayOf = (isoDate) => DAYS[new Date(isoDate).getUTCDay()];
+
+const addDays = (isoDate, days) => {
+  const date = new Date(isoDate);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+};
+
+const HISTORY_ACTIONS = {
+  create: 'Recorded',
+  update: 'Changed',
+  delete: 'Deleted',
+  restore: 'Restored'
+};
+
+const HISTORY_SOURCES = {
+  attendance: 'Attendance entry',
+  bulk: 'Bulk entry',
+  edit: 'Correction'
+};
+
+// Describe what changed between two snapshots of an attendance record
+const describeHistoryChange = (entry) => {
+  const oldValues = entry.oldValues || {};
+  const newValues = entry.newValues || {};
+  const changes = [];
+
+  if (oldValues.status !== newValues.status) {
+    const before = entry.oldValues ? STATUS_LABELS[oldValues.status] : null;
+    const after = entry.newValues ? STATUS_LABELS[newValues.status] : null;
+    changes.push(before && after ? `${before} → ${after}` : after || before);
+  }
+  if (entry.oldValues && entry.newValues) {
+    if ((oldValues.lateMinutes || 0) !== (newValues.lateMinutes || 0)) changes.push(`Late minutes ${oldValues.lateMinutes || 0} → ${newValues.lateMinutes || 0}`);
+    if ((oldValues.excuseReason || '') !== (newValues.excuseReason || '')) changes.push('Excuse changed');
+    if ((oldValues.notes || '') !== (newValues.notes || '')) changes.push('Notes changed');
+  }
+
+  return changes;
+};
 
 const Attendance = () => {
   const { currentUser } = useAuth();
   const [courses, setCourses] = useState([]);
   const [selectedCourse, setSelectedCourse] = useState('');
   const [selectedDate, setSelectedDate] = useState(new Date().toISOString().split('T')[0]);
+  const [selectedSession, setSelectedSession] = useState('');
   const [attendanceData, setAttendanceData] = useState([]);
+  const [weekSessions, setWeekSessions] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [actionId, setActionId] = useState(null);
+  const [historyRecord, setHistoryRecord] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [historyLoading, setHistoryLoading] = useState(false);
 
   useEffect(() => {
     fetchCourses();
   }, []);
 
-  useEffect(() => {
-    if (selectedCourse && selectedDate) {
-      fetchAttendance();
-    }
-  }, [selectedCourse, selectedDate]);
+  const isTeacherOrAdmin = currentUser?.role === 'teacher' || currentUser?.role === 'admin';
+  const course = courses.find(c => c._id === selectedCourse);
+  const daySessions = (course?.schedule || [])
+    .filter(entry => entry.day === weekdayOf(selectedDate))
+    .sort((a, b) => a.startTime.localeCompare(b.startTime));
+  const session = daySessions.find(entry => entry._id === selectedSession);
 
   const fetchCourses = async () => {
     try {
       setLoading(true);
       const response = await courseService.getCourses();
       // Convert object to array if needed
-      const coursesArray = Array.isArray(response.data) ? response.data : Object.values(response.data);
+      const coursesArray = Array.isArray(response.data) ? response.data : response.data.data || [];
       setCourses(coursesArray);
       if (coursesArray.length > 0 && !selectedCourse) {
         setSelectedCourse(coursesArray[0]._id);
@@ -40,13 +99,24 @@ const Attendance = () => {
     }
   };
 
-  const fetchAttendance = async () => {
+  const fetchAttendance = useCallback(async () => {
     try {
       setLoading(true);
-      const response = await attendanceService.getAttendance(selectedCourse, selectedDate);
+      const response = await attendanceService.getAttendance(selectedCourse, selectedDate, selectedSession);
       // Convert object to array if needed
-      const attendanceArray = Array.isArray(response.data) ? response.data : Object.values(response.data);
-      setAttendanceData(attendanceArray);
+      const attendanceArray = (Array.isArray(response.data) ? response.data : response.data.data || [])
+        .filter(record => (selectedSession ? record.session === selectedSession : !record.session));
+
+      if (isTeacherOrAdmin) {
+        // List every enrolled student, recorded or not, so attendance can be taken
+        const courseResponse = await courseService.getCourseById(selectedCourse);
+        const students = courseResponse.data.data?.students || [];
+        setAttendanceData(students.map(student =>
+          attendanceArray.find(record => record.student?._id === student._id) || { student, status: null }
+        ));
+      } else {
+        setAttendanceData(attendanceArray);
+      }
     } catch (error) {
       console.error('Error fetching attendance:', error);
       setError('Failed to load attendance data');
@@ -54,28 +124,120 @@ const Attendance = () => {
     } finally {
       setLoading(false);
     }
+  }, [selectedCourse, selectedDate, selectedSession, isTeacherOrAdmin]);
+
+  // Sessions of the week around the selected date, generated from the course schedule
+  const fetchWeekSessions = useCallback(async () => {
+    const weekStart = addDays(selectedDate, -((new Date(selectedDate).getUTCDay() + 6) % 7));
+
+    try {
+      const response = await attendanceService.getExpectedSessions(selectedCourse, weekStart, addDays(weekStart, 6));
+      setWeekSessions(response.data.data.sessions);
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+      setWeekSessions([]);
+    }
+  }, [selectedCourse, selectedDate]);
+
+  useEffect(() => {
+    if (selectedCourse && selectedDate) {
+      fetchAttendance();
+    }
+  }, [selectedCourse, selectedDate, fetchAttendance]);
+
+  useEffect(() => {
+    if (isTeacherOrAdmin && selectedCourse && selectedDate) {
+      fetchWeekSessions();
+    }
+  }, [isTeacherOrAdmin, selectedCourse, selectedDate, fetchWeekSessions]);
+
+  const selectSession = (date, sessionId) => {
+    setSelectedDate(date);
+    setSelectedSession(sessionId);
   };
 
-  const handleAttendanceChange = async (studentId, status) => {
+  const handleAttendanceChange = async (attendance, status) => {
+    if (attendance.status === status) {
+      return;
+    }
+
     try {
-      await attendanceService.markAttendance({
-        courseId: selectedCourse,
-        date: selectedDate,
-        studentId,
-        status
-      });
+      setActionId(attendance._id || attendance.student._id);
+      setError('');
+      let recordId = attendance._id;
+
+      if (attendance._id) {
+        // Correcting a recorded status is audited and needs a reason
+        const reason = window.prompt(
+          `Why is this changed from ${STATUS_LABELS[attendance.status].toLowerCase()} to ${STATUS_LABELS[status].toLowerCase()}? The student and their parents are told.`
+        );
+        if (!reason || !reason.trim()) {
+          return;
+        }
+
+        await attendanceService.updateAttendance(attendance._id, { status, reason: reason.trim() });
+      } else {
+        const response = await attendanceService.markAttendance({
+          course: selectedCourse,
+          date: selectedDate,
+          session: selectedSession || undefined,
+          student: attendance.student._id,
+          status
+        });
+        recordId = response.data.data?._id;
+        fetchWeekSessions();
+      }
       
       // Update local state
       setAttendanceData(prevData => 
         prevData.map(item => 
-          item.student._id === studentId 
-            ? { ...item, status } 
+          item.student._id === attendance.student._id 
+            ? { ...item, _id: recordId, status } 
             : item
         )
       );
     } catch (error) {
       console.error('Error updating attendance:', error);
-      setError('Failed to update attendance');
+      setError(handleApiError(error));
+    } finally {
+      setActionId(null);
+    }
+  };
+
+  const handleDeleteAttendance = async (attendance) => {
+    const reason = window.prompt('Why is this attendance record being deleted?');
+    if (!reason || !reason.trim()) {
+      return;
+    }
+
+    try {
+      setActionId(attendance._id);
+      setError('');
+
+      await attendanceService.deleteAttendance(attendance._id, reason.trim());
+      fetchAttendance();
+      fetchWeekSessions();
+    } catch (error) {
+      console.error('Error deleting attendance:', error);
+      setError(handleApiError(error));
+    } finally {
+      setActionId(null);
+    }
+  };
+
+  const openHistory = async (attendance) => {
+    setHistoryRecord(attendance);
+    setHistory([]);
+
+    try {
+      setHistoryLoading(true);
+      const response = await attendanceService.getAttendanceHistory(attendance._id);
+      setHistory(response.data.data);
+    } catch (error) {
+      console.error('Error fetching attendance history:', error);
+      setError(handleApiError(error));
+    } finally {
+      setHistoryLoading(false);
     }
   };
 
@@ -84,8 +246,6 @@ const Attendance = () => {
     return new Date(dateString).toLocaleDateString(undefined, options);
   };
 
-  const isTeacherOrAdmin = currentUser?.role === 'teacher' || currentUser?.role === 'admin';
-
   return (
     <div className="container py-4">
       <h1 className="fs-2 fw-bold mb-4">Attendance</h1>
@@ -107,7 +267,10 @@ const Attendance = () => {
                 id="course"
                 className="form-select"
                 value={selectedCourse}
-                onChange={(e) => setSelectedCourse(e.target.value)}
+                onChange={(e) => {
+                  setSelectedCourse(e.target.value);
+                  setSelectedSession('');
+                }}
               >
                 <option key="default" value="">Select a course</option>
                 {courses.map((course, index) => (
@@ -126,14 +289,71 @@ const Attendance = () => {
                 id="date"
                 className="form-control"
                 value={selectedDate}
-                onChange={(e) => setSelectedDate(e.target.value)}
+                onChange={(e) => {
+                  setSelectedDate(e.target.value);
+                  setSelectedSession('');
+                }}
                 max={new Date().toISOString().split('T')[0]}
               />
             </div>
+            {daySessions.length > 0 && (
+              <div className="col-12">
+                <label htmlFor="session" className="form-label fw-medium">
+                  Session
+                </label>
+                <select
+                  id="session"
+                  className="form-select"
+                  value={selectedSession}
+                  onChange={(e) => setSelectedSession(e.target.value)}
+                >
+                  <option value="">Whole day</option>
+                  {daySessions.map(entry => (
+                    <option key={entry._id} value={entry._id}>
+                      {entry.startTime}-{entry.endTime} · {entry.room}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
           </div>
         </div>
       </div>
 
+      {isTeacherOrAdmin && weekSessions.length > 0 && (
+        <div className="card shadow-sm mb-4">
+          <div className="card-header bg-light">
+            <h5 className="card-title mb-0 fw-bold">Sessions this week</h5>
+          </div>
+          <div className="card-body">
+            <div className="d-flex flex-wrap gap-2">
+              {weekSessions.map(entry => {
+                const today = new Date().toISOString().split('T')[0];
+                const isSelected = entry.date === selectedDate && entry.session === selectedSession;
+
+                return (
+                  <button
+                    key={`${entry.date}-${entry.session}`}
+                    type="button"
+                    className={`btn btn-sm text-start ${isSelected ? 'btn-primary' : 'btn-outline-secondary'}`}
+                    onClick={() => selectSession(entry.date, entry.session)}
+                    disabled={entry.date > today}
+                  >
+                    <div className="fw-semibold">
+                      {entry.day.slice(0, 3)} {new Date(entry.date).toLocaleDateString(undefined, { day: 'numeric', month: 'short', timeZone: 'UTC' })}
+                    </div>
+                    <div className="small">{entry.startTime}-{entry.endTime}</div>
+                    <span className={`badge ${entry.complete ? 'bg-success' : entry.recorded > 0 ? 'bg-warning text-dark' : 'bg-light text-dark'}`}>
+                      {entry.recorded} recorded
+                    </span>
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+        </div>
+      )}
+
       {selectedCourse && selectedDate ? (
         <div className="card shadow-sm">
           <div className="card-header bg-light">
@@ -141,7 +361,8 @@ const Attendance = () => {
               Attendance for {formatDate(selectedDate)}
             </h5>
             <p className="text-muted small mb-0">
-              {courses.find(c => c._id === selectedCourse)?.name || 'Selected Course'}
+              {course?.name || 'Selected Course'}
+              {session && ` · ${session.startTime}-${session.endTime} · ${session.room}`}
             </p>
           </div>
 
@@ -197,39 +418,55 @@ const Attendance = () => {
                             ? 'bg-warning text-dark'
                             : 'bg-secondary'
                         }`}>
-                          {attendance.status ? attendance.status.charAt(0).toUpperCase() + attendance.status.slice(1) : 'Not marked'}
+                          {attendance.status ? STATUS_LABELS[attendance.status] : 'Not marked'}
                         </span>
+                        {attendance.excuseReason && (
+                          <div className="text-muted small mt-1">{attendance.excuseReason}</div>
+                        )}
                       </td>
                       {isTeacherOrAdmin && (
                         <td>
-                          <div className="btn-group" role="group">
-                            <button
-                              type="button"
-                              onClick={() => handleAttendanceChange(attendance.student._id, 'present')}
-                              className={`btn btn-sm ${
-                                attendance.status === 'present' ? 'btn-success' : 'btn-outline-success'
-                              }`}
-                            >
-                              Present
-                            </button>
-                            <button
-                              type="button"
-                              onClick={() => handleAttendanceChange(attendance.student._id, 'late')}
-                              className={`btn btn-sm ${
-                                attendance.status === 'late' ? 'btn-warning' : 'btn-outline-warning'
-                              }`}
-                            >
-                              Late
-                            </button>
-                            <button
-                              type="button"
-                              onClick={() => handleAttendanceChange(attendance.student._id, 'absent')}
-                              className={`btn btn-sm ${
-                                attendance.status === 'absent' ? 'btn-danger' : 'btn-outline-danger'
-                              }`}
-                            >
-                              Absent
-                            </button>
+                          <div className="d-flex flex-wrap gap-2">
+                            <div className="btn-group" role="group">
+                              {[
+                                ['present', 'success'],
+                                ['late', 'warning'],
+                                ['absent', 'danger'],
+                                ['excused', 'secondary']
+                              ].map(([status, color]) => (
+                                <button
+                                  key={status}
+                                  type="button"
+                                  onClick={() => handleAttendanceChange(attendance, status)}
+                                  className={`btn btn-sm ${
+                                    attendance.status === status ? `btn-${color}` : `btn-outline-${color}`
+                                  }`}
+                                  disabled={actionId === (attendance._id || attendance.student?._id)}
+                                >
+                                  {STATUS_LABELS[status]}
+                                </button>
+                              ))}
+                            </div>
+                            {attendance._id && (
+                              <>
+                                <button
+                                  type="button"
+                                  className="btn btn-sm btn-outline-secondary"
+                                  onClick={() => openHistory(attendance)}
+                                >
+                                  History
+                                </button>
+                                <button
+                                  type="button"
+                                  className="btn btn-sm btn-outline-danger"
+                                  onClick={() => handleDeleteAttendance(attendance)}
+                                  disabled={actionId === attendance._id}
+                                  title="Delete record"
+                                >
+                                  <i className="bi bi-trash"></i>
+                                </button>
+                              </>
+                            )}
                           </div>
                         </td>
                       )}
@@ -257,6 +494,61 @@ const Attendance = () => {
           <p className="text-muted">Please select a course and date to view attendance records.</p>
         </div>
       )}
+
+      {historyRecord && (
+        <>
+          <div className="offcanvas offcanvas-end show" tabIndex="-1" style={{visibility: 'visible'}} aria-labelledby="attendanceHistoryTitle">
+            <div className="offcanvas-header border-bottom">
+              <div>
+                <h5 className="offcanvas-title" id="attendanceHistoryTitle">Attendance History</h5>
+                <div className="text-muted small">
+                  {historyRecord.student?.firstName} {historyRecord.student?.lastName} · {formatDate(historyRecord.date || selectedDate)}
+                </div>
+              </div>
+              <button type="button" className="btn-close" aria-label="Close" onClick={() => setHistoryRecord(null)}></button>
+            </div>
+            <div className="offcanvas-body">
+              {historyLoading ? (
+                <div className="d-flex justify-content-center my-4">
+                  <div className="spinner-border text-primary" role="status">
+                    <span className="visually-hidden">Loading...</span>
+                  </div>
+                </div>
+              ) : history.length > 0 ? (
+                <ul className="list-group list-group-flush">
+                  {history.map(entry => (
+                    <li key={entry._id} className="list-group-item px-0">
+                      <div className="d-flex justify-content-between">
+                        <span className="fw-semibold">{HISTORY_ACTIONS[entry.action]}</span>
+                        <span className="text-muted small">{new Date(entry.createdAt).toLocaleString()}</span>
+                      </div>
+                      {describeHistoryChange(entry).map(change => (
+                        <div key={change} className="small">{change}</div>
+                      ))}
+                      {entry.reason && (
+                        <div className="small fst-italic">“{entry.reason}”</div>
+                      )}
+                      <div className="text-muted small">
+                        {entry.changedBy ? `${entry.changedBy.firstName} ${entry.changedBy.lastName}` : 'Unknown user'} · {HISTORY_SOURCES[entry.source]}
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-muted">No changes have been recorded for this attendance record.</p>
+              )}
+            </div>
+          </div>
+          <div className="offcanvas-backdrop fade show" onClick={() => setHistoryRecord(null)}></div>
+        </>
+      )}
+
+      <AbsenceExcuses
+        courses={courses}
+        onReviewed={() => {
+          if (selectedCourse && selectedDate) fetchAttendance();
+        }}
+      />
     </div>
   );
 };
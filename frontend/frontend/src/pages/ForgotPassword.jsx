@@ -0,0 +1,100 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { authService, handleApiError } from '../services/api';
+
+const ForgotPassword = () => {
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [sent, setSent] = useState(false);
+
+  const { register, handleSubmit, formState: { errors } } = useForm();
+
+  const onSubmit = async (data) => {
+    try {
+      setError('');
+      setLoading(true);
+      await authService.forgotPassword(data.email);
+      setSent(true);
+    } catch (error) {
+      setError(handleApiError(error));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="d-flex min-vh-100">
+      <div className="container my-auto py-5">
+        <div className="row justify-content-center">
+          <div className="col-12 col-md-8 col-lg-6">
+            <div className="text-center mb-4">
+              <h2 className="fw-bold text-primary">Forgot Password</h2>
+              <p className="text-muted">We will email you a link to reset your password</p>
+            </div>
+
+            {error && (
+              <div className="alert alert-danger" role="alert">
+                {error}
+              </div>
+            )}
+
+            {sent ? (
+              <div className="alert alert-success" role="alert">
+                If an account exists for this email, a password reset link is on its way.
+                Check your inbox and follow the link to choose a new password.
+              </div>
+            ) : (
+              <form className="needs-validation" onSubmit={handleSubmit(onSubmit)} noValidate>
+                <div className="mb-4">
+                  <label htmlFor="email" className="form-label">Email address</label>
+                  <input
+                    id="email"
+                    type="email"
+                    className={`form-control ${errors.email ? 'is-invalid' : ''}`}
+                    placeholder="name@example.com"
+                    {...register('email', {
+                      required: 'Email is required',
+                      pattern: {
+                        value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+                        message: 'Invalid email address'
+                      }
+                    })}
+                  />
+                  {errors.email && (
+                    <div className="invalid-feedback">{errors.email.message}</div>
+                  )}
+                </div>
+
+                <div className="d-grid mb-3">
+                  <button
+                    type="submit"
+                    disabled={loading}
+                    className="btn btn-primary btn-lg"
+                  >
+                    {loading ? (
+                      <>
+                        <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                        Sending...
+                      </>
+                    ) : (
+                      'Send reset link'
+                    )}
+                  </button>
+                </div>
+              </form>
+            )}
+
+            <div className="text-center">
+              <Link to="/login" className="text-decoration-none">
+                Back to sign in
+              </Link>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
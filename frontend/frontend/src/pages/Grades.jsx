@@ -1,7 +1,80 @@
 import { useState, useEffect } from 'react';
-import { gradeService, courseService, assignmentService } from '../services/api';
+import { gradeService, courseService, gradingScaleService } from '../services/api';
 import { useAuth } from '../contexts/AuthContext';
 import { handleApiError } from '../services/api';
+import Gradebook from '../components/Gradebook';
+
+// Percentage of a grade, treating a missing maximum as 100 points
+const getPercentage = (grade) => grade.score / (grade.maxScore || 100) * 100;
+
+// Find the band of a grading scale a percentage falls into (mirrors GradingScale.resolve)
+const resolveGrade = (scale, percentage) => {
+  if (!scale || percentage === null || Number.isNaN(percentage)) return null;
+
+  if (scale.type === 'percentage') {
+    return {
+      label: String(Math.round(percentage)),
+      points: Math.round(percentage),
+      passing: percentage >= scale.passingPercentage,
+      rank: percentage >= scale.passingPercentage ? 0 : 1
+    };
+  }
+
+  const bands = [...scale.bands].sort((a, b) => b.minPercentage - a.minPercentage);
+  const index = bands.findIndex(band => percentage >= band.minPercentage);
+  const band = bands[index === -1 ? bands.length - 1 : index];
+
+  return {
+    label: band.label,
+    points: band.points,
+    passing: band.passing,
+    rank: index === -1 ? 1 : index / Math.max(bands.length - 1, 1)
+  };
+};
+
+const HISTORY_ACTIONS = {
+  create: 'Recorded',
+  update: 'Changed',
+  delete: 'Deleted',
+  restore: 'Restored'
+};
+
+const HISTORY_SOURCES = {
+  grade: 'Gradebook',
+  bulk: 'Bulk entry',
+  submission: 'Submission grading',
+  import: 'Spreadsheet import',
+  release: 'Grade release'
+};
+
+// Describe what changed between two snapshots of a grade
+const describeHistoryChange = (entry) => {
+  const oldValues = entry.oldValues || {};
+  const newValues = entry.newValues || {};
+  const changes = [];
+
+  if (oldValues.score !== newValues.score || oldValues.maxScore !== newValues.maxScore) {
+    const before = entry.oldValues ? `${oldValues.score}/${oldValues.maxScore}` : null;
+    const after = entry.newValues ? `${newValues.score}/${newValues.maxScore}` : null;
+    changes.push(before && after ? `Score ${before} → ${after}` : `Score ${after || before}`);
+  }
+  if (entry.oldValues && entry.newValues) {
+    if (oldValues.weight !== newValues.weight) changes.push(`Weight ${oldValues.weight} → ${newValues.weight}`);
+    if (oldValues.isExtraCredit !== newValues.isExtraCredit) changes.push(newValues.isExtraCredit ? 'Marked as extra credit' : 'No longer extra credit');
+    if (oldValues.isPublished !== newValues.isPublished) changes.push(newValues.isPublished ? 'Published' : 'Unpublished');
+    if ((oldValues.comments || '') !== (newValues.comments || '')) changes.push('Comments changed');
+  }
+
+  return changes;
+};
+
+// Badge colour from the band's position in the scale
+const getBadgeClass = (result) => {
+  if (!result || !result.passing) return 'bg-danger';
+  if (result.rank === 0) return 'bg-success';
+  if (result.rank < 0.5) return 'bg-primary';
+  return 'bg-warning text-dark';
+};
 
 const Grades = () => {
   const { currentUser } = useAuth();
@@ -10,20 +83,50 @@ const Grades = () => {
   const [grades, setGrades] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
-  const [assignments, setAssignments] = useState([]);
-  const [submissions, setSubmissions] = useState([]);
+  const [gradingScale, setGradingScale] = useState(null);
+  const [summary, setSummary] = useState(null);
+  const [editingGrade, setEditingGrade] = useState(null);
+  const [actionId, setActionId] = useState(null);
+  const [historyGrade, setHistoryGrade] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [historyLoading, setHistoryLoading] = useState(false);
+  const [view, setView] = useState('gradebook');
 
   useEffect(() => {
     fetchCourses();
-    fetchAssignments();
   }, []);
 
   useEffect(() => {
     if (selectedCourse) {
       fetchGrades();
+      fetchGradingScale();
+      fetchSummary();
     }
   }, [selectedCourse]);
 
+  // Students see how their course grade is composed
+  const fetchSummary = async () => {
+    if (currentUser?.role !== 'student') return;
+
+    try {
+      const response = await gradeService.getGradeSummary(selectedCourse);
+      setSummary(response.data.data);
+    } catch (error) {
+      console.error('Error fetching grade summary:', error);
+      setSummary(null);
+    }
+  };
+
+  const fetchGradingScale = async () => {
+    try {
+      const response = await gradingScaleService.getCourseScale(selectedCourse);
+      setGradingScale(response.data.data);
+    } catch (error) {
+      console.error('Error fetching grading scale:', error);
+      setGradingScale(null);
+    }
+  };
+
   const fetchCourses = async () => {
     try {
       setLoading(true);
@@ -77,150 +180,106 @@ const Grades = () => {
     }
   };
 
-  const fetchAssignments = async () => {
-    if (!currentUser || currentUser.role !== 'student') return;
-    
+  const fetchGrades = async () => {
     try {
       setLoading(true);
-      console.log('Fetching assignments for student...');
-      const response = await assignmentService.getAssignments();
-      console.log('Assignments response:', response);
-      
-      // Handle different response formats
-      let assignmentsData = [];
-      if (response.data?.data) {
-        assignmentsData = response.data.data;
-      } else if (Array.isArray(response.data)) {
-        assignmentsData = response.data;
-      } else if (typeof response.data === 'object') {
-        assignmentsData = Object.values(response.data);
-      }
-      
-      console.log(`Found ${assignmentsData.length} assignments`);
-      setAssignments(assignmentsData);
       
-      // For each assignment, check if there's a submission with a grade
-      const submissionsPromises = assignmentsData.map(async (assignment) => {
-        try {
-          console.log(`Fetching details for assignment: ${assignment._id}`);
-          // Get assignment details including submission
-          const detailsResponse = await assignmentService.getAssignmentById(assignment._id);
-          console.log('Assignment details response:', detailsResponse);
-          
-          let assignmentWithSubmission = null;
-          if (detailsResponse.data?.data) {
-            assignmentWithSubmission = detailsResponse.data.data;
-          } else if (typeof detailsResponse.data === 'object') {
-            assignmentWithSubmission = detailsResponse.data;
-          }
-          
-          if (assignmentWithSubmission && assignmentWithSubmission.submission) {
-            console.log(`Found submission for assignment ${assignment._id}:`, assignmentWithSubmission.submission);
-            // If there's a submission with a grade, add it to our grades list
-            const submission = assignmentWithSubmission.submission;
-            if (submission.score !== undefined) {
-              console.log(`Submission has score: ${submission.score}`);
-              return {
-                _id: `submission-${submission._id || Date.now()}`,
-                assignment: {
-                  _id: assignment._id,
-                  title: assignment.title,
-                },
-                course: assignment.course,
-                student: currentUser._id,
-                score: submission.score,
-                maxScore: assignment.maxScore || 100,
-                feedback: submission.feedback || '',
-                type: 'Assignment',
-                submittedAt: submission.submittedAt || new Date().toISOString(),
-                gradedAt: submission.gradedAt || submission.updatedAt || new Date().toISOString(),
-              };
-            } else {
-              console.log(`Submission has no score yet`);
-            }
-          } else {
-            console.log(`No submission found for assignment ${assignment._id}`);
-          }
-          return null;
-        } catch (error) {
-          console.error(`Error fetching submission for assignment ${assignment._id}:`, error);
-          return null;
-        }
-      });
-      
-      const submissionsResults = await Promise.all(submissionsPromises);
-      // Filter out null values
-      const validSubmissions = submissionsResults.filter(sub => sub !== null);
-      console.log(`Found ${validSubmissions.length} valid submissions with grades`);
-      setSubmissions(validSubmissions);
+      // Students get their own published grades; teachers and admins every grade in the course
+      const studentId = currentUser.role === 'student' ? currentUser._id : null;
+      const response = await gradeService.getGrades(studentId, selectedCourse);
+      // Convert object to array if needed
+      const gradesArray = Array.isArray(response.data) ? response.data : 
+        (response.data?.data ? response.data.data : []);
+      setGrades(gradesArray);
     } catch (error) {
-      console.error('Error fetching assignments:', error);
+      console.error('Error fetching grades:', error);
       setError(handleApiError(error));
+      setGrades([]); // Set empty array on error
     } finally {
       setLoading(false);
     }
   };
-  
-  const fetchGrades = async () => {
+
+  // Calculate overall percentage for a student
+  const calculateOverallGrade = (studentGrades) => {
+    if (!studentGrades || studentGrades.length === 0) return null;
+    
+    const totalPercentage = studentGrades.reduce((sum, grade) => sum + getPercentage(grade), 0);
+    return totalPercentage / studentGrades.length;
+  };
+
+  // Label of a grade on the course's scale, with grade points on letter scales
+  const formatGrade = (result) => {
+    if (!result) return 'N/A';
+    if (gradingScale?.type === 'letter' && typeof result.points === 'number') {
+      return `${result.label} (${result.points.toFixed(1)})`;
+    }
+    return result.label;
+  };
+
+  const startEditing = (grade) => {
+    setEditingGrade({
+      _id: grade._id,
+      score: grade.score,
+      maxScore: grade.maxScore || 100,
+      comments: grade.comments || ''
+    });
+  };
+
+  const handleSaveGrade = async () => {
     try {
-      setLoading(true);
-      
-      if (currentUser.role === 'student') {
-        // For students, filter the submissions by selected course
-        const filteredGrades = submissions.filter(grade => 
-          grade.course && grade.course._id === selectedCourse
-        );
-        setGrades(filteredGrades);
-      } else {
-        // For teachers and admins, use the grade service
-        const studentId = null; // We don't filter by student for teachers/admins
-        const response = await gradeService.getGrades(studentId, selectedCourse);
-        // Convert object to array if needed
-        const gradesArray = Array.isArray(response.data) ? response.data : 
-          (response.data?.data ? response.data.data : []);
-        setGrades(gradesArray);
-      }
+      setActionId(editingGrade._id);
+      setError('');
+
+      await gradeService.updateGrade(editingGrade._id, {
+        score: Number(editingGrade.score),
+        maxScore: Number(editingGrade.maxScore),
+        comments: editingGrade.comments
+      });
+      setEditingGrade(null);
+      fetchGrades();
     } catch (error) {
-      console.error('Error fetching grades:', error);
+      console.error('Error updating grade:', error);
       setError(handleApiError(error));
-      setGrades([]); // Set empty array on error
     } finally {
-      setLoading(false);
+      setActionId(null);
     }
   };
 
-  // Calculate letter grade from numeric grade
-  const calculateLetterGrade = (score) => {
-    if (score >= 90) return 'A';
-    if (score >= 80) return 'B';
-    if (score >= 70) return 'C';
-    if (score >= 60) return 'D';
-    return 'F';
-  };
+  const handleDeleteGrade = async (grade) => {
+    const reason = window.prompt('Why is this grade being deleted? The student is told if the grade was published.');
+    if (!reason || !reason.trim()) {
+      return;
+    }
+
+    try {
+      setActionId(grade._id);
+      setError('');
 
-  // Calculate GPA from numeric grade
-  const calculateGPA = (score) => {
-    if (score >= 90) return 4.0;
-    if (score >= 87) return 3.7;
-    if (score >= 83) return 3.3;
-    if (score >= 80) return 3.0;
-    if (score >= 77) return 2.7;
-    if (score >= 73) return 2.3;
-    if (score >= 70) return 2.0;
-    if (score >= 67) return 1.7;
-    if (score >= 63) return 1.3;
-    if (score >= 60) return 1.0;
-    return 0.0;
+      await gradeService.deleteGrade(grade._id, reason.trim());
+      fetchGrades();
+    } catch (error) {
+      console.error('Error deleting grade:', error);
+      setError(handleApiError(error));
+    } finally {
+      setActionId(null);
+    }
   };
 
-  // Calculate overall grade for a student
-  const calculateOverallGrade = (studentGrades) => {
-    if (!studentGrades || studentGrades.length === 0) return 'N/A';
-    
-    const totalPoints = studentGrades.reduce((sum, grade) => sum + grade.score, 0);
-    const average = totalPoints / studentGrades.length;
-    
-    return average.toFixed(1);
+  const openHistory = async (grade) => {
+    setHistoryGrade(grade);
+    setHistory([]);
+
+    try {
+      setHistoryLoading(true);
+      const response = await gradeService.getGradeHistory(grade._id);
+      setHistory(response.data.data);
+    } catch (error) {
+      console.error('Error fetching grade history:', error);
+      setError(handleApiError(error));
+    } finally {
+      setHistoryLoading(false);
+    }
   };
 
   const isTeacherOrAdmin = currentUser?.role === 'teacher' || currentUser?.role === 'admin';
@@ -259,13 +318,36 @@ const Grades = () => {
 
       {selectedCourse ? (
         <div className="card shadow-sm">
-          <div className="card-header bg-light">
+          <div className="card-header bg-light d-flex flex-wrap gap-2 justify-content-between align-items-center">
             <h5 className="card-title mb-0 fw-bold">
               Grades for {courses.find(c => c._id === selectedCourse)?.name || 'Selected Course'}
             </h5>
+            {isTeacherOrAdmin && (
+              <div className="btn-group btn-group-sm" role="group" aria-label="Grades view">
+                <button
+                  type="button"
+                  className={`btn ${view === 'gradebook' ? 'btn-primary' : 'btn-outline-primary'}`}
+                  onClick={() => setView('gradebook')}
+                >
+                  Gradebook
+                </button>
+                <button
+                  type="button"
+                  className={`btn ${view === 'list' ? 'btn-primary' : 'btn-outline-primary'}`}
+                  onClick={() => {
+                    setView('list');
+                    fetchGrades();
+                  }}
+                >
+                  List
+                </button>
+              </div>
+            )}
           </div>
 
-          {loading ? (
+          {isTeacherOrAdmin && view === 'gradebook' ? (
+            <Gradebook courseId={selectedCourse} />
+          ) : loading ? (
             <div className="d-flex justify-content-center align-items-center p-5">
               <div className="spinner-border text-primary" role="status">
                 <span className="visually-hidden">Loading...</span>
@@ -293,6 +375,11 @@ const Grades = () => {
                     <th scope="col" className="fw-semibold text-uppercase fs-7">
                       Feedback
                     </th>
+                    {isTeacherOrAdmin && (
+                      <th scope="col" className="fw-semibold text-uppercase fs-7 text-end">
+                        Actions
+                      </th>
+                    )}
                   </tr>
                 </thead>
                 <tbody>
@@ -320,29 +407,97 @@ const Grades = () => {
                         <div className="text-muted small">Type: {grade.type || 'Assignment'}</div>
                       </td>
                       <td>
-                        <div>{grade.score} / {grade.maxScore || 100}</div>
-                        <div className="text-muted small">{(grade.score / (grade.maxScore || 100) * 100).toFixed(1)}%</div>
+                        {editingGrade?._id === grade._id ? (
+                          <div className="input-group input-group-sm" style={{maxWidth: '160px'}}>
+                            <input
+                              type="number"
+                              className="form-control"
+                              min="0"
+                              value={editingGrade.score}
+                              onChange={(e) => setEditingGrade({ ...editingGrade, score: e.target.value })}
+                              aria-label="Score"
+                            />
+                            <span className="input-group-text">/</span>
+                            <input
+                              type="number"
+                              className="form-control"
+                              min="0"
+                              value={editingGrade.maxScore}
+                              onChange={(e) => setEditingGrade({ ...editingGrade, maxScore: e.target.value })}
+                              aria-label="Maximum score"
+                            />
+                          </div>
+                        ) : (
+                          <>
+                            <div>{grade.score} / {grade.maxScore || 100}</div>
+                            <div className="text-muted small">{getPercentage(grade).toFixed(1)}%</div>
+                          </>
+                        )}
                       </td>
                       <td>
-                        <span className={`badge rounded-pill ${
-                          grade.score >= 90 
-                            ? 'bg-success' 
-                            : grade.score >= 80
-                            ? 'bg-primary'
-                            : grade.score >= 70
-                            ? 'bg-warning'
-                            : grade.score >= 60
-                            ? 'bg-warning text-dark'
-                            : 'bg-danger'
-                        }`}>
-                          {calculateLetterGrade(grade.score)} ({calculateGPA(grade.score).toFixed(1)})
+                        <span className={`badge rounded-pill ${getBadgeClass(resolveGrade(gradingScale, getPercentage(grade)))}`}>
+                          {formatGrade(resolveGrade(gradingScale, getPercentage(grade)))}
                         </span>
                       </td>
                       <td>
-                        <div className="text-truncate" style={{maxWidth: '200px'}}>
-                          {grade.feedback || 'No feedback provided'}
-                        </div>
+                        {editingGrade?._id === grade._id ? (
+                          <input
+                            type="text"
+                            className="form-control form-control-sm"
+                            value={editingGrade.comments}
+                            onChange={(e) => setEditingGrade({ ...editingGrade, comments: e.target.value })}
+                            aria-label="Comments"
+                          />
+                        ) : (
+                          <div className="text-truncate" style={{maxWidth: '200px'}}>
+                            {grade.feedback || grade.comments || 'No feedback provided'}
+                          </div>
+                        )}
                       </td>
+                      {isTeacherOrAdmin && (
+                        <td className="text-end text-nowrap">
+                          {editingGrade?._id === grade._id ? (
+                            <>
+                              <button
+                                className="btn btn-sm btn-primary me-2"
+                                onClick={handleSaveGrade}
+                                disabled={actionId === grade._id}
+                              >
+                                Save
+                              </button>
+                              <button
+                                className="btn btn-sm btn-outline-secondary"
+                                onClick={() => setEditingGrade(null)}
+                              >
+                                Cancel
+                              </button>
+                            </>
+                          ) : (
+                            <>
+                              <button
+                                className="btn btn-sm btn-outline-secondary me-2"
+                                onClick={() => openHistory(grade)}
+                              >
+                                History
+                              </button>
+                              <button
+                                className="btn btn-sm btn-outline-primary me-2"
+                                onClick={() => startEditing(grade)}
+                                disabled={actionId === grade._id}
+                              >
+                                Edit
+                              </button>
+                              <button
+                                className="btn btn-sm btn-outline-danger"
+                                onClick={() => handleDeleteGrade(grade)}
+                                disabled={actionId === grade._id}
+                              >
+                                Delete
+                              </button>
+                            </>
+                          )}
+                        </td>
+                      )}
                     </tr>
                   ))}
                 </tbody>
@@ -352,28 +507,22 @@ const Grades = () => {
                       Overall Grade
                     </td>
                     <td>
-                      {grades.length > 0 ? calculateOverallGrade(grades) : 'N/A'}
+                      {grades.length > 0 ? `${calculateOverallGrade(grades).toFixed(1)}%` : 'N/A'}
                     </td>
                     <td>
                       {grades.length > 0 ? (
-                        <span className={`badge rounded-pill ${
-                          calculateOverallGrade(grades) >= 90 
-                            ? 'bg-success' 
-                            : calculateOverallGrade(grades) >= 80
-                            ? 'bg-primary'
-                            : calculateOverallGrade(grades) >= 70
-                            ? 'bg-warning'
-                            : calculateOverallGrade(grades) >= 60
-                            ? 'bg-warning text-dark'
-                            : 'bg-danger'
-                        }`}>
-                          {calculateLetterGrade(calculateOverallGrade(grades))}
+                        <span className={`badge rounded-pill ${getBadgeClass(resolveGrade(gradingScale, calculateOverallGrade(grades)))}`}>
+                          {formatGrade(resolveGrade(gradingScale, calculateOverallGrade(grades)))}
                         </span>
                       ) : (
                         'N/A'
                       )}
+                      {gradingScale && (
+                        <div className="text-muted small mt-1">{gradingScale.name}</div>
+                      )}
                     </td>
                     <td></td>
+                    {isTeacherOrAdmin && <td></td>}
                   </tr>
                 </tfoot>
               </table>
@@ -397,6 +546,115 @@ const Grades = () => {
           <p className="text-muted">Please select a course to view grades.</p>
         </div>
       )}
+
+      {historyGrade && (
+        <>
+          <div className="offcanvas offcanvas-end show" tabIndex="-1" style={{visibility: 'visible'}} aria-labelledby="gradeHistoryTitle">
+            <div className="offcanvas-header border-bottom">
+              <div>
+                <h5 className="offcanvas-title" id="gradeHistoryTitle">Grade History</h5>
+                <div className="text-muted small">
+                  {historyGrade.student?.firstName} {historyGrade.student?.lastName} · {historyGrade.assignment?.title || historyGrade.type}
+                </div>
+              </div>
+              <button type="button" className="btn-close" aria-label="Close" onClick={() => setHistoryGrade(null)}></button>
+            </div>
+            <div className="offcanvas-body">
+              {historyLoading ? (
+                <div className="d-flex justify-content-center my-4">
+                  <div className="spinner-border text-primary" role="status">
+                    <span className="visually-hidden">Loading...</span>
+                  </div>
+                </div>
+              ) : history.length > 0 ? (
+                <ul className="list-group list-group-flush">
+                  {history.map(entry => (
+                    <li key={entry._id} className="list-group-item px-0">
+                      <div className="d-flex justify-content-between">
+                        <span className="fw-semibold">{HISTORY_ACTIONS[entry.action]}</span>
+                        <span className="text-muted small">{new Date(entry.createdAt).toLocaleString()}</span>
+                      </div>
+                      {describeHistoryChange(entry).map(change => (
+                        <div key={change} className="small">{change}</div>
+                      ))}
+                      {entry.reason && (
+                        <div className="small fst-italic">“{entry.reason}”</div>
+                      )}
+                      <div className="text-muted small">
+                        {entry.changedBy ? `${entry.changedBy.firstName} ${entry.changedBy.lastName}` : 'Unknown user'} · {HISTORY_SOURCES[entry.source]}
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-muted">No changes have been recorded for this grade.</p>
+              )}
+            </div>
+          </div>
+          <div className="offcanvas-backdrop fade show" onClick={() => setHistoryGrade(null)}></div>
+        </>
+      )}
+
+      {selectedCourse && summary?.categories?.length > 0 && (
+        <div className="card shadow-sm mt-4">
+          <div className="card-header bg-light d-flex justify-content-between align-items-center">
+            <h5 className="card-title mb-0 fw-bold">Grade Breakdown</h5>
+            <span className={`badge rounded-pill ${getBadgeClass(resolveGrade(gradingScale, summary.percentage))}`}>
+              {summary.percentage.toFixed(1)}% · {summary.letterGrade}
+            </span>
+          </div>
+          <div className="table-responsive">
+            <table className="table align-middle mb-0">
+              <thead className="table-light">
+                <tr>
+                  <th scope="col" className="fw-semibold text-uppercase fs-7">Category</th>
+                  {summary.weighting === 'category' && (
+                    <th scope="col" className="fw-semibold text-uppercase fs-7">Weight</th>
+                  )}
+                  <th scope="col" className="fw-semibold text-uppercase fs-7">Average</th>
+                  <th scope="col" className="fw-semibold text-uppercase fs-7">Grades</th>
+                </tr>
+              </thead>
+              <tbody>
+                {summary.categories.map(category => (
+                  <tr key={category.type}>
+                    <td className="text-capitalize">
+                      {category.type}
+                      {category.dropLowest > 0 && (
+                        <div className="text-muted small">Lowest {category.dropLowest} dropped</div>
+                      )}
+                    </td>
+                    {summary.weighting === 'category' && (
+                      <td>
+                        {category.weight}%
+                        {category.effectiveWeight > 0 && category.effectiveWeight !== category.weight && (
+                          <div className="text-muted small">counts {category.effectiveWeight.toFixed(1)}% so far</div>
+                        )}
+                      </td>
+                    )}
+                    <td>
+                      {category.percentage !== null
+                        ? `${category.percentage.toFixed(1)}% (${category.letterGrade})`
+                        : <span className="text-muted">{category.type === 'uncategorized' ? 'Not counted' : 'No grades yet'}</span>}
+                    </td>
+                    <td>
+                      {category.grades.map(grade => (
+                        <span
+                          key={grade._id}
+                          className={`badge me-1 ${grade.dropped ? 'bg-light text-muted text-decoration-line-through' : grade.isExtraCredit ? 'bg-info text-dark' : 'bg-secondary'}`}
+                          title={`${grade.assignment?.title || category.type}${grade.isExtraCredit ? ' (extra credit)' : ''}${grade.dropped ? ' (dropped)' : ''}`}
+                        >
+                          {grade.score}/{grade.maxScore}
+                        </span>
+                      ))}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,381 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { userService } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+
+const STATUS_BADGES = {
+  pending: 'bg-warning text-dark',
+  accepted: 'bg-success',
+  revoked: 'bg-secondary',
+  expired: 'bg-light text-dark border'
+};
+
+const Invitations = () => {
+  const { currentUser } = useAuth();
+  const navigate = useNavigate();
+  const [invitations, setInvitations] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('pending');
+  const [loading, setLoading] = useState(false);
+  const [sending, setSending] = useState(false);
+  const [actionId, setActionId] = useState(null);
+  const [error, setError] = useState('');
+  const [sentInvitation, setSentInvitation] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const [students, setStudents] = useState([]);
+
+  const { register, handleSubmit, formState: { errors }, reset, watch } = useForm({
+    defaultValues: { role: 'teacher', students: [] }
+  });
+
+  const role = watch('role');
+
+  // Only admins manage invitations
+  useEffect(() => {
+    if (currentUser && currentUser.role !== 'admin') {
+      navigate('/dashboard');
+    }
+  }, [currentUser, navigate]);
+
+  const fetchInvitations = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const response = await userService.getInvitations(statusFilter ? { status: statusFilter } : {});
+      setInvitations(response.data.data);
+    } catch (error) {
+      console.error('Error fetching invitations:', error);
+      setError('Failed to load invitations');
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter]);
+
+  useEffect(() => {
+    if (currentUser?.role === 'admin') {
+      fetchInvitations();
+    }
+  }, [currentUser, fetchInvitations]);
+
+  // Students are only needed to pre-link parent invitations
+  useEffect(() => {
+    if (role !== 'parent' || students.length > 0) {
+      return;
+    }
+
+    userService.getUsers({ role: 'student', sort: 'lastName,firstName', limit: 1000 })
+      .then(response => setStudents(response.data.data))
+      .catch(error => console.error('Error fetching students:', error));
+  }, [role, students.length]);
+
+  // Show the link and whether the email went out after sending or resending
+  const showSentInvitation = (response) => {
+    setSentInvitation({
+      email: response.data.data.email,
+      url: response.data.url,
+      emailSent: response.data.emailSent
+    });
+    setCopied(false);
+  };
+
+  const onSubmit = async (data) => {
+    try {
+      setSending(true);
+      setError('');
+
+      const response = await userService.createInvitation({
+        ...data,
+        students: data.role === 'parent' ? data.students : []
+      });
+      showSentInvitation(response);
+      reset({ role: data.role, students: [] });
+      fetchInvitations();
+    } catch (error) {
+      console.error('Error creating invitation:', error);
+      setError(error.response?.data?.message || 'Failed to create the invitation');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(sentInvitation.url);
+      setCopied(true);
+    } catch (error) {
+      console.error('Error copying invitation link:', error);
+    }
+  };
+
+  const handleResend = async (invitation) => {
+    try {
+      setActionId(invitation._id);
+      setError('');
+
+      const response = await userService.resendInvitation(invitation._id);
+      showSentInvitation(response);
+      fetchInvitations();
+    } catch (error) {
+      console.error('Error resending invitation:', error);
+      setError(error.response?.data?.message || 'Failed to resend the invitation');
+    } finally {
+      setActionId(null);
+    }
+  };
+
+  const handleRevoke = async (invitation) => {
+    if (!window.confirm(`Revoke the invitation for ${invitation.email}? The link will stop working.`)) {
+      return;
+    }
+
+    try {
+      setActionId(invitation._id);
+      setError('');
+
+      await userService.revokeInvitation(invitation._id);
+      fetchInvitations();
+    } catch (error) {
+      console.error('Error revoking invitation:', error);
+      setError(error.response?.data?.message || 'Failed to revoke the invitation');
+    } finally {
+      setActionId(null);
+    }
+  };
+
+  return (
+    <div className="container py-4">
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <h1 className="fs-2 fw-bold mb-0">Invitations</h1>
+      </div>
+
+      {error && (
+        <div className="alert alert-danger" role="alert">
+          {error}
+        </div>
+      )}
+
+      <div className="row g-4">
+        <div className="col-12 col-lg-4">
+          <div className="card">
+            <div className="card-header bg-primary text-white">
+              <h5 className="mb-0">Invite a user</h5>
+            </div>
+            <div className="card-body">
+              <form onSubmit={handleSubmit(onSubmit)} noValidate>
+                <div className="mb-3">
+                  <label htmlFor="invitationEmail" className="form-label">Email</label>
+                  <input
+                    id="invitationEmail"
+                    type="email"
+                    className={`form-control ${errors.email ? 'is-invalid' : ''}`}
+                    placeholder="name@example.com"
+                    {...register('email', {
+                      required: 'Email is required',
+                      pattern: {
+                        value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+                        message: 'Invalid email address'
+                      }
+                    })}
+                  />
+                  {errors.email && (
+                    <div className="invalid-feedback">{errors.email.message}</div>
+                  )}
+                </div>
+
+                <div className="row mb-3">
+                  <div className="col-6">
+                    <label htmlFor="invitationFirstName" className="form-label">First Name</label>
+                    <input
+                      id="invitationFirstName"
+                      type="text"
+                      className="form-control"
+                      {...register('firstName')}
+                    />
+                  </div>
+                  <div className="col-6">
+                    <label htmlFor="invitationLastName" className="form-label">Last Name</label>
+                    <input
+                      id="invitationLastName"
+                      type="text"
+                      className="form-control"
+                      {...register('lastName')}
+                    />
+                  </div>
+                </div>
+
+                <div className="mb-4">
+                  <label htmlFor="invitationRole" className="form-label">Role</label>
+                  <select
+                    id="invitationRole"
+                    className="form-select"
+                    {...register('role', { required: true })}
+                  >
+                    <option value="teacher">Teacher</option>
+                    <option value="admin">Administrator</option>
+                    <option value="parent">Parent</option>
+                    <option value="student">Student</option>
+                  </select>
+                </div>
+
+                {role === 'parent' && (
+                  <div className="mb-4">
+                    <label htmlFor="invitationStudents" className="form-label">Link to students</label>
+                    <select
+                      id="invitationStudents"
+                      className="form-select"
+                      multiple
+                      size={6}
+                      {...register('students')}
+                    >
+                      {students.map(student => (
+                        <option key={student._id} value={student._id}>
+                          {student.lastName}, {student.firstName} ({student.email})
+                        </option>
+                      ))}
+                    </select>
+                    <div className="form-text">
+                      The parent sees these students as soon as they accept. Hold Ctrl or Cmd to select several.
+                    </div>
+                  </div>
+                )}
+
+                <button type="submit" className="btn btn-primary w-100" disabled={sending}>
+                  {sending ? (
+                    <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                  ) : null}
+                  Create invitation
+                </button>
+              </form>
+
+              {sentInvitation && (
+                <div className={`alert ${sentInvitation.emailSent ? 'alert-success' : 'alert-warning'} mt-4 mb-0`} role="alert">
+                  <p className="mb-2">
+                    {sentInvitation.emailSent
+                      ? `Invitation emailed to ${sentInvitation.email}. You can also share the link below; it works once.`
+                      : `The invitation email to ${sentInvitation.email} could not be sent. Share the link below yourself or resend it later.`}
+                  </p>
+                  <div className="input-group input-group-sm">
+                    <input type="text" className="form-control" value={sentInvitation.url} readOnly />
+                    <button type="button" className="btn btn-outline-success" onClick={handleCopy}>
+                      {copied ? 'Copied' : 'Copy'}
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+
+        <div className="col-12 col-lg-8">
+          <div className="card">
+            <div className="card-header bg-white d-flex justify-content-between align-items-center">
+              <h5 className="mb-0">Sent invitations</h5>
+              <select
+                className="form-select form-select-sm w-auto"
+                value={statusFilter}
+                onChange={(e) => setStatusFilter(e.target.value)}
+                aria-label="Filter by status"
+              >
+                <option value="pending">Pending</option>
+                <option value="accepted">Accepted</option>
+                <option value="revoked">Revoked</option>
+                <option value="expired">Expired</option>
+                <option value="">All</option>
+              </select>
+            </div>
+            <div className="card-body">
+              {loading && invitations.length === 0 ? (
+                <div className="d-flex justify-content-center my-4">
+                  <div className="spinner-border text-primary" role="status">
+                    <span className="visually-hidden">Loading...</span>
+                  </div>
+                </div>
+              ) : invitations.length > 0 ? (
+                <div className="table-responsive">
+                  <table className="table table-hover align-middle">
+                    <thead>
+                      <tr>
+                        <th>Email</th>
+                        <th>Role</th>
+                        <th>Status</th>
+                        <th>Sent</th>
+                        <th>Expires</th>
+                        <th></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {invitations.map(invitation => (
+                        <tr key={invitation._id}>
+                          <td>
+                            <p className="mb-0 fw-medium">{invitation.email}</p>
+                            {(invitation.firstName || invitation.lastName) && (
+                              <p className="mb-0 small text-muted">{invitation.firstName} {invitation.lastName}</p>
+                            )}
+                            {invitation.students?.length > 0 && (
+                              <p className="mb-0 small text-muted">
+                                Parent of {invitation.students.map(student => `${student.firstName} ${student.lastName}`).join(', ')}
+                              </p>
+                            )}
+                          </td>
+                          <td className="text-capitalize">{invitation.role}</td>
+                          <td>
+                            <span className={`badge text-capitalize ${STATUS_BADGES[invitation.status]}`}>
+                              {invitation.status}
+                            </span>
+                          </td>
+                          <td>
+                            {invitation.lastSentAt ? (
+                              <>
+                                {new Date(invitation.lastSentAt).toLocaleDateString()}
+                                {invitation.sendCount > 1 && (
+                                  <span className="small text-muted"> ({invitation.sendCount}×)</span>
+                                )}
+                              </>
+                            ) : (
+                              <span className="small text-muted">Not sent</span>
+                            )}
+                          </td>
+                          <td>{new Date(invitation.expiresAt).toLocaleDateString()}</td>
+                          <td className="text-end">
+                            {(invitation.status === 'pending' || invitation.status === 'expired') && (
+                              <div className="d-flex gap-2 justify-content-end">
+                                <button
+                                  className="btn btn-sm btn-outline-primary"
+                                  onClick={() => handleResend(invitation)}
+                                  disabled={actionId === invitation._id}
+                                >
+                                  Resend
+                                </button>
+                                {invitation.status === 'pending' && (
+                                  <button
+                                    className="btn btn-sm btn-outline-danger"
+                                    onClick={() => handleRevoke(invitation)}
+                                    disabled={actionId === invitation._id}
+                                  >
+                                    Revoke
+                                  </button>
+                                )}
+                              </div>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              ) : (
+                <div className="text-center py-4">
+                  <i className="bi bi-envelope fs-1 text-muted"></i>
+                  <p className="text-muted mt-2">No invitations</p>
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Invitations;
@@ -1,30 +1,153 @@
 import { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
 import { useAuth } from '../contexts/AuthContext';
+import TwoFactorSetup from '../components/TwoFactorSetup';
 
 const Login = () => {
-  const { login } = useAuth();
+  const {
+    login,
+    verifyTwoFactor,
+    setupTwoFactorWithChallenge,
+    enableTwoFactorWithChallenge,
+    startSession
+  } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  // Set when the password was accepted but a second factor is still needed
+  const [challenge, setChallenge] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
   
   const { register, handleSubmit, formState: { errors } } = useForm();
   
+  const goToDashboard = () => {
+    // Add a small delay before navigation to allow for a smoother transition
+    setTimeout(() => {
+      navigate('/dashboard', { replace: true });
+    }, 300);
+  };
+  
   const onSubmit = async (data) => {
     try {
       setError('');
       setLoading(true);
-      await login(data.email, data.password);
-      // Add a small delay before navigation to allow for a smoother transition
-      setTimeout(() => {
-        navigate('/dashboard', { replace: true });
-      }, 300);
+      const result = await login(data.email, data.password);
+      
+      if (result.twoFactorRequired || result.twoFactorSetupRequired) {
+        setChallenge(result);
+        setLoading(false);
+        return;
+      }
+      
+      goToDashboard();
     } catch (error) {
       setError(error.response?.data?.message || 'Failed to login');
       setLoading(false);
     }
   };
+  
+  const onSubmitTwoFactor = async (e) => {
+    e.preventDefault();
+    
+    try {
+      setError('');
+      setLoading(true);
+      await verifyTwoFactor(challenge.challengeToken, twoFactorCode.trim());
+      goToDashboard();
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to verify the code');
+      setLoading(false);
+    }
+  };
+  
+  const backToPassword = () => {
+    setChallenge(null);
+    setTwoFactorCode('');
+    setError('');
+  };
+  
+  if (challenge) {
+    return (
+      <div className="d-flex min-vh-100">
+        <div className="container my-auto py-5">
+          <div className="row justify-content-center">
+            <div className="col-12 col-md-8 col-lg-6">
+              <div className="text-center mb-4">
+                <h2 className="fw-bold text-primary">Two-Factor Authentication</h2>
+                <p className="text-muted">
+                  {challenge.twoFactorRequired
+                    ? 'Enter the code from your authenticator app'
+                    : 'Your account requires two-factor authentication. Set it up to continue.'}
+                </p>
+              </div>
+
+              {error && (
+                <div className="alert alert-danger" role="alert">
+                  {error}
+                </div>
+              )}
+
+              {challenge.twoFactorRequired ? (
+                <form onSubmit={onSubmitTwoFactor} noValidate>
+                  <div className="mb-3">
+                    <label htmlFor="twoFactorCode" className="form-label">Authentication code</label>
+                    <input
+                      id="twoFactorCode"
+                      type="text"
+                      inputMode="numeric"
+                      autoComplete="one-time-code"
+                      autoFocus
+                      className="form-control form-control-lg"
+                      placeholder="123456"
+                      value={twoFactorCode}
+                      onChange={(e) => setTwoFactorCode(e.target.value)}
+                    />
+                    <div className="form-text">
+                      Lost your device? Enter one of your backup codes instead.
+                    </div>
+                  </div>
+
+                  <div className="d-grid mb-3">
+                    <button
+                      type="submit"
+                      disabled={loading || !twoFactorCode}
+                      className="btn btn-primary btn-lg"
+                    >
+                      {loading ? (
+                        <>
+                          <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                          Verifying...
+                        </>
+                      ) : (
+                        'Verify'
+                      )}
+                    </button>
+                  </div>
+                </form>
+              ) : (
+                <TwoFactorSetup
+                  onSetup={() => setupTwoFactorWithChallenge(challenge.challengeToken)}
+                  onEnable={(code) => enableTwoFactorWithChallenge(challenge.challengeToken, code)}
+                  onComplete={(result) => {
+                    startSession(result);
+                    goToDashboard();
+                  }}
+                />
+              )}
+
+              <div className="text-center mt-3">
+                <button type="button" className="btn btn-link text-decoration-none" onClick={backToPassword}>
+                  Back to sign in
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
 
   return (
     <div className="d-flex min-vh-100">
@@ -36,6 +159,12 @@ const Login = () => {
               <p className="text-muted">Sign in to your MySchool account</p>
             </div>
 
+            {location.state?.message && !error && (
+              <div className="alert alert-success" role="alert">
+                {location.state.message}
+              </div>
+            )}
+
             {error && (
               <div className="alert alert-danger" role="alert">
                 {error}
@@ -97,9 +226,9 @@ const Login = () => {
                 </div>
 
                 <div>
-                  <a href="#" className="text-decoration-none text-primary">
+                  <Link to="/forgot-password" className="text-decoration-none text-primary">
                     Forgot password?
-                  </a>
+                  </Link>
                 </div>
               </div>
 
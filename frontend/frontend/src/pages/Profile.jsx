@@ -1,7 +1,8 @@
 import { useState, useEffect } from 'react';
 import { useForm } from 'react-hook-form';
-import { userService } from '../services/api';
+import { userService, authService } from '../services/api';
 import { useAuth } from '../contexts/AuthContext';
+import TwoFactorSetup from '../components/TwoFactorSetup';
 
 const Profile = () => {
   const { currentUser } = useAuth();
@@ -9,10 +10,37 @@ const Profile = () => {
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   
+  const [passwordLoading, setPasswordLoading] = useState(false);
+  const [passwordError, setPasswordError] = useState('');
+  const [passwordSuccess, setPasswordSuccess] = useState('');
+  const [passwordPolicy, setPasswordPolicy] = useState(null);
+  const [twoFactorEnabled, setTwoFactorEnabled] = useState(false);
+  const [twoFactorMode, setTwoFactorMode] = useState(null); // 'setup', 'disable' or 'backup-codes'
+  const [twoFactorPassword, setTwoFactorPassword] = useState('');
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [twoFactorLoading, setTwoFactorLoading] = useState(false);
+  const [twoFactorError, setTwoFactorError] = useState('');
+  const [twoFactorSuccess, setTwoFactorSuccess] = useState('');
+  const [newBackupCodes, setNewBackupCodes] = useState(null);
+  
   const { register, handleSubmit, formState: { errors }, reset } = useForm();
+  const {
+    register: registerPassword,
+    handleSubmit: handlePasswordSubmit,
+    formState: { errors: passwordErrors },
+    reset: resetPasswordForm,
+    watch: watchPassword
+  } = useForm();
+  
+  useEffect(() => {
+    authService.getPasswordPolicy()
+      .then(response => setPasswordPolicy(response.data.data))
+      .catch(error => console.error('Error fetching password policy:', error));
+  }, []);
   
   useEffect(() => {
     if (currentUser) {
+      setTwoFactorEnabled(!!currentUser.twoFactorEnabled);
       reset({
         firstName: currentUser.firstName,
         lastName: currentUser.lastName,
@@ -39,6 +67,84 @@ const Profile = () => {
     }
   };
 
+  const onChangePassword = async (data) => {
+    try {
+      setPasswordLoading(true);
+      setPasswordError('');
+      setPasswordSuccess('');
+      
+      const response = await authService.changePassword(data.currentPassword, data.newPassword);
+      
+      // Other sessions were signed out; keep this one with the new tokens
+      localStorage.setItem('token', response.data.token);
+      localStorage.setItem('refreshToken', response.data.refreshToken);
+      
+      resetPasswordForm();
+      setPasswordSuccess('Password changed successfully. You have been signed out on all other devices.');
+    } catch (error) {
+      console.error('Error changing password:', error);
+      setPasswordError(error.response?.data?.message || 'Failed to change password');
+    } finally {
+      setPasswordLoading(false);
+    }
+  };
+
+  const closeTwoFactorForm = () => {
+    setTwoFactorMode(null);
+    setTwoFactorPassword('');
+    setTwoFactorCode('');
+    setTwoFactorError('');
+  };
+
+  const onDisableTwoFactor = async (e) => {
+    e.preventDefault();
+    
+    try {
+      setTwoFactorLoading(true);
+      setTwoFactorError('');
+      await authService.disableTwoFactor(twoFactorPassword, twoFactorCode.trim());
+      setTwoFactorEnabled(false);
+      closeTwoFactorForm();
+      setTwoFactorSuccess('Two-factor authentication has been disabled.');
+    } catch (error) {
+      console.error('Error disabling two-factor authentication:', error);
+      setTwoFactorError(error.response?.data?.message || 'Failed to disable two-factor authentication');
+    } finally {
+      setTwoFactorLoading(false);
+    }
+  };
+
+  const onRegenerateBackupCodes = async (e) => {
+    e.preventDefault();
+    
+    try {
+      setTwoFactorLoading(true);
+      setTwoFactorError('');
+      const response = await authService.regenerateBackupCodes(twoFactorCode.trim());
+      closeTwoFactorForm();
+      setNewBackupCodes(response.data.data.backupCodes);
+    } catch (error) {
+      console.error('Error regenerating backup codes:', error);
+      setTwoFactorError(error.response?.data?.message || 'Failed to regenerate backup codes');
+    } finally {
+      setTwoFactorLoading(false);
+    }
+  };
+
+  const describePasswordPolicy = (policy) => {
+    const rules = [`at least ${policy.minLength} characters`];
+    if (policy.requireUppercase) rules.push('an uppercase letter');
+    if (policy.requireLowercase) rules.push('a lowercase letter');
+    if (policy.requireNumber) rules.push('a number');
+    if (policy.requireSymbol) rules.push('a symbol');
+    
+    let text = `Use ${rules.join(', ')}.`;
+    if (policy.historySize > 0) {
+      text += ` You cannot reuse your last ${policy.historySize} passwords.`;
+    }
+    return text;
+  };
+
   if (!currentUser) {
     return (
       <div className="d-flex align-items-center justify-content-center h-100">
@@ -179,7 +285,20 @@ const Profile = () => {
       <div className="card shadow-sm slide-in-up" style={{animationDelay: '0.1s'}}>
         <div className="card-body">
           <h2 className="fs-4 fw-semibold mb-3">Change Password</h2>
-          <form>
+
+          {passwordError && (
+            <div className="alert alert-danger" role="alert">
+              {passwordError}
+            </div>
+          )}
+          
+          {passwordSuccess && (
+            <div className="alert alert-success" role="alert">
+              {passwordSuccess}
+            </div>
+          )}
+
+          <form onSubmit={handlePasswordSubmit(onChangePassword)}>
             <div className="row g-3">
               <div className="col-md-6">
                 <label htmlFor="currentPassword" className="form-label">
@@ -188,8 +307,13 @@ const Profile = () => {
                 <input
                   id="currentPassword"
                   type="password"
-                  className="form-control"
+                  autoComplete="current-password"
+                  className={`form-control ${passwordErrors.currentPassword ? 'is-invalid' : ''}`}
+                  {...registerPassword('currentPassword', { required: 'Current password is required' })}
                 />
+                {passwordErrors.currentPassword && (
+                  <div className="invalid-feedback">{passwordErrors.currentPassword.message}</div>
+                )}
               </div>
               
               <div className="w-100"></div>
@@ -201,8 +325,22 @@ const Profile = () => {
                 <input
                   id="newPassword"
                   type="password"
-                  className="form-control"
+                  autoComplete="new-password"
+                  className={`form-control ${passwordErrors.newPassword ? 'is-invalid' : ''}`}
+                  {...registerPassword('newPassword', {
+                    required: 'New password is required',
+                    minLength: passwordPolicy ? {
+                      value: passwordPolicy.minLength,
+                      message: `Password must be at least ${passwordPolicy.minLength} characters`
+                    } : undefined
+                  })}
                 />
+                {passwordErrors.newPassword && (
+                  <div className="invalid-feedback">{passwordErrors.newPassword.message}</div>
+                )}
+                {passwordPolicy && (
+                  <div className="form-text">{describePasswordPolicy(passwordPolicy)}</div>
+                )}
               </div>
 
               <div className="col-md-6">
@@ -212,22 +350,158 @@ const Profile = () => {
                 <input
                   id="confirmPassword"
                   type="password"
-                  className="form-control"
+                  autoComplete="new-password"
+                  className={`form-control ${passwordErrors.confirmPassword ? 'is-invalid' : ''}`}
+                  {...registerPassword('confirmPassword', {
+                    required: 'Please confirm your new password',
+                    validate: value => value === watchPassword('newPassword') || 'Passwords do not match'
+                  })}
                 />
+                {passwordErrors.confirmPassword && (
+                  <div className="invalid-feedback">{passwordErrors.confirmPassword.message}</div>
+                )}
               </div>
             </div>
 
             <div className="mt-4">
               <button
                 type="submit"
+                disabled={passwordLoading}
                 className="btn btn-primary"
               >
+                {passwordLoading ? (
+                  <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                ) : null}
                 Change Password
               </button>
             </div>
           </form>
         </div>
       </div>
+
+      <div className="card shadow-sm mt-4 slide-in-up" style={{animationDelay: '0.2s'}}>
+        <div className="card-body">
+          <div className="d-flex justify-content-between align-items-center mb-3">
+            <h2 className="fs-4 fw-semibold mb-0">Two-Factor Authentication</h2>
+            <span className={`badge ${twoFactorEnabled ? 'bg-success' : 'bg-secondary'}`}>
+              {twoFactorEnabled ? 'Enabled' : 'Disabled'}
+            </span>
+          </div>
+
+          {twoFactorError && (
+            <div className="alert alert-danger" role="alert">
+              {twoFactorError}
+            </div>
+          )}
+          
+          {twoFactorSuccess && (
+            <div className="alert alert-success" role="alert">
+              {twoFactorSuccess}
+            </div>
+          )}
+
+          {newBackupCodes && (
+            <div className="mb-3">
+              <p>Your new backup codes. The old ones no longer work, and these will not be shown again.</p>
+              <div className="row row-cols-2 row-cols-md-5 g-2 mb-3 font-monospace">
+                {newBackupCodes.map(backupCode => (
+                  <div key={backupCode} className="col">
+                    <div className="border rounded px-2 py-1 text-center bg-light">{backupCode}</div>
+                  </div>
+                ))}
+              </div>
+              <button type="button" className="btn btn-outline-secondary btn-sm" onClick={() => setNewBackupCodes(null)}>
+                Done
+              </button>
+            </div>
+          )}
+
+          {twoFactorMode === 'setup' && (
+            <TwoFactorSetup
+              onSetup={() => authService.setupTwoFactor().then(response => response.data.data)}
+              onEnable={(code) => authService.enableTwoFactor(code).then(response => response.data)}
+              onComplete={() => {
+                setTwoFactorEnabled(true);
+                setTwoFactorMode(null);
+                setTwoFactorSuccess('Two-factor authentication has been enabled.');
+              }}
+              onCancel={closeTwoFactorForm}
+            />
+          )}
+
+          {(twoFactorMode === 'disable' || twoFactorMode === 'backup-codes') && (
+            <form onSubmit={twoFactorMode === 'disable' ? onDisableTwoFactor : onRegenerateBackupCodes}>
+              <div className="row g-3">
+                {twoFactorMode === 'disable' && (
+                  <div className="col-md-6">
+                    <label htmlFor="twoFactorPassword" className="form-label">Password</label>
+                    <input
+                      id="twoFactorPassword"
+                      type="password"
+                      autoComplete="current-password"
+                      className="form-control"
+                      value={twoFactorPassword}
+                      onChange={(e) => setTwoFactorPassword(e.target.value)}
+                      required
+                    />
+                  </div>
+                )}
+                <div className="col-md-6">
+                  <label htmlFor="twoFactorCode" className="form-label">Authentication or backup code</label>
+                  <input
+                    id="twoFactorCode"
+                    type="text"
+                    autoComplete="one-time-code"
+                    className="form-control"
+                    value={twoFactorCode}
+                    onChange={(e) => setTwoFactorCode(e.target.value)}
+                    required
+                  />
+                </div>
+              </div>
+              <div className="mt-4 d-flex gap-2">
+                <button
+                  type="submit"
+                  disabled={twoFactorLoading}
+                  className={`btn ${twoFactorMode === 'disable' ? 'btn-danger' : 'btn-primary'}`}
+                >
+                  {twoFactorLoading ? (
+                    <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                  ) : null}
+                  {twoFactorMode === 'disable' ? 'Disable Two-Factor' : 'Generate New Codes'}
+                </button>
+                <button type="button" className="btn btn-outline-secondary" onClick={closeTwoFactorForm}>
+                  Cancel
+                </button>
+              </div>
+            </form>
+          )}
+
+          {!twoFactorMode && !newBackupCodes && (
+            <>
+              <p className="text-muted">
+                {twoFactorEnabled
+                  ? 'Signing in requires a code from your authenticator app in addition to your password.'
+                  : 'Protect your account by requiring a code from an authenticator app when you sign in.'}
+              </p>
+              {twoFactorEnabled ? (
+                <div className="d-flex gap-2">
+                  <button type="button" className="btn btn-outline-primary" onClick={() => { setTwoFactorSuccess(''); setTwoFactorMode('backup-codes'); }}>
+                    Regenerate Backup Codes
+                  </button>
+                  <button type="button" className="btn btn-outline-danger" onClick={() => { setTwoFactorSuccess(''); setTwoFactorMode('disable'); }}>
+                    Disable
+                  </button>
+                </div>
+              ) : (
+                <button type="button" className="btn btn-primary" onClick={() => { setTwoFactorSuccess(''); setTwoFactorMode('setup'); }}>
+                  Enable Two-Factor
+                </button>
+              )}
+            </>
+          )}
+        </div>
+      </div>
     </div>
   );
 };
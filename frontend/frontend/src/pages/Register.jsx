@@ -1,11 +1,13 @@
 import { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, Navigate, useNavigate, useSearchParams } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
 import { useAuth } from '../contexts/AuthContext';
 
 const Register = () => {
   const { register: registerUser } = useAuth();
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const invitationToken = searchParams.get('invitation');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   
@@ -23,17 +25,21 @@ const Register = () => {
       setError('');
       setLoading(true);
       
-      await registerUser(
-        data.firstName,
-        data.lastName,
-        data.email,
-        data.password,
-        data.role
-      );
+      const result = await registerUser({
+        firstName: data.firstName,
+        lastName: data.lastName,
+        email: data.email,
+        password: data.password,
+        role: data.role
+      });
+      
+      const message = result.approvalPending
+        ? 'Your account has been created and is awaiting approval by an administrator. You will receive an email once it is approved.'
+        : 'Your account has been created. Please sign in.';
       
       // Add a small delay before navigation to allow for a smoother transition
       setTimeout(() => {
-        navigate('/login', { replace: true });
+        navigate('/login', { replace: true, state: { message } });
       }, 300);
     } catch (error) {
       setError(error.response?.data?.message || 'Failed to create an account');
@@ -41,6 +47,11 @@ const Register = () => {
     }
   };
 
+  // Invitation links used to point here; the invitation page sets up invited accounts
+  if (invitationToken) {
+    return <Navigate to={`/invite/${invitationToken}`} replace />;
+  }
+
   return (
     <div className="d-flex min-vh-100">
       <div className="container my-auto py-4">
@@ -166,11 +177,15 @@ const Register = () => {
                 >
                   <option value="">Select a role</option>
                   <option value="student">Student</option>
-                  <option value="teacher">Teacher</option>
-                  <option value="admin">Administrator</option>
+                  <option value="parent">Parent</option>
                 </select>
-                {errors.role && (
+                {errors.role ? (
                   <div className="invalid-feedback">{errors.role.message}</div>
+                ) : (
+                  <div className="form-text">
+                    Parent accounts are verified by an administrator before you can sign in.
+                    Teachers and administrators join through an invitation.
+                  </div>
                 )}
               </div>
 
@@ -0,0 +1,610 @@
+import { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import {
+  reportCardService,
+  settingService,
+  userService,
+  courseService,
+  handleApiError,
+  handleDownloadError,
+  saveDownload
+} from '../services/api';
+
+const SEMESTERS = ['Fall', 'Spring', 'Summer'];
+
+const TEMPLATE_SETTINGS = [
+  'reportCards.schoolName',
+  'reportCards.template',
+  'reportCards.footerText',
+  'reportCards.showAttendance'
+];
+
+// Academic years run from August, e.g. 2023-2024
+const getCurrentAcademicYear = () => {
+  const today = new Date();
+  const startYear = today.getMonth() >= 7 ? today.getFullYear() : today.getFullYear() - 1;
+  return `${startYear}-${startYear + 1}`;
+};
+
+const formatPercentage = (value) => (value === null || value === undefined ? '-' : `${value.toFixed(1)}%`);
+
+const toFileName = (parts) => `${parts.join('-').replace(/[^a-z0-9.]+/gi, '-')}.pdf`;
+
+const ReportCards = () => {
+  const { currentUser } = useAuth();
+  const role = currentUser?.role;
+  const canViewStudents = ['admin', 'student', 'parent'].includes(role);
+  const canManageClasses = ['admin', 'teacher'].includes(role);
+
+  const [term, setTerm] = useState({ academicYear: getCurrentAcademicYear(), semester: 'Fall' });
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  // Student report cards
+  const [students, setStudents] = useState([]);
+  const [selectedStudent, setSelectedStudent] = useState('');
+  const [reportCard, setReportCard] = useState(null);
+  const [loadingReportCard, setLoadingReportCard] = useState(false);
+  const [downloading, setDownloading] = useState(false);
+
+  // Class report cards and comments
+  const [courses, setCourses] = useState([]);
+  const [selectedCourse, setSelectedCourse] = useState('');
+  const [courseStudents, setCourseStudents] = useState([]);
+  const [comments, setComments] = useState({});
+  const [savingComment, setSavingComment] = useState(null);
+  const [gradeLevel, setGradeLevel] = useState('');
+
+  // Template
+  const [template, setTemplate] = useState(null);
+  const [savingTemplate, setSavingTemplate] = useState(false);
+  const [logoFile, setLogoFile] = useState(null);
+
+  useEffect(() => {
+    if (!currentUser) return;
+
+    if (role === 'student') {
+      setSelectedStudent(currentUser._id);
+    } else if (role === 'parent') {
+      userService.getParentStudents()
+        .then(response => {
+          setStudents(response.data.data);
+          if (response.data.data.length > 0) {
+            setSelectedStudent(response.data.data[0]._id);
+          }
+        })
+        .catch(error => console.error('Error fetching children:', error));
+    } else if (role === 'admin') {
+      userService.getUsers({ role: 'student', sort: 'lastName,firstName', limit: 1000 })
+        .then(response => setStudents(response.data.data))
+        .catch(error => console.error('Error fetching students:', error));
+    }
+
+    if (canManageClasses) {
+      courseService.getCourses()
+        .then(response => {
+          const allCourses = response.data.data;
+          setCourses(role === 'teacher'
+            ? allCourses.filter(course => course.teacher?._id === currentUser._id)
+            : allCourses);
+        })
+        .catch(error => console.error('Error fetching courses:', error));
+    }
+
+    if (role === 'admin') {
+      settingService.getSettings()
+        .then(response => {
+          const values = {};
+          response.data.data
+            .filter(setting => setting.key.startsWith('reportCards.'))
+            .forEach(setting => { values[setting.key] = setting.value; });
+          setTemplate(values);
+        })
+        .catch(error => console.error('Error fetching settings:', error));
+    }
+  }, [currentUser, role, canManageClasses]);
+
+  // A new student or term invalidates the preview
+  useEffect(() => {
+    setReportCard(null);
+  }, [selectedStudent, term]);
+
+  useEffect(() => {
+    if (!selectedCourse) {
+      setCourseStudents([]);
+      setComments({});
+      return;
+    }
+
+    const fetchCourseComments = async () => {
+      try {
+        const [courseResponse, commentsResponse] = await Promise.all([
+          courseService.getCourseById(selectedCourse),
+          reportCardService.getCourseComments(selectedCourse)
+        ]);
+
+        setCourseStudents([...courseResponse.data.data.students]
+          .sort((a, b) => `${a.lastName} ${a.firstName}`.localeCompare(`${b.lastName} ${b.firstName}`)));
+
+        const byStudent = {};
+        commentsResponse.data.data.forEach(comment => { byStudent[comment.student] = comment.comment; });
+        setComments(byStudent);
+      } catch (error) {
+        setError(handleApiError(error));
+      }
+    };
+
+    fetchCourseComments();
+  }, [selectedCourse]);
+
+  const handleTermChange = (e) => {
+    const { name, value } = e.target;
+    setTerm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handlePreview = async () => {
+    try {
+      setLoadingReportCard(true);
+      setError('');
+      const response = await reportCardService.getReportCard(selectedStudent, term);
+      setReportCard(response.data.data);
+    } catch (error) {
+      setError(handleApiError(error));
+    } finally {
+      setLoadingReportCard(false);
+    }
+  };
+
+  const handleDownload = async () => {
+    const student = students.find(candidate => candidate._id === selectedStudent) || currentUser;
+
+    try {
+      setDownloading(true);
+      setError('');
+      const response = await reportCardService.downloadReportCard(selectedStudent, term);
+      saveDownload(response, toFileName(['report-card', student.lastName, student.firstName, term.academicYear, term.semester]));
+    } catch (error) {
+      setError(await handleDownloadError(error));
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const handleClassDownload = async (params, name) => {
+    try {
+      setDownloading(true);
+      setError('');
+      const response = await reportCardService.downloadClassReportCards(params);
+      saveDownload(response, toFileName(['report-cards', name]));
+    } catch (error) {
+      setError(await handleDownloadError(error));
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const handleSaveComment = async (studentId) => {
+    try {
+      setSavingComment(studentId);
+      setError('');
+      setMessage('');
+      await reportCardService.saveComment(selectedCourse, studentId, comments[studentId] || '');
+      setMessage('Comment saved');
+    } catch (error) {
+      setError(handleApiError(error));
+    } finally {
+      setSavingComment(null);
+    }
+  };
+
+  const handleTemplateChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setTemplate(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleSaveTemplate = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSavingTemplate(true);
+      setError('');
+      setMessage('');
+
+      for (const key of TEMPLATE_SETTINGS) {
+        await settingService.updateSetting(key, template[key]);
+      }
+
+      if (logoFile) {
+        const formData = new FormData();
+        formData.append('logo', logoFile);
+        const response = await reportCardService.uploadLogo(formData);
+        setTemplate(prev => ({ ...prev, 'reportCards.logo': response.data.data.logo }));
+        setLogoFile(null);
+        e.target.reset();
+      }
+
+      setMessage('Report card template saved');
+    } catch (error) {
+      setError(handleApiError(error));
+    } finally {
+      setSavingTemplate(false);
+    }
+  };
+
+  const handleRemoveLogo = async () => {
+    try {
+      setError('');
+      await reportCardService.deleteLogo();
+      setTemplate(prev => ({ ...prev, 'reportCards.logo': '' }));
+    } catch (error) {
+      setError(handleApiError(error));
+    }
+  };
+
+  const selectedCourseDoc = courses.find(course => course._id === selectedCourse);
+
+  return (
+    <div className="container py-4">
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <h1 className="fs-2 fw-bold mb-0">Report Cards</h1>
+      </div>
+
+      {error && (
+        <div className="alert alert-danger" role="alert">
+          {error}
+        </div>
+      )}
+
+      {message && (
+        <div className="alert alert-success alert-dismissible" role="alert">
+          {message}
+          <button type="button" className="btn-close" aria-label="Close" onClick={() => setMessage('')}></button>
+        </div>
+      )}
+
+      {canViewStudents && (
+        <div className="card mb-4">
+          <div className="card-header bg-primary text-white">
+            <h5 className="mb-0">Student report card</h5>
+          </div>
+          <div className="card-body">
+            <div className="row g-3 align-items-end mb-3">
+              {role !== 'student' && (
+                <div className="col-md-4">
+                  <label htmlFor="reportCardStudent" className="form-label">Student</label>
+                  <select
+                    id="reportCardStudent"
+                    className="form-select"
+                    value={selectedStudent}
+                    onChange={(e) => setSelectedStudent(e.target.value)}
+                  >
+                    <option value="">Select a student</option>
+                    {students.map(student => (
+                      <option key={student._id} value={student._id}>
+                        {student.lastName}, {student.firstName}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              <div className="col-md-3">
+                <label htmlFor="academicYear" className="form-label">Academic Year</label>
+                <input
+                  id="academicYear"
+                  name="academicYear"
+                  type="text"
+                  className="form-control"
+                  placeholder="e.g. 2023-2024"
+                  value={term.academicYear}
+                  onChange={handleTermChange}
+                />
+              </div>
+              <div className="col-md-2">
+                <label htmlFor="semester" className="form-label">Semester</label>
+                <select
+                  id="semester"
+                  name="semester"
+                  className="form-select"
+                  value={term.semester}
+                  onChange={handleTermChange}
+                >
+                  {SEMESTERS.map(semester => (
+                    <option key={semester} value={semester}>{semester}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="col-md-3 d-flex gap-2">
+                <button
+                  className="btn btn-outline-primary"
+                  onClick={handlePreview}
+                  disabled={!selectedStudent || !term.academicYear || loadingReportCard}
+                >
+                  Preview
+                </button>
+                <button
+                  className="btn btn-primary"
+                  onClick={handleDownload}
+                  disabled={!selectedStudent || !term.academicYear || downloading}
+                >
+                  <i className="bi bi-download me-1"></i>
+                  PDF
+                </button>
+              </div>
+            </div>
+
+            {loadingReportCard ? (
+              <div className="d-flex justify-content-center my-4">
+                <div className="spinner-border text-primary" role="status">
+                  <span className="visually-hidden">Loading...</span>
+                </div>
+              </div>
+            ) : reportCard && (
+              reportCard.courses.length > 0 ? (
+                <>
+                  <div className="table-responsive">
+                    <table className="table table-hover align-middle">
+                      <thead>
+                        <tr>
+                          <th>Course</th>
+                          <th>Teacher</th>
+                          <th className="text-center">Grade</th>
+                          <th className="text-end">Score</th>
+                          <th className="text-end">Attendance</th>
+                          <th>Comment</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {reportCard.courses.map(entry => (
+                          <tr key={entry.course._id}>
+                            <td>
+                              <p className="mb-0 fw-medium">{entry.course.name}</p>
+                              <p className="mb-0 small text-muted">{entry.course.code}</p>
+                            </td>
+                            <td>{entry.course.teacher || '-'}</td>
+                            <td className="text-center">
+                              {entry.letterGrade ? (
+                                <span className={`badge ${entry.passing ? 'bg-success' : 'bg-danger'}`}>
+                                  {entry.letterGrade}
+                                </span>
+                              ) : '-'}
+                            </td>
+                            <td className="text-end">{formatPercentage(entry.percentage)}</td>
+                            <td className="text-end">
+                              {entry.attendance.totalDays > 0
+                                ? `${entry.attendance.attendanceRate.toFixed(0)}%`
+                                : '-'}
+                            </td>
+                            <td className="small">{entry.comment || ''}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  <p className="mb-0">
+                    <strong>Term average:</strong> {formatPercentage(reportCard.averagePercentage)}
+                    <span className="ms-4">
+                      <strong>Attendance:</strong>{' '}
+                      {reportCard.attendance.totalDays > 0
+                        ? `${reportCard.attendance.attendanceRate.toFixed(1)}% (${reportCard.attendance.absentDays} absent, ${reportCard.attendance.lateDays} late)`
+                        : '-'}
+                    </span>
+                  </p>
+                </>
+              ) : (
+                <div className="text-center py-4">
+                  <i className="bi bi-file-earmark-text fs-1 text-muted"></i>
+                  <p className="text-muted mt-2">No courses in this term</p>
+                </div>
+              )
+            )}
+          </div>
+        </div>
+      )}
+
+      {canManageClasses && (
+        <div className="card mb-4">
+          <div className="card-header bg-white d-flex justify-content-between align-items-center">
+            <h5 className="mb-0">Class report cards</h5>
+          </div>
+          <div className="card-body">
+            <div className="row g-3 align-items-end mb-3">
+              <div className="col-md-6">
+                <label htmlFor="reportCardCourse" className="form-label">Course</label>
+                <select
+                  id="reportCardCourse"
+                  className="form-select"
+                  value={selectedCourse}
+                  onChange={(e) => setSelectedCourse(e.target.value)}
+                >
+                  <option value="">Select a course</option>
+                  {courses.map(course => (
+                    <option key={course._id} value={course._id}>
+                      {course.name} ({course.code}) - {course.semester} {course.academicYear}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="col-md-6">
+                <button
+                  className="btn btn-primary"
+                  onClick={() => handleClassDownload(
+                    { course: selectedCourse },
+                    [selectedCourseDoc.code, selectedCourseDoc.academicYear, selectedCourseDoc.semester]
+                  )}
+                  disabled={!selectedCourse || downloading}
+                >
+                  <i className="bi bi-download me-1"></i>
+                  Download report cards
+                </button>
+              </div>
+            </div>
+
+            {role === 'admin' && (
+              <div className="row g-3 align-items-end mb-3">
+                <div className="col-md-3">
+                  <label htmlFor="gradeLevel" className="form-label">Grade level</label>
+                  <input
+                    id="gradeLevel"
+                    type="number"
+                    min="1"
+                    className="form-control"
+                    value={gradeLevel}
+                    onChange={(e) => setGradeLevel(e.target.value)}
+                  />
+                </div>
+                <div className="col-md-9">
+                  <button
+                    className="btn btn-outline-primary"
+                    onClick={() => handleClassDownload(
+                      { gradeLevel, ...term },
+                      [`grade-${gradeLevel}`, term.academicYear, term.semester]
+                    )}
+                    disabled={!gradeLevel || !term.academicYear || downloading}
+                  >
+                    <i className="bi bi-download me-1"></i>
+                    Download grade level ({term.semester} {term.academicYear})
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {selectedCourse && (
+              courseStudents.length > 0 ? (
+                <div className="table-responsive">
+                  <table className="table align-middle">
+                    <thead>
+                      <tr>
+                        <th>Student</th>
+                        <th>Report card comment</th>
+                        <th></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {courseStudents.map(student => (
+                        <tr key={student._id}>
+                          <td className="text-nowrap">{student.lastName}, {student.firstName}</td>
+                          <td className="w-75">
+                            <textarea
+                              className="form-control form-control-sm"
+                              rows="2"
+                              maxLength={1000}
+                              value={comments[student._id] || ''}
+                              onChange={(e) => setComments(prev => ({ ...prev, [student._id]: e.target.value }))}
+                            />
+                          </td>
+                          <td className="text-end">
+                            <button
+                              className="btn btn-sm btn-outline-primary"
+                              onClick={() => handleSaveComment(student._id)}
+                              disabled={savingComment === student._id}
+                            >
+                              Save
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              ) : (
+                <p className="text-muted mb-0">No students enrolled in this course</p>
+              )
+            )}
+          </div>
+        </div>
+      )}
+
+      {role === 'admin' && template && (
+        <div className="card">
+          <div className="card-header bg-white">
+            <h5 className="mb-0">Report card template</h5>
+          </div>
+          <div className="card-body">
+            <form onSubmit={handleSaveTemplate}>
+              <div className="row g-3 mb-3">
+                <div className="col-md-6">
+                  <label htmlFor="schoolName" className="form-label">School name</label>
+                  <input
+                    id="schoolName"
+                    name="reportCards.schoolName"
+                    type="text"
+                    className="form-control"
+                    maxLength={100}
+                    value={template['reportCards.schoolName']}
+                    onChange={handleTemplateChange}
+                    required
+                  />
+                </div>
+                <div className="col-md-6">
+                  <label htmlFor="layout" className="form-label">Layout</label>
+                  <select
+                    id="layout"
+                    name="reportCards.template"
+                    className="form-select"
+                    value={template['reportCards.template']}
+                    onChange={handleTemplateChange}
+                  >
+                    <option value="standard">Standard - breakdown and comment per course</option>
+                    <option value="compact">Compact - one table</option>
+                  </select>
+                </div>
+                <div className="col-12">
+                  <label htmlFor="footerText" className="form-label">Footer</label>
+                  <input
+                    id="footerText"
+                    name="reportCards.footerText"
+                    type="text"
+                    className="form-control"
+                    maxLength={300}
+                    placeholder="e.g. the school address"
+                    value={template['reportCards.footerText']}
+                    onChange={handleTemplateChange}
+                  />
+                </div>
+                <div className="col-md-6">
+                  <label htmlFor="logo" className="form-label">Logo</label>
+                  <input
+                    id="logo"
+                    type="file"
+                    className="form-control"
+                    accept="image/png,image/jpeg"
+                    onChange={(e) => setLogoFile(e.target.files[0] || null)}
+                  />
+                  {template['reportCards.logo'] && (
+                    <div className="form-text">
+                      A logo is set.{' '}
+                      <button type="button" className="btn btn-link btn-sm p-0 align-baseline" onClick={handleRemoveLogo}>
+                        Remove it
+                      </button>
+                    </div>
+                  )}
+                </div>
+                <div className="col-md-6 d-flex align-items-end">
+                  <div className="form-check">
+                    <input
+                      id="showAttendance"
+                      name="reportCards.showAttendance"
+                      type="checkbox"
+                      className="form-check-input"
+                      checked={template['reportCards.showAttendance']}
+                      onChange={handleTemplateChange}
+                    />
+                    <label htmlFor="showAttendance" className="form-check-label">Show attendance per course</label>
+                  </div>
+                </div>
+              </div>
+              <button type="submit" className="btn btn-primary" disabled={savingTemplate}>
+                {savingTemplate && (
+                  <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                )}
+                Save template
+              </button>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReportCards;
@@ -0,0 +1,120 @@
+import { useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { authService, handleApiError } from '../services/api';
+
+const ResetPassword = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const {
+    register,
+    handleSubmit,
+    watch,
+    formState: { errors },
+  } = useForm();
+
+  const password = watch('password', '');
+
+  const onSubmit = async (data) => {
+    try {
+      setError('');
+      setLoading(true);
+      await authService.resetPassword(token, data.password);
+      navigate('/login', {
+        replace: true,
+        state: { message: 'Your password has been reset. Please sign in with your new password.' }
+      });
+    } catch (error) {
+      setError(handleApiError(error));
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="d-flex min-vh-100">
+      <div className="container my-auto py-5">
+        <div className="row justify-content-center">
+          <div className="col-12 col-md-8 col-lg-6">
+            <div className="text-center mb-4">
+              <h2 className="fw-bold text-primary">Reset Password</h2>
+              <p className="text-muted">Choose a new password for your MySchool account</p>
+            </div>
+
+            {error && (
+              <div className="alert alert-danger" role="alert">
+                {error}
+              </div>
+            )}
+
+            <form className="needs-validation" onSubmit={handleSubmit(onSubmit)} noValidate>
+              <div className="mb-3">
+                <label htmlFor="password" className="form-label">New password</label>
+                <input
+                  id="password"
+                  type="password"
+                  className={`form-control ${errors.password ? 'is-invalid' : ''}`}
+                  placeholder="••••••••"
+                  {...register('password', {
+                    required: 'Password is required',
+                    minLength: {
+                      value: 6,
+                      message: 'Password must be at least 6 characters'
+                    }
+                  })}
+                />
+                {errors.password && (
+                  <div className="invalid-feedback">{errors.password.message}</div>
+                )}
+              </div>
+
+              <div className="mb-4">
+                <label htmlFor="confirmPassword" className="form-label">Confirm new password</label>
+                <input
+                  id="confirmPassword"
+                  type="password"
+                  className={`form-control ${errors.confirmPassword ? 'is-invalid' : ''}`}
+                  placeholder="••••••••"
+                  {...register('confirmPassword', {
+                    required: 'Please confirm your password',
+                    validate: value => value === password || 'Passwords do not match'
+                  })}
+                />
+                {errors.confirmPassword && (
+                  <div className="invalid-feedback">{errors.confirmPassword.message}</div>
+                )}
+              </div>
+
+              <div className="d-grid mb-3">
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="btn btn-primary btn-lg"
+                >
+                  {loading ? (
+                    <>
+                      <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                      Resetting...
+                    </>
+                  ) : (
+                    'Reset password'
+                  )}
+                </button>
+              </div>
+            </form>
+
+            <div className="text-center">
+              <Link to="/forgot-password" className="text-decoration-none">
+                Request a new link
+              </Link>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
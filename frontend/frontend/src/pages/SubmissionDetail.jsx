@@ -3,6 +3,22 @@ import { useParams, Link, useNavigate } from 'react-router-dom';
 import { assignmentService } from '../services/api';
 import { useAuth } from '../contexts/AuthContext';
 
+// Points of a rubric's top levels, and the score the chosen levels give, scaled like the server does
+const rubricMaxPoints = (rubric) => rubric.criteria.reduce((total, criterion) =>
+  total + Math.max(0, ...criterion.levels.map(level => level.points)), 0);
+
+const rubricScore = (rubric, selections, totalPoints) => {
+  const points = rubric.criteria.reduce((total, criterion) => {
+    const level = criterion.levels.find(candidate => candidate._id === selections[criterion._id]?.level);
+    return total + (level ? level.points : 0);
+  }, 0);
+  const maxPoints = rubricMaxPoints(rubric);
+
+  return maxPoints === totalPoints || maxPoints === 0
+    ? points
+    : Math.round(points / maxPoints * totalPoints * 100) / 100;
+};
+
 const SubmissionDetail = () => {
   const { assignmentId, submissionId } = useParams();
   const { currentUser } = useAuth();
@@ -16,7 +32,10 @@ const SubmissionDetail = () => {
     feedback: '',
     publishGrade: true
   });
+  // Chosen level and comment per rubric criterion
+  const [rubricSelections, setRubricSelections] = useState({});
   const [submitting, setSubmitting] = useState(false);
+  const isGrader = currentUser?.role === 'admin' || currentUser?.role === 'teacher';
 
   useEffect(() => {
     const fetchData = async () => {
@@ -25,15 +44,24 @@ const SubmissionDetail = () => {
         
         // First get the assignment details
         const assignmentResponse = await assignmentService.getAssignmentById(assignmentId);
-        setAssignment(assignmentResponse.data.data);
+        const assignmentData = assignmentResponse.data.data;
+        setAssignment(assignmentData);
         
-        // Then get all submissions for this assignment
-        const submissionsResponse = await assignmentService.getSubmissions(assignmentId);
+        let foundSubmission;
         
-        // Find the specific submission
-        const foundSubmission = submissionsResponse.data.data.find(
-          sub => sub._id === submissionId
-        );
+        if (isGrader) {
+          // Then get all submissions for this assignment
+          const submissionsResponse = await assignmentService.getSubmissions(assignmentId);
+          
+          // Find the specific submission
+          foundSubmission = submissionsResponse.data.data.find(
+            sub => sub._id === submissionId
+          );
+        } else {
+          // Students get their own submission, parents their children's, with the assignment
+          foundSubmission = [assignmentData.submission, ...(assignmentData.childSubmissions || [])]
+            .find(sub => sub && sub._id === submissionId);
+        }
         
         if (!foundSubmission) {
           throw new Error('Submission not found');
@@ -49,6 +77,11 @@ const SubmissionDetail = () => {
             publishGrade: true
           });
         }
+        
+        setRubricSelections(Object.fromEntries((foundSubmission.rubricScores || []).map(rubricScore => [
+          rubricScore.criterion,
+          { level: rubricScore.level, comment: rubricScore.comment || '' }
+        ])));
       } catch (error) {
         console.error('Error fetching submission details:', error);
         setError('Failed to load submission details');
@@ -58,7 +91,7 @@ const SubmissionDetail = () => {
     };
 
     fetchData();
-  }, [assignmentId, submissionId]);
+  }, [assignmentId, submissionId, isGrader]);
 
   const handleInputChange = (e) => {
     const { name, value, type, checked } = e.target;
@@ -68,11 +101,20 @@ const SubmissionDetail = () => {
     }));
   };
 
+  const handleSelectLevel = (criterionId, changes) => {
+    setRubricSelections(prev => ({
+      ...prev,
+      [criterionId]: { ...prev[criterionId], ...changes }
+    }));
+  };
+
   const handleSubmitGrade = async (e) => {
     e.preventDefault();
     
+    const rubric = assignment?.rubric;
+    
     // Validate score
-    const score = parseFloat(gradeData.score);
+    const score = rubric ? rubricScore(rubric, rubricSelections, assignment.totalPoints) : parseFloat(gradeData.score);
     if (isNaN(score) || score < 0 || score > (assignment?.totalPoints || 100)) {
       setError(`Score must be a number between 0 and ${assignment?.totalPoints || 100}`);
       return;
@@ -85,7 +127,14 @@ const SubmissionDetail = () => {
       await assignmentService.gradeSubmission(submissionId, {
         score,
         feedback: gradeData.feedback,
-        publishGrade: gradeData.publishGrade
+        publishGrade: gradeData.publishGrade,
+        ...(rubric && {
+          rubricScores: rubric.criteria.map(criterion => ({
+            criterion: criterion._id,
+            level: rubricSelections[criterion._id]?.level,
+            comment: rubricSelections[criterion._id]?.comment
+          }))
+        })
       });
       
       alert('Submission graded successfully!');
@@ -140,9 +189,11 @@ const SubmissionDetail = () => {
     );
   }
 
-  const isAdmin = currentUser?.role === 'admin';
-  const isTeacher = currentUser?.role === 'teacher';
-  const canGrade = isAdmin || isTeacher;
+  const canGrade = isGrader;
+  const rubric = assignment.rubric;
+  const gradeWithRubric = canGrade && Boolean(rubric);
+  const rubricComplete = !rubric || rubric.criteria.every(criterion => rubricSelections[criterion._id]?.level);
+  const hasRubricScores = submission.status === 'graded' && submission.rubricScores?.length > 0;
 
   return (
     <div className="container-fluid py-4 page-transition">
@@ -209,6 +260,47 @@ const SubmissionDetail = () => {
                 </div>
               )}
               
+              {hasRubricScores && (
+                <div className="mb-4">
+                  <h3 className="fs-5 fw-semibold mb-3">Rubric</h3>
+                  <div className="table-responsive">
+                    <table className="table table-sm align-middle mb-0">
+                      <thead className="table-light">
+                        <tr>
+                          <th>Criterion</th>
+                          <th>Level</th>
+                          <th className="text-end">Points</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {submission.rubricScores.map(rubricScore => (
+                          <tr key={rubricScore.criterion}>
+                            <td>
+                              <span className="fw-medium">{rubricScore.criterionTitle}</span>
+                              {rubricScore.comment && (
+                                <div className="small text-muted whitespace-pre-line">{rubricScore.comment}</div>
+                              )}
+                            </td>
+                            <td>{rubricScore.levelTitle}</td>
+                            <td className="text-end">{rubricScore.points} / {rubricScore.maxPoints}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                      <tfoot>
+                        <tr className="fw-semibold">
+                          <td colSpan="2">Total</td>
+                          <td className="text-end">
+                            {submission.rubricScores.reduce((total, rubricScore) => total + rubricScore.points, 0)}
+                            {' / '}
+                            {submission.rubricScores.reduce((total, rubricScore) => total + rubricScore.maxPoints, 0)}
+                          </td>
+                        </tr>
+                      </tfoot>
+                    </table>
+                  </div>
+                </div>
+              )}
+              
               {submission.status === 'graded' && submission.feedback && (
                 <div className="mb-4">
                   <h3 className="fs-5 fw-semibold mb-3">Teacher Feedback</h3>
@@ -219,6 +311,51 @@ const SubmissionDetail = () => {
               )}
             </div>
           </div>
+          
+          {gradeWithRubric && (
+            <div className="card shadow-sm mb-4">
+              <div className="card-header bg-white py-3">
+                <h2 className="fs-5 fw-bold mb-0">Rubric: {rubric.title}</h2>
+                {rubric.description && <p className="text-muted small mb-0">{rubric.description}</p>}
+              </div>
+              <div className="card-body">
+                {rubric.criteria.map(criterion => (
+                  <div key={criterion._id} className="mb-4">
+                    <p className="fw-semibold mb-1">{criterion.title}</p>
+                    {criterion.description && <p className="text-muted small mb-2">{criterion.description}</p>}
+                    <div className="d-flex flex-wrap gap-2 mb-2">
+                      {criterion.levels.map(level => {
+                        const selected = rubricSelections[criterion._id]?.level === level._id;
+                        return (
+                          <button
+                            key={level._id}
+                            type="button"
+                            className={`btn text-start flex-fill ${selected ? 'btn-primary' : 'btn-outline-secondary'}`}
+                            style={{ flexBasis: '10rem' }}
+                            onClick={() => handleSelectLevel(criterion._id, { level: level._id })}
+                            aria-pressed={selected}
+                          >
+                            <span className="d-flex justify-content-between fw-medium">
+                              <span>{level.title}</span>
+                              <span>{level.points}</span>
+                            </span>
+                            {level.description && <span className="d-block small">{level.description}</span>}
+                          </button>
+                        );
+                      })}
+                    </div>
+                    <input
+                      type="text"
+                      className="form-control form-control-sm"
+                      placeholder={`Comment on ${criterion.title} (optional)`}
+                      value={rubricSelections[criterion._id]?.comment || ''}
+                      onChange={(e) => handleSelectLevel(criterion._id, { comment: e.target.value })}
+                    />
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
         </div>
         
         {canGrade && (
@@ -239,15 +376,23 @@ const SubmissionDetail = () => {
                         className="form-control"
                         id="score"
                         name="score"
-                        value={gradeData.score}
+                        value={gradeWithRubric ? rubricScore(rubric, rubricSelections, assignment.totalPoints) : gradeData.score}
                         onChange={handleInputChange}
                         min="0"
                         max={assignment.totalPoints}
                         step="0.1"
+                        readOnly={gradeWithRubric}
                         required
                       />
                       <span className="input-group-text">/ {assignment.totalPoints}</span>
                     </div>
+                    {gradeWithRubric && (
+                      <div className="form-text">
+                        {rubricComplete
+                          ? 'Computed from the levels chosen in the rubric.'
+                          : 'Choose a level for every criterion of the rubric.'}
+                      </div>
+                    )}
                   </div>
                   
                   <div className="mb-3">
@@ -282,7 +427,7 @@ const SubmissionDetail = () => {
                   <button
                     type="submit"
                     className="btn btn-primary w-100"
-                    disabled={submitting}
+                    disabled={submitting || !rubricComplete}
                   >
                     {submitting ? (
                       <>
@@ -0,0 +1,249 @@
+import { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { userService, handleApiError, handleDownloadError, saveDownload } from '../services/api';
+
+const STATUS_BADGES = {
+  passed: 'bg-success',
+  failed: 'bg-danger',
+  'in progress': 'bg-secondary'
+};
+
+const formatGpa = (gpa) => (gpa === null || gpa === undefined ? '-' : gpa.toFixed(2));
+
+const formatPercentage = (value) => (value === null ? '-' : `${value.toFixed(1)}%`);
+
+const Transcript = () => {
+  const { currentUser } = useAuth();
+  const role = currentUser?.role;
+  const [students, setStudents] = useState([]);
+  const [selectedStudent, setSelectedStudent] = useState('');
+  const [transcript, setTranscript] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [downloading, setDownloading] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!currentUser) return;
+
+    if (role === 'student') {
+      setSelectedStudent(currentUser._id);
+    } else if (role === 'parent') {
+      userService.getParentStudents()
+        .then(response => {
+          setStudents(response.data.data);
+          if (response.data.data.length > 0) {
+            setSelectedStudent(response.data.data[0]._id);
+          }
+        })
+        .catch(error => console.error('Error fetching children:', error));
+    } else if (role === 'admin') {
+      userService.getUsers({ role: 'student', sort: 'lastName,firstName', limit: 1000 })
+        .then(response => setStudents(response.data.data))
+        .catch(error => console.error('Error fetching students:', error));
+    }
+  }, [currentUser, role]);
+
+  useEffect(() => {
+    if (!selectedStudent) {
+      setTranscript(null);
+      return;
+    }
+
+    const fetchTranscript = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        const response = await userService.getTranscript(selectedStudent);
+        setTranscript(response.data.data);
+      } catch (error) {
+        setError(handleApiError(error));
+        setTranscript(null);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchTranscript();
+  }, [selectedStudent]);
+
+  const handleDownload = async (format) => {
+    const { student } = transcript;
+
+    try {
+      setDownloading(format);
+      setError('');
+      const response = await userService.downloadTranscript(selectedStudent, format);
+      saveDownload(response, `transcript-${student.lastName}-${student.firstName}.${format}`);
+    } catch (error) {
+      setError(await handleDownloadError(error));
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  if (role === 'teacher') {
+    return (
+      <div className="container py-4">
+        <div className="alert alert-info" role="alert">
+          Transcripts are available to students, their parents and administrators.
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container py-4">
+      <div className="d-flex flex-wrap gap-2 justify-content-between align-items-center mb-4">
+        <h1 className="fs-2 fw-bold mb-0">Transcript</h1>
+        {transcript && (
+          <div className="d-flex gap-2">
+            <button
+              className="btn btn-outline-primary"
+              onClick={() => handleDownload('csv')}
+              disabled={downloading !== null}
+            >
+              <i className="bi bi-filetype-csv me-1"></i>
+              CSV
+            </button>
+            <button
+              className="btn btn-primary"
+              onClick={() => handleDownload('pdf')}
+              disabled={downloading !== null}
+            >
+              <i className="bi bi-file-earmark-pdf me-1"></i>
+              PDF
+            </button>
+          </div>
+        )}
+      </div>
+
+      {error && (
+        <div className="alert alert-danger" role="alert">
+          {error}
+        </div>
+      )}
+
+      {role !== 'student' && (
+        <div className="mb-4" style={{ maxWidth: '24rem' }}>
+          <label htmlFor="transcriptStudent" className="form-label">Student</label>
+          <select
+            id="transcriptStudent"
+            className="form-select"
+            value={selectedStudent}
+            onChange={(e) => setSelectedStudent(e.target.value)}
+          >
+            <option value="">Select a student</option>
+            {students.map(student => (
+              <option key={student._id} value={student._id}>
+                {student.lastName}, {student.firstName}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="d-flex justify-content-center my-5">
+          <div className="spinner-border text-primary" role="status">
+            <span className="visually-hidden">Loading...</span>
+          </div>
+        </div>
+      ) : transcript && (
+        <>
+          <div className="row g-3 mb-4">
+            <div className="col-md-4">
+              <div className="card h-100">
+                <div className="card-body">
+                  <p className="text-muted mb-1">Cumulative GPA</p>
+                  <p className="fs-3 fw-bold mb-0">
+                    {formatGpa(transcript.cumulativeGpa)}
+                    <span className="fs-6 text-muted fw-normal"> / {transcript.gpaScale.maxPoints.toFixed(2)}</span>
+                  </p>
+                  <p className="small text-muted mb-0">{transcript.gpaScale.name}</p>
+                </div>
+              </div>
+            </div>
+            <div className="col-md-4">
+              <div className="card h-100">
+                <div className="card-body">
+                  <p className="text-muted mb-1">Credits earned</p>
+                  <p className="fs-3 fw-bold mb-0">
+                    {transcript.creditsEarned}
+                    <span className="fs-6 text-muted fw-normal"> of {transcript.creditsAttempted} attempted</span>
+                  </p>
+                </div>
+              </div>
+            </div>
+            <div className="col-md-4">
+              <div className="card h-100">
+                <div className="card-body">
+                  <p className="text-muted mb-1">Terms</p>
+                  <p className="fs-3 fw-bold mb-0">{transcript.terms.length}</p>
+                </div>
+              </div>
+            </div>
+          </div>
+
+          {transcript.terms.length > 0 ? (
+            transcript.terms.map(term => (
+              <div className="card mb-4" key={`${term.academicYear}-${term.semester}`}>
+                <div className="card-header bg-white d-flex flex-wrap justify-content-between align-items-center gap-2">
+                  <h5 className="mb-0">{term.semester} {term.academicYear}</h5>
+                  <span className="small text-muted">
+                    Term GPA <strong>{formatGpa(term.gpa)}</strong>
+                    <span className="mx-2">·</span>
+                    Cumulative <strong>{formatGpa(term.cumulativeGpa)}</strong>
+                    <span className="mx-2">·</span>
+                    {term.creditsEarned} of {term.creditsAttempted} credits
+                  </span>
+                </div>
+                <div className="card-body p-0">
+                  <div className="table-responsive">
+                    <table className="table table-hover align-middle mb-0">
+                      <thead>
+                        <tr>
+                          <th>Course</th>
+                          <th className="text-end">Credits</th>
+                          <th className="text-end">Score</th>
+                          <th className="text-center">Grade</th>
+                          <th className="text-end">Points</th>
+                          <th>Status</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {term.courses.map(result => (
+                          <tr key={result.course._id}>
+                            <td>
+                              <p className="mb-0 fw-medium">{result.course.name}</p>
+                              <p className="mb-0 small text-muted">{result.course.code}</p>
+                            </td>
+                            <td className="text-end">{result.creditHours}</td>
+                            <td className="text-end">{formatPercentage(result.percentage)}</td>
+                            <td className="text-center">{result.letterGrade || '-'}</td>
+                            <td className="text-end">{result.gradePoints === null ? '-' : result.gradePoints.toFixed(2)}</td>
+                            <td>
+                              <span className={`badge text-capitalize ${STATUS_BADGES[result.status]}`}>
+                                {result.status}
+                              </span>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              </div>
+            ))
+          ) : (
+            <div className="text-center py-4">
+              <i className="bi bi-journal-text fs-1 text-muted"></i>
+              <p className="text-muted mt-2">No courses taken yet</p>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Transcript;
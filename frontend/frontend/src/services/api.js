@@ -27,6 +27,32 @@ const requestEnded = () => {
   }
 };
 
+// Refresh tokens are single-use, so concurrent 401s must share one refresh call
+let refreshPromise = null;
+
+// Exchange the stored refresh token for a new token pair
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    if (!refreshToken) {
+      return Promise.reject(new Error('No refresh token available'));
+    }
+
+    refreshPromise = axios.post(`${API_URL}/auth/refresh`, { refreshToken })
+      .then((res) => {
+        localStorage.setItem('token', res.data.token);
+        localStorage.setItem('refreshToken', res.data.refreshToken);
+        return res.data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
 // Add request interceptor to include auth token in requests
 api.interceptors.request.use(
   (config) => {
@@ -62,17 +88,10 @@ api.interceptors.response.use(
         
         try {
           // Try to refresh the token
-          const refreshToken = localStorage.getItem('refreshToken');
-          if (refreshToken) {
-            const res = await axios.post(`${API_URL}/auth/refresh`, {
-              refreshToken
-            });
-            
-            if (res.data.token) {
-              localStorage.setItem('token', res.data.token);
-              originalRequest.headers.Authorization = `Bearer ${res.data.token}`;
-              return api(originalRequest);
-            }
+          if (localStorage.getItem('refreshToken')) {
+            const token = await refreshSession();
+            originalRequest.headers.Authorization = `Bearer ${token}`;
+            return api(originalRequest);
           }
         } catch (refreshError) {
           // If refresh failed, log out user
@@ -128,16 +147,39 @@ export const authService = {
   login: (credentials) => api.post('/auth/login', credentials),
   register: (userData) => api.post('/auth/register', userData),
   logout: () => api.post('/auth/logout'),
+  logoutAll: () => api.post('/auth/logout-all'),
+  getSessions: () => api.get('/auth/sessions'),
+  revokeSession: (sessionId) => api.delete(`/auth/sessions/${sessionId}`),
   getCurrentUser: () => api.get('/auth/me'),
   refreshToken: (refreshToken) => api.post('/auth/refresh', { refreshToken }),
+  forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
+  resetPassword: (token, password) => api.put(`/auth/reset-password/${token}`, { password }),
+  changePassword: (currentPassword, newPassword) => api.put('/auth/password', { currentPassword, newPassword }),
+  getPasswordPolicy: () => api.get('/auth/password-policy'),
+  getInvitation: (token) => api.get(`/auth/invitations/${token}`),
+  acceptInvitation: (token, data) => api.post(`/auth/invitations/${token}/accept`, data),
+  setupTwoFactor: () => api.post('/auth/2fa/setup'),
+  enableTwoFactor: (code) => api.post('/auth/2fa/enable', { code }),
+  disableTwoFactor: (password, code) => api.post('/auth/2fa/disable', { password, code }),
+  regenerateBackupCodes: (code) => api.post('/auth/2fa/backup-codes', { code }),
 };
 
 // User services
 export const userService = {
-  getUsers: () => api.get('/users'),
+  getUsers: (params) => api.get('/users', { params }),
   getUserById: (id) => api.get(`/users/${id}`),
   updateUser: (id, userData) => api.put(`/users/${id}`, userData),
   deleteUser: (id) => api.delete(`/users/${id}`),
+  getInvitations: (params) => api.get('/users/invitations', { params }),
+  createInvitation: (invitationData) => api.post('/users/invitations', invitationData),
+  resendInvitation: (id) => api.post(`/users/invitations/${id}/resend`),
+  revokeInvitation: (id) => api.delete(`/users/invitations/${id}`),
+  getParentStudents: () => api.get('/users/parent/students'),
+  getTranscript: (id) => api.get(`/users/${id}/transcript`),
+  downloadTranscript: (id, format) => api.get(`/users/${id}/transcript`, {
+    params: { format },
+    responseType: 'blob'
+  }),
 };
 
 // Course services
@@ -187,6 +229,8 @@ export const courseService = {
   unenrollStudents: (courseId, studentIds) => api.put(`/courses/${courseId}/unenroll`, { studentIds }),
   getEnrollmentRequests: (courseId) => api.get(`/courses/${courseId}/enrollment-requests`),
   processEnrollmentRequest: (requestId, status, notes) => api.put(`/enrollment-requests/${requestId}`, { status, notes }),
+  getGradebook: (courseId) => api.get(`/courses/${courseId}/gradebook`),
+  getCourseStats: (courseId) => api.get(`/courses/${courseId}/stats`),
 };
 
 // Enrollment request services
@@ -215,22 +259,91 @@ export const assignmentService = {
     return api.post(`/assignments/${assignmentId}/submit`, submissionData, config);
   },
   getSubmissions: (assignmentId) => api.get(`/assignments/${assignmentId}/submissions`),
+  getAssignmentStats: (assignmentId) => api.get(`/assignments/${assignmentId}/stats`),
   gradeSubmission: (submissionId, gradeData) => api.put(`/assignments/submissions/${submissionId}`, gradeData),
 };
 
+// Rubric services
+export const rubricService = {
+  getRubrics: (courseId) => api.get('/rubrics', { params: courseId ? { course: courseId } : {} }),
+  getRubric: (id) => api.get(`/rubrics/${id}`),
+  createRubric: (rubricData) => api.post('/rubrics', rubricData),
+  updateRubric: (id, rubricData) => api.put(`/rubrics/${id}`, rubricData),
+  deleteRubric: (id) => api.delete(`/rubrics/${id}`),
+  copyRubric: (id, courseId) => api.post(`/rubrics/${id}/copy`, { course: courseId }),
+};
+
 // Attendance services
 export const attendanceService = {
-  getAttendance: (courseId, date) => api.get('/attendance', { params: { course: courseId, date } }),
+  getAttendance: (courseId, date, session) => api.get('/attendance', {
+    params: { course: courseId, date, ...(session && { session }) }
+  }),
+  getExpectedSessions: (courseId, startDate, endDate) => api.get('/attendance/sessions', {
+    params: { course: courseId, startDate, endDate }
+  }),
   markAttendance: (attendanceData) => api.post('/attendance', attendanceData),
   updateAttendance: (id, attendanceData) => api.put(`/attendance/${id}`, attendanceData),
+  deleteAttendance: (id, reason) => api.delete(`/attendance/${id}`, { data: { reason } }),
+  getAttendanceHistory: (id) => api.get(`/attendance/${id}/history`),
+  getExcuses: (params) => api.get('/attendance/excuses', { params }),
+  submitExcuse: (formData) => api.post('/attendance/excuses', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
+  reviewExcuse: (id, status, notes) => api.put(`/attendance/excuses/${id}`, { status, notes }),
+  downloadExcuseDocument: (id) => api.get(`/attendance/excuses/${id}/document`, { responseType: 'blob' }),
 };
 
 // Grade services
 export const gradeService = {
-  getGrades: (studentId, courseId) => api.get('/grades', { params: { studentId, courseId } }),
+  getGrades: (studentId, courseId) => api.get('/grades', {
+    params: { ...(studentId && { student: studentId }), ...(courseId && { course: courseId }) }
+  }),
+  getGradeSummary: (courseId, studentId) => api.get(`/grades/summary/${courseId}`, {
+    params: studentId ? { studentId } : {}
+  }),
   createGrade: (gradeData) => api.post('/grades', gradeData),
+  bulkRecordGrades: (bulkData) => api.post('/grades/bulk', bulkData),
+  importGrades: (formData) => api.post('/grades/import', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
+  exportGrades: (courseId, format) => api.get('/grades/export', {
+    params: { course: courseId, format },
+    responseType: 'blob'
+  }),
+  getReleases: (params) => api.get('/grades/releases', { params }),
+  scheduleRelease: (releaseData) => api.post('/grades/releases', releaseData),
+  cancelRelease: (releaseId) => api.delete(`/grades/releases/${releaseId}`),
   updateGrade: (id, gradeData) => api.put(`/grades/${id}`, gradeData),
-  deleteGrade: (id) => api.delete(`/grades/${id}`),
+  deleteGrade: (id, reason) => api.delete(`/grades/${id}`, { data: { reason } }),
+  getGradeHistory: (id) => api.get(`/grades/${id}/history`),
+};
+
+// Grading scale services
+export const gradingScaleService = {
+  getGradingScales: () => api.get('/grading-scales'),
+  getCourseScale: (courseId) => api.get(`/grading-scales/course/${courseId}`),
+};
+
+// Report card services
+export const reportCardService = {
+  getReportCard: (studentId, term) => api.get(`/report-cards/student/${studentId}`, { params: term }),
+  downloadReportCard: (studentId, term) => api.get(`/report-cards/student/${studentId}/pdf`, {
+    params: term,
+    responseType: 'blob'
+  }),
+  downloadClassReportCards: (params) => api.get('/report-cards/class/pdf', { params, responseType: 'blob' }),
+  getCourseComments: (courseId) => api.get(`/report-cards/course/${courseId}/comments`),
+  saveComment: (courseId, studentId, comment) => api.put(`/report-cards/course/${courseId}/comments/${studentId}`, { comment }),
+  uploadLogo: (formData) => api.put('/report-cards/logo', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
+  deleteLogo: () => api.delete('/report-cards/logo'),
+};
+
+// Setting services
+export const settingService = {
+  getSettings: () => api.get('/settings'),
+  updateSetting: (key, value) => api.put(`/settings/${key}`, { value }),
 };
 
 // Notification services
@@ -249,4 +362,32 @@ export const handleApiError = (error) => {
   return error.userMessage || error.response?.data?.message || 'An unexpected error occurred';
 };
 
+// Save a file downloaded with responseType 'blob'
+export const saveDownload = (response, filename) => {
+  const url = window.URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
+
+// Like handleApiError for blob downloads, whose error body arrives as a blob
+export const handleDownloadError = async (error) => {
+  if (error.response?.data instanceof Blob) {
+    try {
+      const body = JSON.parse(await error.response.data.text());
+      if (body.message && error.response.status !== 403) {
+        return body.message;
+      }
+    } catch {
+      // Not a JSON error body
+    }
+  }
+
+  return handleApiError(error);
+};
+
 export default api;
@@ -3,7 +3,7 @@ import { StyleSheet, Text, View, ScrollView, ActivityIndicator, RefreshControl,
 import { useAuth } from '../../contexts/AuthContext';
 import { Colors } from '../../constants/Colors';
 import { useColorScheme } from '../../hooks/useColorScheme';
-import { assignmentService } from '../../services/api';
+import { assignmentService, gradingScaleService } from '../../services/api';
 import { Ionicons, MaterialIcons } from '@expo/vector-icons';
 
 // Define interfaces for type safety
@@ -27,6 +27,50 @@ interface Submission {
   graded?: boolean;
 }
 
+interface GradingBand {
+  label: string;
+  minPercentage: number;
+  points?: number;
+  passing: boolean;
+}
+
+interface GradingScale {
+  _id: string;
+  name: string;
+  type: 'letter' | 'pass-fail' | 'numeric' | 'percentage';
+  bands: GradingBand[];
+  passingPercentage: number;
+}
+
+interface GradeResult {
+  label: string;
+  points?: number;
+  passing: boolean;
+  // 0 for the top band, 1 for the bottom band
+  rank: number;
+}
+
+// Find the band of a grading scale a percentage falls into (mirrors GradingScale.resolve on the server)
+const resolveGrade = (scale: GradingScale | undefined, percentage: number): GradeResult | null => {
+  if (!scale || Number.isNaN(percentage)) return null;
+
+  if (scale.type === 'percentage') {
+    const passing = percentage >= scale.passingPercentage;
+    return { label: String(Math.round(percentage)), points: Math.round(percentage), passing, rank: passing ? 0 : 1 };
+  }
+
+  const bands = [...scale.bands].sort((a, b) => b.minPercentage - a.minPercentage);
+  const index = bands.findIndex(band => percentage >= band.minPercentage);
+  const band = bands[index === -1 ? bands.length - 1 : index];
+
+  return {
+    label: band.label,
+    points: band.points,
+    passing: band.passing,
+    rank: index === -1 ? 1 : index / Math.max(bands.length - 1, 1),
+  };
+};
+
 export default function GradesScreen() {
   const { isAuthenticated, isLoading: authLoading } = useAuth();
   const colorScheme = useColorScheme();
@@ -34,6 +78,8 @@ export default function GradesScreen() {
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [error, setError] = useState<string | null>(null);
+  const [courseScales, setCourseScales] = useState<Record<string, GradingScale>>({});
+  const [defaultScale, setDefaultScale] = useState<GradingScale | undefined>(undefined);
   
   // Function to fetch student's submissions with grades
   const fetchGrades = async () => {
@@ -50,6 +96,7 @@ export default function GradesScreen() {
         new Date(b.submittedAt).getTime() - new Date(a.submittedAt).getTime()
       );
       setSubmissions(sortedSubmissions);
+      await fetchGradingScales(sortedSubmissions);
     } catch (err: any) {
       console.error('Error fetching grades:', err);
       // Show more detailed error information
@@ -73,6 +120,28 @@ export default function GradesScreen() {
     }
   };
   
+  // Load the grading scale of every course with a submission
+  const fetchGradingScales = async (items: Submission[]) => {
+    const courseIds = [...new Set(
+      items
+        .map(sub => sub.assignment?.course?._id)
+        .filter((id): id is string => Boolean(id))
+    )];
+
+    const [fallback, ...scales] = await Promise.all([
+      gradingScaleService.getDefaultScale().catch(() => undefined),
+      ...courseIds.map(id => gradingScaleService.getCourseScale(id).catch(() => undefined)),
+    ]);
+
+    const byCourse: Record<string, GradingScale> = {};
+    courseIds.forEach((id, index) => {
+      if (scales[index]) byCourse[id] = scales[index];
+    });
+
+    setDefaultScale(fallback);
+    setCourseScales(byCourse);
+  };
+
   // Fetch grades on component mount and when auth state changes
   useEffect(() => {
     if (isAuthenticated && !authLoading) {
@@ -88,48 +157,47 @@ export default function GradesScreen() {
     fetchGrades();
   };
 
+  const getPercentage = (submission: Submission) =>
+    ((submission.score || 0) / (submission.assignment?.maxScore || 100)) * 100;
+
+  // Grade of a submission on its course's grading scale
+  const getGradeResult = (submission: Submission) => {
+    if (submission.score === undefined) return null;
+    const courseId = submission.assignment?.course?._id;
+    const scale = (courseId && courseScales[courseId]) || defaultScale;
+    return resolveGrade(scale, getPercentage(submission));
+  };
+
   // Calculate GPA and statistics
   const calculateStats = () => {
-    if (!submissions || submissions.length === 0) return { gpa: 0, totalGraded: 0, averageScore: 0 };
+    if (!submissions || submissions.length === 0) return { gpa: null, totalGraded: 0, averagePercentage: 0 };
     
     const gradedSubmissions = submissions.filter(sub => sub.graded && sub.score !== undefined);
     const totalGraded = gradedSubmissions.length;
     
-    if (totalGraded === 0) return { gpa: 0, totalGraded: 0, averageScore: 0 };
+    if (totalGraded === 0) return { gpa: null, totalGraded: 0, averagePercentage: 0 };
     
-    const totalScore = gradedSubmissions.reduce((sum, sub) => sum + (sub.score || 0), 0);
-    const averageScore = totalScore / totalGraded;
+    const totalPercentage = gradedSubmissions.reduce((sum, sub) => sum + getPercentage(sub), 0);
+    const averagePercentage = totalPercentage / totalGraded;
     
-    // Calculate GPA on a 4.0 scale (simplified)
-    let gpa = 0;
-    if (averageScore >= 90) gpa = 4.0;
-    else if (averageScore >= 80) gpa = 3.0;
-    else if (averageScore >= 70) gpa = 2.0;
-    else if (averageScore >= 60) gpa = 1.0;
+    // Average the grade points of each submission's band
+    const points = gradedSubmissions
+      .map(sub => getGradeResult(sub)?.points)
+      .filter((value): value is number => typeof value === 'number');
+    const gpa = points.length > 0 ? points.reduce((sum, value) => sum + value, 0) / points.length : null;
     
-    return { gpa, totalGraded, averageScore };
+    return { gpa, totalGraded, averagePercentage };
   };
   
   const stats = calculateStats();
   
-  // Get letter grade based on score
-  const getLetterGrade = (score?: number) => {
-    if (score === undefined) return '-';
-    if (score >= 90) return 'A';
-    if (score >= 80) return 'B';
-    if (score >= 70) return 'C';
-    if (score >= 60) return 'D';
-    return 'F';
-  };
-  
-  // Get color based on score
-  const getScoreColor = (score?: number) => {
-    if (score === undefined) return '#888';
-    if (score >= 90) return '#4CAF50'; // Green
-    if (score >= 80) return '#8BC34A'; // Light Green
-    if (score >= 70) return '#FFC107'; // Amber
-    if (score >= 60) return '#FF9800'; // Orange
-    return '#F44336'; // Red
+  // Get color based on the band's position in the scale
+  const getGradeColor = (result: GradeResult | null) => {
+    if (!result) return '#888';
+    if (!result.passing) return '#F44336'; // Red
+    if (result.rank === 0) return '#4CAF50'; // Green
+    if (result.rank < 0.5) return '#8BC34A'; // Light Green
+    return '#FF9800'; // Orange
   };
 
   return (
@@ -181,14 +249,14 @@ export default function GradesScreen() {
           {/* Summary Card */}
           <View style={styles.summaryCard}>
             <View style={styles.summaryItem}>
-              <Text style={styles.summaryLabel}>Average Score</Text>
+              <Text style={styles.summaryLabel}>Average</Text>
               <Text style={styles.summaryValue}>
-                {stats.averageScore.toFixed(1)}
+                {stats.averagePercentage.toFixed(1)}%
               </Text>
             </View>
             <View style={styles.summaryItem}>
               <Text style={styles.summaryLabel}>GPA</Text>
-              <Text style={styles.summaryValue}>{stats.gpa.toFixed(1)}</Text>
+              <Text style={styles.summaryValue}>{stats.gpa !== null ? stats.gpa.toFixed(1) : '-'}</Text>
             </View>
             <View style={styles.summaryItem}>
               <Text style={styles.summaryLabel}>Graded</Text>
@@ -232,12 +300,12 @@ export default function GradesScreen() {
                   
                   {submission.graded && (
                     <View style={styles.scoreContainer}>
-                      <View style={[styles.scoreCircle, { backgroundColor: getScoreColor(submission.score) }]}>
-                        <Text style={styles.scoreText}>
-                          {getLetterGrade(submission.score)}
+                      <View style={[styles.scoreCircle, { backgroundColor: getGradeColor(getGradeResult(submission)) }]}>
+                        <Text style={styles.scoreText} numberOfLines={1} adjustsFontSizeToFit>
+                          {getGradeResult(submission)?.label ?? '-'}
                         </Text>
                       </View>
-                      <Text style={[styles.scoreValue, { color: getScoreColor(submission.score) }]}>
+                      <Text style={[styles.scoreValue, { color: getGradeColor(getGradeResult(submission)) }]}>
                         {submission.score !== undefined ? `${submission.score}/${submission.assignment?.maxScore || 100}` : '-'}
                       </Text>
                     </View>
@@ -8,13 +8,13 @@ import { router } from 'expo-router';
 import { courseService } from '../../services/api';
 
 type IconName = "book" | "assignment" | "event-available" | "analytics" | "event" | "chat";
-type RouteDestination = "/(tabs)" | "/(tabs)/courses" | "/(tabs)/assignments" | "/(tabs)/profile";
+type RouteDestination = "/(tabs)" | "/(tabs)/courses" | "/(tabs)/assignments" | "/(tabs)/profile" | "/attendance/excuses";
 
 // Dashboard quick stats
 const QUICK_STATS = [
   { id: '1', title: 'Courses', value: '5', icon: 'book' as IconName, color: '#4CAF50', route: '/(tabs)/courses' as RouteDestination },
   { id: '2', title: 'Assignments', value: '3', icon: 'assignment' as IconName, color: '#FFC107', route: '/(tabs)/assignments' as RouteDestination },
-  { id: '3', title: 'Attendance', value: '98%', icon: 'event-available' as IconName, color: '#2196F3', route: '/(tabs)/profile' as RouteDestination },
+  { id: '3', title: 'Attendance', value: '98%', icon: 'event-available' as IconName, color: '#2196F3', route: '/attendance/excuses' as RouteDestination },
   { id: '4', title: 'Grade Avg.', value: 'A-', icon: 'analytics' as IconName, color: '#9C27B0', route: '/(tabs)/profile' as RouteDestination },
 ];
 
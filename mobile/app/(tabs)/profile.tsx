@@ -1,12 +1,12 @@
 import React, { useState } from 'react';
-import { StyleSheet, ScrollView, Image, TouchableOpacity, Switch, Alert } from 'react-native';
+import { StyleSheet, ScrollView, Image, TouchableOpacity, Switch, Alert, TextInput, ActivityIndicator } from 'react-native';
 import { ThemedView } from '@/components/ThemedView';
 import { ThemedText } from '@/components/ThemedText';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { Ionicons, MaterialIcons } from '@expo/vector-icons';
 import { useColorScheme } from 'react-native';
 import { useAuth } from '../../contexts/AuthContext';
-import { userService } from '../../services/api';
+import { userService, authService } from '../../services/api';
 
 interface UserProfile {
   firstName: string;
@@ -26,6 +26,11 @@ export default function ProfileScreen() {
   const { logout } = useAuth();
   const [userProfile, setUserProfile] = React.useState<UserProfile | null>(null);
   const [isLoading, setIsLoading] = useState(true);
+  const [showPasswordForm, setShowPasswordForm] = useState(false);
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [isChangingPassword, setIsChangingPassword] = useState(false);
 
   const toggleNotifications = () => {
     setNotificationsEnabled(previousState => !previousState);
@@ -67,6 +72,33 @@ export default function ProfileScreen() {
     }
   };
 
+  const handleChangePassword = async () => {
+    if (!currentPassword || !newPassword) {
+      Alert.alert('Error', 'Please enter your current and new password');
+      return;
+    }
+
+    if (newPassword !== confirmPassword) {
+      Alert.alert('Error', 'Passwords do not match');
+      return;
+    }
+
+    try {
+      setIsChangingPassword(true);
+      await authService.changePassword(currentPassword, newPassword);
+      setCurrentPassword('');
+      setNewPassword('');
+      setConfirmPassword('');
+      setShowPasswordForm(false);
+      Alert.alert('Success', 'Password changed. You have been signed out on all other devices.');
+    } catch (error: any) {
+      console.error('Error changing password:', error);
+      Alert.alert('Error', error.response?.data?.message || 'Failed to change password');
+    } finally {
+      setIsChangingPassword(false);
+    }
+  };
+
   const handleLogout = async () => {
     try {
       await logout();
@@ -135,6 +167,55 @@ export default function ProfileScreen() {
           )}
         </ThemedView>
 
+        <ThemedView style={styles.infoSection}>
+          <ThemedText type="subtitle" style={styles.sectionTitle}>Security</ThemedText>
+
+          <TouchableOpacity
+            style={styles.settingTextContainer}
+            onPress={() => setShowPasswordForm(previousState => !previousState)}
+          >
+            <MaterialIcons name="lock" size={20} color="#888" />
+            <ThemedText style={styles.settingText}>Change Password</ThemedText>
+          </TouchableOpacity>
+
+          {showPasswordForm && (
+            <ThemedView style={styles.passwordForm}>
+              <TextInput
+                style={styles.input}
+                placeholder="Current password"
+                value={currentPassword}
+                onChangeText={setCurrentPassword}
+                secureTextEntry
+              />
+              <TextInput
+                style={styles.input}
+                placeholder="New password"
+                value={newPassword}
+                onChangeText={setNewPassword}
+                secureTextEntry
+              />
+              <TextInput
+                style={styles.input}
+                placeholder="Confirm new password"
+                value={confirmPassword}
+                onChangeText={setConfirmPassword}
+                secureTextEntry
+              />
+              <TouchableOpacity
+                style={styles.primaryButton}
+                onPress={handleChangePassword}
+                disabled={isChangingPassword}
+              >
+                {isChangingPassword ? (
+                  <ActivityIndicator color="#fff" />
+                ) : (
+                  <ThemedText style={styles.primaryButtonText}>Update Password</ThemedText>
+                )}
+              </TouchableOpacity>
+            </ThemedView>
+          )}
+        </ThemedView>
+
         <ThemedView style={styles.settingsSection}>
           <ThemedText type="subtitle" style={styles.sectionTitle}>Settings</ThemedText>
           
@@ -257,6 +338,30 @@ const styles = StyleSheet.create({
   settingText: {
     marginLeft: 12,
   },
+  passwordForm: {
+    marginTop: 16,
+  },
+  input: {
+    height: 44,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    marginBottom: 12,
+    fontSize: 16,
+    backgroundColor: '#fff',
+  },
+  primaryButton: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#007AFF',
+    padding: 12,
+    borderRadius: 8,
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
   logoutButton: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -31,7 +31,7 @@ function RootLayoutNav() {
   useEffect(() => {
     if (isLoading || !loaded) return;
 
-    const inAuthGroup = segments[0] === 'login';
+    const inAuthGroup = segments[0] === 'login' || segments[0] === 'forgot-password';
 
     if (!isAuthenticated && !inAuthGroup) {
       router.replace('/login');
@@ -49,6 +49,7 @@ function RootLayoutNav() {
       <Stack>
         <Stack.Screen name="(tabs)" options={{ headerShown: false }} />
         <Stack.Screen name="login" options={{ headerShown: false }} />
+        <Stack.Screen name="forgot-password" options={{ title: 'Şifremi Unuttum' }} />
         <Stack.Screen name="+not-found" />
       </Stack>
       <StatusBar style="auto" />
@@ -33,6 +33,16 @@ interface Attachment {
   uploadDate?: string;
 }
 
+interface RubricScore {
+  criterion: string;
+  criterionTitle: string;
+  level: string;
+  levelTitle: string;
+  points: number;
+  maxPoints: number;
+  comment?: string;
+}
+
 interface Submission {
   _id: string;
   student: {
@@ -45,6 +55,7 @@ interface Submission {
   submittedAt: string;
   score?: number;
   feedback?: string;
+  rubricScores?: RubricScore[];
   status: 'submitted' | 'graded' | 'returned';
   isLate: boolean;
 }
@@ -468,6 +479,41 @@ export default function AssignmentDetailScreen() {
                         </ThemedText>
                       </>
                     )}
+                    {studentSubmission && studentSubmission.status === 'graded' && (
+                      <ThemedView style={styles.gradeSection}>
+                        <ThemedText style={styles.label}>Score:</ThemedText>
+                        <ThemedText style={styles.score}>
+                          {studentSubmission.score} / {assignment.totalPoints}
+                        </ThemedText>
+
+                        {studentSubmission.rubricScores && studentSubmission.rubricScores.length > 0 && (
+                          <ThemedView style={styles.rubric}>
+                            <ThemedText style={styles.label}>Rubric:</ThemedText>
+                            {studentSubmission.rubricScores.map((rubricScore) => (
+                              <ThemedView key={rubricScore.criterion} style={styles.rubricRow}>
+                                <ThemedView style={styles.rubricCriterion}>
+                                  <ThemedText style={styles.rubricCriterionTitle}>{rubricScore.criterionTitle}</ThemedText>
+                                  <ThemedText style={styles.rubricLevel}>{rubricScore.levelTitle}</ThemedText>
+                                  {rubricScore.comment ? (
+                                    <ThemedText style={styles.rubricComment}>{rubricScore.comment}</ThemedText>
+                                  ) : null}
+                                </ThemedView>
+                                <ThemedText style={styles.rubricPoints}>
+                                  {rubricScore.points} / {rubricScore.maxPoints}
+                                </ThemedText>
+                              </ThemedView>
+                            ))}
+                          </ThemedView>
+                        )}
+
+                        {studentSubmission.feedback ? (
+                          <>
+                            <ThemedText style={[styles.label, { marginTop: 12 }]}>Feedback:</ThemedText>
+                            <ThemedText style={styles.feedback}>{studentSubmission.feedback}</ThemedText>
+                          </>
+                        ) : null}
+                      </ThemedView>
+                    )}
                   </ThemedView>
                 )}
               </ThemedView>
@@ -639,6 +685,37 @@ const styles = StyleSheet.create({
   },
   gradeSection: {
     marginTop: 16,
+    alignSelf: 'stretch',
+  },
+  rubric: {
+    marginTop: 12,
+  },
+  rubricRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    backgroundColor: '#fff',
+    padding: 12,
+    borderRadius: 8,
+    marginBottom: 8,
+  },
+  rubricCriterion: {
+    flex: 1,
+    backgroundColor: 'transparent',
+  },
+  rubricCriterionTitle: {
+    fontWeight: 'bold',
+  },
+  rubricLevel: {
+    color: '#666',
+  },
+  rubricComment: {
+    marginTop: 4,
+    color: '#666',
+    fontStyle: 'italic',
+  },
+  rubricPoints: {
+    marginLeft: 12,
+    fontWeight: 'bold',
   },
   score: {
     color: '#666',
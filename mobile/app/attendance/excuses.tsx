@@ -0,0 +1,678 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { StyleSheet, ScrollView, TouchableOpacity, ActivityIndicator, Alert, TextInput, Platform } from 'react-native';
+import { router } from 'expo-router';
+import { ThemedView } from '../../components/ThemedView';
+import { ThemedText } from '../../components/ThemedText';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import * as DocumentPicker from 'expo-document-picker';
+import * as Linking from 'expo-linking';
+import { attendanceService, courseService, userService } from '../../services/api';
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const STATUS_COLORS: Record<ExcuseStatus, string> = {
+  pending: '#FFC107',
+  approved: '#4caf50',
+  rejected: '#ff6b6b',
+};
+
+type ExcuseStatus = 'pending' | 'approved' | 'rejected';
+
+interface Person {
+  _id: string;
+  firstName: string;
+  lastName: string;
+}
+
+interface Session {
+  _id: string;
+  day: string;
+  startTime: string;
+  endTime: string;
+  room: string;
+}
+
+interface Course {
+  _id: string;
+  name: string;
+  students?: (string | Person)[];
+  schedule?: Session[];
+}
+
+interface Excuse {
+  _id: string;
+  student?: Person;
+  course?: { _id: string; name: string };
+  date: string;
+  startTime?: string;
+  endTime?: string;
+  reason: string;
+  document?: { fileName: string; fileUrl: string };
+  status: ExcuseStatus;
+  submittedBy?: Person;
+  reviewedBy?: Person;
+  reviewNotes?: string;
+  createdAt: string;
+}
+
+const describeAbsence = (excuse: Excuse) => {
+  const date = new Date(excuse.date).toLocaleDateString(undefined, { timeZone: 'UTC' });
+  return excuse.startTime ? `${date} · ${excuse.startTime}-${excuse.endTime}` : `${date} · whole day`;
+};
+
+// Review queue for teachers and admins; submission form and own excuses for students and parents
+export default function AbsenceExcusesScreen() {
+  const [role, setRole] = useState('');
+  const [excuses, setExcuses] = useState<Excuse[]>([]);
+  const [statusFilter, setStatusFilter] = useState<ExcuseStatus | ''>('');
+  const [courses, setCourses] = useState<Course[]>([]);
+  const [children, setChildren] = useState<Person[]>([]);
+  const [userId, setUserId] = useState('');
+  const [student, setStudent] = useState('');
+  const [course, setCourse] = useState('');
+  const [date, setDate] = useState(new Date().toISOString().split('T')[0]);
+  const [session, setSession] = useState('');
+  const [reason, setReason] = useState('');
+  const [documentFile, setDocumentFile] = useState<DocumentPicker.DocumentPickerAsset | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [reviewing, setReviewing] = useState<Excuse | null>(null);
+  const [reviewNotes, setReviewNotes] = useState('');
+  const [actionId, setActionId] = useState<string | null>(null);
+  const [error, setError] = useState('');
+
+  const isReviewer = role === 'teacher' || role === 'admin';
+  const isParent = role === 'parent';
+
+  useEffect(() => {
+    const loadUser = async () => {
+      try {
+        const profile = await userService.getProfile();
+        setRole(profile.role);
+        setUserId(profile._id);
+        setStatusFilter(profile.role === 'teacher' || profile.role === 'admin' ? 'pending' : '');
+
+        if (profile.role !== 'teacher' && profile.role !== 'admin') {
+          setCourses(await courseService.getAllCourses());
+        }
+
+        if (profile.role === 'parent') {
+          const students = await userService.getParentStudents();
+          setChildren(students);
+          if (students.length > 0) {
+            setStudent(students[0]._id);
+          }
+        }
+      } catch (error: any) {
+        console.error('Error loading profile:', error);
+        setError(error.userMessage || 'Failed to load absence excuses');
+        setLoading(false);
+      }
+    };
+
+    loadUser();
+  }, []);
+
+  const fetchExcuses = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const data = await attendanceService.getExcuses(statusFilter ? { status: statusFilter } : {});
+      setExcuses(data);
+    } catch (error: any) {
+      console.error('Error fetching excuses:', error);
+      setError(error.userMessage || 'Failed to load absence excuses');
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter]);
+
+  useEffect(() => {
+    if (role) {
+      fetchExcuses();
+    }
+  }, [role, fetchExcuses]);
+
+  // Courses of the student the excuse is for
+  const studentId = isParent ? student : userId;
+  const studentCourses = courses.filter(item =>
+    !Array.isArray(item.students) ||
+    item.students.some(entry => (typeof entry === 'string' ? entry : entry._id) === studentId));
+  const selectedCourse = studentCourses.find(item => item._id === course);
+  const daySessions = (selectedCourse?.schedule || [])
+    .filter(entry => entry.day === DAYS[new Date(date).getUTCDay()])
+    .sort((a, b) => a.startTime.localeCompare(b.startTime));
+
+  const pickDocument = async () => {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: ['application/pdf', 'image/png', 'image/jpeg'],
+        copyToCacheDirectory: true,
+      });
+
+      if (!result.canceled && result.assets.length > 0) {
+        setDocumentFile(result.assets[0]);
+      }
+    } catch (error) {
+      console.error('Error picking document:', error);
+      Alert.alert('Error', 'Failed to pick the document');
+    }
+  };
+
+  const handleSubmit = async () => {
+    if (!course) {
+      Alert.alert('Error', 'Please select a course');
+      return;
+    }
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date).getTime())) {
+      Alert.alert('Error', 'Please enter the date of the absence as YYYY-MM-DD');
+      return;
+    }
+
+    if (!reason.trim()) {
+      Alert.alert('Error', 'Please give a reason for the absence');
+      return;
+    }
+
+    const formData = new FormData();
+    formData.append('course', course);
+    formData.append('date', date);
+    formData.append('reason', reason.trim());
+    if (session) formData.append('session', session);
+    if (isParent) formData.append('student', student);
+    if (documentFile) {
+      formData.append('document', {
+        uri: documentFile.uri,
+        name: documentFile.name,
+        type: documentFile.mimeType || 'application/octet-stream',
+      } as any);
+    }
+
+    try {
+      setSubmitting(true);
+      await attendanceService.submitExcuse(formData);
+      setCourse('');
+      setSession('');
+      setReason('');
+      setDocumentFile(null);
+      Alert.alert('Success', 'Your excuse was sent to the teacher for review');
+      fetchExcuses();
+    } catch (error: any) {
+      console.error('Error submitting excuse:', error);
+      Alert.alert('Error', error.userMessage || 'Failed to submit the excuse');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const reviewExcuse = async (excuse: Excuse, status: 'approved' | 'rejected', notes?: string) => {
+    try {
+      setActionId(excuse._id);
+      await attendanceService.reviewExcuse(excuse._id, status, notes);
+      setReviewing(null);
+      setReviewNotes('');
+      fetchExcuses();
+    } catch (error: any) {
+      console.error('Error reviewing excuse:', error);
+      Alert.alert('Error', error.userMessage || 'Failed to review the excuse');
+    } finally {
+      setActionId(null);
+    }
+  };
+
+  const confirmApprove = (excuse: Excuse) => {
+    Alert.alert(
+      'Approve Excuse',
+      `Approve the excuse and mark ${excuse.student?.firstName} ${excuse.student?.lastName} as excused?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Approve', onPress: () => reviewExcuse(excuse, 'approved') },
+      ]
+    );
+  };
+
+  const openDocument = async (url: string) => {
+    try {
+      await Linking.openURL(url);
+    } catch (error) {
+      console.error('Error opening document:', error);
+      Alert.alert('Error', 'Failed to open the document');
+    }
+  };
+
+  const renderChip = (key: string, label: string, selected: boolean, onPress: () => void) => (
+    <TouchableOpacity
+      key={key}
+      style={[styles.chip, selected && styles.chipSelected]}
+      onPress={onPress}
+    >
+      <ThemedText style={[styles.chipText, selected && styles.chipTextSelected]}>{label}</ThemedText>
+    </TouchableOpacity>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView style={styles.scrollView}>
+        <ThemedView style={styles.header}>
+          <TouchableOpacity
+            style={styles.backButton}
+            onPress={() => router.back()}
+          >
+            <Ionicons name="arrow-back" size={24} color="#007AFF" />
+            <ThemedText style={styles.backButtonText}>Back</ThemedText>
+          </TouchableOpacity>
+          <ThemedText type="title">Absence Excuses</ThemedText>
+        </ThemedView>
+
+        {role !== '' && !isReviewer && (
+          <ThemedView style={styles.form}>
+            <ThemedText type="subtitle">Excuse an absence</ThemedText>
+
+            {isParent && (
+              <>
+                <ThemedText style={styles.label}>Child</ThemedText>
+                <ThemedView style={styles.chipRow}>
+                  {children.map(child => renderChip(child._id, `${child.firstName} ${child.lastName}`, student === child._id, () => {
+                    setStudent(child._id);
+                    setCourse('');
+                    setSession('');
+                  }))}
+                </ThemedView>
+              </>
+            )}
+
+            <ThemedText style={styles.label}>Course</ThemedText>
+            <ThemedView style={styles.chipRow}>
+              {studentCourses.length === 0 ? (
+                <ThemedText style={styles.mutedText}>No courses found</ThemedText>
+              ) : (
+                studentCourses.map(item => renderChip(item._id, item.name, course === item._id, () => {
+                  setCourse(item._id);
+                  setSession('');
+                }))
+              )}
+            </ThemedView>
+
+            <ThemedText style={styles.label}>Date of the absence</ThemedText>
+            <TextInput
+              style={styles.input}
+              value={date}
+              onChangeText={(value) => {
+                setDate(value);
+                setSession('');
+              }}
+              placeholder="YYYY-MM-DD"
+              placeholderTextColor="#666"
+            />
+
+            {daySessions.length > 0 && (
+              <>
+                <ThemedText style={styles.label}>Session</ThemedText>
+                <ThemedView style={styles.chipRow}>
+                  {renderChip('whole-day', 'Whole day', session === '', () => setSession(''))}
+                  {daySessions.map(entry => renderChip(entry._id, `${entry.startTime}-${entry.endTime}`, session === entry._id, () => setSession(entry._id)))}
+                </ThemedView>
+              </>
+            )}
+
+            <ThemedText style={styles.label}>Reason</ThemedText>
+            <TextInput
+              style={[styles.input, styles.multilineInput]}
+              value={reason}
+              onChangeText={setReason}
+              multiline
+              maxLength={1000}
+              placeholder="Why is or was the student absent?"
+              placeholderTextColor="#666"
+            />
+
+            <TouchableOpacity style={styles.documentButton} onPress={pickDocument}>
+              <Ionicons name="attach-outline" size={20} color="#007AFF" />
+              <ThemedText style={styles.documentButtonText}>
+                {documentFile ? documentFile.name : 'Attach a doctor\'s note (PDF, PNG or JPEG)'}
+              </ThemedText>
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={[styles.primaryButton, submitting && styles.buttonDisabled]}
+              onPress={handleSubmit}
+              disabled={submitting}
+            >
+              {submitting ? (
+                <ActivityIndicator color="#fff" />
+              ) : (
+                <ThemedText style={styles.primaryButtonText}>Submit Excuse</ThemedText>
+              )}
+            </TouchableOpacity>
+          </ThemedView>
+        )}
+
+        <ThemedView style={styles.filterRow}>
+          {renderChip('pending', 'Waiting', statusFilter === 'pending', () => setStatusFilter('pending'))}
+          {renderChip('approved', 'Approved', statusFilter === 'approved', () => setStatusFilter('approved'))}
+          {renderChip('rejected', 'Rejected', statusFilter === 'rejected', () => setStatusFilter('rejected'))}
+          {renderChip('all', 'All', statusFilter === '', () => setStatusFilter(''))}
+        </ThemedView>
+
+        {loading ? (
+          <ThemedView style={styles.loadingContainer}>
+            <ActivityIndicator size="large" />
+          </ThemedView>
+        ) : error ? (
+          <ThemedView style={styles.errorContainer}>
+            <Ionicons name="alert-circle-outline" size={48} color="#ff6b6b" />
+            <ThemedText style={{ marginTop: 16 }}>{error}</ThemedText>
+            <TouchableOpacity style={styles.primaryButton} onPress={fetchExcuses}>
+              <ThemedText style={styles.primaryButtonText}>Retry</ThemedText>
+            </TouchableOpacity>
+          </ThemedView>
+        ) : excuses.length === 0 ? (
+          <ThemedView style={styles.emptyState}>
+            <Ionicons name="document-text-outline" size={48} color="#666" />
+            <ThemedText style={styles.emptyStateText}>
+              {isReviewer && statusFilter === 'pending' ? 'No excuses are waiting for review' : 'No excuses found'}
+            </ThemedText>
+          </ThemedView>
+        ) : (
+          <ThemedView style={styles.list}>
+            {excuses.map(excuse => (
+              <ThemedView key={excuse._id} style={styles.card}>
+                <ThemedView style={styles.cardHeader}>
+                  <ThemedText style={styles.studentName}>
+                    {excuse.student?.firstName} {excuse.student?.lastName}
+                  </ThemedText>
+                  <ThemedView style={[styles.badge, { backgroundColor: STATUS_COLORS[excuse.status] }]}>
+                    <ThemedText style={styles.badgeText}>
+                      {excuse.status.charAt(0).toUpperCase() + excuse.status.slice(1)}
+                    </ThemedText>
+                  </ThemedView>
+                </ThemedView>
+                <ThemedText style={styles.mutedText}>
+                  {excuse.course?.name} · {describeAbsence(excuse)}
+                </ThemedText>
+                <ThemedText style={styles.reason}>{excuse.reason}</ThemedText>
+                {excuse.document?.fileUrl && (
+                  <TouchableOpacity
+                    style={styles.attachmentItem}
+                    onPress={() => openDocument(excuse.document!.fileUrl)}
+                  >
+                    <Ionicons name="document-outline" size={20} color="#666" />
+                    <ThemedText style={styles.attachmentName}>{excuse.document.fileName}</ThemedText>
+                  </TouchableOpacity>
+                )}
+                <ThemedText style={styles.mutedText}>
+                  Sent by {excuse.submittedBy ? `${excuse.submittedBy.firstName} ${excuse.submittedBy.lastName}` : 'unknown user'} on {new Date(excuse.createdAt).toLocaleDateString()}
+                </ThemedText>
+                {excuse.reviewedBy && (
+                  <ThemedText style={styles.mutedText}>
+                    Reviewed by {excuse.reviewedBy.firstName} {excuse.reviewedBy.lastName}
+                    {excuse.reviewNotes ? `: "${excuse.reviewNotes}"` : ''}
+                  </ThemedText>
+                )}
+
+                {isReviewer && excuse.status === 'pending' && (
+                  reviewing?._id === excuse._id ? (
+                    <ThemedView style={styles.reviewForm}>
+                      <TextInput
+                        style={[styles.input, styles.multilineInput]}
+                        value={reviewNotes}
+                        onChangeText={setReviewNotes}
+                        multiline
+                        maxLength={500}
+                        placeholder="Why is this excuse rejected? The student and their parents are told."
+                        placeholderTextColor="#666"
+                      />
+                      <ThemedView style={styles.actionRow}>
+                        <TouchableOpacity
+                          style={styles.cancelButton}
+                          onPress={() => {
+                            setReviewing(null);
+                            setReviewNotes('');
+                          }}
+                        >
+                          <ThemedText style={styles.cancelButtonText}>Cancel</ThemedText>
+                        </TouchableOpacity>
+                        <TouchableOpacity
+                          style={[styles.rejectButton, actionId === excuse._id && styles.buttonDisabled]}
+                          onPress={() => reviewExcuse(excuse, 'rejected', reviewNotes)}
+                          disabled={actionId === excuse._id}
+                        >
+                          <ThemedText style={styles.primaryButtonText}>Reject</ThemedText>
+                        </TouchableOpacity>
+                      </ThemedView>
+                    </ThemedView>
+                  ) : (
+                    <ThemedView style={styles.actionRow}>
+                      <TouchableOpacity
+                        style={[styles.rejectButton, actionId === excuse._id && styles.buttonDisabled]}
+                        onPress={() => setReviewing(excuse)}
+                        disabled={actionId === excuse._id}
+                      >
+                        <ThemedText style={styles.primaryButtonText}>Reject</ThemedText>
+                      </TouchableOpacity>
+                      <TouchableOpacity
+                        style={[styles.approveButton, actionId === excuse._id && styles.buttonDisabled]}
+                        onPress={() => confirmApprove(excuse)}
+                        disabled={actionId === excuse._id}
+                      >
+                        <ThemedText style={styles.primaryButtonText}>Approve</ThemedText>
+                      </TouchableOpacity>
+                    </ThemedView>
+                  )
+                )}
+              </ThemedView>
+            ))}
+          </ThemedView>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  scrollView: {
+    flex: 1,
+  },
+  header: {
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  backButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  backButtonText: {
+    marginLeft: 8,
+    color: '#007AFF',
+    fontSize: 16,
+  },
+  form: {
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  label: {
+    fontWeight: '600',
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    color: '#000',
+    backgroundColor: '#fff',
+  },
+  multilineInput: {
+    height: 100,
+    textAlignVertical: 'top',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  filterRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    paddingHorizontal: 16,
+    paddingTop: 16,
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipSelected: {
+    backgroundColor: '#007AFF',
+  },
+  chipText: {
+    color: '#007AFF',
+    fontSize: 14,
+  },
+  chipTextSelected: {
+    color: '#fff',
+  },
+  documentButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  documentButtonText: {
+    marginLeft: 8,
+    color: '#007AFF',
+  },
+  primaryButton: {
+    backgroundColor: '#007AFF',
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginTop: 16,
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+  loadingContainer: {
+    padding: 32,
+    alignItems: 'center',
+  },
+  errorContainer: {
+    alignItems: 'center',
+    padding: 20,
+  },
+  emptyState: {
+    alignItems: 'center',
+    padding: 32,
+  },
+  emptyStateText: {
+    color: '#666',
+    marginTop: 16,
+    fontSize: 16,
+  },
+  list: {
+    padding: 16,
+  },
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 16,
+    marginBottom: 12,
+    ...Platform.select({
+      ios: {
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 2 },
+        shadowOpacity: 0.1,
+        shadowRadius: 4,
+      },
+      android: {
+        elevation: 2,
+      },
+    }),
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  studentName: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  badge: {
+    borderRadius: 12,
+    paddingHorizontal: 10,
+    paddingVertical: 2,
+  },
+  badgeText: {
+    color: '#fff',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  mutedText: {
+    color: '#666',
+    fontSize: 14,
+    marginTop: 2,
+  },
+  reason: {
+    marginVertical: 8,
+  },
+  attachmentItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  attachmentName: {
+    marginLeft: 8,
+    color: '#007AFF',
+  },
+  reviewForm: {
+    marginTop: 12,
+  },
+  actionRow: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 12,
+  },
+  approveButton: {
+    backgroundColor: '#4caf50',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 8,
+    marginLeft: 8,
+  },
+  rejectButton: {
+    backgroundColor: '#ff6b6b',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 8,
+    marginLeft: 8,
+  },
+  cancelButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#ddd',
+  },
+  cancelButtonText: {
+    color: '#666',
+  },
+});
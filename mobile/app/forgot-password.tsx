@@ -0,0 +1,190 @@
+import React, { useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet, ActivityIndicator, Alert } from 'react-native';
+import { router } from 'expo-router';
+import { authService } from '../services/api';
+
+export default function ForgotPasswordScreen() {
+  const [email, setEmail] = useState('');
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [codeSent, setCodeSent] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleRequestCode = async () => {
+    if (!email) {
+      setError('Lütfen email adresinizi giriniz');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      await authService.forgotPassword(email);
+      setCodeSent(true);
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Sıfırlama isteği gönderilemedi');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleResetPassword = async () => {
+    if (!code || !password) {
+      setError('Lütfen sıfırlama kodunu ve yeni şifrenizi giriniz');
+      return;
+    }
+
+    if (password !== confirmPassword) {
+      setError('Şifreler eşleşmiyor');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      await authService.resetPassword(code.trim(), password);
+      Alert.alert('Başarılı', 'Şifreniz sıfırlandı. Yeni şifrenizle giriş yapabilirsiniz.');
+      router.replace('/login');
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Şifre sıfırlanamadı');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Şifremi Unuttum</Text>
+
+      {error ? <Text style={styles.error}>{error}</Text> : null}
+
+      {!codeSent ? (
+        <>
+          <Text style={styles.description}>
+            Email adresinizi girin, size bir şifre sıfırlama kodu gönderelim.
+          </Text>
+
+          <TextInput
+            style={styles.input}
+            placeholder="Email"
+            value={email}
+            onChangeText={setEmail}
+            autoCapitalize="none"
+            keyboardType="email-address"
+            autoComplete="email"
+          />
+
+          <TouchableOpacity style={styles.button} onPress={handleRequestCode} disabled={loading}>
+            {loading ? (
+              <ActivityIndicator color="#fff" />
+            ) : (
+              <Text style={styles.buttonText}>Kod Gönder</Text>
+            )}
+          </TouchableOpacity>
+        </>
+      ) : (
+        <>
+          <Text style={styles.description}>
+            Bu email ile kayıtlı bir hesap varsa, sıfırlama kodu gönderildi. Kodu ve yeni şifrenizi girin.
+          </Text>
+
+          <TextInput
+            style={styles.input}
+            placeholder="Sıfırlama kodu"
+            value={code}
+            onChangeText={setCode}
+            autoCapitalize="none"
+            autoCorrect={false}
+          />
+
+          <TextInput
+            style={styles.input}
+            placeholder="Yeni şifre"
+            value={password}
+            onChangeText={setPassword}
+            secureTextEntry
+          />
+
+          <TextInput
+            style={styles.input}
+            placeholder="Yeni şifre (tekrar)"
+            value={confirmPassword}
+            onChangeText={setConfirmPassword}
+            secureTextEntry
+          />
+
+          <TouchableOpacity style={styles.button} onPress={handleResetPassword} disabled={loading}>
+            {loading ? (
+              <ActivityIndicator color="#fff" />
+            ) : (
+              <Text style={styles.buttonText}>Şifreyi Sıfırla</Text>
+            )}
+          </TouchableOpacity>
+        </>
+      )}
+
+      <TouchableOpacity style={styles.linkButton} onPress={() => router.replace('/login')}>
+        <Text style={styles.linkText}>Giriş ekranına dön</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    justifyContent: 'center',
+    padding: 20,
+    backgroundColor: '#fff',
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    marginBottom: 20,
+    textAlign: 'center',
+  },
+  description: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 20,
+    textAlign: 'center',
+  },
+  input: {
+    height: 50,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    paddingHorizontal: 15,
+    marginBottom: 15,
+    fontSize: 16,
+  },
+  button: {
+    backgroundColor: '#007AFF',
+    height: 50,
+    borderRadius: 8,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  linkButton: {
+    marginTop: 15,
+    alignItems: 'center',
+  },
+  linkText: {
+    color: '#007AFF',
+    fontSize: 14,
+  },
+  error: {
+    color: 'red',
+    marginBottom: 15,
+    textAlign: 'center',
+  },
+});
@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { View, Text, TextInput, TouchableOpacity, StyleSheet, ActivityIndicator, Alert } from 'react-native';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet, ActivityIndicator, Alert, Image, ScrollView } from 'react-native';
 import { useAuth } from '../contexts/AuthContext';
 import { router } from 'expo-router';
 import { authService } from '../services/api';
@@ -9,8 +9,30 @@ export default function LoginScreen() {
   const [password, setPassword] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  // İkinci adım: şifre doğrulandıktan sonra kod girişi veya zorunlu 2FA kurulumu
+  const [step, setStep] = useState<'password' | 'code' | 'setup' | 'backupCodes'>('password');
+  const [challengeToken, setChallengeToken] = useState('');
+  const [code, setCode] = useState('');
+  const [setupData, setSetupData] = useState<{ secret: string; qrCode: string } | null>(null);
+  const [enableResult, setEnableResult] = useState<any>(null);
   const { login } = useAuth();
 
+  const finishLogin = async (token: string, refreshToken: string) => {
+    // Token'ı sakla ve auth durumunu güncelle
+    await login(token, refreshToken);
+    
+    // Ana sayfaya yönlendir
+    router.replace('/(tabs)');
+  };
+
+  const resetToPassword = () => {
+    setStep('password');
+    setChallengeToken('');
+    setCode('');
+    setSetupData(null);
+    setError('');
+  };
+
   const handleLogin = async () => {
     if (!email || !password) {
       setError('Lütfen email ve şifrenizi giriniz');
@@ -23,11 +45,20 @@ export default function LoginScreen() {
     try {
       const response = await authService.login(email, password);
       
-      // Token'ı sakla ve auth durumunu güncelle
-      await login(response.token);
+      if (response.twoFactorRequired) {
+        setChallengeToken(response.challengeToken);
+        setStep('code');
+        return;
+      }
+      
+      if (response.twoFactorSetupRequired) {
+        setChallengeToken(response.challengeToken);
+        setSetupData(await authService.setupTwoFactor(response.challengeToken));
+        setStep('setup');
+        return;
+      }
       
-      // Ana sayfaya yönlendir
-      router.replace('/(tabs)');
+      await finishLogin(response.token, response.refreshToken);
     } catch (err: any) {
       setError(err.response?.data?.message || 'Giriş başarısız oldu');
       Alert.alert('Hata', err.response?.data?.message || 'Giriş başarısız oldu');
@@ -36,6 +67,120 @@ export default function LoginScreen() {
     }
   };
 
+  const handleVerifyCode = async () => {
+    if (!code) {
+      setError('Lütfen doğrulama kodunu giriniz');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await authService.verifyTwoFactor(challengeToken, code.trim());
+      await finishLogin(response.token, response.refreshToken);
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Kod doğrulanamadı');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleEnableTwoFactor = async () => {
+    if (!code) {
+      setError('Lütfen doğrulama kodunu giriniz');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await authService.enableTwoFactor(code.trim(), challengeToken);
+      setEnableResult(response);
+      setStep('backupCodes');
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Kod doğrulanamadı');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (step === 'backupCodes' && enableResult) {
+    return (
+      <ScrollView contentContainerStyle={styles.scrollContainer}>
+        <Text style={styles.title}>Yedek Kodlar</Text>
+        <Text style={styles.description}>
+          İki adımlı doğrulama etkinleştirildi. Bu yedek kodları güvenli bir yere kaydedin.
+          Her biri, doğrulama uygulamanıza erişemediğinizde bir kez kullanılabilir ve tekrar gösterilmeyecek.
+        </Text>
+        {enableResult.backupCodes.map((backupCode: string) => (
+          <Text key={backupCode} style={styles.backupCode}>{backupCode}</Text>
+        ))}
+        <TouchableOpacity
+          style={[styles.button, styles.spacedButton]}
+          onPress={() => finishLogin(enableResult.token, enableResult.refreshToken)}
+        >
+          <Text style={styles.buttonText}>Kodları kaydettim, devam et</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    );
+  }
+
+  if (step === 'code' || step === 'setup') {
+    return (
+      <ScrollView contentContainerStyle={styles.scrollContainer} keyboardShouldPersistTaps="handled">
+        <Text style={styles.title}>İki Adımlı Doğrulama</Text>
+
+        {error ? <Text style={styles.error}>{error}</Text> : null}
+
+        {step === 'setup' && setupData ? (
+          <>
+            <Text style={styles.description}>
+              Hesabınız için iki adımlı doğrulama zorunludur. QR kodunu bir doğrulama uygulamasıyla
+              (Google Authenticator, Microsoft Authenticator, Authy) tarayın ve gösterilen 6 haneli kodu girin.
+            </Text>
+            <Image source={{ uri: setupData.qrCode }} style={styles.qrCode} />
+            <Text style={styles.description} selectable>
+              Tarayamıyor musunuz? Bu anahtarı elle girin: {setupData.secret}
+            </Text>
+          </>
+        ) : (
+          <Text style={styles.description}>
+            Doğrulama uygulamanızdaki kodu girin. Cihazınızı kaybettiyseniz yedek kodlarınızdan birini kullanabilirsiniz.
+          </Text>
+        )}
+
+        <TextInput
+          style={styles.input}
+          placeholder="Doğrulama kodu"
+          value={code}
+          onChangeText={setCode}
+          autoCapitalize="none"
+          autoCorrect={false}
+          keyboardType={step === 'setup' ? 'number-pad' : 'default'}
+          autoComplete="one-time-code"
+        />
+
+        <TouchableOpacity
+          style={styles.button}
+          onPress={step === 'setup' ? handleEnableTwoFactor : handleVerifyCode}
+          disabled={loading}
+        >
+          {loading ? (
+            <ActivityIndicator color="#fff" />
+          ) : (
+            <Text style={styles.buttonText}>{step === 'setup' ? 'Etkinleştir' : 'Doğrula'}</Text>
+          )}
+        </TouchableOpacity>
+
+        <TouchableOpacity style={styles.linkButton} onPress={resetToPassword}>
+          <Text style={styles.linkText}>Girişe geri dön</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    );
+  }
+
   return (
     <View style={styles.container}>
       <Text style={styles.title}>Giriş Yap</Text>
@@ -72,6 +217,10 @@ export default function LoginScreen() {
           <Text style={styles.buttonText}>Giriş Yap</Text>
         )}
       </TouchableOpacity>
+
+      <TouchableOpacity style={styles.linkButton} onPress={() => router.push('/forgot-password')}>
+        <Text style={styles.linkText}>Şifremi unuttum</Text>
+      </TouchableOpacity>
     </View>
   );
 }
@@ -83,6 +232,12 @@ const styles = StyleSheet.create({
     padding: 20,
     backgroundColor: '#fff',
   },
+  scrollContainer: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    padding: 20,
+    backgroundColor: '#fff',
+  },
   title: {
     fontSize: 24,
     fontWeight: 'bold',
@@ -110,6 +265,35 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: 'bold',
   },
+  linkButton: {
+    marginTop: 15,
+    alignItems: 'center',
+  },
+  linkText: {
+    color: '#007AFF',
+    fontSize: 14,
+  },
+  description: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 20,
+    textAlign: 'center',
+  },
+  qrCode: {
+    width: 200,
+    height: 200,
+    alignSelf: 'center',
+    marginBottom: 15,
+  },
+  backupCode: {
+    fontSize: 18,
+    fontFamily: 'monospace',
+    textAlign: 'center',
+    marginBottom: 8,
+  },
+  spacedButton: {
+    marginTop: 20,
+  },
   error: {
     color: 'red',
     marginBottom: 15,
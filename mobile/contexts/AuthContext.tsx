@@ -1,10 +1,11 @@
 import React, { createContext, useState, useContext, useEffect } from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { authService } from '../services/api';
 
 type AuthContextType = {
   isAuthenticated: boolean;
   isLoading: boolean;
-  login: (token: string) => Promise<void>;
+  login: (token: string, refreshToken?: string) => Promise<void>;
   logout: () => Promise<void>;
 };
 
@@ -29,9 +30,12 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
     }
   };
 
-  const login = async (token: string) => {
+  const login = async (token: string, refreshToken?: string) => {
     try {
       await AsyncStorage.setItem('authToken', token);
+      if (refreshToken) {
+        await AsyncStorage.setItem('refreshToken', refreshToken);
+      }
       setIsAuthenticated(true);
     } catch (error) {
       console.error('Login failed:', error);
@@ -41,7 +45,7 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
 
   const logout = async () => {
     try {
-      await AsyncStorage.removeItem('authToken');
+      await authService.logout();
       setIsAuthenticated(false);
     } catch (error) {
       console.error('Logout failed:', error);
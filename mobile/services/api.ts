@@ -43,6 +43,33 @@ const api = axios.create({
   },
 });
 
+// Refresh tokens are single-use, so concurrent 401s must share one refresh call
+let refreshPromise: Promise<string | null> | null = null;
+
+// Exchange the stored refresh token for a new token pair
+export const refreshSession = (): Promise<string | null> => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = await AsyncStorage.getItem('refreshToken');
+      if (!refreshToken) {
+        return null;
+      }
+
+      // Plain axios so the refresh call bypasses this instance's interceptors
+      const response = await axios.post(`${API_URL}/auth/refresh`, { refreshToken });
+      await AsyncStorage.multiSet([
+        ['authToken', response.data.token],
+        ['refreshToken', response.data.refreshToken],
+      ]);
+      return response.data.token;
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+
+  return refreshPromise;
+};
+
 // Request interceptor - adds token to each request
 api.interceptors.request.use(
   async (config) => {
@@ -81,6 +108,25 @@ api.interceptors.response.use(
       return api(originalRequest);
     }
     
+    // Try to refresh the session once before treating a 401 as a logout
+    if (error.response?.status === 401 &&
+        originalRequest &&
+        !originalRequest._authRetry &&
+        !originalRequest.url?.includes('/auth/refresh')) {
+
+      originalRequest._authRetry = true;
+
+      try {
+        const token = await refreshSession();
+        if (token) {
+          originalRequest.headers.Authorization = `Bearer ${token}`;
+          return api(originalRequest);
+        }
+      } catch (refreshError) {
+        console.error('Token refresh failed:', refreshError);
+      }
+    }
+    
     // Handle different types of errors
     if (error.code === 'ECONNABORTED') {
       console.error('API Timeout Error: Request took too long to complete');
@@ -99,8 +145,8 @@ api.interceptors.response.use(
       });
       
       if (error.response.status === 401) {
-        // Token is invalid or expired
-        await AsyncStorage.removeItem('authToken');
+        // Token is invalid or expired and could not be refreshed
+        await AsyncStorage.multiRemove(['authToken', 'refreshToken']);
         // Redirect user to login page will be handled by navigation hooks in the components
         console.log('Authentication token expired or invalid');
         error.userMessage = 'Oturum süreniz dolmuş. Lütfen tekrar giriş yapın.';
@@ -133,8 +179,43 @@ export const authService = {
     const response = await api.post('/auth/register', userData);
     return response.data;
   },
+  verifyTwoFactor: async (challengeToken: string, code: string) => {
+    const response = await api.post('/auth/2fa/verify', { challengeToken, code });
+    return response.data;
+  },
+  setupTwoFactor: async (challengeToken?: string) => {
+    const response = await api.post('/auth/2fa/setup', challengeToken ? { challengeToken } : {});
+    return response.data.data;
+  },
+  enableTwoFactor: async (code: string, challengeToken?: string) => {
+    const response = await api.post('/auth/2fa/enable', { code, challengeToken });
+    return response.data;
+  },
+  forgotPassword: async (email: string) => {
+    const response = await api.post('/auth/forgot-password', { email });
+    return response.data;
+  },
+  resetPassword: async (token: string, password: string) => {
+    const response = await api.put(`/auth/reset-password/${token}`, { password });
+    return response.data;
+  },
+  changePassword: async (currentPassword: string, newPassword: string) => {
+    const response = await api.put('/auth/password', { currentPassword, newPassword });
+    // Other sessions were signed out; keep this one with the new tokens
+    await AsyncStorage.multiSet([
+      ['authToken', response.data.token],
+      ['refreshToken', response.data.refreshToken],
+    ]);
+    return response.data;
+  },
   logout: async () => {
-    await AsyncStorage.removeItem('authToken');
+    try {
+      // Revoke the session on the server before dropping the local tokens
+      await api.post('/auth/logout');
+    } catch (error) {
+      console.error('Server logout failed:', error);
+    }
+    await AsyncStorage.multiRemove(['authToken', 'refreshToken']);
   },
 };
 
@@ -154,6 +235,12 @@ export const userService = {
       return response.data.data;
     }
     return response.data;
+  },  getParentStudents: async () => {
+    const response = await api.get('/users/parent/students');
+    if (response.data && response.data.data) {
+      return response.data.data;
+    }
+    return response.data;
   },
 };
 
@@ -622,4 +709,68 @@ export const assignmentService = {
   },
 };
 
+// Attendance service
+export const attendanceService = {
+  /**
+   * Get absence excuses the user can see: their own, their children's, or those of the courses they teach
+   * @param params Optional status, course and student filters
+   * @returns Excuses
+   */
+  getExcuses: async (params: { status?: string; course?: string; student?: string } = {}) => {
+    const response = await api.get('/attendance/excuses', { params });
+    if (response.data && response.data.data) {
+      return response.data.data;
+    }
+    return response.data;
+  },
+
+  /**
+   * Submit an excuse for an absence, with an optional supporting document
+   * @param excuseData FormData with course, date, reason, optional session, student (for parents) and document
+   * @returns Created excuse
+   */
+  submitExcuse: async (excuseData: FormData) => {
+    const response = await api.post('/attendance/excuses', excuseData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+    });
+    return response.data.data;
+  },
+
+  /**
+   * Approve or reject a pending excuse
+   * @param id Excuse ID
+   * @param status approved or rejected
+   * @param notes Optional notes for the student and their parents
+   * @returns Reviewed excuse
+   */
+  reviewExcuse: async (id: string, status: 'approved' | 'rejected', notes?: string) => {
+    const response = await api.put(`/attendance/excuses/${id}`, { status, notes });
+    return response.data.data;
+  },
+};
+
+// Grading scale service
+export const gradingScaleService = {
+  /**
+   * Get the grading scale a course uses (its own or the school default)
+   * @param courseId Course ID
+   * @returns Grading scale
+   */
+  getCourseScale: async (courseId: string) => {
+    const response = await api.get(`/grading-scales/course/${courseId}`);
+    return response.data.data;
+  },
+
+  /**
+   * Get the school default grading scale
+   * @returns Grading scale
+   */
+  getDefaultScale: async () => {
+    const response = await api.get('/grading-scales/default');
+    return response.data.data;
+  },
+};
+
 export default api; 
\ No newline at end of file